@@ -0,0 +1,224 @@
+// PeerJS-compatible Signaling Server - Self-hosted alternative to 0.peerjs.com
+// Run with `npm run signal` and point clients at it with ?signal=ws://<host>:9000/
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+const PORT = parseInt(process.env.SIGNAL_PORT || '9000', 10);
+const HOST = process.env.SIGNAL_HOST || '0.0.0.0';
+const KEY = process.env.SIGNAL_KEY || 'peerjs';
+const EXPIRE_TIMEOUT = 5000; // Undelivered OFFER/ANSWER/CANDIDATE messages expire after 5 seconds
+const ALIVE_TIMEOUT = 60000; // Drop clients that stop sending heartbeats
+
+/**
+ * Create a signaling server speaking the PeerJS server protocol
+ * (HTTP `/:key/id`, WebSocket `/peerjs?key=&id=&token=`)
+ */
+export function createSignalServer({ key = KEY, expireTimeout = EXPIRE_TIMEOUT } = {}) {
+  const clients = new Map(); // Map of peerId -> { socket, token, lastSeen }
+  const queues = new Map(); // Map of peerId -> [{ message, expiresAt }]
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    // GET /:key/id - hand out a random peer ID
+    if (req.method === 'GET' && parts.length === 2 && parts[1] === 'id') {
+      if (parts[0] !== key) {
+        res.writeHead(401);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(randomUUID());
+      return;
+    }
+
+    // GET /:key/peers - peer discovery is disabled, same as the cloud server
+    if (req.method === 'GET' && parts.length === 2 && parts[1] === 'peers') {
+      res.writeHead(401);
+      res.end();
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ name: 'p2p-gyro-game signaling server', peers: clients.size }));
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.endsWith('/peerjs')) {
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, url.searchParams);
+    });
+  });
+
+  const send = (socket, message) => {
+    try {
+      socket.send(JSON.stringify(message));
+    } catch (error) {
+      console.error('Failed to send signaling message:', error);
+    }
+  };
+
+  const deliver = (message) => {
+    const target = clients.get(message.dst);
+    if (target) {
+      send(target.socket, message);
+      return;
+    }
+
+    // Destination not connected (yet) - queue until it arrives or the message expires
+    if (!queues.has(message.dst)) {
+      queues.set(message.dst, []);
+    }
+    queues.get(message.dst).push({ message, expiresAt: Date.now() + expireTimeout });
+  };
+
+  const flushQueue = (peerId) => {
+    const queue = queues.get(peerId);
+    if (!queue) return;
+    queues.delete(peerId);
+    queue.forEach(({ message }) => deliver(message));
+  };
+
+  wss.on('connection', (socket, params) => {
+    const id = params.get('id');
+    const token = params.get('token');
+
+    if (params.get('key') !== key) {
+      send(socket, { type: 'INVALID-KEY', payload: { msg: `Invalid key provided` } });
+      socket.close();
+      return;
+    }
+
+    if (!id || !token) {
+      send(socket, { type: 'ERROR', payload: { msg: 'No id or token supplied to websocket server' } });
+      socket.close();
+      return;
+    }
+
+    const existing = clients.get(id);
+    if (existing && existing.token !== token) {
+      send(socket, { type: 'ID-TAKEN', payload: { msg: 'ID is taken' } });
+      socket.close();
+      return;
+    }
+    if (existing) {
+      // Same client reconnecting - replace the stale socket
+      existing.socket.close();
+    }
+
+    clients.set(id, { socket, token, lastSeen: Date.now() });
+    console.log(`Peer connected: ${id} (${clients.size} online)`);
+    send(socket, { type: 'OPEN' });
+    flushQueue(id);
+
+    socket.on('message', (raw) => {
+      const client = clients.get(id);
+      if (client) {
+        client.lastSeen = Date.now();
+      }
+
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        console.warn('Invalid signaling message from', id);
+        return;
+      }
+      if (!message || typeof message !== 'object') {
+        console.warn('Invalid signaling message from', id);
+        return;
+      }
+
+      switch (message.type) {
+        case 'HEARTBEAT':
+          break;
+        case 'OFFER':
+        case 'ANSWER':
+        case 'CANDIDATE':
+        case 'LEAVE':
+        case 'EXPIRE':
+          if (!message.dst) {
+            if (message.type === 'LEAVE') {
+              socket.close();
+            }
+            return;
+          }
+          deliver({ type: message.type, src: id, dst: message.dst, payload: message.payload });
+          break;
+        default:
+          console.warn('Unknown signaling message type:', message.type);
+      }
+    });
+
+    socket.on('close', () => {
+      if (clients.get(id)?.socket === socket) {
+        clients.delete(id);
+        console.log(`Peer disconnected: ${id} (${clients.size} online)`);
+      }
+    });
+  });
+
+  // Expire undelivered messages and drop silent clients
+  const sweepInterval = setInterval(() => {
+    const now = Date.now();
+
+    queues.forEach((queue, dst) => {
+      const remaining = queue.filter(({ message, expiresAt }) => {
+        if (expiresAt > now) return true;
+        // Tell the sender its target is unavailable (PeerJS raises 'peer-unavailable')
+        const sender = clients.get(message.src);
+        if (sender && message.type !== 'LEAVE' && message.type !== 'EXPIRE') {
+          send(sender.socket, { type: 'EXPIRE', src: dst, dst: message.src });
+        }
+        return false;
+      });
+      if (remaining.length > 0) {
+        queues.set(dst, remaining);
+      } else {
+        queues.delete(dst);
+      }
+    });
+
+    clients.forEach((client, id) => {
+      if (now - client.lastSeen > ALIVE_TIMEOUT) {
+        console.log(`Peer timed out: ${id}`);
+        client.socket.terminate();
+        clients.delete(id);
+      }
+    });
+  }, 1000);
+  sweepInterval.unref();
+
+  server.on('close', () => {
+    clearInterval(sweepInterval);
+    wss.clients.forEach((socket) => socket.terminate());
+  });
+
+  return server;
+}
+
+// Start when executed directly (`node server/signal-server.js`)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const server = createSignalServer();
+  server.listen(PORT, HOST, () => {
+    console.log(`Signaling server listening on ${HOST}:${PORT} (key: ${KEY})`);
+    console.log(`Open the game with ?signal=ws://<this-machine-ip>:${PORT}/ to use it`);
+  });
+}
@@ -0,0 +1,106 @@
+// Beat Map - JSON level format for rhythm mode
+//
+// {
+//   "format": "saber-beatmap",   // required, identifies the file
+//   "version": 1,                // required
+//   "title": "Example",          // optional
+//   "artist": "...",             // optional
+//   "bpm": 120,                  // optional - enables "beat" timings and the metronome
+//   "offset": 0,                 // optional ms added to every note (default 0)
+//   "approach": 2000,            // optional ms a block is in flight before its hit time
+//   "notes": [
+//     { "time": 2000, "lane": 1, "direction": "left", "color": "#ff1a1a" },
+//     { "beat": 6, "lane": 2, "direction": "down-right" }
+//   ]
+// }
+//
+// Each note needs either "time" (ms from the start) or "beat" (needs "bpm").
+// Lanes run 0-3 from left to right. Directions are the swing directions of the
+// gesture recognizer (left, right, up, down, up-left, up-right, down-left,
+// down-right) or "any". Colors are '#rrggbb'; they only change how the block looks.
+
+export const BEAT_MAP_FORMAT = 'saber-beatmap';
+export const BEAT_MAP_VERSION = 1;
+export const LANE_COUNT = 4;
+export const NOTE_DIRECTIONS = ['left', 'right', 'up', 'down', 'up-left', 'up-right', 'down-left', 'down-right', 'any'];
+
+const DEFAULT_APPROACH = 2000; // ms
+const DEFAULT_COLOR = '#ff1a1a';
+
+/**
+ * Validate a beat map (JSON text or parsed object) and normalize it: every note gets
+ * an absolute `time` in ms (offset applied), notes are sorted by time and numbered.
+ * @throws {Error} describing the first problem found
+ */
+export function parseBeatMap(input) {
+  let map = input;
+  if (typeof input === 'string') {
+    try {
+      map = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Beat map is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!map || typeof map !== 'object' || map.format !== BEAT_MAP_FORMAT) {
+    throw new Error(`Not a beat map (expected "format": "${BEAT_MAP_FORMAT}")`);
+  }
+  if (map.version !== BEAT_MAP_VERSION) {
+    throw new Error(`Unsupported beat map version: ${map.version}`);
+  }
+  if (map.bpm !== undefined && !(typeof map.bpm === 'number' && map.bpm > 0)) {
+    throw new Error('"bpm" must be a positive number');
+  }
+  if (!Array.isArray(map.notes) || map.notes.length === 0) {
+    throw new Error('Beat map has no notes');
+  }
+
+  const offset = Number(map.offset) || 0;
+  const beatLength = map.bpm ? 60000 / map.bpm : null;
+
+  const notes = map.notes.map((note, index) => {
+    const where = `Note ${index + 1}`;
+    let time;
+    if (typeof note.time === 'number') {
+      time = note.time;
+    } else if (typeof note.beat === 'number') {
+      if (!beatLength) {
+        throw new Error(`${where}: "beat" needs a "bpm"`);
+      }
+      time = note.beat * beatLength;
+    } else {
+      throw new Error(`${where}: needs a "time" (ms) or "beat"`);
+    }
+
+    if (!Number.isInteger(note.lane) || note.lane < 0 || note.lane >= LANE_COUNT) {
+      throw new Error(`${where}: "lane" must be 0-${LANE_COUNT - 1}`);
+    }
+    if (!NOTE_DIRECTIONS.includes(note.direction)) {
+      throw new Error(`${where}: unknown direction "${note.direction}"`);
+    }
+    if (note.color !== undefined && !(typeof note.color === 'string' && /^#[0-9a-f]{6}$/i.test(note.color))) {
+      throw new Error(`${where}: "color" must be '#rrggbb'`);
+    }
+
+    return {
+      time: time + offset,
+      lane: note.lane,
+      direction: note.direction,
+      color: (note.color || DEFAULT_COLOR).toLowerCase(),
+    };
+  });
+
+  notes.sort((a, b) => a.time - b.time);
+  notes.forEach((note, index) => {
+    note.id = index;
+  });
+
+  return {
+    title: typeof map.title === 'string' ? map.title : 'Untitled',
+    artist: typeof map.artist === 'string' ? map.artist : null,
+    bpm: map.bpm || null,
+    approach: typeof map.approach === 'number' && map.approach > 0 ? map.approach : DEFAULT_APPROACH,
+    notes,
+    duration: notes[notes.length - 1].time,
+  };
+}
@@ -0,0 +1,78 @@
+// Blade Shader - Glowing blade material with a white-hot core
+//
+// Drawn on a single open cylinder. The fragment shader uses how directly each pixel
+// faces the camera as a stand-in for distance from the blade's axis: the center of
+// the cylinder burns white, the edges fade through the blade color to transparent.
+// Additive blending plus the bloom pass does the rest of the glow.
+import * as THREE from 'three';
+
+const vertexShader = /* glsl */ `
+  varying vec3 vNormal;
+  varying vec3 vViewDirection;
+  varying float vHeight;
+
+  void main() {
+    vec4 viewPosition = modelViewMatrix * vec4(position, 1.0);
+    vNormal = normalize(normalMatrix * normal);
+    vViewDirection = normalize(-viewPosition.xyz);
+    vHeight = uv.y;
+    gl_Position = projectionMatrix * viewPosition;
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform vec3 uColor;
+  uniform vec3 uCoreColor;
+  uniform float uIntensity;
+  uniform float uCoreSize;
+  uniform float uTime;
+
+  varying vec3 vNormal;
+  varying vec3 vViewDirection;
+  varying float vHeight;
+
+  void main() {
+    // 1.0 on the axis as seen by the camera, 0.0 at the silhouette
+    float facing = abs(dot(normalize(vNormal), normalize(vViewDirection)));
+
+    float core = smoothstep(1.0 - uCoreSize, 1.0, facing);
+    float glow = pow(facing, 2.0);
+
+    // Fade the tip and add a faint flicker so the blade feels alive
+    float tip = 1.0 - smoothstep(0.96, 1.0, vHeight);
+    float flicker = 0.95 + 0.05 * sin(uTime * 40.0 + vHeight * 12.0);
+
+    vec3 color = mix(uColor, uCoreColor, core);
+    float alpha = clamp((glow + core) * tip * flicker * uIntensity, 0.0, 1.0);
+    gl_FragColor = vec4(color, alpha);
+  }
+`;
+
+/**
+ * @param {THREE.Color|number|string} color - blade color
+ */
+export function createBladeMaterial(color = 0x00ffff) {
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      uColor: { value: new THREE.Color(color) },
+      uCoreColor: { value: new THREE.Color(0xffffff) },
+      uIntensity: { value: 1.0 },
+      uCoreSize: { value: 0.35 },
+      uTime: { value: 0 },
+    },
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+}
+
+/**
+ * Unit-height blade geometry with its base at y = 0, so length is just scale.y
+ */
+export function createBladeGeometry(radius = 0.1, radialSegments = 32) {
+  const geometry = new THREE.CylinderGeometry(radius, radius, 1, radialSegments, 1, true);
+  geometry.translate(0, 0.5, 0);
+  return geometry;
+}
@@ -0,0 +1,154 @@
+// Blade Trail - Fading ribbon swept by the blade over the last few frames
+//
+// Every frame the blade's base and tip (world space) are pushed into a ring of samples.
+// The ribbon is a strip between consecutive base/tip pairs, fading with age. Buffers
+// are allocated once; each frame only rewrites positions in newest-to-oldest order.
+// How visible the trail is follows swing speed from motion_data (speed + rotationRate).
+import * as THREE from 'three';
+
+const DEFAULT_LENGTH = 12; // Samples (frames) kept in the ribbon
+const SPEED_FULL = 3; // m/s for a full-strength trail
+const ROTATION_FULL = 540; // deg/s for a full-strength trail
+const INTENSITY_DECAY = 0.9; // Per frame, so the trail dies out when motion_data stops
+const INTENSITY_SMOOTHING = 0.3;
+const MIN_INTENSITY = 0.02;
+
+const vertexShader = /* glsl */ `
+  attribute float aFade;
+  attribute float aSide;
+  varying float vFade;
+  varying float vSide;
+
+  void main() {
+    vFade = aFade;
+    vSide = aSide;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform vec3 uColor;
+  uniform float uIntensity;
+  varying float vFade;
+  varying float vSide;
+
+  void main() {
+    // Newest edge brightest, and brighter toward the tip where the blade moves fastest
+    float age = 1.0 - vFade;
+    float alpha = age * age * (0.3 + 0.7 * vSide) * uIntensity;
+    gl_FragColor = vec4(uColor, alpha);
+  }
+`;
+
+/**
+ * Trail strength (0-1) for one motion_data message
+ */
+export function trailIntensityFromMotion(motionData) {
+  if (!motionData) return 0;
+  const rate = motionData.rotationRate || {};
+  const rotation = Math.sqrt((rate.alpha || 0) ** 2 + (rate.beta || 0) ** 2 + (rate.gamma || 0) ** 2);
+  const speed = motionData.speed || 0;
+  return Math.min(1, Math.max(speed / SPEED_FULL, rotation / ROTATION_FULL));
+}
+
+export class BladeTrail {
+  constructor(color = 0x00ffff, length = DEFAULT_LENGTH) {
+    this.length = length;
+    this.samples = []; // Newest first: { base: Vector3, tip: Vector3 }
+    this.intensity = 0;
+    this.targetIntensity = 0;
+
+    const vertexCount = length * 2;
+    this.positions = new Float32Array(vertexCount * 3);
+    const fade = new Float32Array(vertexCount);
+    const side = new Float32Array(vertexCount);
+    for (let i = 0; i < length; i++) {
+      const t = length > 1 ? i / (length - 1) : 0;
+      fade[i * 2] = t;
+      fade[i * 2 + 1] = t;
+      side[i * 2] = 0; // Base
+      side[i * 2 + 1] = 1; // Tip
+    }
+
+    const indices = [];
+    for (let i = 0; i < length - 1; i++) {
+      const a = i * 2;
+      indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+
+    this.geometry = new THREE.BufferGeometry();
+    this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+    this.geometry.setAttribute('aFade', new THREE.BufferAttribute(fade, 1));
+    this.geometry.setAttribute('aSide', new THREE.BufferAttribute(side, 1));
+    this.geometry.setIndex(indices);
+    this.geometry.setDrawRange(0, 0);
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        uColor: { value: new THREE.Color(color) },
+        uIntensity: { value: 0 },
+      },
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+      blending: THREE.AdditiveBlending,
+    });
+
+    this.mesh = new THREE.Mesh(this.geometry, this.material);
+    this.mesh.frustumCulled = false; // Bounds change every frame
+    this.mesh.visible = false;
+  }
+
+  setColor(color) {
+    this.material.uniforms.uColor.value.set(color);
+  }
+
+  /**
+   * Feed motion_data; the strongest recent reading wins until it decays
+   */
+  updateMotion(motionData) {
+    this.targetIntensity = Math.max(this.targetIntensity, trailIntensityFromMotion(motionData));
+  }
+
+  /**
+   * Record this frame's blade position (world space) and rebuild the ribbon
+   */
+  update(base, tip) {
+    // Reuse the oldest sample's vectors instead of allocating
+    const sample = this.samples.length >= this.length ? this.samples.pop() : { base: new THREE.Vector3(), tip: new THREE.Vector3() };
+    sample.base.copy(base);
+    sample.tip.copy(tip);
+    this.samples.unshift(sample);
+
+    this.intensity += (this.targetIntensity - this.intensity) * INTENSITY_SMOOTHING;
+    this.targetIntensity *= INTENSITY_DECAY;
+    this.material.uniforms.uIntensity.value = this.intensity;
+
+    this.samples.forEach((s, i) => {
+      s.base.toArray(this.positions, i * 6);
+      s.tip.toArray(this.positions, i * 6 + 3);
+    });
+    this.geometry.attributes.position.needsUpdate = true;
+    this.geometry.setDrawRange(0, Math.max(0, this.samples.length - 1) * 6);
+
+    this.mesh.visible = this.intensity > MIN_INTENSITY && this.samples.length > 1;
+  }
+
+  /**
+   * Forget old samples (e.g. when the blade is off or the saber jumps)
+   */
+  clear() {
+    this.samples = [];
+    this.intensity = 0;
+    this.targetIntensity = 0;
+    this.geometry.setDrawRange(0, 0);
+    this.mesh.visible = false;
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
@@ -0,0 +1,153 @@
+// Calibration - Makes "pointing at the screen" the saber's forward direction
+//
+// deviceorientation alpha is an absolute compass heading, so without calibration the
+// saber's yaw depends on which way the player faces the room. The controller captures
+// the heading while the phone points at the screen and sends every later reading
+// relative to it. Only yaw is removed: tilt stays referenced to gravity.
+import { quatMultiply, rotateVector } from './orientation-fusion.js';
+import { degToRad, radToDeg } from './utils.js';
+
+const STORAGE_PREFIX = 'calibration_';
+
+const GRAVITY = 9.81;
+const SHAKE_THRESHOLD = 12; // m/s² beyond gravity
+const SHAKE_PEAKS = 3; // Direction changes needed to count as a shake
+const SHAKE_WINDOW = 800; // ms
+const SHAKE_COOLDOWN = 1500; // ms
+
+function normalizeDegrees(angle) {
+  return ((angle % 360) + 360) % 360;
+}
+
+/**
+ * Compass heading (degrees, counter-clockwise from north like alpha) the phone is pointing in
+ */
+export function headingFromQuaternion(q) {
+  // Direction the top of the phone points
+  let forward = rotateVector(q, { x: 0, y: 1, z: 0 });
+  if (Math.abs(forward.z) > 0.9) {
+    // Phone pointing almost straight up/down - use the direction the back of the phone faces
+    forward = rotateVector(q, { x: 0, y: 0, z: -1 });
+  }
+  return normalizeDegrees(radToDeg(Math.atan2(-forward.x, forward.y)));
+}
+
+// localStorage persistence (one reference per device ID)
+export function loadCalibration(deviceId) {
+  try {
+    const saved = localStorage.getItem(STORAGE_PREFIX + deviceId);
+    return saved ? JSON.parse(saved) : null;
+  } catch (e) {
+    console.warn('Failed to read calibration from localStorage:', e);
+    return null;
+  }
+}
+
+export function saveCalibration(deviceId, calibration) {
+  try {
+    if (calibration) {
+      localStorage.setItem(STORAGE_PREFIX + deviceId, JSON.stringify(calibration));
+    } else {
+      localStorage.removeItem(STORAGE_PREFIX + deviceId);
+    }
+  } catch (e) {
+    console.warn('Failed to save calibration to localStorage:', e);
+  }
+}
+
+export class Calibration {
+  constructor(deviceId) {
+    this.deviceId = deviceId;
+    const saved = deviceId ? loadCalibration(deviceId) : null;
+    this.yawOffset = typeof saved?.yawOffset === 'number' ? saved.yawOffset : null;
+  }
+
+  isCalibrated() {
+    return this.yawOffset !== null;
+  }
+
+  /**
+   * Use the current orientation as "pointing at the screen"
+   * @param {{x, y, z, w}} quaternion - raw (uncalibrated) orientation from OrientationFusion
+   */
+  capture(quaternion) {
+    this.yawOffset = headingFromQuaternion(quaternion);
+    if (this.deviceId) {
+      saveCalibration(this.deviceId, { yawOffset: this.yawOffset, calibratedAt: Date.now() });
+    }
+    console.log('🎯 Calibrated, yaw offset:', this.yawOffset.toFixed(1));
+    return this.yawOffset;
+  }
+
+  clear() {
+    this.yawOffset = null;
+    if (this.deviceId) {
+      saveCalibration(this.deviceId, null);
+    }
+  }
+
+  /**
+   * gyro_data relative to the reference heading
+   */
+  applyToOrientation(data) {
+    if (!this.isCalibrated() || typeof data.alpha !== 'number') {
+      return data;
+    }
+    return { ...data, alpha: normalizeDegrees(data.alpha - this.yawOffset) };
+  }
+
+  /**
+   * Quaternion relative to the reference heading (rotate the earth frame by -yawOffset about up)
+   */
+  applyToQuaternion(q) {
+    if (!this.isCalibrated()) {
+      return q;
+    }
+    const half = -degToRad(this.yawOffset) / 2;
+    return quatMultiply({ x: 0, y: 0, z: Math.sin(half), w: Math.cos(half) }, q);
+  }
+}
+
+/**
+ * Detects a quick back-and-forth shake from motion_data (acceleration includes gravity)
+ */
+export class ShakeDetector {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? SHAKE_THRESHOLD;
+    this.peaks = [];
+    this.lastSign = 0;
+    this.lastShake = -Infinity;
+  }
+
+  /**
+   * @returns {boolean} true once per detected shake
+   */
+  handleMotion(data) {
+    const a = data.acceleration;
+    if (!a) return false;
+
+    const now = data.timestamp ?? Date.now();
+    const magnitude = Math.sqrt((a.x || 0) ** 2 + (a.y || 0) ** 2 + (a.z || 0) ** 2);
+    if (Math.abs(magnitude - GRAVITY) < this.threshold) {
+      return false;
+    }
+
+    // Count peaks on the dominant axis that alternate in sign
+    const dominant = [a.x || 0, a.y || 0, a.z || 0].reduce((max, value) => Math.abs(value) > Math.abs(max) ? value : max, 0);
+    const sign = Math.sign(dominant);
+    if (sign === this.lastSign) {
+      return false;
+    }
+    this.lastSign = sign;
+
+    this.peaks = this.peaks.filter(time => now - time < SHAKE_WINDOW);
+    this.peaks.push(now);
+
+    if (this.peaks.length >= SHAKE_PEAKS && now - this.lastShake > SHAKE_COOLDOWN) {
+      this.peaks = [];
+      this.lastShake = now;
+      return true;
+    }
+    return false;
+  }
+}
@@ -0,0 +1,114 @@
+// Clash Sparks - Short-lived particle bursts where blades meet
+//
+// One fixed pool of points shared by all bursts; emit() recycles the oldest particles.
+// Particles fly out, fall under gravity and fade to black, which is invisible
+// with additive blending, so dead particles need no special handling.
+import * as THREE from 'three';
+
+const POOL_SIZE = 256;
+const PARTICLE_LIFE = 0.5; // s
+const SPEED = 4; // Scene units per second
+const GRAVITY = -9;
+const DRAG = 0.9; // Velocity kept per 1/60 s
+
+export class ClashSparks {
+  constructor(poolSize = POOL_SIZE) {
+    this.poolSize = poolSize;
+    this.next = 0;
+    this.positions = new Float32Array(poolSize * 3);
+    this.colors = new Float32Array(poolSize * 3);
+    this.velocities = new Float32Array(poolSize * 3);
+    this.baseColors = new Float32Array(poolSize * 3);
+    this.life = new Float32Array(poolSize); // Seconds left
+
+    this.geometry = new THREE.BufferGeometry();
+    this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+    this.geometry.setAttribute('color', new THREE.BufferAttribute(this.colors, 3).setUsage(THREE.DynamicDrawUsage));
+
+    this.material = new THREE.PointsMaterial({
+      size: 0.08,
+      vertexColors: true,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+
+    this.mesh = new THREE.Points(this.geometry, this.material);
+    this.mesh.frustumCulled = false;
+    this.color = new THREE.Color();
+  }
+
+  /**
+   * Burst of `count` sparks at a point, tinted from white toward `color`
+   */
+  emit(point, color = 0xffffff, count = 40) {
+    this.color.set(color);
+    for (let n = 0; n < count; n++) {
+      const i = this.next;
+      this.next = (this.next + 1) % this.poolSize;
+
+      // Random direction, random speed
+      const theta = Math.random() * Math.PI * 2;
+      const z = Math.random() * 2 - 1;
+      const r = Math.sqrt(1 - z * z);
+      const speed = SPEED * (0.3 + Math.random() * 0.7);
+
+      this.positions[i * 3] = point.x;
+      this.positions[i * 3 + 1] = point.y;
+      this.positions[i * 3 + 2] = point.z;
+      this.velocities[i * 3] = r * Math.cos(theta) * speed;
+      this.velocities[i * 3 + 1] = r * Math.sin(theta) * speed;
+      this.velocities[i * 3 + 2] = z * speed;
+
+      // Half white-hot, half blade colored
+      const tint = Math.random() < 0.5 ? 1 : 0;
+      this.baseColors[i * 3] = tint + (1 - tint) * this.color.r;
+      this.baseColors[i * 3 + 1] = tint + (1 - tint) * this.color.g;
+      this.baseColors[i * 3 + 2] = tint + (1 - tint) * this.color.b;
+      this.life[i] = PARTICLE_LIFE * (0.5 + Math.random() * 0.5);
+    }
+  }
+
+  /**
+   * Advance all particles by dt seconds
+   */
+  update(dt) {
+    const drag = Math.pow(DRAG, dt * 60);
+    for (let i = 0; i < this.poolSize; i++) {
+      if (this.life[i] <= 0) {
+        this.colors[i * 3] = 0;
+        this.colors[i * 3 + 1] = 0;
+        this.colors[i * 3 + 2] = 0;
+        continue;
+      }
+      this.life[i] = Math.max(0, this.life[i] - dt);
+      this.velocities[i * 3 + 1] += GRAVITY * dt;
+      for (let axis = 0; axis < 3; axis++) {
+        this.velocities[i * 3 + axis] *= drag;
+        this.positions[i * 3 + axis] += this.velocities[i * 3 + axis] * dt;
+      }
+      const fade = this.life[i] / PARTICLE_LIFE;
+      for (let axis = 0; axis < 3; axis++) {
+        this.colors[i * 3 + axis] = this.baseColors[i * 3 + axis] * fade;
+      }
+    }
+    this.geometry.attributes.position.needsUpdate = true;
+    this.geometry.attributes.color.needsUpdate = true;
+  }
+
+  /**
+   * Number of sparks still visible
+   */
+  getActiveCount() {
+    let count = 0;
+    for (let i = 0; i < this.poolSize; i++) {
+      if (this.life[i] > 0) count++;
+    }
+    return count;
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
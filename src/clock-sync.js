@@ -0,0 +1,73 @@
+// Clock Sync - NTP-style estimate of a peer's clock offset from quality_ping/quality_pong
+//
+// The pinging side stamps t0 (its send time); the pong echoes it as originTimestamp
+// and adds receivedAt (t1, peer clock) and timestamp (t2, peer clock); the pong
+// arrives at t3. Then
+//   rtt    = (t3 - t0) - (t2 - t1)
+//   offset = ((t1 - t0) + (t2 - t3)) / 2     (peer clock - local clock)
+// The offset is exact when both legs take the same time; the sample with the
+// lowest RTT in the recent window has the least room for asymmetry, so it wins.
+
+const WINDOW_SIZE = 8; // Recent samples considered
+
+/**
+ * One offset / RTT measurement from a pong (null for pongs from older clients)
+ */
+export function computeClockSample(pong, receivedAt) {
+  const t0 = pong.originTimestamp;
+  const t1 = pong.receivedAt;
+  const t2 = pong.timestamp;
+  if (![t0, t1, t2, receivedAt].every(t => typeof t === 'number' && Number.isFinite(t))) {
+    return null;
+  }
+
+  return {
+    rtt: Math.max(0, (receivedAt - t0) - (t2 - t1)),
+    offset: ((t1 - t0) + (t2 - receivedAt)) / 2,
+    at: receivedAt,
+  };
+}
+
+export class ClockSync {
+  constructor(windowSize = WINDOW_SIZE) {
+    this.windowSize = windowSize;
+    this.samples = [];
+    this.best = null;
+  }
+
+  addSample(sample) {
+    if (!sample) return;
+    this.samples.push(sample);
+    if (this.samples.length > this.windowSize) {
+      this.samples.shift();
+    }
+    this.best = this.samples.reduce((best, candidate) => (candidate.rtt < best.rtt ? candidate : best));
+  }
+
+  hasEstimate() {
+    return this.best !== null;
+  }
+
+  /**
+   * Peer clock minus local clock, in ms (0 until the first pong)
+   */
+  getOffset() {
+    return this.best ? this.best.offset : 0;
+  }
+
+  getRtt() {
+    return this.best ? this.best.rtt : null;
+  }
+
+  /**
+   * Convert a peer timestamp (its Date.now()) to the local clock
+   */
+  toLocalTime(remoteTimestamp) {
+    return remoteTimestamp - this.getOffset();
+  }
+
+  reset() {
+    this.samples = [];
+    this.best = null;
+  }
+}
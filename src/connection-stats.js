@@ -0,0 +1,171 @@
+// Connection Stats - Diagnostics from RTCPeerConnection.getStats() for one peer
+//
+// Ping RTT alone can't tell a relayed connection from a direct one or show where
+// bandwidth goes. Each poll boils the stats report down to:
+//   candidate pair - local/remote candidate type (host / srflx / prflx / relay) and protocol
+//   rtt            - ICE round trip time of the selected pair
+//   counters       - bytes and messages per data channel, turned into per-second rates
+// Data channels have no packet loss counter (the reliable one retransmits), so loss
+// is measured on the unreliable sensor channel from gaps in the codec sequence number.
+
+const SEQUENCE_RANGE = 0x10000; // Codec sequence numbers are u16
+
+/**
+ * The candidate pair ICE is using, or null before one is chosen
+ */
+function findSelectedPair(report) {
+  let transportPairId = null;
+  report.forEach(stat => {
+    if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+      transportPairId = stat.selectedCandidatePairId;
+    }
+  });
+  if (transportPairId && report.get(transportPairId)) {
+    return report.get(transportPairId);
+  }
+
+  // Firefox marks the pair itself instead
+  let selected = null;
+  report.forEach(stat => {
+    if (stat.type !== 'candidate-pair' || stat.state !== 'succeeded') return;
+    if (stat.selected || (stat.nominated && !selected)) {
+      selected = stat;
+    }
+  });
+  return selected;
+}
+
+/**
+ * Summarize one RTCStatsReport (a Map of id -> stats)
+ */
+export function summarizeStatsReport(report, timestamp = Date.now()) {
+  const summary = {
+    timestamp,
+    candidatePair: null,
+    rtt: null,
+    availableOutgoingBitrate: null,
+    bytesSent: 0,
+    bytesReceived: 0,
+    messagesSent: 0,
+    messagesReceived: 0,
+    channels: {},
+  };
+
+  const pair = findSelectedPair(report);
+  if (pair) {
+    const local = report.get(pair.localCandidateId);
+    const remote = report.get(pair.remoteCandidateId);
+    summary.candidatePair = {
+      localType: local?.candidateType ?? null,
+      remoteType: remote?.candidateType ?? null,
+      protocol: local?.protocol ?? null,
+      relayProtocol: local?.relayProtocol ?? null,
+    };
+    if (typeof pair.currentRoundTripTime === 'number') {
+      summary.rtt = pair.currentRoundTripTime * 1000;
+    }
+    summary.availableOutgoingBitrate = pair.availableOutgoingBitrate ?? null;
+  }
+
+  report.forEach(stat => {
+    if (stat.type !== 'data-channel') return;
+    const channel = {
+      state: stat.state,
+      bytesSent: stat.bytesSent || 0,
+      bytesReceived: stat.bytesReceived || 0,
+      messagesSent: stat.messagesSent || 0,
+      messagesReceived: stat.messagesReceived || 0,
+    };
+    summary.channels[stat.label || String(stat.dataChannelIdentifier)] = channel;
+    summary.bytesSent += channel.bytesSent;
+    summary.bytesReceived += channel.bytesReceived;
+    summary.messagesSent += channel.messagesSent;
+    summary.messagesReceived += channel.messagesReceived;
+  });
+
+  return summary;
+}
+
+/**
+ * Per-second rates between two summaries (zeros for the first poll)
+ */
+export function computeStatsRates(current, previous) {
+  const rates = {
+    bytesSentPerSecond: 0,
+    bytesReceivedPerSecond: 0,
+    messagesSentPerSecond: 0,
+    messagesReceivedPerSecond: 0,
+  };
+  if (!previous) return rates;
+
+  const seconds = (current.timestamp - previous.timestamp) / 1000;
+  if (seconds <= 0) return rates;
+
+  // Counters restart when a channel is reopened - treat that as no traffic
+  const rate = (key) => Math.max(0, current[key] - previous[key]) / seconds;
+  rates.bytesSentPerSecond = rate('bytesSent');
+  rates.bytesReceivedPerSecond = rate('bytesReceived');
+  rates.messagesSentPerSecond = rate('messagesSent');
+  rates.messagesReceivedPerSecond = rate('messagesReceived');
+  return rates;
+}
+
+/**
+ * Counts sensor packets missing from the sequence between two takeInterval() calls
+ */
+export class SequenceLossTracker {
+  constructor() {
+    this.lastSequence = null;
+    this.expected = 0;
+    this.received = 0;
+  }
+
+  record(sequence) {
+    this.received++;
+    if (this.lastSequence === null) {
+      this.lastSequence = sequence;
+      this.expected++;
+      return;
+    }
+
+    const gap = (sequence - this.lastSequence + SEQUENCE_RANGE) % SEQUENCE_RANGE;
+    if (gap === 0 || gap > SEQUENCE_RANGE / 2) {
+      // Duplicate, or a late packet already counted as expected
+      return;
+    }
+    this.expected += gap;
+    this.lastSequence = sequence;
+  }
+
+  /**
+   * Loss since the previous call; null when no packets arrived
+   */
+  takeInterval() {
+    if (this.expected === 0) {
+      return null;
+    }
+    const lost = Math.max(0, this.expected - this.received);
+    const interval = {
+      expected: this.expected,
+      received: this.received,
+      lost,
+      lossRate: lost / this.expected,
+    };
+    this.expected = 0;
+    this.received = 0;
+    return interval;
+  }
+}
+
+/**
+ * "12.3 KB/s" style label for a byte rate
+ */
+export function formatByteRate(bytesPerSecond) {
+  if (bytesPerSecond >= 1024 * 1024) {
+    return `${(bytesPerSecond / (1024 * 1024)).toFixed(1)} MB/s`;
+  }
+  if (bytesPerSecond >= 1024) {
+    return `${(bytesPerSecond / 1024).toFixed(1)} KB/s`;
+  }
+  return `${Math.round(bytesPerSecond)} B/s`;
+}
@@ -0,0 +1,122 @@
+// Controller Preview - Small local Three.js view of the saber on the controller screen
+//
+// Shows the phone's own calibrated orientation (the same quaternion it sends as
+// orientation_data) on a plain hilt and blade, so the player can check tracking
+// without looking at the viewer. No bloom or trail - it has to stay cheap next to
+// the sensors, so it renders at most PREVIEW_FPS.
+import * as THREE from 'three';
+import { WORLD_TO_SCENE } from './lightsaber.js';
+
+const PREVIEW_FPS = 30;
+const SMOOTHING = 0.3;
+const BLADE_LENGTH = 3;
+
+export class ControllerPreview {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.renderer = null;
+    this.frameId = null;
+    this.lastRender = 0;
+    this.lit = false;
+
+    this.scene = new THREE.Scene();
+    this.camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
+    this.camera.position.set(0, 0.5, 7);
+    this.camera.lookAt(0, 0.5, 0);
+    this.scene.add(new THREE.AmbientLight(0xffffff, 0.8));
+    const light = new THREE.DirectionalLight(0xffffff, 0.8);
+    light.position.set(2, 3, 4);
+    this.scene.add(light);
+
+    this.saber = new THREE.Group();
+    this.hiltMaterial = new THREE.MeshStandardMaterial({ color: 0x555555, metalness: 0.8, roughness: 0.3 });
+    const hilt = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 1.2, 16), this.hiltMaterial);
+    hilt.position.y = -0.6; // Emitter at the origin, like the viewer's saber
+    this.saber.add(hilt);
+
+    this.bladeMaterial = new THREE.MeshBasicMaterial({ color: 0x00ffff });
+    this.blade = new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.07, BLADE_LENGTH, 12), this.bladeMaterial);
+    this.blade.position.y = BLADE_LENGTH / 2;
+    this.blade.visible = false;
+    this.saber.add(this.blade);
+
+    this.scene.add(this.saber);
+    this.targetQuaternion = new THREE.Quaternion();
+  }
+
+  /**
+   * Calibrated orientation quaternion (earth frame, as in orientation_data)
+   */
+  setOrientation(quaternion) {
+    if (!quaternion) return;
+    this.targetQuaternion
+      .set(quaternion.x, quaternion.y, quaternion.z, quaternion.w)
+      .normalize()
+      .premultiply(WORLD_TO_SCENE);
+  }
+
+  setColor(color) {
+    this.bladeMaterial.color.set(color);
+  }
+
+  setLit(lit) {
+    this.lit = lit;
+    this.blade.visible = lit;
+  }
+
+  /**
+   * Advance the smoothing one frame (called by the render loop)
+   */
+  update() {
+    this.saber.quaternion.slerp(this.targetQuaternion, SMOOTHING);
+  }
+
+  start() {
+    if (this.frameId !== null) return;
+
+    try {
+      this.renderer = this.renderer || new THREE.WebGLRenderer({ canvas: this.canvas, antialias: true, alpha: true });
+      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    } catch (error) {
+      console.warn('Saber preview unavailable:', error);
+      return;
+    }
+
+    const loop = (now) => {
+      this.frameId = requestAnimationFrame(loop);
+      if (now - this.lastRender < 1000 / PREVIEW_FPS) return;
+      this.lastRender = now;
+      this.resize();
+      this.update();
+      this.renderer.render(this.scene, this.camera);
+    };
+    this.frameId = requestAnimationFrame(loop);
+  }
+
+  stop() {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  resize() {
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    if (!width || !height) return;
+    if (this.canvas.width !== Math.floor(width * this.renderer.getPixelRatio())) {
+      this.renderer.setSize(width, height, false);
+      this.camera.aspect = width / height;
+      this.camera.updateProjectionMatrix();
+    }
+  }
+
+  dispose() {
+    this.stop();
+    this.saber.traverse((object) => object.geometry?.dispose());
+    this.hiltMaterial.dispose();
+    this.bladeMaterial.dispose();
+    this.renderer?.dispose();
+    this.renderer = null;
+  }
+}
@@ -1,9 +1,37 @@
 // Device Detection and Capabilities
+
+const ROLES = ['controller', 'viewer', 'spectator'];
+const ROLE_PARAM = 'role';
+
 export class DeviceDetector {
-  constructor() {
+  constructor(options = {}) {
+    // ?role=controller turns a desktop tab into a virtual (mouse/keyboard) controller;
+    // ?role=spectator watches a display without a saber of its own
+    this.forcedRole = this.parseRole(options.role) || this.getRoleFromUrl();
     this.deviceInfo = this.detectDevice();
   }
 
+  parseRole(role) {
+    return ROLES.includes(role) ? role : null;
+  }
+
+  getRoleFromUrl() {
+    try {
+      return this.parseRole(new URLSearchParams(window.location?.search || '').get(ROLE_PARAM));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Override the detected role ('controller', 'viewer', 'spectator', or null to auto-detect)
+   */
+  forceRole(role) {
+    this.forcedRole = this.parseRole(role);
+    this.deviceInfo = this.detectDevice();
+    return this.deviceInfo;
+  }
+
   detectDevice() {
     const userAgent = navigator.userAgent || navigator.vendor || window.opera;
     const isMobile = /android|webos|iphone|ipad|ipod|blackberry|iemobile|opera mini/i.test(userAgent.toLowerCase());
@@ -12,9 +40,15 @@ export class DeviceDetector {
     const hasTouchScreen = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
     const isSmallScreen = window.innerWidth < 768;
     const isMobileDevice = isMobile || (hasTouchScreen && isSmallScreen);
+    const forcedRole = this.forcedRole || null;
 
     return {
-      isMobile: isMobileDevice,
+      // isMobile means "acts as the controller"; a forced role wins over detection
+      isMobile: forcedRole ? forcedRole === 'controller' : isMobileDevice,
+      detectedMobile: isMobileDevice,
+      forcedRole,
+      isVirtualController: forcedRole === 'controller' && !isMobileDevice,
+      isSpectator: forcedRole === 'spectator',
       hasGyroscope: this.hasGyroscope(),
       userAgent: userAgent,
       screenWidth: window.innerWidth,
@@ -37,7 +71,7 @@ export class DeviceDetector {
   }
 
   canActAsController() {
-    return this.deviceInfo.isMobile && this.deviceInfo.hasGyroscope;
+    return this.deviceInfo.isVirtualController || (this.deviceInfo.isMobile && this.deviceInfo.hasGyroscope);
   }
 
   generateDeviceId() {
@@ -0,0 +1,264 @@
+// Duel - Two-player blade collision and best-of-N scoring
+//
+// Each blade is a capsule from the bottom of the hilt to the tip (both tips for a
+// double-bladed saber); each player's body is a fixed capsule at their saber's slot.
+// Every frame the viewer passes both fighters to update():
+//   blade touches blade  -> clash (sparks, haptic to both controllers)
+//   blade touches body   -> hit, one point to the attacker
+// First to POINTS_PER_ROUND wins the round; the match is best of N rounds.
+//
+// Positions are plain {x, y, z} objects (THREE.Vector3 works too).
+
+export const DuelPhase = {
+  IDLE: 'idle',
+  FIGHTING: 'fighting',
+  ROUND_OVER: 'round_over',
+  FINISHED: 'finished',
+};
+
+const BEST_OF = 3; // Rounds
+const POINTS_PER_ROUND = 3;
+const BLADE_RADIUS = 0.1; // Scene units, a little wider than the drawn blade
+const BODY_RADIUS = 0.5;
+const CLASH_COOLDOWN = 300; // ms - blades grinding together clash once, not every frame
+const HIT_COOLDOWN = 800; // ms - one touch scores once
+const ROUND_BREAK = 2500; // ms between rounds
+
+// Body capsule relative to the saber's slot: standing behind the hand holding the hilt
+const BODY_BOTTOM = -3.5;
+const BODY_TOP = 0.5;
+const BODY_DEPTH = -0.3;
+
+function sub(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function along(p, d, t) {
+  return { x: p.x + d.x * t, y: p.y + d.y * t, z: p.z + d.z * t };
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Closest points between segments p1-q1 and p2-q2 (Ericson, Real-Time Collision Detection 5.1.9)
+ * @returns {{distance: number, pointA: object, pointB: object}}
+ */
+export function closestPointsOnSegments(p1, q1, p2, q2) {
+  const d1 = sub(q1, p1);
+  const d2 = sub(q2, p2);
+  const r = sub(p1, p2);
+  const a = dot(d1, d1);
+  const e = dot(d2, d2);
+  const f = dot(d2, r);
+  let s;
+  let t;
+
+  if (a <= 1e-9 && e <= 1e-9) {
+    s = 0;
+    t = 0;
+  } else if (a <= 1e-9) {
+    s = 0;
+    t = clamp01(f / e);
+  } else {
+    const c = dot(d1, r);
+    if (e <= 1e-9) {
+      t = 0;
+      s = clamp01(-c / a);
+    } else {
+      const b = dot(d1, d2);
+      const denom = a * e - b * b;
+      // Parallel segments: any s works, pick the start
+      s = denom > 1e-9 ? clamp01((b * f - c * e) / denom) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = clamp01(-c / a);
+      } else if (t > 1) {
+        t = 1;
+        s = clamp01((b - c) / a);
+      }
+    }
+  }
+
+  const pointA = along(p1, d1, s);
+  const pointB = along(p2, d2, t);
+  const gap = sub(pointA, pointB);
+  return { distance: Math.sqrt(dot(gap, gap)), pointA, pointB };
+}
+
+/**
+ * Contact point if two capsules ({start, end, radius}) overlap, else null
+ */
+export function capsuleContact(a, b) {
+  const { distance, pointA, pointB } = closestPointsOnSegments(a.start, a.end, b.start, b.end);
+  if (distance > a.radius + b.radius) {
+    return null;
+  }
+  return {
+    x: (pointA.x + pointB.x) / 2,
+    y: (pointA.y + pointB.y) / 2,
+    z: (pointA.z + pointB.z) / 2,
+  };
+}
+
+/**
+ * Body capsule of the player whose saber stands at slot x
+ */
+export function duelBodyCapsule(x) {
+  return {
+    start: { x, y: BODY_BOTTOM, z: BODY_DEPTH },
+    end: { x, y: BODY_TOP, z: BODY_DEPTH },
+    radius: BODY_RADIUS,
+  };
+}
+
+/**
+ * Contacts between two fighters ({id, blade: {start, end} | null, body: capsule}).
+ * An unlit saber has no blade. A clash means the blades are locked, so no hits count.
+ * @returns {{clash: object|null, hits: Array<{attacker, target, point}>}}
+ */
+export function detectDuelContacts(first, second, bladeRadius = BLADE_RADIUS) {
+  const bladeA = first.blade ? { ...first.blade, radius: bladeRadius } : null;
+  const bladeB = second.blade ? { ...second.blade, radius: bladeRadius } : null;
+
+  const clash = bladeA && bladeB ? capsuleContact(bladeA, bladeB) : null;
+  if (clash) {
+    return { clash, hits: [] };
+  }
+
+  const hits = [];
+  [[first, bladeA, second], [second, bladeB, first]].forEach(([attacker, blade, target]) => {
+    const point = blade ? capsuleContact(blade, target.body) : null;
+    if (point) {
+      hits.push({ attacker: attacker.id, target: target.id, point });
+    }
+  });
+  return { clash: null, hits };
+}
+
+export class DuelMatch {
+  constructor(options = {}) {
+    this.bestOf = options.bestOf ?? BEST_OF;
+    this.pointsPerRound = options.pointsPerRound ?? POINTS_PER_ROUND;
+    this.clashCooldown = options.clashCooldown ?? CLASH_COOLDOWN;
+    this.hitCooldown = options.hitCooldown ?? HIT_COOLDOWN;
+    this.roundBreak = options.roundBreak ?? ROUND_BREAK;
+
+    this.phase = DuelPhase.IDLE;
+    this.players = [];
+    this.points = {}; // This round
+    this.roundsWon = {};
+    this.round = 0;
+    this.winner = null;
+    this.lastClash = -Infinity;
+    this.lastHit = -Infinity;
+    this.nextRoundAt = null;
+    this.eventCallbacks = [];
+  }
+
+  isActive() {
+    return this.phase !== DuelPhase.IDLE;
+  }
+
+  roundsToWin() {
+    return Math.floor(this.bestOf / 2) + 1;
+  }
+
+  /**
+   * Start a new match between two saber IDs
+   */
+  start(players, now = performance.now(), bestOf = this.bestOf) {
+    if (players.length !== 2) {
+      throw new Error('A duel needs exactly two players');
+    }
+    this.bestOf = bestOf;
+    this.players = [...players];
+    this.roundsWon = Object.fromEntries(players.map(id => [id, 0]));
+    this.round = 0;
+    this.winner = null;
+    this.startRound(now);
+  }
+
+  stop() {
+    if (this.phase === DuelPhase.IDLE) return;
+    this.phase = DuelPhase.IDLE;
+    this.emit({ type: 'stop' });
+  }
+
+  startRound(now) {
+    this.round++;
+    this.points = Object.fromEntries(this.players.map(id => [id, 0]));
+    this.lastClash = -Infinity;
+    this.lastHit = now; // Short grace period at the start of each round
+    this.nextRoundAt = null;
+    this.phase = DuelPhase.FIGHTING;
+    console.log(`⚔️ Duel round ${this.round} of ${this.bestOf}`);
+    this.emit({ type: 'round_start', round: this.round });
+  }
+
+  /**
+   * Per-frame check with both fighters ({id, blade, body}, in either order)
+   */
+  update(fighters, now = performance.now()) {
+    if (this.phase === DuelPhase.ROUND_OVER && now >= this.nextRoundAt) {
+      this.startRound(now);
+    }
+    if (this.phase !== DuelPhase.FIGHTING || fighters.length !== 2) return;
+
+    const { clash, hits } = detectDuelContacts(fighters[0], fighters[1]);
+
+    if (clash) {
+      if (now - this.lastClash >= this.clashCooldown) {
+        this.lastClash = now;
+        this.emit({ type: 'clash', point: clash, players: [...this.players] });
+      }
+      return;
+    }
+
+    // Simultaneous touches: the first one found takes the point
+    const hit = hits[0];
+    if (!hit || now - this.lastHit < this.hitCooldown) return;
+
+    this.lastHit = now;
+    this.points[hit.attacker]++;
+    this.emit({ type: 'hit', ...hit, points: { ...this.points } });
+
+    if (this.points[hit.attacker] >= this.pointsPerRound) {
+      this.endRound(hit.attacker, now);
+    }
+  }
+
+  endRound(roundWinner, now) {
+    this.roundsWon[roundWinner]++;
+    if (this.roundsWon[roundWinner] >= this.roundsToWin()) {
+      this.phase = DuelPhase.FINISHED;
+      this.winner = roundWinner;
+      console.log('🏆 Duel won by:', roundWinner);
+      this.emit({ type: 'match_end', winner: roundWinner, roundsWon: { ...this.roundsWon } });
+    } else {
+      this.phase = DuelPhase.ROUND_OVER;
+      this.nextRoundAt = now + this.roundBreak;
+      this.emit({ type: 'round_end', round: this.round, winner: roundWinner, roundsWon: { ...this.roundsWon } });
+    }
+  }
+
+  onEvent(callback) {
+    this.eventCallbacks.push(callback);
+  }
+
+  emit(event) {
+    this.eventCallbacks.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error('Error in duel event callback:', error);
+      }
+    });
+  }
+}
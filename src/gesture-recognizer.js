@@ -0,0 +1,283 @@
+// Gesture Recognizer - Turns windows of motion_data into discrete swing/thrust/block/spin events
+//
+// Runs on the controller. MotionHandler's acceleration includes gravity, so gravity is
+// tracked with a low-pass filter and subtracted to get linear acceleration. A gesture
+// starts when rotation or linear acceleration crosses a threshold and ends once the
+// phone has been quiet for a moment; the samples in between are classified.
+//
+// Axes are the device frame, assuming the calibration grip (phone pointing at the
+// screen, top of the phone = blade): rotation about z (alpha rate) sweeps the blade
+// left/right, rotation about x (beta rate) chops it up/down, rotation about y (gamma
+// rate) twists it around its own axis, and +y linear acceleration pushes it forward.
+//
+// Blocks and flicks also need to know where the blade ends up, so the calibrated
+// orientation quaternion (earth frame, y = toward the screen) is fed in when available.
+// A flick is a downward chop that ends with the blade pointing at the floor - the
+// viewer uses it to retract the saber.
+import { rotateVector } from './orientation-fusion.js';
+
+const GRAVITY = 9.81;
+const GRAVITY_SMOOTHING = 0.1; // Low-pass factor for the gravity estimate
+
+const START_RATE = 180; // deg/s - rotation speed that starts a gesture
+const START_ACCELERATION = 12; // m/s² linear - acceleration that starts a gesture
+const QUIET_RATE = 60; // deg/s
+const QUIET_ACCELERATION = 4; // m/s²
+const QUIET_TIME = 100; // ms of quiet that ends a gesture
+const MAX_GESTURE_TIME = 800; // ms
+const COOLDOWN = 200; // ms between gestures
+
+const SWING_RATE = 250; // deg/s peak rotation to count as a swing
+const THRUST_ACCELERATION = 15; // m/s² peak forward acceleration
+const SPIN_ANGLE = 300; // degrees turned within one gesture
+const DIAGONAL_RATIO = 0.5; // Weaker axis at least half the stronger one
+const BLOCK_STOP_TIME = 32; // ms from swing speed to standstill
+const BLOCK_ACROSS = 0.7; // Blade direction component across the body (earth x) for a block
+const FLICK_DOWN = 0.8; // Blade direction component pointing down (earth -z) for a flick
+
+function magnitude(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+function rateMagnitude(rate) {
+  return Math.sqrt(rate.alpha * rate.alpha + rate.beta * rate.beta + rate.gamma * rate.gamma);
+}
+
+/**
+ * Classify one gesture window
+ * @param {Array<{ t: number, linear: {x,y,z}, rate: {alpha,beta,gamma}, blade: {x,y,z}|null }>} samples
+ * @returns {{ gesture: string, plane?: string, direction: string, strength: number, duration: number } | null}
+ */
+export function classifyGesture(samples) {
+  if (samples.length < 2) {
+    return null;
+  }
+
+  // Integrated rotation per device axis (degrees)
+  const turned = { x: 0, y: 0, z: 0 };
+  let peakRate = 0;
+  let lastFastTime = null;
+  let stopTime = null;
+  let peakThrust = 0;
+  let peakSideways = 0;
+
+  for (let i = 1; i < samples.length; i++) {
+    const sample = samples[i];
+    const dt = (sample.t - samples[i - 1].t) / 1000;
+    turned.x += sample.rate.beta * dt;
+    turned.y += sample.rate.gamma * dt;
+    turned.z += sample.rate.alpha * dt;
+
+    const rate = rateMagnitude(sample.rate);
+    peakRate = Math.max(peakRate, rate);
+    if (rate >= SWING_RATE) {
+      lastFastTime = sample.t;
+      stopTime = null;
+    } else if (rate < QUIET_RATE && lastFastTime !== null && stopTime === null) {
+      stopTime = sample.t - lastFastTime;
+    }
+    peakThrust = Math.max(peakThrust, sample.linear.y);
+    peakSideways = Math.max(peakSideways, Math.abs(sample.linear.x), Math.abs(sample.linear.z));
+  }
+
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const duration = last.t - first.t;
+  const absTurned = { x: Math.abs(turned.x), y: Math.abs(turned.y), z: Math.abs(turned.z) };
+  const maxTurned = Math.max(absTurned.x, absTurned.y, absTurned.z);
+
+  if (maxTurned >= SPIN_ANGLE) {
+    const axis = absTurned.y === maxTurned ? turned.y : absTurned.x === maxTurned ? turned.x : turned.z;
+    return {
+      gesture: 'spin',
+      direction: axis > 0 ? 'counterclockwise' : 'clockwise',
+      strength: Math.min(1, maxTurned / 720),
+      duration,
+    };
+  }
+
+  if (peakRate < SWING_RATE) {
+    if (peakThrust >= THRUST_ACCELERATION && peakThrust > peakSideways) {
+      return {
+        gesture: 'thrust',
+        direction: 'forward',
+        strength: Math.min(1, peakThrust / 30),
+        duration,
+      };
+    }
+    return null;
+  }
+
+  // Twisting the hilt around the blade doesn't move the blade
+  if (Math.max(absTurned.x, absTurned.z) < DIAGONAL_RATIO * absTurned.y) {
+    return null;
+  }
+
+  // Swing: plane from the dominant rotation axes
+  const horizontal = turned.z > 0 ? 'left' : 'right';
+  const vertical = turned.x > 0 ? 'up' : 'down';
+  let plane;
+  let direction;
+  if (Math.min(absTurned.x, absTurned.z) >= DIAGONAL_RATIO * Math.max(absTurned.x, absTurned.z)) {
+    plane = 'diagonal';
+    direction = `${vertical}-${horizontal}`;
+  } else if (absTurned.z > absTurned.x) {
+    plane = 'horizontal';
+    direction = horizontal;
+  } else {
+    plane = 'vertical';
+    direction = vertical;
+  }
+
+  // Flick: chopped down until the blade points at the floor
+  if (plane === 'vertical' && direction === 'down' && !!last.blade && last.blade.z <= -FLICK_DOWN) {
+    return {
+      gesture: 'flick',
+      direction: 'down',
+      strength: Math.min(1, peakRate / 720),
+      duration,
+    };
+  }
+
+  // Block: a hard move that stops dead with the blade held across the body
+  const stoppedAbruptly = stopTime !== null && stopTime <= BLOCK_STOP_TIME;
+  const bladeAcross = !!last.blade && Math.abs(last.blade.x) >= BLOCK_ACROSS;
+
+  return {
+    gesture: stoppedAbruptly && bladeAcross ? 'block' : 'swing',
+    plane,
+    direction,
+    strength: Math.min(1, peakRate / 720),
+    duration,
+  };
+}
+
+export class GestureRecognizer {
+  constructor() {
+    this.gravity = null;
+    this.blade = null;
+    this.samples = [];
+    this.active = false;
+    this.quietSince = null;
+    this.lastGestureTime = -Infinity;
+
+    this.isRunning = false;
+    this.callback = null;
+    this.deviceId = null;
+  }
+
+  start(callback, deviceId) {
+    this.callback = callback;
+    this.deviceId = deviceId;
+    this.isRunning = true;
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.callback = null;
+    this.reset();
+  }
+
+  reset() {
+    this.gravity = null;
+    this.blade = null;
+    this.samples = [];
+    this.active = false;
+    this.quietSince = null;
+  }
+
+  /**
+   * Latest calibrated orientation (orientation_data quaternion)
+   */
+  handleOrientation(quaternion) {
+    if (quaternion) {
+      this.blade = rotateVector(quaternion, { x: 0, y: 1, z: 0 });
+    }
+  }
+
+  /**
+   * Feed one motion_data reading; returns the gesture message if one completed
+   */
+  handleMotion(data) {
+    const a = data.acceleration;
+    if (!a) return null;
+
+    const t = data.timestamp ?? Date.now();
+    const acceleration = { x: a.x || 0, y: a.y || 0, z: a.z || 0 };
+    const rate = {
+      alpha: data.rotationRate?.alpha || 0,
+      beta: data.rotationRate?.beta || 0,
+      gamma: data.rotationRate?.gamma || 0,
+    };
+
+    // Gravity estimate only follows while the phone is calm, so a swing doesn't drag it along
+    if (!this.gravity) {
+      this.gravity = { ...acceleration };
+    } else if (!this.active) {
+      this.gravity = {
+        x: this.gravity.x + (acceleration.x - this.gravity.x) * GRAVITY_SMOOTHING,
+        y: this.gravity.y + (acceleration.y - this.gravity.y) * GRAVITY_SMOOTHING,
+        z: this.gravity.z + (acceleration.z - this.gravity.z) * GRAVITY_SMOOTHING,
+      };
+    }
+
+    const linear = {
+      x: acceleration.x - this.gravity.x,
+      y: acceleration.y - this.gravity.y,
+      z: acceleration.z - this.gravity.z,
+    };
+    const sample = { t, linear, rate, blade: this.blade };
+    const rateSize = rateMagnitude(rate);
+    const linearSize = magnitude(linear);
+
+    if (!this.active) {
+      if (t - this.lastGestureTime < COOLDOWN) {
+        return null;
+      }
+      if (rateSize >= START_RATE || linearSize >= START_ACCELERATION) {
+        this.active = true;
+        this.samples = [sample];
+        this.quietSince = null;
+      }
+      return null;
+    }
+
+    this.samples.push(sample);
+
+    // Gravity may point elsewhere after the move, so judge stillness by |a| ≈ g
+    if (rateSize < QUIET_RATE && Math.abs(magnitude(acceleration) - GRAVITY) < QUIET_ACCELERATION) {
+      this.quietSince = this.quietSince ?? t;
+    } else {
+      this.quietSince = null;
+    }
+
+    const quietLongEnough = this.quietSince !== null && t - this.quietSince >= QUIET_TIME;
+    if (!quietLongEnough && t - this.samples[0].t < MAX_GESTURE_TIME) {
+      return null;
+    }
+
+    const result = classifyGesture(this.samples);
+    this.active = false;
+    this.samples = [];
+    this.quietSince = null;
+    this.gravity = { ...acceleration };
+
+    if (!result) {
+      return null;
+    }
+
+    this.lastGestureTime = t;
+    const message = {
+      type: 'gesture',
+      timestamp: t,
+      ...result,
+      deviceId: this.deviceId,
+    };
+    console.log('⚔️ Gesture:', message.gesture, message.direction, message.strength.toFixed(2));
+
+    if (this.isRunning && this.callback) {
+      this.callback(message);
+    }
+    return message;
+  }
+}
@@ -0,0 +1,118 @@
+// Haptics - Controller vibration for feedback sent back by the viewer
+//
+// The viewer sends a haptic message to one controller on its reliable channel:
+//   { type: 'haptic', timestamp, event: 'clash' | 'hit' | 'ignite', pattern: [ms on, ms off, ...] }
+// The controller plays it with navigator.vibrate(), scaled by the user's intensity
+// setting (0 turns it off). Devices without vibration (e.g. iOS Safari) get a screen
+// flash instead through onFlash().
+
+// Vibration patterns (ms on/off) per feedback event
+export const HAPTIC_PATTERNS = {
+  clash: [40, 30, 60],
+  hit: [150],
+  ignite: [20, 40, 20],
+};
+
+export const DEFAULT_HAPTIC_INTENSITY = 1;
+
+const STORAGE_KEY = 'haptic_intensity';
+const MAX_PATTERN_LENGTH = 10; // Segments - longer patterns from a peer are cut
+const MAX_SEGMENT = 1000; // ms
+
+/**
+ * Shorten the "on" segments of a pattern by intensity (0-1); pauses stay as they are
+ * @returns {number[]} pattern for navigator.vibrate(), empty when there is nothing to play
+ */
+export function scaleHapticPattern(pattern, intensity) {
+  if (!Array.isArray(pattern) || intensity <= 0) return [];
+
+  const scaled = pattern
+    .slice(0, MAX_PATTERN_LENGTH)
+    .map(ms => Math.min(MAX_SEGMENT, Math.max(0, Number(ms) || 0)))
+    .map((ms, index) => (index % 2 === 0 && ms > 0 ? Math.max(1, Math.round(ms * intensity)) : ms));
+  return scaled.some((ms, index) => index % 2 === 0 && ms > 0) ? scaled : [];
+}
+
+/**
+ * Total vibration time of a pattern (used to size the flash fallback)
+ */
+export function hapticDuration(pattern) {
+  return pattern.reduce((total, ms, index) => (index % 2 === 0 ? total + ms : total), 0);
+}
+
+// localStorage persistence (one setting per browser)
+export function loadHapticIntensity() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    const value = saved === null ? NaN : Number(saved);
+    return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : DEFAULT_HAPTIC_INTENSITY;
+  } catch (e) {
+    console.warn('Failed to read haptic intensity from localStorage:', e);
+    return DEFAULT_HAPTIC_INTENSITY;
+  }
+}
+
+export function saveHapticIntensity(intensity) {
+  try {
+    localStorage.setItem(STORAGE_KEY, String(intensity));
+  } catch (e) {
+    console.warn('Failed to save haptic intensity to localStorage:', e);
+  }
+}
+
+export class HapticFeedback {
+  constructor(options = {}) {
+    this.vibrate = options.vibrate !== undefined ? options.vibrate : HapticFeedback.getNavigatorVibrate();
+    this.intensity = options.intensity ?? loadHapticIntensity();
+    this.flashCallbacks = [];
+  }
+
+  static getNavigatorVibrate() {
+    if (typeof navigator === 'undefined' || typeof navigator.vibrate !== 'function') {
+      return null;
+    }
+    return (pattern) => navigator.vibrate(pattern);
+  }
+
+  isVibrationSupported() {
+    return typeof this.vibrate === 'function';
+  }
+
+  setIntensity(intensity) {
+    this.intensity = Math.min(1, Math.max(0, Number(intensity) || 0));
+    saveHapticIntensity(this.intensity);
+  }
+
+  /**
+   * Play a haptic message (the event's own pattern when the message has none)
+   * @returns {'vibrate'|'flash'|null} how it was played, null when muted or empty
+   */
+  play(message, intensity = this.intensity) {
+    const pattern = scaleHapticPattern(message.pattern || HAPTIC_PATTERNS[message.event], intensity);
+    if (pattern.length === 0) return null;
+
+    if (this.isVibrationSupported()) {
+      try {
+        if (this.vibrate(pattern) !== false) {
+          return 'vibrate';
+        }
+      } catch (error) {
+        console.warn('Vibration failed:', error);
+      }
+    }
+
+    const flash = { event: message.event, duration: hapticDuration(pattern), intensity };
+    this.flashCallbacks.forEach(callback => {
+      try {
+        callback(flash);
+      } catch (error) {
+        console.error('Error in haptic flash callback:', error);
+      }
+    });
+    return 'flash';
+  }
+
+  onFlash(callback) {
+    this.flashCallbacks.push(callback);
+  }
+}
@@ -0,0 +1,126 @@
+// Jitter Buffer - Plays a sensor stream back at a fixed delay behind its send time
+//
+// Packets over Wi-Fi arrive in bursts, so applying each one as it lands makes the
+// saber stutter. Samples are stored by their send time on the local clock (via
+// ClockSync) and read back at `now - playoutDelay`:
+//   between two samples     -> interpolate
+//   past the newest sample  -> extrapolate along the last two, for at most maxExtrapolation
+//   then                    -> hold the extrapolated value until more data arrives
+
+export const DEFAULT_PLAYOUT_DELAY = 50; // ms
+export const DEFAULT_MAX_EXTRAPOLATION = 50; // ms
+export const REBASE_THRESHOLD = 10; // ms of clock offset change that makes old samples unusable
+const MAX_SAMPLES = 32;
+
+export function interpolateNumber(a, b, t) {
+  return a + (b - a) * t;
+}
+
+/**
+ * Slerp between two {x, y, z, w} quaternions; t outside 0-1 extrapolates along the same arc
+ */
+export function interpolateQuaternion(a, b, t) {
+  let { x, y, z, w } = b;
+  let cosHalfTheta = a.x * x + a.y * y + a.z * z + a.w * w;
+  if (cosHalfTheta < 0) {
+    // Take the short way round
+    x = -x; y = -y; z = -z; w = -w;
+    cosHalfTheta = -cosHalfTheta;
+  }
+
+  let ratioA;
+  let ratioB;
+  if (cosHalfTheta > 0.9995) {
+    // Nearly the same rotation - linear is accurate and avoids dividing by ~0
+    ratioA = 1 - t;
+    ratioB = t;
+  } else {
+    const halfTheta = Math.acos(cosHalfTheta);
+    const sinHalfTheta = Math.sin(halfTheta);
+    ratioA = Math.sin((1 - t) * halfTheta) / sinHalfTheta;
+    ratioB = Math.sin(t * halfTheta) / sinHalfTheta;
+  }
+
+  const result = {
+    x: a.x * ratioA + x * ratioB,
+    y: a.y * ratioA + y * ratioB,
+    z: a.z * ratioA + z * ratioB,
+    w: a.w * ratioA + w * ratioB,
+  };
+  const length = Math.hypot(result.x, result.y, result.z, result.w) || 1;
+  result.x /= length;
+  result.y /= length;
+  result.z /= length;
+  result.w /= length;
+  return result;
+}
+
+/**
+ * Whether samples timed with clock offset `previous` can share a buffer with ones timed
+ * with `offset` (null = no offset yet, samples timed by arrival). When the offset first
+ * appears or jumps, new send times land before the buffered ones and push() drops them,
+ * so the buffer has to start over.
+ */
+export function isTimeBaseChanged(previous, offset, threshold = REBASE_THRESHOLD) {
+  if (previous === offset) return false;
+  if (previous === null || offset === null) return true;
+  return Math.abs(offset - previous) > threshold;
+}
+
+export class JitterBuffer {
+  constructor(options = {}) {
+    this.interpolate = options.interpolate ?? interpolateNumber;
+    this.playoutDelay = options.playoutDelay ?? DEFAULT_PLAYOUT_DELAY;
+    this.maxExtrapolation = options.maxExtrapolation ?? DEFAULT_MAX_EXTRAPOLATION;
+    this.samples = []; // { time, value }, oldest first
+  }
+
+  /**
+   * Add a sample stamped with its send time on the local clock
+   */
+  push(time, value) {
+    const newest = this.samples[this.samples.length - 1];
+    if (newest && time <= newest.time) {
+      if (time === newest.time) {
+        newest.value = value;
+      }
+      return; // Late packet - playback has moved past it
+    }
+    this.samples.push({ time, value });
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Value to show at local time `now`, or null before the first sample
+   */
+  sample(now) {
+    const samples = this.samples;
+    if (samples.length === 0) return null;
+
+    const renderTime = now - this.playoutDelay;
+    const first = samples[0];
+    if (samples.length === 1 || renderTime <= first.time) {
+      return first.value;
+    }
+
+    // Drop samples playback no longer needs (keep one before the render time)
+    while (samples.length > 2 && samples[1].time <= renderTime) {
+      samples.shift();
+    }
+
+    const [a, b] = samples;
+    if (renderTime <= b.time) {
+      return this.interpolate(a.value, b.value, (renderTime - a.time) / (b.time - a.time));
+    }
+
+    // Past the newest sample: keep going the same way for a little while
+    const ahead = Math.min(renderTime - b.time, this.maxExtrapolation);
+    return this.interpolate(a.value, b.value, 1 + ahead / (b.time - a.time));
+  }
+
+  clear() {
+    this.samples = [];
+  }
+}
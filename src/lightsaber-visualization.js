@@ -1,35 +1,55 @@
 // Three.js Lightsaber Visualization
+//
+// Owns the renderer, camera, lights and bloom pipeline, plus one Lightsaber per
+// connected controller (keyed by peer ID), placed side by side. Before anyone
+// connects a single idle saber is shown; the first controller takes it over.
 import * as THREE from 'three';
-import { degToRad, lerp } from './utils.js';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { Lightsaber } from './lightsaber.js';
+import { ClashSparks } from './clash-sparks.js';
+
+export const DEFAULT_SABER_ID = 'default';
+const SABER_SPACING = 3; // Scene units between neighbouring sabers
+
+// Colors handed out to controllers that haven't sent a saber_config yet
+const SABER_COLORS = [0x00ffff, 0x39ff14, 0xff1a1a, 0xb040ff, 0xffd500];
+
+/**
+ * x positions for `count` sabers, centered on the origin
+ */
+export function saberSlots(count) {
+  return Array.from({ length: count }, (_, index) => (index - (count - 1) / 2) * SABER_SPACING);
+}
 
 export class LightsaberVisualization {
   constructor() {
     this.scene = null;
     this.camera = null;
     this.renderer = null;
-    this.lightsaber = null;
-    this.blade = null;
-    this.hilt = null;
+    this.composer = null;
+    this.bloomPass = null;
+    this.clock = new THREE.Clock();
     this.container = null;
     this.animationId = null;
     
-    // Target rotation (for smooth interpolation)
-    this.targetRotation = { x: 0, y: 0, z: 0 };
-    this.currentRotation = { x: 0, y: 0, z: 0 };
-    
-    // Blade properties
-    this.baseBladeLength = 2.0; // Base length in Three.js units
-    this.currentBladeLength = this.baseBladeLength;
-    this.targetBladeLength = this.baseBladeLength;
-    this.maxBladeLength = 5.0; // Maximum length when volume is high
-    
-    // Smoothing factors
-    this.rotationSmoothing = 0.15;
-    this.baseRotationSmoothing = 0.15; // Store base value for motion adjustments
-    this.lengthSmoothing = 0.1;
-    
-    // Blade color (can be customized)
-    this.bladeColor = new THREE.Color(0x00ffff); // Cyan
+    // One saber per controller, in the order they joined
+    this.sabers = new Map(); // Map of peerId -> Lightsaber
+    this.colorIndex = 0;
+    this.saberStateCallbacks = [];
+    
+    // Game modes hook in after the sabers move each frame; sensor playout before
+    this.frameCallbacks = [];
+    this.beforeFrameCallbacks = [];
+    this.lastFrameTime = null;
+    this.sparks = null;
+    
+    // Bloom settings
+    this.bloomStrength = 1.4;
+    this.bloomRadius = 0.5;
+    this.bloomThreshold = 0.1;
   }
 
   initScene(container, canvasId = 'three-canvas') {
@@ -86,13 +106,30 @@ export class LightsaberVisualization {
     
     console.log('Renderer created, size:', width, 'x', height);
     
-    // Create lightsaber
-    this.createLightsaber();
-    console.log('Lightsaber created:', this.lightsaber);
+    // Post-processing: render, bloom the bright blade, then output (color space conversion)
+    this.composer = new EffectComposer(this.renderer);
+    this.composer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    this.composer.setSize(width, height);
+    this.composer.addPass(new RenderPass(this.scene, this.camera));
+    this.bloomPass = new UnrealBloomPass(
+      new THREE.Vector2(width, height),
+      this.bloomStrength,
+      this.bloomRadius,
+      this.bloomThreshold
+    );
+    this.composer.addPass(this.bloomPass);
+    this.composer.addPass(new OutputPass());
+    
+    // Idle saber shown until a controller connects
+    this.getSaber(DEFAULT_SABER_ID);
     
     // Add lighting
     this.setupLighting();
     
+    // Clash spark particles
+    this.sparks = new ClashSparks();
+    this.scene.add(this.sparks.mesh);
+    
     // Handle window resize
     this.resizeHandler = () => this.resize();
     window.addEventListener('resize', this.resizeHandler);
@@ -102,149 +139,154 @@ export class LightsaberVisualization {
     console.log('Animation loop started');
   }
 
-  createLightsaber() {
-    console.log('Creating lightsaber...');
-    
-    // Create a group to hold hilt and blade
-    this.lightsaber = new THREE.Group();
-    
-    // Create hilt (handle)
-    this.createHilt();
-    console.log('Hilt created');
-    
-    // Create blade
-    this.createBlade();
-    console.log('Blade created');
-    
-    // Add to scene
-    if (this.scene) {
-      this.scene.add(this.lightsaber);
-      console.log('Lightsaber added to scene');
-    } else {
-      console.error('Scene is null, cannot add lightsaber');
-    }
-    
-    // Reset rotation
-    this.targetRotation = { x: 0, y: 0, z: 0 };
-    this.currentRotation = { x: 0, y: 0, z: 0 };
+  hasSaber(id) {
+    return this.sabers.has(id);
   }
 
-  createHilt() {
-    // Hilt is a dark cylinder
-    const hiltGeometry = new THREE.CylinderGeometry(0.15, 0.15, 1.5, 16);
-    const hiltMaterial = new THREE.MeshStandardMaterial({
-      color: 0x333333,
-      metalness: 0.8,
-      roughness: 0.2,
-    });
+  /**
+   * Saber for a controller, created (or taken over from the idle saber) on first use
+   */
+  getSaber(id = DEFAULT_SABER_ID) {
+    const existing = this.sabers.get(id);
+    if (existing) {
+      return existing;
+    }
     
-    this.hilt = new THREE.Mesh(hiltGeometry, hiltMaterial);
-    this.hilt.position.y = -0.75; // Position at bottom
-    this.lightsaber.add(this.hilt);
+    // The first controller takes over the idle saber shown before anyone connected
+    const idle = this.sabers.get(DEFAULT_SABER_ID);
+    const active = this.getSabers().filter(saber => !saber.removeWhenOff);
+    if (idle && active.length === 1 && active[0] === idle) {
+      this.sabers.delete(DEFAULT_SABER_ID);
+      idle.id = id;
+      this.sabers.set(id, idle);
+      return idle;
+    }
     
-    // Add some details to hilt
-    const detailGeometry = new THREE.CylinderGeometry(0.12, 0.12, 0.2, 16);
-    const detailMaterial = new THREE.MeshStandardMaterial({
-      color: 0x666666,
-      metalness: 0.9,
-      roughness: 0.1,
+    const color = SABER_COLORS[this.colorIndex++ % SABER_COLORS.length];
+    const saber = new Lightsaber(id, this.scene, color);
+    saber.saberState.onStateChange((state, previous) => {
+      this.saberStateCallbacks.forEach(callback => {
+        try {
+          callback(state, saber.id, previous);
+        } catch (error) {
+          console.error('Error in saber state callback:', error);
+        }
+      });
     });
-    
-    // Add details at top and bottom of hilt
-    const topDetail = new THREE.Mesh(detailGeometry, detailMaterial);
-    topDetail.position.y = 0.75;
-    this.hilt.add(topDetail);
-    
-    const bottomDetail = new THREE.Mesh(detailGeometry, detailMaterial);
-    bottomDetail.position.y = -0.75;
-    this.hilt.add(bottomDetail);
+    this.sabers.set(id, saber);
+    this.layoutSabers();
+    console.log('🗡️ Saber added:', id);
+    return saber;
   }
 
-  createBlade() {
-    // Create blade group
-    const bladeGroup = new THREE.Group();
-    
-    // Inner bright core (main blade)
-    const coreGeometry = new THREE.CylinderGeometry(0.05, 0.05, this.currentBladeLength, 16);
-    const coreMaterial = new THREE.MeshBasicMaterial({
-      color: this.bladeColor,
-      transparent: true,
-      opacity: 1.0,
-    });
-    
-    const core = new THREE.Mesh(coreGeometry, coreMaterial);
-    core.position.y = this.currentBladeLength / 2 + 0.75; // Position above hilt
-    bladeGroup.add(core);
+  /**
+   * Retract a controller's saber and remove it once it is off. The last saber
+   * stays in the scene as the idle saber instead.
+   */
+  removeSaber(id) {
+    const saber = this.sabers.get(id);
+    if (!saber) return;
+    
+    const remaining = [...this.sabers.values()].filter(other => other !== saber && !other.removeWhenOff);
+    if (remaining.length === 0) {
+      this.sabers.delete(id);
+      saber.id = DEFAULT_SABER_ID;
+      this.sabers.set(DEFAULT_SABER_ID, saber);
+      saber.returnToRest();
+      return;
+    }
     
-    // Outer glow (larger, semi-transparent)
-    const glowGeometry = new THREE.CylinderGeometry(0.12, 0.12, this.currentBladeLength, 16);
-    const glowMaterial = new THREE.MeshBasicMaterial({
-      color: this.bladeColor,
-      transparent: true,
-      opacity: 0.3,
+    saber.removeWhenOff = true;
+    saber.retract();
+  }
+
+  removeAllSabers() {
+    [...this.sabers.keys()].forEach(id => this.removeSaber(id));
+  }
+
+  getSabers() {
+    return [...this.sabers.values()];
+  }
+
+  /**
+   * Any saber lit
+   */
+  isLit() {
+    return this.getSabers().some(saber => saber.saberState.isLit());
+  }
+
+  /**
+   * callback(state, saberId, previousState) for every saber's ignite/retract transitions
+   */
+  onSaberStateChange(callback) {
+    this.saberStateCallbacks.push(callback);
+  }
+
+  updateSabers(now, time) {
+    this.beforeFrameCallbacks.forEach(callback => {
+      try {
+        callback(now);
+      } catch (error) {
+        console.error('Error in before-frame callback:', error);
+      }
     });
     
-    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-    glow.position.y = this.currentBladeLength / 2 + 0.75;
-    bladeGroup.add(glow);
-    
-    // Outer glow 2 (even larger, more transparent)
-    const glow2Geometry = new THREE.CylinderGeometry(0.18, 0.18, this.currentBladeLength, 16);
-    const glow2Material = new THREE.MeshBasicMaterial({
-      color: this.bladeColor,
-      transparent: true,
-      opacity: 0.15,
+    this.sabers.forEach((saber, id) => {
+      saber.update(now, time);
+      
+      // Departed controllers' sabers go once their retract animation finishes
+      if (saber.removeWhenOff && !saber.saberState.isLit()) {
+        saber.dispose();
+        this.sabers.delete(id);
+        this.layoutSabers();
+        console.log('🗡️ Saber removed:', id);
+      }
     });
-    
-    const glow2 = new THREE.Mesh(glow2Geometry, glow2Material);
-    glow2.position.y = this.currentBladeLength / 2 + 0.75;
-    bladeGroup.add(glow2);
-    
-    this.blade = bladeGroup;
-    this.lightsaber.add(this.blade);
   }
 
-  updateBladeLength(newLength) {
-    // Normalize volume (0-1) to blade length
-    // Volume 0 = base length, Volume 1 = max length
-    this.targetBladeLength = this.baseBladeLength + (newLength * (this.maxBladeLength - this.baseBladeLength));
+  /**
+   * callback(now) every frame, before the sabers are updated
+   */
+  onBeforeFrame(callback) {
+    this.beforeFrameCallbacks.push(callback);
   }
 
-  updateBladeGeometry() {
-    if (!this.blade) return;
-    
-    // Smooth interpolation of blade length
-    this.currentBladeLength = lerp(
-      this.currentBladeLength,
-      this.targetBladeLength,
-      this.lengthSmoothing
-    );
+  /**
+   * callback(now) every frame, after the sabers have been updated
+   */
+  onFrame(callback) {
+    this.frameCallbacks.push(callback);
+  }
+
+  emitSparks(point, color = 0xffffff, count = 40) {
+    this.sparks?.emit(point, color, count);
+  }
+
+  updateEffects(now) {
+    const dt = this.lastFrameTime === null ? 0 : Math.min((now - this.lastFrameTime) / 1000, 0.1);
+    this.lastFrameTime = now;
+    this.sparks?.update(dt);
     
-    // Update all blade components
-    this.blade.children.forEach((child, index) => {
-      if (child.geometry) {
-        // Update geometry height
-        child.geometry.dispose();
-        
-        let radius = 0.05;
-        if (index === 1) radius = 0.12;
-        if (index === 2) radius = 0.18;
-        
-        child.geometry = new THREE.CylinderGeometry(radius, radius, this.currentBladeLength, 16);
-        child.position.y = this.currentBladeLength / 2 + 0.75;
+    this.frameCallbacks.forEach(callback => {
+      try {
+        callback(now);
+      } catch (error) {
+        console.error('Error in frame callback:', error);
       }
     });
   }
 
+  layoutSabers() {
+    const active = this.getSabers().filter(saber => !saber.removeWhenOff);
+    saberSlots(active.length).forEach((x, index) => active[index].setSlot(x));
+  }
+
   setupLighting() {
     // Ambient light for overall illumination
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
     this.scene.add(ambientLight);
     
-    // Point light from lightsaber blade (glow effect)
-    const bladeLight = new THREE.PointLight(this.bladeColor, 2, 10);
-    bladeLight.position.set(0, 2, 0);
-    this.scene.add(bladeLight);
+    // Each saber carries its own point light for the blade glow
     
     // Directional light for hilt
     const directionalLight = new THREE.DirectionalLight(0xffffff, 0.5);
@@ -252,108 +294,21 @@ export class LightsaberVisualization {
     this.scene.add(directionalLight);
   }
 
-  updateRotation(alpha, beta, gamma) {
-    // Convert degrees to radians
-    // Map device orientation to lightsaber rotation
-    // We want the lightsaber to swing naturally with phone movement
-    // 
-    // Device orientation mapping:
-    // - alpha: rotation around z-axis (0-360°), compass direction
-    // - beta: front-to-back tilt (-180 to 180°)
-    // - gamma: left-to-right tilt (-90 to 90°)
-    //
-    // Lightsaber rotation mapping:
-    // - x: pitch (beta) - tilt forward/back
-    // - y: yaw (alpha) - rotate around vertical axis
-    // - z: roll (gamma) - tilt left/right
-    
-    const alphaRad = degToRad(alpha || 0);
-    const betaRad = degToRad(beta || 0);
-    const gammaRad = degToRad(gamma || 0);
-    
-    // Map to lightsaber rotation
-    // Beta (front-back tilt) -> X rotation (pitch)
-    // Alpha (compass) -> Y rotation (yaw)
-    // Gamma (left-right tilt) -> Z rotation (roll, inverted)
-    this.targetRotation.x = betaRad;
-    this.targetRotation.y = alphaRad;
-    this.targetRotation.z = -gammaRad;
-    
-    console.log('🔄 Rotation updated:', {
-      input: { alpha, beta, gamma },
-      target: this.targetRotation,
-      current: this.currentRotation
-    });
-  }
-
-  updateMotion(motionData) {
-    // Use motion data to add more dynamic movement
-    // Speed affects how quickly the lightsaber responds
-    if (motionData && motionData.speed !== undefined) {
-      // Higher speed = less smoothing (more responsive)
-      // Clamp smoothing between 0.05 and 0.2
-      const speedFactor = Math.min(motionData.speed / 10, 1); // Normalize speed
-      this.rotationSmoothing = Math.max(0.05, Math.min(0.2, this.baseRotationSmoothing - (speedFactor * 0.1)));
-      
-      console.log('⚡ Motion update:', {
-        speed: motionData.speed,
-        smoothing: this.rotationSmoothing
-      });
-    } else {
-      // Reset to base smoothing if no speed data
-      this.rotationSmoothing = this.baseRotationSmoothing;
-    }
-    
-    // Also use rotation rate if available for more responsive movement
-    if (motionData && motionData.rotationRate) {
-      const { alpha, beta, gamma } = motionData.rotationRate;
-      if (alpha !== undefined || beta !== undefined || gamma !== undefined) {
-        // Add rotation rate to current rotation for more dynamic movement
-        const rateAlpha = degToRad(alpha || 0) * 0.1;
-        const rateBeta = degToRad(beta || 0) * 0.1;
-        const rateGamma = degToRad(gamma || 0) * 0.1;
-        
-        this.targetRotation.x += rateBeta;
-        this.targetRotation.y += rateAlpha;
-        this.targetRotation.z -= rateGamma;
-      }
-    }
-  }
-
   animate() {
     this.animationId = requestAnimationFrame(() => this.animate());
     
-    // Smooth interpolation of rotation
-    this.currentRotation.x = lerp(
-      this.currentRotation.x,
-      this.targetRotation.x,
-      this.rotationSmoothing
-    );
-    this.currentRotation.y = lerp(
-      this.currentRotation.y,
-      this.targetRotation.y,
-      this.rotationSmoothing
-    );
-    this.currentRotation.z = lerp(
-      this.currentRotation.z,
-      this.targetRotation.z,
-      this.rotationSmoothing
-    );
-    
-    // Apply rotation to lightsaber
-    if (this.lightsaber) {
-      this.lightsaber.rotation.x = this.currentRotation.x;
-      this.lightsaber.rotation.y = this.currentRotation.y;
-      this.lightsaber.rotation.z = this.currentRotation.z;
-    }
-    
-    // Update blade length
-    this.updateBladeGeometry();
+    const now = performance.now();
+    this.updateSabers(now, this.clock.getElapsedTime());
+    this.updateEffects(now);
     
     // Render scene
     if (this.renderer && this.scene && this.camera) {
       try {
-        this.renderer.render(this.scene, this.camera);
+        if (this.composer) {
+          this.composer.render();
+        } else {
+          this.renderer.render(this.scene, this.camera);
+        }
       } catch (error) {
         console.error('Error rendering scene:', error);
       }
@@ -379,6 +334,11 @@ export class LightsaberVisualization {
     // Update renderer size
     this.renderer.setSize(width, height);
     this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    
+    if (this.composer) {
+      this.composer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+      this.composer.setSize(width, height);
+    }
   }
 
   dispose() {
@@ -389,25 +349,11 @@ export class LightsaberVisualization {
     }
     
     // Remove event listeners
-    window.removeEventListener('resize', () => this.resize());
+    window.removeEventListener('resize', this.resizeHandler);
     
-    // Dispose of Three.js objects
-    if (this.lightsaber) {
-      this.lightsaber.traverse((object) => {
-        if (object.geometry) {
-          object.geometry.dispose();
-        }
-        if (object.material) {
-          if (Array.isArray(object.material)) {
-            object.material.forEach(material => material.dispose());
-          } else {
-            object.material.dispose();
-          }
-        }
-      });
-      this.scene.remove(this.lightsaber);
-      this.lightsaber = null;
-    }
+    // Dispose of sabers
+    this.sabers.forEach(saber => saber.dispose());
+    this.sabers.clear();
     
     // Dispose of scene
     if (this.scene) {
@@ -425,7 +371,15 @@ export class LightsaberVisualization {
       });
       this.scene = null;
     }
-    
+    this.sparks = null;
+    
+    // Dispose of post-processing
+    if (this.composer) {
+      this.bloomPass?.dispose();
+      this.composer.dispose();
+      this.composer = null;
+      this.bloomPass = null;
+    }
     // Dispose of renderer
     if (this.renderer) {
       this.renderer.dispose();
@@ -0,0 +1,433 @@
+// Lightsaber - One saber in the scene (hilt, blade, trail, light), driven by one controller
+//
+// LightsaberVisualization owns the renderer and keeps one of these per connected
+// controller. Each saber has its own orientation targets, blade length, ignite/retract
+// state and saber_config, and sits in its own slot along the x axis.
+import * as THREE from 'three';
+import { createBladeMaterial, createBladeGeometry } from './blade-shader.js';
+import { BladeTrail } from './blade-trail.js';
+import { SaberStateMachine } from './saber-state.js';
+import { degToRad, lerp } from './utils.js';
+
+// orientation_data quaternions use the earth frame (x east, y north, z up);
+// the scene is y up with north pointing into the screen, i.e. -90° about X
+export const WORLD_TO_SCENE = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI / 2);
+
+const POSITION_SMOOTHING = 0.1; // Sliding into a new slot when sabers join or leave
+const FLOURISH_DURATION = 700; // ms for the special-move twirl
+
+export class Lightsaber {
+  constructor(id, scene, color = 0x00ffff) {
+    this.id = id;
+    this.scene = scene;
+
+    // `root` holds the saber's slot in the scene; `lightsaber` rotates inside it
+    this.root = new THREE.Group();
+    this.lightsaber = null;
+    this.blade = null;
+    this.hilt = null;
+    this.targetX = 0;
+
+    // Target rotation (for smooth interpolation)
+    this.targetRotation = { x: 0, y: 0, z: 0 };
+    this.currentRotation = { x: 0, y: 0, z: 0 };
+
+    // Fused orientation from the controller (preferred over Euler angles when available)
+    this.targetQuaternion = new THREE.Quaternion();
+    this.useQuaternion = false;
+
+    // Blade properties
+    this.baseBladeLength = 2.0; // Base length in Three.js units
+    this.currentBladeLength = this.baseBladeLength;
+    this.targetBladeLength = this.baseBladeLength;
+    this.maxBladeLength = 5.0; // Maximum length when volume is high
+
+    // Smoothing factors
+    this.rotationSmoothing = 0.15;
+    this.baseRotationSmoothing = 0.15; // Store base value for motion adjustments
+    this.lengthSmoothing = 0.1;
+
+    // Ignite/retract lifecycle - the blade starts off until a controller lights it
+    this.saberState = new SaberStateMachine();
+    this.removeWhenOff = false;
+    this.flourishStart = null; // Special move (controller button): one twirl in the screen plane
+
+    // Blade color and hilt (customized by the controller's saber_config)
+    this.bladeColor = new THREE.Color(color);
+    this.hiltStyle = 'classic';
+    this.doubleBladed = false;
+    this.secondBlade = null;
+    this.bladeMaterial = null;
+    this.bladeLight = null;
+    this.bladeTrail = null;
+    this.trailBase = new THREE.Vector3();
+    this.trailTip = new THREE.Vector3();
+    this.capsuleStart = new THREE.Vector3();
+    this.capsuleEnd = new THREE.Vector3();
+
+    this.createLightsaber();
+  }
+
+  createLightsaber() {
+    // Create a group to hold hilt and blade
+    this.lightsaber = new THREE.Group();
+    this.createHilt();
+    this.createBlade();
+    this.root.add(this.lightsaber);
+
+    // Point light from the blade (glow effect), lit with the blade
+    this.bladeLight = new THREE.PointLight(this.bladeColor, 0, 10);
+    this.bladeLight.position.set(0, 2, 0);
+    this.root.add(this.bladeLight);
+
+    // The trail lives in world space, outside the saber group
+    this.bladeTrail = new BladeTrail(this.bladeColor);
+    this.scene.add(this.root);
+    this.scene.add(this.bladeTrail.mesh);
+  }
+
+  createHilt(style = this.hiltStyle) {
+    // Hilt is a dark cylinder
+    const hiltGeometry = new THREE.CylinderGeometry(0.15, 0.15, 1.5, 16);
+    const hiltMaterial = new THREE.MeshStandardMaterial({
+      color: 0x333333,
+      metalness: 0.8,
+      roughness: 0.2,
+    });
+
+    this.hilt = new THREE.Mesh(hiltGeometry, hiltMaterial);
+    this.hilt.position.y = -0.75; // Position at bottom
+    this.lightsaber.add(this.hilt);
+
+    // Add some details to hilt
+    const detailGeometry = new THREE.CylinderGeometry(0.12, 0.12, 0.2, 16);
+    const detailMaterial = new THREE.MeshStandardMaterial({
+      color: 0x666666,
+      metalness: 0.9,
+      roughness: 0.1,
+    });
+
+    // Add details at top and bottom of hilt
+    const topDetail = new THREE.Mesh(detailGeometry, detailMaterial);
+    topDetail.position.y = 0.75;
+    this.hilt.add(topDetail);
+
+    const bottomDetail = new THREE.Mesh(detailGeometry, detailMaterial);
+    bottomDetail.position.y = -0.75;
+    this.hilt.add(bottomDetail);
+
+    if (style === 'ribbed') {
+      // Grip rings along the lower half
+      const ringGeometry = new THREE.CylinderGeometry(0.17, 0.17, 0.06, 16);
+      for (let i = 0; i < 5; i++) {
+        const ring = new THREE.Mesh(ringGeometry, detailMaterial);
+        ring.position.y = -0.55 + i * 0.15;
+        this.hilt.add(ring);
+      }
+    } else if (style === 'crossguard') {
+      // Short quillons across the emitter
+      const guardGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.7, 12);
+      const guard = new THREE.Mesh(guardGeometry, detailMaterial);
+      guard.rotation.z = Math.PI / 2;
+      guard.position.y = 0.6;
+      this.hilt.add(guard);
+    }
+  }
+
+  createBlade() {
+    // One unit-length mesh with the glow shader; length is the group's scale.y
+    // and the bloom pass provides the halo
+    this.bladeMaterial = createBladeMaterial(this.bladeColor);
+    this.blade = this.createBladeGroup(); // Base sits on the emitter at the top of the hilt (y = 0)
+    this.lightsaber.add(this.blade);
+    this.setDoubleBladed(this.doubleBladed);
+  }
+
+  createBladeGroup() {
+    const bladeGroup = new THREE.Group();
+    bladeGroup.add(new THREE.Mesh(createBladeGeometry(0.08), this.bladeMaterial));
+    bladeGroup.scale.y = this.currentBladeLength;
+    return bladeGroup;
+  }
+
+  /**
+   * Second blade out of the bottom of the hilt, pointing the other way
+   */
+  setDoubleBladed(enabled) {
+    this.doubleBladed = enabled;
+    if (!this.lightsaber || !this.bladeMaterial) return;
+
+    if (enabled && !this.secondBlade) {
+      this.secondBlade = this.createBladeGroup();
+      this.secondBlade.position.y = -1.5;
+      this.secondBlade.rotation.x = Math.PI;
+      this.lightsaber.add(this.secondBlade);
+    } else if (!enabled && this.secondBlade) {
+      this.lightsaber.remove(this.secondBlade);
+      this.secondBlade.children.forEach(child => child.geometry.dispose());
+      this.secondBlade = null;
+    }
+  }
+
+  /**
+   * Apply a controller's saber_config (color, hilt style, single/double blade)
+   */
+  applySaberConfig(config) {
+    this.bladeColor.set(config.color);
+    this.bladeMaterial?.uniforms.uColor.value.copy(this.bladeColor);
+    this.bladeLight?.color.copy(this.bladeColor);
+    this.bladeTrail?.setColor(this.bladeColor);
+
+    if (config.hilt !== this.hiltStyle) {
+      this.hiltStyle = config.hilt;
+      if (this.hilt && this.lightsaber) {
+        this.lightsaber.remove(this.hilt);
+        this.hilt.traverse((object) => {
+          object.geometry?.dispose();
+          object.material?.dispose();
+        });
+        this.createHilt(this.hiltStyle);
+      }
+    }
+
+    this.setDoubleBladed(config.doubleBladed);
+    console.log('🎨 Saber config applied:', this.id, config);
+  }
+
+  setSlot(x) {
+    this.targetX = x;
+  }
+
+  updateBladeLength(newLength) {
+    // Normalize volume (0-1) to blade length
+    // Volume 0 = base length, Volume 1 = max length
+    this.targetBladeLength = this.baseBladeLength + (newLength * (this.maxBladeLength - this.baseBladeLength));
+  }
+
+  updateBladeGeometry(now) {
+    if (!this.blade) return;
+
+    // Smooth interpolation of blade length
+    this.currentBladeLength = lerp(
+      this.currentBladeLength,
+      this.targetBladeLength,
+      this.lengthSmoothing
+    );
+
+    // Ignite/retract animation scales the voice-driven length
+    const extension = this.saberState.update(now);
+    const length = this.currentBladeLength * extension;
+
+    // Scale instead of rebuilding geometry - no per-frame allocations
+    this.blade.scale.y = Math.max(length, 0.0001);
+    this.blade.visible = length > 0.01;
+    if (this.secondBlade) {
+      this.secondBlade.scale.y = this.blade.scale.y;
+      this.secondBlade.visible = this.blade.visible;
+    }
+    if (this.bladeLight) {
+      this.bladeLight.intensity = 2 * extension;
+    }
+  }
+
+  ignite(now = performance.now()) {
+    this.removeWhenOff = false;
+    return this.saberState.ignite(now);
+  }
+
+  retract(now = performance.now()) {
+    return this.saberState.retract(now);
+  }
+
+  /**
+   * Special move: spin the saber one full turn around the emitter (lit sabers only)
+   * @returns {boolean} whether the flourish started
+   */
+  flourish(now = performance.now()) {
+    if (!this.saberState.isLit() || this.isFlourishing()) return false;
+    this.flourishStart = now;
+    return true;
+  }
+
+  isFlourishing() {
+    return this.flourishStart !== null;
+  }
+
+  updateFlourish(now) {
+    if (this.flourishStart === null) return;
+
+    const t = Math.min(1, Math.max(0, (now - this.flourishStart) / FLOURISH_DURATION));
+    const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+    this.root.rotation.z = -eased * Math.PI * 2;
+    if (t >= 1) {
+      this.root.rotation.z = 0;
+      this.flourishStart = null;
+    }
+  }
+
+  /**
+   * Retract the blade and swing the hilt back to its default pose (controller left)
+   */
+  returnToRest() {
+    this.retract();
+    this.targetBladeLength = this.baseBladeLength;
+    this.targetRotation = { x: 0, y: 0, z: 0 };
+    this.currentRotation = { x: 0, y: 0, z: 0 };
+    // Slerp home from wherever the saber is, whichever path was driving it
+    this.targetQuaternion.identity();
+    this.useQuaternion = true;
+  }
+
+  updateRotation(alpha, beta, gamma) {
+    // Device orientation mapping:
+    // - alpha: rotation around z-axis (0-360°), compass direction
+    // - beta: front-to-back tilt (-180 to 180°)
+    // - gamma: left-to-right tilt (-90 to 90°)
+    //
+    // Lightsaber rotation mapping:
+    // - x: pitch (beta) - tilt forward/back
+    // - y: yaw (alpha) - rotate around vertical axis
+    // - z: roll (gamma) - tilt left/right, inverted
+    this.targetRotation.x = degToRad(beta || 0);
+    this.targetRotation.y = degToRad(alpha || 0);
+    this.targetRotation.z = -degToRad(gamma || 0);
+  }
+
+  /**
+   * Fused orientation quaternion from orientation_data (device frame -> earth frame)
+   */
+  updateOrientation(quaternion) {
+    if (!quaternion) return;
+
+    this.targetQuaternion
+      .set(quaternion.x, quaternion.y, quaternion.z, quaternion.w)
+      .normalize()
+      .premultiply(WORLD_TO_SCENE);
+    this.useQuaternion = true;
+  }
+
+  /**
+   * Orientation already in the scene frame (a display's saber mirrored to a spectator)
+   */
+  setSceneOrientation(quaternion) {
+    if (!quaternion) return;
+
+    this.targetQuaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w).normalize();
+    this.useQuaternion = true;
+  }
+
+  resetOrientation() {
+    this.targetRotation = { x: 0, y: 0, z: 0 };
+    this.currentRotation = { x: 0, y: 0, z: 0 };
+    this.targetQuaternion.identity();
+    this.useQuaternion = false;
+    this.lightsaber?.quaternion.identity();
+    this.bladeTrail?.clear();
+  }
+
+  updateMotion(motionData) {
+    // Speed affects how quickly the lightsaber responds
+    if (motionData && motionData.speed !== undefined) {
+      // Higher speed = less smoothing (more responsive), clamped between 0.05 and 0.2
+      const speedFactor = Math.min(motionData.speed / 10, 1); // Normalize speed
+      this.rotationSmoothing = Math.max(0.05, Math.min(0.2, this.baseRotationSmoothing - (speedFactor * 0.1)));
+    } else {
+      // Reset to base smoothing if no speed data
+      this.rotationSmoothing = this.baseRotationSmoothing;
+    }
+
+    // rotationRate is already folded into orientation_data by the controller's
+    // OrientationFusion, so it is not integrated here - it only drives the trail
+    this.bladeTrail?.updateMotion(motionData);
+  }
+
+  updateTrail() {
+    if (!this.bladeTrail || !this.blade) return;
+
+    if (!this.blade.visible) {
+      this.bladeTrail.clear();
+      return;
+    }
+
+    this.root.updateMatrixWorld(true); // Pick up this frame's rotation and slot
+    this.trailBase.set(0, 0, 0);
+    this.trailTip.set(0, 1, 0); // Blade geometry is unit height, scaled by length
+    this.blade.localToWorld(this.trailBase);
+    this.blade.localToWorld(this.trailTip);
+    this.bladeTrail.update(this.trailBase, this.trailTip);
+  }
+
+  /**
+   * World-space segment from the bottom of the hilt to the tip (tip to tip when
+   * double-bladed) for collision checks, or null while the blade is off.
+   * The vectors are reused between calls.
+   */
+  getBladeCapsule() {
+    if (!this.blade?.visible) return null;
+
+    this.root.updateMatrixWorld(true);
+    this.capsuleEnd.set(0, 1, 0);
+    this.blade.localToWorld(this.capsuleEnd);
+    if (this.secondBlade) {
+      this.capsuleStart.set(0, 1, 0);
+      this.secondBlade.localToWorld(this.capsuleStart);
+    } else {
+      this.capsuleStart.set(0, -1.5, 0); // Bottom of the hilt
+      this.lightsaber.localToWorld(this.capsuleStart);
+    }
+    return { start: this.capsuleStart, end: this.capsuleEnd };
+  }
+
+  /**
+   * Per-frame update
+   * @param {number} now - performance.now() for the ignite/retract animation
+   * @param {number} time - seconds since start, for the blade shader flicker
+   */
+  update(now, time) {
+    this.root.position.x = lerp(this.root.position.x, this.targetX, POSITION_SMOOTHING);
+
+    if (this.useQuaternion) {
+      // Slerp toward the fused orientation - no gimbal lock, no per-axis wrap-around
+      this.lightsaber.quaternion.slerp(this.targetQuaternion, this.rotationSmoothing);
+    } else {
+      this.applyEulerRotation();
+    }
+
+    this.updateFlourish(now);
+    this.updateBladeGeometry(now);
+    this.updateTrail();
+
+    if (this.bladeMaterial) {
+      this.bladeMaterial.uniforms.uTime.value = time;
+    }
+  }
+
+  /**
+   * Fallback for controllers that only send gyro_data Euler angles
+   */
+  applyEulerRotation() {
+    this.currentRotation.x = lerp(this.currentRotation.x, this.targetRotation.x, this.rotationSmoothing);
+    this.currentRotation.y = lerp(this.currentRotation.y, this.targetRotation.y, this.rotationSmoothing);
+    this.currentRotation.z = lerp(this.currentRotation.z, this.targetRotation.z, this.rotationSmoothing);
+
+    this.lightsaber.rotation.x = this.currentRotation.x;
+    this.lightsaber.rotation.y = this.currentRotation.y;
+    this.lightsaber.rotation.z = this.currentRotation.z;
+  }
+
+  dispose() {
+    [this.root, this.bladeTrail.mesh].forEach(object => {
+      object.traverse((child) => {
+        child.geometry?.dispose();
+        child.material?.dispose();
+      });
+      this.scene.remove(object);
+    });
+    this.lightsaber = null;
+    this.blade = null;
+    this.secondBlade = null;
+    this.hilt = null;
+    this.bladeLight = null;
+    this.bladeMaterial = null;
+  }
+}
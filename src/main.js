@@ -4,10 +4,39 @@ import { DeviceDetector } from './device-detector.js';
 import { WebRTCManager } from './webrtc-manager.js';
 import { GyroscopeHandler } from './gyroscope-handler.js';
 import { MotionHandler } from './motion-handler.js';
+import { OrientationFusion } from './orientation-fusion.js';
+import { Calibration, ShakeDetector } from './calibration.js';
+import { VirtualController } from './virtual-controller.js';
+import { GestureRecognizer } from './gesture-recognizer.js';
+import { SessionRecorder, SessionPlayer, parseSession } from './session-recorder.js';
 import { MicrophoneHandler } from './microphone-handler.js';
-import { LightsaberVisualization } from './lightsaber-visualization.js';
+import { JitterBuffer, interpolateQuaternion, isTimeBaseChanged } from './jitter-buffer.js';
+import { ControllerPreview } from './controller-preview.js';
+import { SensorHealth } from './sensor-health.js';
+import { ScreenWakeLock } from './wake-lock.js';
+import { LightsaberVisualization, DEFAULT_SABER_ID } from './lightsaber-visualization.js';
+import { SaberAudio } from './saber-audio.js';
+import { SaberState } from './saber-state.js';
+import { DuelMatch, DuelPhase, duelBodyCapsule } from './duel.js';
+import { HapticFeedback, HAPTIC_PATTERNS } from './haptics.js';
+import { TrainingSession, TrainingPhase, trainingBodyCapsule } from './training.js';
+import { TrainingDroid } from './training-droid.js';
+import { RhythmSession, RhythmPhase, Judgement } from './rhythm.js';
+import { RhythmBlocks, blockPosition } from './rhythm-blocks.js';
+import { parseBeatMap } from './beat-map.js';
+import exampleBeatMap from './beatmaps/example.json';
+import { BLADE_PRESETS, HILT_STYLES, loadSaberConfig, saveSaberConfig, normalizeSaberConfig, formatSaberConfigMessage } from './saber-config.js';
+import { QRManager } from './qr-manager.js';
+import { ManualPairing, isOfferPayload, isAnswerPayload } from './manual-pairing.js';
 import { generateKeyphrase, normalizeKeyphrase } from './keyphrase-generator.js';
+import { getSignalingConfig, parseSignalingUrl, saveSignalingServer, describeSignalingConfig } from './signaling-config.js';
 import { copyToClipboard, showErrorWithCopy } from './utils.js';
+import { formatByteRate } from './connection-stats.js';
+import { SPECTATOR_STATE_INTERVAL, SpectatorView, captureSaberState, describeGameState, formatGameScore, formatSpectatorState } from './spectator.js';
+import { PairingState, forgetAllTrustedDevices, forgetTrustedDevice, isTrustedDevice, loadTrustedDevices, trustDevice } from './pairing-auth.js';
+
+// ms an outgoing connection waits before showing "Waiting for approval" (peers without the prompt accept at once)
+const OUTGOING_PAIRING_PANEL_DELAY = 500;
 
 class App {
   constructor() {
@@ -15,19 +44,50 @@ class App {
     this.webrtcManager = null;
     this.gyroscopeHandler = null;
     this.motionHandler = null;
+    this.orientationFusion = null;
+    this.calibration = null;
+    this.shakeDetector = null;
+    this.gestureRecognizer = null;
+    this.gestureListeners = [];
+    this.lastTapTime = 0;
     this.microphoneHandler = null;
+    this.virtualController = null;
+    this.controllerPreview = null;
+    this.controllerLit = false; // Controller's blade, as last reported by the viewer's saber_state
+    this.sensorHealth = new SensorHealth();
+    this.wakeLock = new ScreenWakeLock();
+    this.sessionRecorder = new SessionRecorder();
+    this.sessionPlayer = null;
+    this.replayLitSabers = new Set(); // Saber IDs lit by the current replay
     this.visualization = null;
+    this.playoutBuffers = new Map(); // Map of saber ID -> { orientation, audio } JitterBuffers
+    this.pairingRequests = new Map(); // Map of peerId -> pairing shown in the pairing panel (oldest first)
+    this.spectatorView = null; // Spectator: mirrors the display's sabers
+    this.spectatorRelayInterval = null; // Display: sends spectator_state to spectators
+    this.spectatorListKey = ''; // Spectator IDs last shown in the overlay
+    this.saberAudio = new SaberAudio();
+    this.haptics = new HapticFeedback();
+    this.haptics.onFlash((flash) => this.flashScreen(flash));
+    this.duel = new DuelMatch();
+    this.duel.onEvent((event) => this.handleDuelEvent(event));
+    this.training = new TrainingSession();
+    this.training.onEvent((event) => this.handleTrainingEvent(event));
+    this.trainingDroid = null;
+    this.trainingSaberId = null;
+    this.rhythm = new RhythmSession();
+    this.rhythm.onEvent((event) => this.handleRhythmEvent(event));
+    this.rhythmBlocks = null;
+    this.rhythmSaberId = null;
+    this.qrManager = null;
+    this.manualPairing = null;
     
     this.peerIdKeyphrase = null;
     this.currentDeviceId = null;
     this.isConnected = false;
     
     // Data stream status tracking
-    this.dataStreamStatus = {
-      audio: { lastUpdate: null, count: 0, rate: 0 },
-      gyro: { lastUpdate: null, count: 0, rate: 0 },
-      motion: { lastUpdate: null, count: 0, rate: 0 }
-    };
+    this.dataStreamStatus = this.createStreamStatus();
+    this.peerStreamStatus = new Map(); // Map of peerId -> same shape as dataStreamStatus
     this.statusUpdateInterval = null;
     
     this.init();
@@ -37,6 +97,9 @@ class App {
     // Auto-create room and generate peer ID on load
     this.initializeRoom();
     this.setupEventListeners();
+    
+    // Rhythm mode is judged from the same swing gestures game logic sees
+    this.onGesture((data, peerId) => this.handleRhythmGesture(data, peerId));
   }
 
   async initializeRoom() {
@@ -65,9 +128,38 @@ class App {
         // Desktop: show game screen and initialize visualization immediately
         // This shows the lightsaber from the start (static until data arrives)
         this.showGameScreenForDesktop();
-        // Wait a bit for DOM to settle
-        await new Promise(resolve => setTimeout(resolve, 100));
-        await this.initializeVisualization();
+        if (deviceInfo.isSpectator) {
+          document.getElementById('spectator-score-panel')?.classList.remove('hidden');
+        } else {
+          // Spectators only watch - no recording, and nothing to relay
+          document.getElementById('session-panel')?.classList.remove('hidden');
+          this.startSpectatorRelay();
+        }
+        document.getElementById('audio-controls')?.classList.remove('hidden');
+        document.getElementById('diagnostics-panel')?.classList.remove('hidden');
+        this.updateAudioControls();
+        // Keep the running visualization after a disconnect so the saber can retract smoothly
+        if (!this.visualization) {
+          // Wait a bit for DOM to settle
+          await new Promise(resolve => setTimeout(resolve, 100));
+          await this.initializeVisualization();
+        }
+      }
+      
+      // Offer a mouse/keyboard controller tab when developing on a desktop
+      if (!deviceInfo.detectedMobile && !deviceInfo.forcedRole) {
+        const link = document.getElementById('virtual-controller-link');
+        if (link) {
+          const params = new URLSearchParams(window.location.search);
+          params.set('role', 'controller');
+          link.href = `?${params.toString()}`;
+        }
+        document.getElementById('virtual-controller-hint')?.classList.remove('hidden');
+      }
+      
+      // Without a signaling server, manual pairing is the only way to connect
+      if (this.isManualPairingOnly()) {
+        await this.openManualPairing();
       }
     } catch (error) {
       console.error('Failed to initialize room:', error);
@@ -77,7 +169,18 @@ class App {
 
   async initializeWebRTC() {
     try {
-      this.webrtcManager = new WebRTCManager();
+      const signaling = getSignalingConfig();
+      const deviceInfo = this.deviceDetector.getDeviceInfo();
+      const role = deviceInfo.isSpectator ? 'spectator' : deviceInfo.isMobile ? 'controller' : 'viewer';
+      this.webrtcManager = new WebRTCManager({ signaling, deviceId: this.currentDeviceId, role });
+      this.updateSignalingDisplay(signaling);
+      
+      // Controllers announce their saber (color / hilt) right after the handshake
+      if (this.deviceDetector.getDeviceInfo().isMobile) {
+        const saberConfig = loadSaberConfig(this.currentDeviceId);
+        this.webrtcManager.setSaberConfig(formatSaberConfigMessage(saberConfig, this.currentDeviceId));
+        document.getElementById('customize-saber-section')?.classList.remove('hidden');
+      }
       
       // Set up connection state callbacks
       this.webrtcManager.onConnectionStateChange((status, message) => {
@@ -94,6 +197,28 @@ class App {
         this.handleConnectionQualityChange(peerId, quality);
       });
       
+      // getStats() diagnostics for the desktop panel
+      this.webrtcManager.onConnectionStatsChange(() => {
+        this.renderDiagnostics();
+      });
+      
+      // Incoming peers wait for an accept (trusted devices too - they only get the box pre-ticked)
+      this.webrtcManager.onPairingChange((peerId, pairing) => {
+        this.handlePairingChange(peerId, pairing);
+      });
+      
+      // One controller leaving only takes its own saber away
+      this.webrtcManager.onPeerDisconnected((peerId) => {
+        this.handlePeerDisconnected(peerId);
+      });
+      
+      // ?pairing=manual: skip the signaling server entirely (QR code pairing only)
+      if (this.isManualPairingOnly()) {
+        console.log('Manual pairing mode - not connecting to a signaling server');
+        this.handleConnectionStateChange('disconnected', 'Manual pairing mode (no signaling server)');
+        return;
+      }
+      
       // Initialize peer with keyphrase (for display)
       console.log('Initializing WebRTC with keyphrase:', this.peerIdKeyphrase);
       
@@ -239,11 +364,413 @@ class App {
       this.testConnection();
     });
 
+    // Signaling server settings
+    const saveSignalingBtn = document.getElementById('save-signaling-btn');
+    saveSignalingBtn?.addEventListener('click', async () => {
+      await this.saveSignalingSettings();
+    });
+
+    // Pairing approval
+    document.getElementById('pairing-accept-btn')?.addEventListener('click', () => {
+      this.answerPairingRequest(true);
+    });
+    document.getElementById('pairing-reject-btn')?.addEventListener('click', () => {
+      this.answerPairingRequest(false);
+    });
+    document.getElementById('pairing-cancel-btn')?.addEventListener('click', () => {
+      this.cancelOutgoingPairing();
+    });
+    document.getElementById('forget-trusted-btn')?.addEventListener('click', () => {
+      forgetAllTrustedDevices();
+      this.renderTrustedDevices();
+    });
+    this.renderTrustedDevices();
+
+    // Manual (QR code) pairing
+    const manualPairingBtn = document.getElementById('manual-pairing-btn');
+    manualPairingBtn?.addEventListener('click', async () => {
+      await this.openManualPairing();
+    });
+    
+    const manualScanBtn = document.getElementById('manual-scan-btn');
+    manualScanBtn?.addEventListener('click', async () => {
+      await this.startManualPairingScan();
+    });
+    
+    const manualApplyCodeBtn = document.getElementById('manual-apply-code-btn');
+    manualApplyCodeBtn?.addEventListener('click', async () => {
+      const codeInput = document.getElementById('manual-code-input');
+      await this.handleManualPairingCode(codeInput?.value.trim());
+    });
+    
+    const manualCancelBtn = document.getElementById('manual-cancel-btn');
+    manualCancelBtn?.addEventListener('click', () => {
+      this.closeManualPairing();
+    });
+
     // Exit game button
     const exitGameBtn = document.getElementById('exit-game-btn');
     exitGameBtn?.addEventListener('click', () => {
       this.disconnect();
     });
+
+    // Calibration: tap the prompt to capture, double-tap the game screen to recenter
+    const calibrationOverlay = document.getElementById('calibration-overlay');
+    calibrationOverlay?.addEventListener('click', () => {
+      this.captureCalibration();
+    });
+    
+    const recalibrateBtn = document.getElementById('recalibrate-btn');
+    recalibrateBtn?.addEventListener('click', () => {
+      this.showCalibrationPrompt();
+    });
+    
+    // Controller screen (phone)
+    document.getElementById('controller-ignite-btn')?.addEventListener('click', () => {
+      this.toggleControllerIgnition();
+    });
+    document.getElementById('controller-recenter-btn')?.addEventListener('click', () => {
+      this.recenter();
+    });
+    document.getElementById('controller-special-btn')?.addEventListener('click', () => {
+      this.sendControllerAction('special');
+    });
+    document.getElementById('controller-calibrate-btn')?.addEventListener('click', () => {
+      this.showCalibrationPrompt();
+    });
+    document.getElementById('controller-customize-btn')?.addEventListener('click', () => {
+      this.openSaberConfig();
+    });
+    document.getElementById('controller-disconnect-btn')?.addEventListener('click', () => {
+      this.disconnect();
+    });
+    
+    // Session record / replay (desktop)
+    const sessionRecordBtn = document.getElementById('session-record-btn');
+    sessionRecordBtn?.addEventListener('click', () => {
+      this.toggleSessionRecording();
+    });
+    
+    const sessionExportBtn = document.getElementById('session-export-btn');
+    sessionExportBtn?.addEventListener('click', () => {
+      this.exportSession();
+    });
+    
+    const diagnosticsExportBtn = document.getElementById('diagnostics-export-btn');
+    diagnosticsExportBtn?.addEventListener('click', () => {
+      this.exportDiagnostics();
+    });
+    
+    const sessionFileInput = document.getElementById('session-file-input');
+    sessionFileInput?.addEventListener('change', async () => {
+      const file = sessionFileInput.files?.[0];
+      sessionFileInput.value = '';
+      if (file) {
+        await this.loadSessionFile(file);
+      }
+    });
+    
+    const sessionPlayBtn = document.getElementById('session-play-btn');
+    sessionPlayBtn?.addEventListener('click', () => {
+      if (!this.sessionPlayer) return;
+      if (this.sessionPlayer.isPlaying) {
+        this.sessionPlayer.pause();
+      } else {
+        this.sessionPlayer.play();
+      }
+      this.updateSessionDisplay();
+    });
+    
+    const sessionSeekInput = document.getElementById('session-seek-input');
+    sessionSeekInput?.addEventListener('input', () => {
+      this.sessionPlayer?.seek(Number(sessionSeekInput.value));
+    });
+    
+    const sessionSpeedSelect = document.getElementById('session-speed-select');
+    sessionSpeedSelect?.addEventListener('change', () => {
+      this.sessionPlayer?.setSpeed(sessionSpeedSelect.value);
+    });
+    
+    const sessionCloseBtn = document.getElementById('session-close-btn');
+    sessionCloseBtn?.addEventListener('click', () => {
+      this.closeSessionReplay();
+    });
+    
+    const duelStartBtn = document.getElementById('duel-start-btn');
+    duelStartBtn?.addEventListener('click', () => {
+      this.toggleDuel();
+    });
+    
+    const trainingStartBtn = document.getElementById('training-start-btn');
+    trainingStartBtn?.addEventListener('click', () => {
+      this.toggleTraining();
+    });
+    
+    const rhythmExampleBtn = document.getElementById('rhythm-example-btn');
+    rhythmExampleBtn?.addEventListener('click', () => {
+      this.startRhythm(parseBeatMap(exampleBeatMap));
+    });
+    
+    const rhythmFileInput = document.getElementById('rhythm-file-input');
+    rhythmFileInput?.addEventListener('change', async () => {
+      const file = rhythmFileInput.files?.[0];
+      rhythmFileInput.value = '';
+      if (file) {
+        await this.loadBeatMapFile(file);
+      }
+    });
+    
+    const rhythmStopBtn = document.getElementById('rhythm-stop-btn');
+    rhythmStopBtn?.addEventListener('click', () => {
+      this.rhythm.stop();
+    });
+    
+    const virtualVolumeInput = document.getElementById('virtual-volume-input');
+    virtualVolumeInput?.addEventListener('input', () => {
+      this.virtualController?.setVolume(virtualVolumeInput.value);
+    });
+    
+    // Saber customization (controller)
+    document.getElementById('customize-saber-btn')?.addEventListener('click', () => {
+      this.openSaberConfig();
+    });
+    document.getElementById('game-customize-saber-btn')?.addEventListener('click', () => {
+      this.openSaberConfig();
+    });
+    document.getElementById('saber-config-save-btn')?.addEventListener('click', () => {
+      this.saveSaberConfigFromPanel();
+    });
+    document.getElementById('saber-config-cancel-btn')?.addEventListener('click', () => {
+      this.closeSaberConfig();
+    });
+    // Buzz once at the chosen strength so the user can feel it before saving
+    const hapticInput = document.getElementById('haptic-intensity-input');
+    hapticInput?.addEventListener('change', () => {
+      this.haptics.play({ event: 'hit' }, Number(hapticInput.value));
+    });
+    
+    // Saber audio (desktop) - browsers only start audio after a user gesture
+    const unlockAudio = () => this.unlockAudio();
+    document.addEventListener('pointerdown', unlockAudio);
+    document.addEventListener('keydown', unlockAudio);
+    
+    const audioMuteBtn = document.getElementById('audio-mute-btn');
+    audioMuteBtn?.addEventListener('click', () => {
+      this.saberAudio.toggleMute();
+      this.updateAudioControls();
+    });
+    
+    const audioVolumeInput = document.getElementById('audio-volume-input');
+    audioVolumeInput?.addEventListener('input', () => {
+      this.saberAudio.setVolume(audioVolumeInput.value);
+      this.updateAudioControls();
+    });
+    
+    const gameCanvasContainer = document.querySelector('#game-screen .flex-1.relative');
+    gameCanvasContainer?.addEventListener('touchend', (event) => {
+      if (event.target.closest('button, #calibration-overlay')) {
+        return;
+      }
+      this.handleGameScreenTap();
+    });
+  }
+
+  async saveSignalingSettings() {
+    const input = document.getElementById('signaling-server-input');
+    const value = input?.value.trim() || '';
+    
+    try {
+      // Validate before persisting
+      parseSignalingUrl(value);
+    } catch (error) {
+      showErrorWithCopy(error.message);
+      return;
+    }
+    
+    if (this.isConnected) {
+      if (!confirm('You are currently connected. Changing the signaling server will disconnect you. Continue?')) {
+        return;
+      }
+      this.disconnect();
+    }
+    
+    saveSignalingServer(value);
+    console.log('Saved signaling server:', value || 'cloud');
+    
+    try {
+      if (this.webrtcManager) {
+        this.webrtcManager.closeConnection();
+        this.webrtcManager = null;
+      }
+      await this.initializeWebRTC();
+    } catch (error) {
+      console.error('Failed to reconnect to signaling server:', error);
+      showErrorWithCopy(`Failed to connect to signaling server: ${error.message}`);
+    }
+  }
+
+  updateSignalingDisplay(signaling) {
+    const input = document.getElementById('signaling-server-input');
+    const hint = document.getElementById('signaling-hint');
+    const description = describeSignalingConfig(signaling);
+    
+    if (input && document.activeElement !== input) {
+      input.value = description === 'cloud' ? '' : description;
+    }
+    
+    if (hint) {
+      if (signaling.source === 'url') {
+        hint.textContent = `Using ${description} from the ?signal= URL parameter (overrides saved setting)`;
+      } else if (description === 'cloud') {
+        hint.textContent = 'Using PeerJS cloud. Run `npm run signal` to host your own.';
+      } else {
+        hint.textContent = `Using self-hosted signaling server ${description}`;
+      }
+    }
+  }
+
+  handlePairingChange(peerId, pairing) {
+    const keepShowing = pairing.state === PairingState.AWAITING ||
+      (pairing.role === 'outgoing' && pairing.state === PairingState.REJECTED);
+    if (keepShowing) {
+      const shownSince = this.pairingRequests.get(peerId)?.shownSince ?? Date.now();
+      this.pairingRequests.set(peerId, { ...pairing, shownSince });
+      if (pairing.role === 'outgoing') {
+        setTimeout(() => this.renderPairingPanel(), OUTGOING_PAIRING_PANEL_DELAY);
+      }
+    } else {
+      this.pairingRequests.delete(peerId);
+    }
+    this.renderPairingPanel();
+  }
+
+  /**
+   * Show the oldest pairing request: accept / reject for incoming peers, the
+   * SAS to compare while the other device decides for outgoing ones
+   */
+  renderPairingPanel() {
+    const panel = document.getElementById('pairing-panel');
+    if (!panel) return;
+    
+    const now = Date.now();
+    const entry = Array.from(this.pairingRequests.entries()).find(([, pairing]) =>
+      pairing.role === 'incoming' || pairing.state !== PairingState.AWAITING ||
+      now - pairing.shownSince >= OUTGOING_PAIRING_PANEL_DELAY
+    );
+    if (!entry) {
+      panel.classList.add('hidden');
+      delete panel.dataset.peerId;
+      return;
+    }
+    
+    const [peerId, pairing] = entry;
+    const incoming = pairing.role === 'incoming';
+    const rejected = pairing.state === PairingState.REJECTED;
+    // The deviceId is self-reported, so trusted devices still get the prompt and the SAS -
+    // trust only ticks the box (once per request, so the user can untick it)
+    const trusted = incoming && isTrustedDevice(pairing.deviceId);
+    const trustInput = document.getElementById('pairing-trust-input');
+    if (trustInput && panel.dataset.peerId !== peerId) {
+      trustInput.checked = trusted;
+    }
+    panel.dataset.peerId = peerId;
+    
+    const title = document.getElementById('pairing-title');
+    if (title) {
+      title.textContent = incoming ? 'Incoming Connection' : rejected ? 'Connection Declined' : 'Waiting for Approval';
+    }
+    const message = document.getElementById('pairing-message');
+    if (message) {
+      const name = pairing.displayKeyphrase || pairing.deviceId || peerId;
+      message.textContent = incoming
+        ? `${name}${trusted ? ' (trusted)' : ''} wants to connect.`
+        : rejected
+          ? 'The other device declined the connection.'
+          : 'Accept the connection on the other device.';
+    }
+    const sas = document.getElementById('pairing-sas');
+    if (sas) {
+      sas.textContent = pairing.sas ? pairing.sas.join(' ') : '…';
+      sas.classList.toggle('hidden', rejected);
+    }
+    document.getElementById('pairing-sas-hint')?.classList.toggle('hidden', rejected);
+    document.getElementById('pairing-trust-row')?.classList.toggle('hidden', !incoming || !pairing.deviceId);
+    document.getElementById('pairing-decision-buttons')?.classList.toggle('hidden', !incoming);
+    const cancelBtn = document.getElementById('pairing-cancel-btn');
+    if (cancelBtn) {
+      cancelBtn.classList.toggle('hidden', incoming);
+      cancelBtn.textContent = rejected ? 'Close' : 'Cancel';
+    }
+    
+    panel.classList.remove('hidden');
+  }
+
+  answerPairingRequest(accepted) {
+    const peerId = document.getElementById('pairing-panel')?.dataset.peerId;
+    const pairing = this.pairingRequests.get(peerId);
+    if (!pairing || !this.webrtcManager) return;
+    
+    const trustInput = document.getElementById('pairing-trust-input');
+    if (accepted) {
+      if (trustInput?.checked && pairing.deviceId) {
+        trustDevice(pairing.deviceId, pairing.displayKeyphrase);
+        this.renderTrustedDevices();
+      } else if (isTrustedDevice(pairing.deviceId)) {
+        forgetTrustedDevice(pairing.deviceId);
+        this.renderTrustedDevices();
+      }
+      this.webrtcManager.acceptConnection(peerId);
+    } else {
+      this.webrtcManager.rejectConnection(peerId);
+    }
+    
+    if (trustInput) {
+      trustInput.checked = false;
+    }
+  }
+
+  cancelOutgoingPairing() {
+    const peerId = document.getElementById('pairing-panel')?.dataset.peerId;
+    const pairing = this.pairingRequests.get(peerId);
+    this.pairingRequests.delete(peerId);
+    if (pairing?.state === PairingState.AWAITING) {
+      this.webrtcManager?.connections.get(peerId)?.close();
+    }
+    this.renderPairingPanel();
+  }
+
+  renderTrustedDevices() {
+    const list = document.getElementById('trusted-devices-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    const devices = Object.entries(loadTrustedDevices());
+    document.getElementById('forget-trusted-btn')?.classList.toggle('hidden', devices.length === 0);
+    if (devices.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'text-xs text-gray-400';
+      empty.textContent = 'No trusted devices. Tick "Trust this device" when accepting a connection.';
+      list.appendChild(empty);
+      return;
+    }
+    
+    devices.forEach(([deviceId, device]) => {
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-2';
+      const label = document.createElement('span');
+      label.className = 'text-xs font-mono truncate';
+      label.textContent = device.label || deviceId;
+      label.title = deviceId;
+      const forget = document.createElement('button');
+      forget.className = 'text-xs text-red-400 hover:text-red-300';
+      forget.textContent = 'Forget';
+      forget.addEventListener('click', () => {
+        forgetTrustedDevice(deviceId);
+        this.renderTrustedDevices();
+      });
+      row.append(label, forget);
+      list.appendChild(row);
+    });
   }
 
   async connectToPeer() {
@@ -310,79 +837,253 @@ class App {
       
       // Connect to peer with retries
       console.log('Attempting connection...');
-      await this.webrtcManager.connectToPeer(normalizedKeyphrase, 3);
-      
-      // Wait a moment for connection to establish
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Initialize sensors and visualization based on device type
-      const deviceInfo = this.deviceDetector.getDeviceInfo();
-      
-      // Set connected state BEFORE initializing sensors (so they can send data)
-      this.isConnected = true;
-      console.log('✅ Connection established, isConnected = true');
+      const connection = await this.webrtcManager.connectToPeer(normalizedKeyphrase, 3);
       
-      // For mobile, show game screen and initialize sensors
-      // For desktop, visualization is already initialized on page load
-      if (deviceInfo.isMobile) {
-        // Mobile: show game screen and initialize gyroscope, motion, and microphone
-        this.showGameScreen();
-        
-        // Wait a moment for DOM to update
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-        // Now initialize sensors (isConnected is already true)
-        await this.initializeMobileSensors();
-      } else {
-        // Desktop: visualization already initialized, just hide homepage
-        this.showGameScreen();
+      // The other device may ask its user first - only start playing once it lets us in
+      if (statusText) {
+        statusText.textContent = 'Waiting for approval...';
+      }
+      const accepted = await this.webrtcManager.waitForAcceptance(connection.peer);
+      if (!accepted) {
+        console.log('🚫 Not accepted by:', connection.peer);
+        this.disconnect();
+        this.resetConnectStatus('Connection declined');
+        return;
       }
       
-      // Start status update interval
-      this.startDataStreamStatusUpdates();
+      await this.onPeerConnected();
       
     } catch (error) {
       console.error('Failed to connect:', error);
       showErrorWithCopy(`Connection failed: ${error.message}`);
+      this.resetConnectStatus('Connection failed');
+    }
+  }
+
+  resetConnectStatus(message) {
+    const connectBtn = document.getElementById('connect-peer-btn');
+    if (connectBtn) {
+      connectBtn.disabled = false;
+      connectBtn.textContent = 'Connect';
+    }
+    const statusText = document.getElementById('status-text');
+    if (statusText) {
+      statusText.textContent = message;
+    }
+    const statusIndicator = document.getElementById('status-indicator');
+    if (statusIndicator) {
+      statusIndicator.className = 'w-2 h-2 rounded-full bg-red-500';
+    }
+  }
+
+  async onPeerConnected() {
+    // Initialize sensors and visualization based on device type
+    const deviceInfo = this.deviceDetector.getDeviceInfo();
+    
+    // Set connected state BEFORE initializing sensors (so they can send data)
+    this.isConnected = true;
+    console.log('✅ Connection established, isConnected = true');
+    
+    // For mobile, show game screen and initialize sensors
+    // For desktop, visualization is already initialized on page load
+    if (deviceInfo.isMobile) {
+      // Mobile: show game screen and initialize gyroscope, motion, and microphone
+      this.showGameScreen();
       
-      // Reset UI
-      if (connectBtn) {
-        connectBtn.disabled = false;
-        connectBtn.textContent = 'Connect';
+      // Wait a moment for DOM to update
+      await new Promise(resolve => setTimeout(resolve, 100));
+      
+      // Now initialize sensors (isConnected is already true)
+      await this.initializeMobileSensors();
+    } else {
+      // Desktop: visualization already initialized, just hide homepage
+      this.showGameScreen();
+    }
+    
+    // Start status update interval
+    this.startDataStreamStatusUpdates();
+  }
+
+  isManualPairingOnly() {
+    return new URLSearchParams(window.location.search).get('pairing') === 'manual';
+  }
+
+  async openManualPairing() {
+    const panel = document.getElementById('manual-pairing-panel');
+    const scanBtn = document.getElementById('manual-scan-btn');
+    const deviceInfo = this.deviceDetector.getDeviceInfo();
+    
+    if (!this.webrtcManager) {
+      showErrorWithCopy('WebRTC is not initialized yet. Please wait a moment and try again.');
+      return;
+    }
+    
+    panel?.classList.remove('hidden');
+    this.showManualPairingCode(null);
+    
+    this.qrManager = this.qrManager || new QRManager();
+    this.manualPairing = new ManualPairing(this.webrtcManager.config);
+    this.manualPairing.onConnection((connection) => {
+      this.webrtcManager.addManualConnection(connection);
+      connection.on('open', async () => {
+        console.log('✅ Manual pairing connection opened');
+        this.closeManualPairing();
+        await this.onPeerConnected();
+      });
+    });
+    
+    if (deviceInfo.isMobile) {
+      // Phone answers: scan the desktop's offer first
+      if (scanBtn) {
+        scanBtn.textContent = 'Scan Desktop Code';
       }
-      if (statusText) {
-        statusText.textContent = 'Connection failed';
+      this.setManualPairingStep('Point your camera at the QR code shown on the desktop.');
+      await this.startManualPairingScan();
+    } else {
+      // Desktop offers: show the offer, then scan the phone's answer
+      if (scanBtn) {
+        scanBtn.textContent = "Scan Phone's Code";
       }
-      if (statusIndicator) {
-        statusIndicator.className = 'w-2 h-2 rounded-full bg-red-500';
+      this.setManualPairingStep('Creating pairing code...');
+      try {
+        const offer = await this.manualPairing.createOffer();
+        console.log('Manual pairing offer:', offer.length, 'chars');
+        await this.showManualPairingCode(offer);
+        this.setManualPairingStep("1. Scan this code with your phone. 2. Click \"Scan Phone's Code\" and hold up the phone's answer code.");
+      } catch (error) {
+        console.error('Failed to create pairing offer:', error);
+        this.setManualPairingStep(`Failed to create pairing code: ${error.message}`);
       }
     }
   }
 
-  async initializeMobileSensors() {
+  async startManualPairingScan() {
+    const video = document.getElementById('manual-qr-video');
+    if (!video || !this.qrManager) {
+      return;
+    }
+    
+    if (this.qrManager.isScannerActive()) {
+      this.qrManager.stopQRScanner();
+    }
+    
+    video.classList.remove('hidden');
     try {
-      console.log('📱 Initializing mobile sensors...');
-      console.log('🔒 Secure context:', window.isSecureContext);
-      console.log('🌐 Protocol:', window.location.protocol);
-      console.log('📱 User Agent:', navigator.userAgent);
-      
-      // Check secure context first
-      if (!window.isSecureContext && window.location.protocol !== 'http:' && window.location.hostname !== 'localhost') {
-        console.error('❌ Not in secure context! Device sensors require HTTPS.');
-        alert('⚠️ Device sensors require HTTPS. Please access this page via HTTPS (not HTTP).');
-        return;
+      await this.qrManager.startQRScanner(video, async (result) => {
+        if (!isOfferPayload(result) && !isAnswerPayload(result)) {
+          return; // Keep scanning until a pairing code is in view
+        }
+        this.stopManualPairingScan();
+        await this.handleManualPairingCode(result);
+      });
+    } catch (error) {
+      video.classList.add('hidden');
+      this.setManualPairingStep(`Camera unavailable (${error.message}). Paste the other device's code instead.`);
+    }
+  }
+
+  stopManualPairingScan() {
+    const video = document.getElementById('manual-qr-video');
+    if (this.qrManager) {
+      this.qrManager.stopQRScanner();
+    }
+    video?.classList.add('hidden');
+  }
+
+  async handleManualPairingCode(code) {
+    if (!code || !this.manualPairing) {
+      return;
+    }
+    
+    try {
+      if (isOfferPayload(code)) {
+        this.setManualPairingStep('Creating answer code...');
+        const answer = await this.manualPairing.acceptOffer(code);
+        console.log('Manual pairing answer:', answer.length, 'chars');
+        await this.showManualPairingCode(answer);
+        this.setManualPairingStep("Show this code to the desktop's camera. The game starts once it is scanned.");
+      } else if (isAnswerPayload(code)) {
+        this.setManualPairingStep('Connecting...');
+        await this.manualPairing.acceptAnswer(code);
+      } else {
+        throw new Error('Not a pairing code');
       }
-      
-      // Initialize gyroscope
-      console.log('🔄 Requesting gyroscope permission...');
-      this.gyroscopeHandler = new GyroscopeHandler();
-      const gyroPermission = await this.gyroscopeHandler.requestPermission();
-      
-      if (gyroPermission) {
-        console.log('✅ Gyroscope permission granted');
+    } catch (error) {
+      console.error('Manual pairing failed:', error);
+      this.setManualPairingStep(`Pairing failed: ${error.message}`);
+    }
+  }
+
+  async showManualPairingCode(code) {
+    const qrContainer = document.getElementById('manual-qr-container');
+    const codeText = document.getElementById('manual-code-text');
+    
+    if (!code) {
+      qrContainer?.classList.add('hidden');
+      codeText?.classList.add('hidden');
+      return;
+    }
+    
+    if (qrContainer) {
+      await this.qrManager.generateQRCode(code, qrContainer);
+      qrContainer.classList.remove('hidden');
+    }
+    if (codeText) {
+      codeText.value = code;
+      codeText.classList.remove('hidden');
+    }
+  }
+
+  setManualPairingStep(text) {
+    const step = document.getElementById('manual-pairing-step');
+    if (step) {
+      step.textContent = text;
+    }
+  }
+
+  closeManualPairing() {
+    const panel = document.getElementById('manual-pairing-panel');
+    this.stopManualPairingScan();
+    panel?.classList.add('hidden');
+    
+    // Abandon an attempt that never connected
+    if (this.manualPairing) {
+      this.manualPairing.reset();
+      this.manualPairing = null;
+    }
+  }
+
+  async initializeMobileSensors() {
+    const deviceInfo = this.deviceDetector.getDeviceInfo();
+    if (deviceInfo.isVirtualController) {
+      this.initializeVirtualController();
+      return;
+    }
+    
+    try {
+      console.log('📱 Initializing mobile sensors...');
+      console.log('🔒 Secure context:', window.isSecureContext);
+      console.log('🌐 Protocol:', window.location.protocol);
+      console.log('📱 User Agent:', navigator.userAgent);
+      
+      // Check secure context first
+      if (!window.isSecureContext && window.location.protocol !== 'http:' && window.location.hostname !== 'localhost') {
+        console.error('❌ Not in secure context! Device sensors require HTTPS.');
+        alert('⚠️ Device sensors require HTTPS. Please access this page via HTTPS (not HTTP).');
+        return;
+      }
+      
+      this.startOrientationPipeline();
+      
+      // Initialize gyroscope
+      console.log('🔄 Requesting gyroscope permission...');
+      this.gyroscopeHandler = new GyroscopeHandler();
+      const gyroPermission = await this.gyroscopeHandler.requestPermission();
+      
+      if (gyroPermission) {
+        console.log('✅ Gyroscope permission granted');
         this.gyroscopeHandler.startListening((data) => {
-          console.log('📤 Sending gyro data:', data);
-          this.sendData(data);
+          this.handleLocalGyroData(data);
         }, this.currentDeviceId);
         console.log('✅ Gyroscope listening started');
       } else {
@@ -398,8 +1099,7 @@ class App {
       if (motionPermission) {
         console.log('✅ Motion permission granted');
         this.motionHandler.startListening((data) => {
-          console.log('📤 Sending motion data:', data);
-          this.sendData(data);
+          this.handleLocalMotionData(data);
         }, this.currentDeviceId);
         console.log('✅ Motion listening started');
       } else {
@@ -415,8 +1115,7 @@ class App {
       if (micPermission) {
         console.log('✅ Microphone permission granted');
         await this.microphoneHandler.startListening((data) => {
-          console.log('📤 Sending audio data:', data);
-          this.sendData(data);
+          this.handleLocalAudioData(data);
         }, this.currentDeviceId);
         console.log('✅ Microphone listening started');
       } else {
@@ -424,168 +1123,1440 @@ class App {
         alert('Microphone permission denied. Please allow access to microphone in your browser settings.');
       }
       
-      console.log('✅ All mobile sensors initialized');
+      console.log('✅ All mobile sensors initialized');
+      
+      this.showControllerScreen();
+      this.showCalibrationControls();
+      
+    } catch (error) {
+      console.error('❌ Failed to initialize mobile sensors:', error);
+      showErrorWithCopy(`Failed to initialize sensors: ${error.message}`);
+    }
+  }
+
+  /**
+   * Desktop tab opened with ?role=controller: mouse/keyboard instead of phone sensors
+   */
+  initializeVirtualController() {
+    console.log('🖱️ Initializing virtual controller...');
+    this.startOrientationPipeline();
+    
+    const surface = document.querySelector('#game-screen .flex-1.relative');
+    const volumeInput = document.getElementById('virtual-volume-input');
+    
+    this.virtualController = new VirtualController();
+    this.virtualController.setVolume(volumeInput?.value);
+    this.virtualController.start({
+      onGyro: (data) => this.handleLocalGyroData(data),
+      onMotion: (data) => this.handleLocalMotionData(data),
+      onAudio: (data) => this.handleLocalAudioData(data),
+    }, this.currentDeviceId, surface);
+    
+    document.getElementById('virtual-controller-panel')?.classList.remove('hidden');
+    this.showCalibrationControls();
+  }
+
+  startOrientationPipeline() {
+    // Readings are sent relative to the "pointing at the screen" reference
+    this.calibration = new Calibration(this.currentDeviceId);
+    this.shakeDetector = new ShakeDetector();
+    
+    // Swings, thrusts, blocks and spins go out as discrete gesture messages
+    this.gestureRecognizer = new GestureRecognizer();
+    this.gestureRecognizer.start((gesture) => {
+      // Whether a flick puts the blade away is the viewer's call (not mid-rhythm) -
+      // it answers with saber_state
+      this.sendData(gesture);
+    }, this.currentDeviceId);
+    
+    // Fuse gyro + motion readings into one orientation quaternion
+    this.orientationFusion = new OrientationFusion();
+    this.orientationFusion.start((data) => {
+      const quaternion = this.calibration.applyToQuaternion(data.quaternion);
+      this.sensorHealth.record('orientation');
+      this.controllerPreview?.setOrientation(quaternion);
+      this.gestureRecognizer?.handleOrientation(quaternion);
+      this.sendData({ ...data, quaternion });
+    }, this.currentDeviceId);
+  }
+
+  showCalibrationControls() {
+    document.getElementById('recalibrate-btn')?.classList.remove('hidden');
+    document.getElementById('game-customize-saber-btn')?.classList.remove('hidden');
+    if (!this.calibration.isCalibrated()) {
+      this.showCalibrationPrompt();
+    }
+  }
+
+  // Local sensor readings (real handlers or the virtual controller) on their way out
+
+  handleLocalGyroData(data) {
+    console.log('📤 Sending gyro data:', data);
+    this.sensorHealth.record('gyro');
+    this.orientationFusion?.handleOrientation(data);
+    this.sendData(this.calibration ? this.calibration.applyToOrientation(data) : data);
+  }
+
+  handleLocalMotionData(data) {
+    console.log('📤 Sending motion data:', data);
+    this.sensorHealth.record('motion');
+    this.orientationFusion?.handleMotion(data);
+    this.gestureRecognizer?.handleMotion(data);
+    if (this.shakeDetector?.handleMotion(data)) {
+      console.log('👋 Shake detected, recentering');
+      this.recenter();
+    }
+    this.sendData(data);
+  }
+
+  handleLocalAudioData(data) {
+    console.log('📤 Sending audio data:', data);
+    this.sensorHealth.record('audio');
+    this.updateControllerMicLevel(data.volume);
+    this.sendData(data);
+  }
+
+  // Controller screen (phone)
+
+  showControllerScreen() {
+    document.getElementById('game-status-overlay')?.classList.add('hidden');
+    document.getElementById('controller-screen')?.classList.remove('hidden');
+    
+    const canvas = document.getElementById('controller-preview-canvas');
+    if (canvas && !this.controllerPreview) {
+      this.controllerPreview = new ControllerPreview(canvas);
+      this.controllerPreview.setColor(loadSaberConfig(this.currentDeviceId).color);
+      this.controllerPreview.start();
+    }
+    this.setControllerLit(false);
+    
+    // Keep the phone awake mid-game
+    this.wakeLock.acquire().then(() => this.updateControllerScreen());
+    this.updateControllerScreen();
+  }
+
+  hideControllerScreen() {
+    document.getElementById('controller-screen')?.classList.add('hidden');
+    document.getElementById('game-status-overlay')?.classList.remove('hidden');
+    this.controllerPreview?.dispose();
+    this.controllerPreview = null;
+    this.sensorHealth.reset();
+    this.wakeLock.release();
+  }
+
+  /**
+   * Ask the viewer to do something with this controller's saber
+   * @param {'ignite'|'retract'|'special'} action
+   */
+  sendControllerAction(action) {
+    this.sendData({
+      type: 'controller_action',
+      timestamp: Date.now(),
+      action,
+      deviceId: this.currentDeviceId,
+    });
+  }
+
+  toggleControllerIgnition() {
+    // The button flips once the viewer's saber_state confirms it
+    this.sendControllerAction(this.controllerLit ? 'retract' : 'ignite');
+  }
+
+  setControllerLit(lit) {
+    this.controllerLit = lit;
+    this.controllerPreview?.setLit(lit);
+    
+    const igniteBtn = document.getElementById('controller-ignite-btn');
+    if (igniteBtn) {
+      igniteBtn.textContent = lit ? 'Retract' : 'Ignite';
+    }
+    const specialBtn = document.getElementById('controller-special-btn');
+    if (specialBtn) {
+      specialBtn.disabled = !lit;
+    }
+  }
+
+  updateControllerMicLevel(volume) {
+    const level = Math.round(Math.min(1, Math.max(0, volume || 0)) * 100);
+    const bar = document.getElementById('controller-mic-level');
+    if (bar) {
+      bar.style.width = `${level}%`;
+    }
+    const value = document.getElementById('controller-mic-value');
+    if (value) {
+      value.textContent = `${level}%`;
+    }
+  }
+
+  /**
+   * Sensor health dots and wake lock state (every status tick)
+   */
+  updateControllerScreen() {
+    const screen = document.getElementById('controller-screen');
+    if (!screen || screen.classList.contains('hidden')) return;
+    
+    const colorMap = {
+      ok: 'bg-green-500',
+      degraded: 'bg-yellow-500',
+      stale: 'bg-red-500',
+      off: 'bg-gray-500',
+    };
+    ['gyro', 'motion', 'orientation', 'audio'].forEach(stream => {
+      const dot = document.getElementById(`controller-health-${stream}`);
+      if (dot) {
+        const { level, rate } = this.sensorHealth.getStatus(stream);
+        dot.className = `w-2 h-2 rounded-full ${colorMap[level]}`;
+        dot.title = `${level} (${rate}/s)`;
+      }
+    });
+    
+    const wakeLockStatus = document.getElementById('controller-wake-lock');
+    if (wakeLockStatus) {
+      wakeLockStatus.textContent = this.wakeLock.isActive() ? '🔆 Screen stays on' : this.wakeLock.isSupported() ? '' : 'Screen may sleep';
+    }
+  }
+
+  showCalibrationPrompt() {
+    document.getElementById('calibration-overlay')?.classList.remove('hidden');
+  }
+
+  hideCalibrationPrompt() {
+    document.getElementById('calibration-overlay')?.classList.add('hidden');
+  }
+
+  captureCalibration() {
+    if (!this.calibration || !this.orientationFusion?.initialized) {
+      console.warn('⚠️ No orientation reading yet, cannot calibrate');
+      return;
+    }
+    
+    this.calibration.capture(this.orientationFusion.getQuaternion());
+    this.hideCalibrationPrompt();
+    document.getElementById('recalibrate-btn')?.classList.add('hidden');
+    navigator.vibrate?.(50);
+  }
+
+  /**
+   * Mid-game recenter (double-tap or shake): the current direction becomes "at the screen"
+   */
+  recenter() {
+    if (!this.calibration || !this.orientationFusion?.initialized) {
+      return;
+    }
+    
+    this.calibration.capture(this.orientationFusion.getQuaternion());
+    navigator.vibrate?.([30, 50, 30]);
+  }
+
+  handleGameScreenTap() {
+    const now = Date.now();
+    if (now - this.lastTapTime < 300) {
+      this.lastTapTime = 0;
+      this.recenter();
+    } else {
+      this.lastTapTime = now;
+    }
+  }
+
+  async initializeVisualization() {
+    try {
+      // Wait for game screen to be visible
+      const gameScreen = document.getElementById('game-screen');
+      if (!gameScreen) {
+        console.error('Game screen container not found');
+        return;
+      }
+      
+      // Get the canvas container (the relative div inside game-screen)
+      // The structure is: game-screen > flex-1 relative > canvas
+      const container = gameScreen.querySelector('.flex-1.relative');
+      if (!container) {
+        console.error('Canvas container not found in game screen');
+        return;
+      }
+      
+      console.log('🎨 Initializing visualization...');
+      console.log('Container:', container);
+      console.log('Container dimensions:', container.clientWidth, 'x', container.clientHeight);
+      
+      // Dispose existing visualization if any
+      if (this.visualization) {
+        console.log('Disposing existing visualization');
+        this.visualization.dispose();
+        this.visualization = null;
+      }
+      
+      this.visualization = new LightsaberVisualization();
+      
+      // Wait a moment for DOM to update and ensure container has dimensions
+      await new Promise(resolve => setTimeout(resolve, 200));
+      
+      // Check container dimensions again
+      if (container.clientWidth === 0 || container.clientHeight === 0) {
+        console.warn('Container has zero dimensions, forcing size');
+        container.style.width = '100%';
+        container.style.height = '100%';
+        container.style.minHeight = '400px';
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      
+      this.visualization.initScene(container, 'three-canvas');
+      this.visualization.onSaberStateChange((state, saberId) => this.handleSaberStateChange(state, saberId));
+      this.visualization.onBeforeFrame(() => this.updatePlayout());
+      if (this.isSpectator()) {
+        this.spectatorView = new SpectatorView(this.visualization);
+        this.visualization.onBeforeFrame(() => this.spectatorView?.update());
+      }
+      this.visualization.onFrame((now) => this.updateDuel(now));
+      this.visualization.onFrame((now) => this.updateTraining(now));
+      this.visualization.onFrame((now) => this.updateRhythm(now));
+      
+      console.log('✅ Visualization initialized successfully');
+      console.log('Scene:', this.visualization.scene);
+      console.log('Sabers:', this.visualization.getSabers());
+      console.log('Renderer:', this.visualization.renderer);
+    } catch (error) {
+      console.error('❌ Failed to initialize visualization:', error);
+      showErrorWithCopy(`Failed to initialize visualization: ${error.message}`);
+    }
+  }
+
+  sendData(data) {
+    if (!this.webrtcManager) {
+      console.warn('⚠️ Cannot send data: WebRTC manager not initialized', data.type);
+      return;
+    }
+    
+    if (!this.isConnected) {
+      console.warn('⚠️ Cannot send data: Not connected yet', {
+        isConnected: this.isConnected,
+        dataType: data.type
+      });
+      return;
+    }
+    
+    try {
+      console.log('📤 Sending data via WebRTC:', data.type);
+      this.webrtcManager.sendData(data);
+    } catch (error) {
+      console.error('❌ Failed to send data:', error, data);
+    }
+  }
+
+  handleDataReceived(data, peerId) {
+    try {
+      // Parse JSON if needed
+      let parsedData = data;
+      if (typeof data === 'string') {
+        parsedData = JSON.parse(data);
+      }
+      
+      // Skip handshake messages
+      if (parsedData.type === 'handshake' || parsedData.type === 'connection_ack' || parsedData.type === 'connection_verify') {
+        return;
+      }
+      
+      // Skip quality ping/pong
+      if (parsedData.type === 'quality_ping' || parsedData.type === 'quality_pong') {
+        return;
+      }
+      
+      // Feedback from the viewer (controller side) - not sensor data
+      if (parsedData.type === 'haptic') {
+        this.handleHaptic(parsedData);
+        return;
+      }
+      if (parsedData.type === 'saber_state') {
+        this.setControllerLit(!!parsedData.lit);
+        return;
+      }
+      
+      // Spectators only follow the display's mirrored state
+      if (this.isSpectator()) {
+        if (parsedData.type === 'spectator_state') {
+          this.handleSpectatorState(parsedData, peerId);
+        }
+        return;
+      }
+      
+      console.log('📥 Received data:', parsedData.type, 'from:', peerId, parsedData);
+      
+      this.sessionRecorder.record(parsedData, peerId);
+      
+      // A replay owns the visualization until it is closed
+      if (this.sessionPlayer) {
+        return;
+      }
+      
+      this.dispatchSensorData(parsedData, peerId);
+    } catch (error) {
+      console.error('Failed to handle received data:', error);
+    }
+  }
+
+  /**
+   * Route a sensor packet (live or replayed) to its handler
+   */
+  dispatchSensorData(parsedData, peerId = null) {
+    // Replays light each recorded saber once - recordings may start after it was lit
+    if (this.sessionPlayer && this.visualization) {
+      const saberId = this.getSaberId(parsedData, peerId);
+      if (!this.replayLitSabers.has(saberId)) {
+        this.replayLitSabers.add(saberId);
+        this.visualization.getSaber(saberId).ignite();
+      }
+    }
+    
+    // Handle different data types
+    switch (parsedData.type) {
+      case 'gyro_data':
+        this.handleGyroData(parsedData, peerId);
+        break;
+      case 'motion_data':
+        this.handleMotionData(parsedData, peerId);
+        break;
+      case 'audio_data':
+        this.handleAudioData(parsedData, peerId);
+        break;
+      case 'orientation_data':
+        this.handleOrientationData(parsedData, peerId);
+        break;
+      case 'gesture':
+        this.handleGesture(parsedData, peerId);
+        break;
+      case 'saber_config':
+        this.handleSaberConfig(parsedData, peerId);
+        break;
+      case 'controller_action':
+        this.handleControllerAction(parsedData, peerId);
+        break;
+      default:
+        console.log('Unknown data type:', parsedData.type);
+    }
+  }
+
+  toggleSessionRecording() {
+    if (this.sessionRecorder.isRecording) {
+      this.sessionRecorder.stop();
+    } else {
+      this.sessionRecorder.start();
+    }
+    this.updateSessionDisplay();
+  }
+
+  exportSession() {
+    if (!this.sessionRecorder.getEntries().length) {
+      alert('Nothing recorded yet');
+      return;
+    }
+    
+    const blob = new Blob([this.sessionRecorder.toNDJSON()], { type: 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `lightsaber-session-${new Date(this.sessionRecorder.startedAt).toISOString().replace(/[:.]/g, '-')}.ndjson`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async loadSessionFile(file) {
+    let session;
+    try {
+      session = parseSession(await file.text());
+    } catch (error) {
+      console.error('Failed to load session:', error);
+      showErrorWithCopy(`Failed to load session: ${error.message}`);
+      return;
+    }
+    
+    this.closeSessionReplay();
+    this.replayLitSabers = new Set();
+    
+    this.playoutBuffers.clear(); // The replay drives the sabers now
+    this.sessionPlayer = new SessionPlayer(session.entries, (data, entry) => this.dispatchSensorData(data, entry.peerId), {
+      onProgress: () => this.updateSessionDisplay(),
+      onEnd: () => this.updateSessionDisplay(),
+    });
+    console.log(`🎬 Loaded session: ${session.entries.length} packets, ${(this.sessionPlayer.getDuration() / 1000).toFixed(1)}s`);
+    
+    const speedSelect = document.getElementById('session-speed-select');
+    this.sessionPlayer.setSpeed(speedSelect?.value || 1);
+    this.startDataStreamStatusUpdates();
+    this.sessionPlayer.play();
+    this.updateSessionDisplay();
+  }
+
+  closeSessionReplay() {
+    if (!this.sessionPlayer) return;
+    
+    this.sessionPlayer.stop();
+    this.sessionPlayer = null;
+    // Put away the replayed sabers; live controllers keep theirs
+    this.replayLitSabers.forEach(saberId => {
+      if (!this.webrtcManager?.connections.has(saberId)) {
+        this.visualization?.removeSaber(saberId);
+      }
+    });
+    this.replayLitSabers.clear();
+    if (!this.isConnected) {
+      this.stopDataStreamStatusUpdates();
+    }
+    this.updateSessionDisplay();
+  }
+
+  updateSessionDisplay() {
+    const recordBtn = document.getElementById('session-record-btn');
+    const exportBtn = document.getElementById('session-export-btn');
+    const status = document.getElementById('session-status');
+    const replayControls = document.getElementById('session-replay-controls');
+    const recorder = this.sessionRecorder;
+    const player = this.sessionPlayer;
+    
+    if (recordBtn) {
+      recordBtn.textContent = recorder.isRecording ? '⏹️ Stop' : '⏺️ Record';
+    }
+    if (exportBtn) {
+      exportBtn.disabled = recorder.isRecording || !recorder.getEntries().length;
+    }
+    
+    if (status) {
+      if (player) {
+        status.textContent = 'Replaying - live data paused';
+      } else if (recorder.isRecording) {
+        status.textContent = `Recording... ${recorder.getEntries().length} packets`;
+      } else if (recorder.getEntries().length) {
+        status.textContent = `Recorded ${recorder.getEntries().length} packets (${(recorder.getDuration() / 1000).toFixed(1)}s)`;
+      } else {
+        status.textContent = 'Not recording';
+      }
+    }
+    
+    replayControls?.classList.toggle('hidden', !player);
+    if (!player) return;
+    
+    const playBtn = document.getElementById('session-play-btn');
+    const seekInput = document.getElementById('session-seek-input');
+    const time = document.getElementById('session-time');
+    const duration = player.getDuration();
+    const position = Math.min(player.position, duration);
+    
+    if (playBtn) {
+      playBtn.textContent = player.isPlaying ? '⏸️' : '▶️';
+    }
+    if (seekInput) {
+      seekInput.max = String(duration);
+      if (document.activeElement !== seekInput) {
+        seekInput.value = String(Math.round(position));
+      }
+    }
+    if (time) {
+      time.textContent = `${(position / 1000).toFixed(1)} / ${(duration / 1000).toFixed(1)}s`;
+    }
+  }
+
+  /**
+   * Which saber a packet drives: one per peer (replays use the recorded peer ID)
+   */
+  getSaberId(data, peerId) {
+    return peerId || data.deviceId || DEFAULT_SABER_ID;
+  }
+
+  handleGyroData(data, peerId = null) {
+    console.log('📱 Received gyro data:', data);
+    
+    // Update status
+    this.updateDataStreamStatus('gyro', peerId);
+    
+    if (this.visualization) {
+      // Check if values are valid numbers
+      const alpha = typeof data.alpha === 'number' && !isNaN(data.alpha) ? data.alpha : 0;
+      const beta = typeof data.beta === 'number' && !isNaN(data.beta) ? data.beta : 0;
+      const gamma = typeof data.gamma === 'number' && !isNaN(data.gamma) ? data.gamma : 0;
+      
+      console.log('🎯 Updating rotation:', { alpha, beta, gamma });
+      this.visualization.getSaber(this.getSaberId(data, peerId)).updateRotation(alpha, beta, gamma);
+    } else {
+      console.warn('⚠️ Visualization not initialized, cannot update rotation');
+    }
+  }
+
+  handleMotionData(data, peerId = null) {
+    console.log('🏃 Received motion data:', data);
+    
+    // Update status
+    this.updateDataStreamStatus('motion', peerId);
+    
+    if (this.visualization) {
+      this.visualization.getSaber(this.getSaberId(data, peerId)).updateMotion(data);
+    } else {
+      console.warn('⚠️ Visualization not initialized, cannot update motion');
+    }
+    
+    this.saberAudio.updateMotion(data);
+  }
+
+  handleOrientationData(data, peerId = null) {
+    // Update status
+    this.updateDataStreamStatus('orientation', peerId);
+    
+    if (this.visualization && data.quaternion) {
+      const saberId = this.getSaberId(data, peerId);
+      const buffers = this.getPlayoutBuffers(saberId, peerId);
+      if (buffers) {
+        buffers.orientation.push(this.getPlayoutTime(data, peerId), data.quaternion);
+      } else {
+        this.visualization.getSaber(saberId).updateOrientation(data.quaternion);
+      }
+    }
+  }
+
+  // Latency-compensated playout (viewer)
+
+  /**
+   * Jitter buffers for a live controller's saber (null for replays, which keep their own timing)
+   */
+  getPlayoutBuffers(saberId, peerId) {
+    if (!peerId || this.sessionPlayer) {
+      return null;
+    }
+    const clockOffset = this.webrtcManager?.getClockOffset(peerId) ?? null;
+    if (!this.playoutBuffers.has(saberId)) {
+      this.playoutBuffers.set(saberId, {
+        orientation: new JitterBuffer({ interpolate: interpolateQuaternion }),
+        audio: new JitterBuffer(),
+        clockOffset, // Time base of the buffered samples (null = arrival time)
+      });
+    }
+    
+    // Samples on the old time base would block the new ones - start over
+    const buffers = this.playoutBuffers.get(saberId);
+    if (isTimeBaseChanged(buffers.clockOffset, clockOffset)) {
+      buffers.orientation.clear();
+      buffers.audio.clear();
+      buffers.clockOffset = clockOffset;
+    }
+    return buffers;
+  }
+
+  /**
+   * When a packet was sent, on our clock (arrival time until the clock offset is known)
+   */
+  getPlayoutTime(data, peerId) {
+    const sentAt = typeof data.timestamp === 'number' ? this.webrtcManager?.toLocalTime(peerId, data.timestamp) : null;
+    return sentAt ?? Date.now();
+  }
+
+  /**
+   * Feed each saber its buffered orientation and blade length for this frame
+   */
+  updatePlayout() {
+    if (!this.visualization || this.sessionPlayer || this.playoutBuffers.size === 0) return;
+    
+    const now = Date.now();
+    this.playoutBuffers.forEach((buffers, saberId) => {
+      if (!this.visualization.hasSaber(saberId)) return;
+      const saber = this.visualization.getSaber(saberId);
+      
+      const quaternion = buffers.orientation.sample(now);
+      if (quaternion) {
+        saber.updateOrientation(quaternion);
+      }
+      const volume = buffers.audio.sample(now);
+      if (volume !== null) {
+        saber.updateBladeLength(Math.min(1, Math.max(0, volume)));
+      }
+    });
+  }
+
+  /**
+   * Buttons on the controller screen: ignite / retract / special (a flourish)
+   */
+  handleControllerAction(data, peerId = null) {
+    console.log('🎮 Controller action:', data.action);
+    if (!this.visualization) return;
+    
+    const saber = this.visualization.getSaber(this.getSaberId(data, peerId));
+    if (data.action === 'ignite') {
+      saber.ignite();
+    } else if (data.action === 'retract') {
+      saber.retract();
+    } else if (data.action === 'special' && saber.flourish()) {
+      this.saberAudio.playSwing(1);
+    }
+  }
+
+  /**
+   * Register game logic for controller gestures (swing, thrust, block, spin, flick);
+   * callback(gesture, peerId)
+   */
+  onGesture(callback) {
+    this.gestureListeners.push(callback);
+  }
+
+  handleGesture(data, peerId = null) {
+    console.log('⚔️ Received gesture:', data.gesture, data.direction, data.strength);
+    
+    const gestureStatus = document.getElementById('gesture-status');
+    if (gestureStatus) {
+      gestureStatus.textContent = `${data.gesture} ${data.direction || ''} (${Math.round((data.strength || 0) * 100)}%)`;
+      gestureStatus.className = 'text-xs font-mono text-yellow-300';
+    }
+    
+    // Any gesture lights an unlit saber; flicking it down puts it away
+    if (this.visualization) {
+      const saber = this.visualization.getSaber(this.getSaberId(data, peerId));
+      if (data.gesture === 'flick' && this.rhythm.phase !== RhythmPhase.PLAYING) {
+        saber.retract();
+      } else if (data.gesture !== 'flick' && !saber.saberState.isLit()) {
+        saber.ignite();
+      }
+    }
+    
+    if (data.gesture === 'block') {
+      this.saberAudio.playClash(data.strength);
+    } else if (data.gesture === 'swing' || data.gesture === 'spin') {
+      this.saberAudio.playSwing(data.strength);
+    }
+    
+    this.gestureListeners.forEach(callback => {
+      try {
+        callback(data, peerId);
+      } catch (error) {
+        console.error('Error in gesture callback:', error);
+      }
+    });
+  }
+
+  handleAudioData(data, peerId = null) {
+    // Update status
+    this.updateDataStreamStatus('audio', peerId);
+    
+    if (this.visualization && data.volume !== undefined) {
+      const saberId = this.getSaberId(data, peerId);
+      const saber = this.visualization.getSaber(saberId);
+      const buffers = this.getPlayoutBuffers(saberId, peerId);
+      // Map volume (0-1) to blade length
+      if (buffers) {
+        buffers.audio.push(this.getPlayoutTime(data, peerId), data.volume);
+      } else {
+        saber.updateBladeLength(data.volume);
+      }
+      // A shout ignites an unlit saber (right away - it's an event, not a pose)
+      saber.saberState.handleVoice(data.volume, performance.now());
+    }
+  }
+
+  handleSaberConfig(data, peerId = null) {
+    if (this.visualization) {
+      this.visualization.getSaber(this.getSaberId(data, peerId)).applySaberConfig(normalizeSaberConfig(data));
+    }
+  }
+
+  handlePeerDisconnected(peerId) {
+    console.log('👋 Peer left:', peerId);
+    this.visualization?.removeSaber(peerId);
+    this.playoutBuffers.delete(peerId);
+    this.peerStreamStatus.delete(peerId);
+    this.renderPeerStreamList();
+    this.renderDiagnostics();
+    this.updateSpectatorList();
+    
+    // A spectator's display left - its mirrored sabers go with it
+    if (this.isSpectator()) {
+      this.spectatorView?.clear();
+      this.updateSpectatorScore();
+    }
+  }
+
+  // Spectators
+
+  isSpectator() {
+    return !!this.deviceDetector.getDeviceInfo().isSpectator;
+  }
+
+  /**
+   * Display: mirror the scene to connected spectators at SPECTATOR_STATE_INTERVAL
+   */
+  startSpectatorRelay() {
+    if (this.spectatorRelayInterval) return;
+    this.spectatorRelayInterval = setInterval(() => this.relaySpectatorState(), SPECTATOR_STATE_INTERVAL);
+  }
+
+  relaySpectatorState() {
+    if (!this.webrtcManager) return;
+    this.updateSpectatorList();
+    if (!this.visualization || this.webrtcManager.getSpectatorIds().length === 0) return;
+    
+    const sabers = this.visualization.getSabers()
+      .filter(saber => !saber.removeWhenOff)
+      .map(captureSaberState);
+    const game = describeGameState(this.getActiveGameMode(), {
+      duel: this.duel,
+      training: this.training,
+      rhythm: this.rhythm,
+    });
+    this.webrtcManager.sendToSpectators(formatSpectatorState(sabers, game));
+  }
+
+  /**
+   * Overlay list of spectators watching this display (rebuilt only when it changes)
+   */
+  updateSpectatorList() {
+    const spectatorIds = this.webrtcManager?.getSpectatorIds() || [];
+    const key = spectatorIds.join(',');
+    if (key === this.spectatorListKey) return;
+    this.spectatorListKey = key;
+    
+    document.getElementById('spectator-list')?.classList.toggle('hidden', spectatorIds.length === 0);
+    const count = document.getElementById('spectator-count');
+    if (count) {
+      count.textContent = spectatorIds.length;
+    }
+    const names = document.getElementById('spectator-names');
+    if (names) {
+      names.innerHTML = '';
+      spectatorIds.forEach(peerId => {
+        const name = document.createElement('p');
+        name.className = 'truncate text-gray-300';
+        name.textContent = peerId;
+        name.title = peerId;
+        names.appendChild(name);
+      });
+    }
+    
+    const connectedCount = document.getElementById('connected-count');
+    if (connectedCount && this.webrtcManager) {
+      connectedCount.textContent = this.webrtcManager.connections.size - spectatorIds.length;
+    }
+  }
+
+  handleSpectatorState(data, peerId) {
+    if (!this.spectatorView) return;
+    this.spectatorView.applyState(data, this.getPlayoutTime(data, peerId), this.webrtcManager.getClockOffset(peerId));
+    this.updateSpectatorScore();
+  }
+
+  updateSpectatorScore() {
+    const score = document.getElementById('spectator-score');
+    if (score) {
+      score.textContent = this.isConnected ? formatGameScore(this.spectatorView?.getGame()) : 'Connect to a display to watch';
+    }
+  }
+
+  /**
+   * Game mode that owns the scene ('duel', 'training' or 'rhythm'), or null
+   */
+  getActiveGameMode() {
+    if (this.duel.isActive()) return 'duel';
+    if (this.training.isActive()) return 'training';
+    if (this.rhythm.isActive()) return 'rhythm';
+    return null;
+  }
+
+  /**
+   * Only one game mode runs at a time
+   */
+  stopGameModes(except = null) {
+    if (except !== 'duel') this.duel.stop();
+    if (except !== 'training') this.training.stop();
+    if (except !== 'rhythm') this.rhythm.stop();
+  }
+
+  // Duel mode (viewer)
+
+  /**
+   * Start, stop or rematch between the first two controllers' sabers
+   */
+  toggleDuel() {
+    if (this.duel.phase === DuelPhase.FIGHTING || this.duel.phase === DuelPhase.ROUND_OVER) {
+      this.duel.stop();
+      return;
+    }
+    
+    const players = this.duel.phase === DuelPhase.FINISHED ? this.duel.players : this.getControllerSaberIds();
+    if (players.length < 2) {
+      this.setDuelStatus('Connect two controllers to duel');
+      return;
+    }
+    
+    this.stopGameModes('duel');
+    
+    const bestOf = Number(document.getElementById('duel-best-of-select')?.value) || 3;
+    this.duel.start(players, performance.now(), bestOf);
+  }
+
+  /**
+   * Sabers driven by a controller (not the idle saber), in the order they joined
+   */
+  getControllerSaberIds() {
+    return (this.visualization?.getSabers() || [])
+      .filter(saber => saber.id !== DEFAULT_SABER_ID && !saber.removeWhenOff)
+      .slice(0, 2)
+      .map(saber => saber.id);
+  }
+
+  /**
+   * Per-frame collision check, after the sabers have moved
+   */
+  updateDuel(now) {
+    if (!this.duel.isActive() || !this.visualization) return;
+    
+    const sabers = this.duel.players.map(id => this.visualization.hasSaber(id) ? this.visualization.getSaber(id) : null);
+    if (sabers.some(saber => !saber || saber.removeWhenOff)) {
+      // A duelist left
+      this.duel.stop();
+      return;
+    }
+    
+    this.duel.update(sabers.map(saber => ({
+      id: saber.id,
+      blade: saber.getBladeCapsule(),
+      body: duelBodyCapsule(saber.root.position.x),
+    })), now);
+  }
+
+  handleDuelEvent(event) {
+    const playerName = (id) => `Player ${this.duel.players.indexOf(id) + 1}`;
+    const bladeColor = (id) => this.visualization?.hasSaber(id) ? this.visualization.getSaber(id).bladeColor : 0xffffff;
+    
+    switch (event.type) {
+      case 'clash':
+        event.players.forEach(id => this.visualization?.emitSparks(event.point, bladeColor(id), 30));
+        this.saberAudio.playClash();
+        event.players.forEach(id => this.sendHaptic(id, 'clash'));
+        this.setDuelStatus('Clash!');
+        break;
+      case 'hit':
+        this.visualization?.emitSparks(event.point, bladeColor(event.attacker), 60);
+        this.saberAudio.playClash(0.5);
+        this.sendHaptic(event.target, 'hit');
+        this.setDuelStatus(`${playerName(event.attacker)} scores!`);
+        break;
+      case 'round_start':
+        this.setDuelStatus(`Round ${event.round} - fight!`);
+        break;
+      case 'round_end':
+        this.setDuelStatus(`${playerName(event.winner)} takes round ${event.round}`);
+        break;
+      case 'match_end':
+        this.setDuelStatus(`🏆 ${playerName(event.winner)} wins the duel`);
+        break;
+      case 'stop':
+        this.setDuelStatus('Duel stopped');
+        break;
+    }
+    this.updateDuelDisplay();
+  }
+
+  /**
+   * Buzz a controller (haptic messages go back over the reliable channel)
+   */
+  sendHaptic(peerId, event) {
+    this.webrtcManager?.sendToPeer(peerId, {
+      type: 'haptic',
+      timestamp: Date.now(),
+      event,
+      pattern: HAPTIC_PATTERNS[event],
+    });
+  }
+
+  /**
+   * Tell a controller whether its saber is lit, so its Ignite/Retract button matches the screen
+   */
+  sendSaberState(peerId, lit) {
+    this.webrtcManager?.sendToPeer(peerId, {
+      type: 'saber_state',
+      timestamp: Date.now(),
+      lit,
+    });
+  }
+
+  // Haptic feedback (controller)
+
+  handleHaptic(data) {
+    console.log('📳 Haptic:', data.event);
+    this.haptics.play(data);
+  }
+
+  /**
+   * Visual stand-in for vibration on phones that can't vibrate
+   */
+  flashScreen({ event, duration, intensity }) {
+    const overlay = document.getElementById('haptic-flash');
+    if (!overlay) return;
+    
+    overlay.style.backgroundColor = event === 'hit' ? '#ef4444' : '#ffffff';
+    overlay.style.transition = 'none';
+    overlay.style.opacity = String(0.5 * intensity);
+    // Force a reflow so the fade starts from the new opacity
+    void overlay.offsetWidth;
+    overlay.style.transition = `opacity ${Math.max(150, duration * 2)}ms ease-out`;
+    overlay.style.opacity = '0';
+  }
+
+  setDuelStatus(text) {
+    const status = document.getElementById('duel-status');
+    if (status) {
+      status.textContent = text;
+    }
+  }
+
+  updateDuelDisplay() {
+    const panel = document.getElementById('duel-panel');
+    if (!panel) return;
+    
+    const duel = this.duel;
+    const fighting = duel.phase === DuelPhase.FIGHTING || duel.phase === DuelPhase.ROUND_OVER;
+    const mode = this.getActiveGameMode();
+    panel.classList.toggle('hidden', this.isSpectator() || (mode ? mode !== 'duel' : this.getControllerSaberIds().length < 2));
+    
+    const startBtn = document.getElementById('duel-start-btn');
+    if (startBtn) {
+      startBtn.textContent = fighting ? 'Stop Duel' : duel.phase === DuelPhase.FINISHED ? 'Rematch' : 'Start Duel';
+    }
+    const bestOfSelect = document.getElementById('duel-best-of-select');
+    if (bestOfSelect) {
+      bestOfSelect.disabled = fighting;
+    }
+    
+    const round = document.getElementById('duel-round');
+    if (round) {
+      round.classList.toggle('hidden', !duel.isActive());
+      round.textContent = `Round ${duel.round} of ${duel.bestOf} · first to ${duel.pointsPerRound} hits`;
+    }
+    
+    const scoreboard = document.getElementById('duel-scoreboard');
+    if (!scoreboard) return;
+    scoreboard.innerHTML = '';
+    scoreboard.classList.toggle('hidden', !duel.isActive());
+    
+    duel.players.forEach((id, index) => {
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-2 text-sm';
+      
+      const name = document.createElement('span');
+      name.className = 'flex items-center gap-1';
+      const swatch = document.createElement('span');
+      swatch.className = 'w-2 h-2 rounded-full';
+      const saber = this.visualization?.hasSaber(id) ? this.visualization.getSaber(id) : null;
+      swatch.style.backgroundColor = saber ? `#${saber.bladeColor.getHexString()}` : '#6b7280';
+      const label = document.createElement('span');
+      label.textContent = `Player ${index + 1}${duel.winner === id ? ' 🏆' : ''}`;
+      label.title = id;
+      name.append(swatch, label);
       
-    } catch (error) {
-      console.error('❌ Failed to initialize mobile sensors:', error);
-      showErrorWithCopy(`Failed to initialize sensors: ${error.message}`);
+      // Rounds won as pips, then points in the current round
+      const score = document.createElement('span');
+      score.className = 'font-mono text-xs';
+      const pips = '●'.repeat(duel.roundsWon[id] || 0) + '○'.repeat(Math.max(0, duel.roundsToWin() - (duel.roundsWon[id] || 0)));
+      score.textContent = `${pips}  ${duel.points[id] || 0}`;
+      
+      row.append(name, score);
+      scoreboard.appendChild(row);
+    });
+  }
+
+  // Training mode (viewer)
+
+  /**
+   * Start, stop or restart solo training with the first controller's saber
+   */
+  toggleTraining() {
+    if (this.training.phase === TrainingPhase.RUNNING) {
+      this.training.stop();
+      return;
+    }
+    
+    const saberId = this.training.phase === TrainingPhase.FINISHED ? this.trainingSaberId : this.getControllerSaberIds()[0];
+    if (!saberId || !this.visualization?.hasSaber(saberId)) {
+      this.setTrainingStatus('Connect a controller to train');
+      return;
+    }
+    
+    this.stopGameModes('training');
+    this.trainingSaberId = saberId;
+    this.visualization.getSaber(saberId).ignite();
+    if (!this.trainingDroid) {
+      this.trainingDroid = new TrainingDroid(this.visualization.scene);
     }
+    this.training.start(performance.now());
   }
 
-  async initializeVisualization() {
-    try {
-      // Wait for game screen to be visible
-      const gameScreen = document.getElementById('game-screen');
-      if (!gameScreen) {
-        console.error('Game screen container not found');
-        return;
-      }
-      
-      // Get the canvas container (the relative div inside game-screen)
-      // The structure is: game-screen > flex-1 relative > canvas
-      const container = gameScreen.querySelector('.flex-1.relative');
-      if (!container) {
-        console.error('Canvas container not found in game screen');
-        return;
+  updateTraining(now) {
+    if (!this.training.isActive() || !this.visualization) return;
+    
+    const saber = this.visualization.hasSaber(this.trainingSaberId) ? this.visualization.getSaber(this.trainingSaberId) : null;
+    if (!saber || saber.removeWhenOff) {
+      // The player left
+      this.training.stop();
+      return;
+    }
+    
+    this.training.update(now, saber.getBladeCapsule(), trainingBodyCapsule(saber.root.position.x));
+    this.trainingDroid?.sync(this.training, now / 1000);
+  }
+
+  handleTrainingEvent(event) {
+    switch (event.type) {
+      case 'start':
+        this.setTrainingStatus('Deflect the bolts!');
+        break;
+      case 'deflect': {
+        const saber = this.visualization?.hasSaber(this.trainingSaberId) ? this.visualization.getSaber(this.trainingSaberId) : null;
+        this.visualization?.emitSparks(event.bolt.position, saber?.bladeColor ?? 0xffffff, 20);
+        this.saberAudio.playClash(0.3);
+        this.setTrainingStatus(`Deflected! +${event.points}`);
+        break;
       }
-      
-      console.log('🎨 Initializing visualization...');
-      console.log('Container:', container);
-      console.log('Container dimensions:', container.clientWidth, 'x', container.clientHeight);
-      
-      // Dispose existing visualization if any
-      if (this.visualization) {
-        console.log('Disposing existing visualization');
-        this.visualization.dispose();
-        this.visualization = null;
+      case 'hit':
+        this.sendHaptic(this.trainingSaberId, 'hit');
+        this.setTrainingStatus('Hit - streak lost');
+        break;
+      case 'end':
+        this.setTrainingStatus('Round over');
+        break;
+      case 'stop':
+        this.trainingDroid?.dispose();
+        this.trainingDroid = null;
+        this.trainingSaberId = null;
+        this.setTrainingStatus('Deflect the droid\'s bolts with your blade');
+        break;
+    }
+    this.updateTrainingDisplay();
+  }
+
+  setTrainingStatus(text) {
+    const status = document.getElementById('training-status');
+    if (status) {
+      status.textContent = text;
+    }
+  }
+
+  updateTrainingDisplay() {
+    const panel = document.getElementById('training-panel');
+    if (!panel) return;
+    
+    const training = this.training;
+    const running = training.phase === TrainingPhase.RUNNING;
+    const mode = this.getActiveGameMode();
+    panel.classList.toggle('hidden', this.isSpectator() || (mode ? mode !== 'training' : this.getControllerSaberIds().length === 0));
+    
+    const startBtn = document.getElementById('training-start-btn');
+    if (startBtn) {
+      startBtn.textContent = running ? 'Stop Training' : training.phase === TrainingPhase.FINISHED ? 'Train Again' : 'Start Training';
+    }
+    
+    document.getElementById('training-stats')?.classList.toggle('hidden', !running);
+    const values = {
+      'training-score': String(training.score),
+      'training-streak': `${training.streak} (×${training.getMultiplier()})`,
+      'training-accuracy': training.deflected + training.hits ? `${Math.round(training.getSummary().accuracy * 100)}%` : '-',
+      'training-level': String(training.level),
+      'training-time': `${Math.ceil(training.getTimeLeft() / 1000)}s`,
+    };
+    Object.entries(values).forEach(([id, text]) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.textContent = text;
       }
-      
-      this.visualization = new LightsaberVisualization();
-      
-      // Wait a moment for DOM to update and ensure container has dimensions
-      await new Promise(resolve => setTimeout(resolve, 200));
-      
-      // Check container dimensions again
-      if (container.clientWidth === 0 || container.clientHeight === 0) {
-        console.warn('Container has zero dimensions, forcing size');
-        container.style.width = '100%';
-        container.style.height = '100%';
-        container.style.minHeight = '400px';
-        await new Promise(resolve => setTimeout(resolve, 100));
+    });
+    
+    // End-of-round summary
+    const summary = document.getElementById('training-summary');
+    if (summary) {
+      summary.classList.toggle('hidden', training.phase !== TrainingPhase.FINISHED);
+      if (training.phase === TrainingPhase.FINISHED) {
+        const result = training.getSummary();
+        summary.innerHTML = '';
+        [
+          ['Score', result.score],
+          ['Best streak', result.bestStreak],
+          ['Deflected', `${result.deflected} / ${result.deflected + result.hits}`],
+          ['Accuracy', `${Math.round(result.accuracy * 100)}%`],
+          ['Level reached', result.level],
+        ].forEach(([label, value]) => {
+          const row = document.createElement('div');
+          row.className = 'flex justify-between';
+          const name = document.createElement('span');
+          name.className = 'text-gray-400';
+          name.textContent = label;
+          const number = document.createElement('span');
+          number.className = 'font-mono';
+          number.textContent = String(value);
+          row.append(name, number);
+          summary.appendChild(row);
+        });
       }
-      
-      this.visualization.initScene(container, 'three-canvas');
-      
-      console.log('✅ Visualization initialized successfully');
-      console.log('Scene:', this.visualization.scene);
-      console.log('Lightsaber:', this.visualization.lightsaber);
-      console.log('Renderer:', this.visualization.renderer);
+    }
+  }
+
+  // Rhythm mode (viewer)
+
+  /**
+   * Read a beat map file picked by the user and start it
+   */
+  async loadBeatMapFile(file) {
+    try {
+      const beatMap = parseBeatMap(await file.text());
+      this.startRhythm(beatMap);
     } catch (error) {
-      console.error('❌ Failed to initialize visualization:', error);
-      showErrorWithCopy(`Failed to initialize visualization: ${error.message}`);
+      console.warn('Could not load beat map:', error);
+      this.setRhythmStatus(error.message);
     }
   }
 
-  sendData(data) {
-    if (!this.webrtcManager) {
-      console.warn('⚠️ Cannot send data: WebRTC manager not initialized', data.type);
+  /**
+   * Play a parsed beat map with the first controller's saber
+   */
+  startRhythm(beatMap) {
+    const saberId = this.getControllerSaberIds()[0];
+    if (!saberId || !this.visualization?.hasSaber(saberId)) {
+      this.setRhythmStatus('Connect a controller to play');
       return;
     }
     
-    if (!this.isConnected) {
-      console.warn('⚠️ Cannot send data: Not connected yet', {
-        isConnected: this.isConnected,
-        dataType: data.type
-      });
+    this.stopGameModes('rhythm');
+    this.rhythmBlocks?.dispose();
+    this.rhythmSaberId = saberId;
+    this.visualization.getSaber(saberId).ignite();
+    this.rhythmBlocks = new RhythmBlocks(this.visualization.scene);
+    this.rhythm.start(beatMap, performance.now());
+  }
+
+  updateRhythm(now) {
+    if (!this.rhythm.isActive() || !this.visualization) return;
+    
+    const saber = this.visualization.hasSaber(this.rhythmSaberId) ? this.visualization.getSaber(this.rhythmSaberId) : null;
+    if (!saber || saber.removeWhenOff) {
+      // The player left
+      this.rhythm.stop();
       return;
     }
     
-    try {
-      console.log('📤 Sending data via WebRTC:', data.type);
-      this.webrtcManager.sendData(data);
-    } catch (error) {
-      console.error('❌ Failed to send data:', error, data);
-    }
+    this.rhythm.update(now);
+    this.rhythmBlocks?.sync(this.rhythm, now);
   }
 
-  handleDataReceived(data, peerId) {
-    try {
-      // Parse JSON if needed
-      let parsedData = data;
-      if (typeof data === 'string') {
-        parsedData = JSON.parse(data);
-      }
-      
-      // Skip handshake messages
-      if (parsedData.type === 'handshake' || parsedData.type === 'connection_ack' || parsedData.type === 'connection_verify') {
-        return;
-      }
-      
-      // Skip quality ping/pong
-      if (parsedData.type === 'quality_ping' || parsedData.type === 'quality_pong') {
-        return;
-      }
-      
-      console.log('📥 Received data:', parsedData.type, 'from:', peerId, parsedData);
-      
-      // Handle different data types
-      switch (parsedData.type) {
-        case 'gyro_data':
-          this.handleGyroData(parsedData);
-          break;
-        case 'motion_data':
-          this.handleMotionData(parsedData);
-          break;
-        case 'audio_data':
-          this.handleAudioData(parsedData);
-          break;
-        default:
-          console.log('Unknown data type:', parsedData.type);
+  /**
+   * Swings (and blocks/flicks, which are swings that stopped short) cut blocks
+   */
+  handleRhythmGesture(data, peerId) {
+    if (this.rhythm.phase !== RhythmPhase.PLAYING) return;
+    if (this.getSaberId(data, peerId) !== this.rhythmSaberId) return;
+    if (!['swing', 'block', 'flick'].includes(data.gesture)) return;
+    
+    this.rhythm.handleSwing(data.direction, performance.now());
+  }
+
+  handleRhythmEvent(event) {
+    switch (event.type) {
+      case 'beat':
+        this.saberAudio.playTick(event.beat % 4 === 0);
+        return; // Nothing on screen changes
+      case 'start':
+        this.setRhythmStatus(`${event.beatMap.title}${event.beatMap.artist ? ` - ${event.beatMap.artist}` : ''}`);
+        break;
+      case 'judgement': {
+        if (event.judgement !== Judgement.MISS) {
+          const saber = this.visualization?.hasSaber(this.rhythmSaberId) ? this.visualization.getSaber(this.rhythmSaberId) : null;
+          const t = this.rhythm.getSongTime(performance.now());
+          const point = blockPosition(event.note, Math.min(t, event.note.time), this.rhythm.beatMap.approach);
+          this.visualization?.emitSparks(point, saber?.bladeColor ?? 0xffffff, event.judgement === Judgement.PERFECT ? 30 : 15);
+        }
+        this.showRhythmJudgement(event.judgement);
+        break;
       }
-    } catch (error) {
-      console.error('Failed to handle received data:', error);
+      case 'end':
+        this.setRhythmStatus('Song over');
+        break;
+      case 'stop':
+        this.rhythmBlocks?.dispose();
+        this.rhythmBlocks = null;
+        this.rhythmSaberId = null;
+        this.setRhythmStatus('Swing through each block in its arrow\'s direction');
+        break;
     }
+    this.updateRhythmDisplay();
   }
 
-  handleGyroData(data) {
-    console.log('📱 Received gyro data:', data);
+  setRhythmStatus(text) {
+    const status = document.getElementById('rhythm-status');
+    if (status) {
+      status.textContent = text;
+    }
+  }
+
+  showRhythmJudgement(judgement) {
+    const label = document.getElementById('rhythm-judgement');
+    if (!label) return;
     
-    // Update status
-    this.updateDataStreamStatus('gyro');
+    const styles = {
+      [Judgement.PERFECT]: ['Perfect!', 'text-green-400'],
+      [Judgement.GOOD]: ['Good', 'text-yellow-300'],
+      [Judgement.MISS]: ['Miss', 'text-red-400'],
+    };
+    const [text, color] = styles[judgement];
+    label.textContent = text;
+    label.className = `text-center text-lg font-bold h-7 ${color}`;
+  }
+
+  updateRhythmDisplay() {
+    const panel = document.getElementById('rhythm-panel');
+    if (!panel) return;
     
-    if (this.visualization) {
-      // Check if values are valid numbers
-      const alpha = typeof data.alpha === 'number' && !isNaN(data.alpha) ? data.alpha : 0;
-      const beta = typeof data.beta === 'number' && !isNaN(data.beta) ? data.beta : 0;
-      const gamma = typeof data.gamma === 'number' && !isNaN(data.gamma) ? data.gamma : 0;
-      
-      console.log('🎯 Updating rotation:', { alpha, beta, gamma });
-      this.visualization.updateRotation(alpha, beta, gamma);
-    } else {
-      console.warn('⚠️ Visualization not initialized, cannot update rotation');
+    const rhythm = this.rhythm;
+    const playing = rhythm.phase === RhythmPhase.PLAYING;
+    const mode = this.getActiveGameMode();
+    panel.classList.toggle('hidden', this.isSpectator() || (mode ? mode !== 'rhythm' : this.getControllerSaberIds().length === 0));
+    
+    document.getElementById('rhythm-stop-btn')?.classList.toggle('hidden', !rhythm.isActive());
+    document.getElementById('rhythm-stats')?.classList.toggle('hidden', !playing);
+    const values = {
+      'rhythm-score': String(rhythm.score),
+      'rhythm-combo': `${rhythm.combo} (×${rhythm.getMultiplier()})`,
+      'rhythm-counts': `${rhythm.counts.perfect} / ${rhythm.counts.good} / ${rhythm.counts.miss}`,
+    };
+    Object.entries(values).forEach(([id, text]) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.textContent = text;
+      }
+    });
+    
+    // End-of-song summary
+    const summary = document.getElementById('rhythm-summary');
+    if (summary) {
+      summary.classList.toggle('hidden', rhythm.phase !== RhythmPhase.FINISHED);
+      if (rhythm.phase === RhythmPhase.FINISHED) {
+        const result = rhythm.getSummary();
+        summary.innerHTML = '';
+        [
+          ['Score', result.score],
+          ['Max combo', result.maxCombo],
+          ['Perfect', result.perfect],
+          ['Good', result.good],
+          ['Miss', result.miss],
+          ['Accuracy', `${Math.round(result.accuracy * 100)}%`],
+        ].forEach(([label, value]) => {
+          const row = document.createElement('div');
+          row.className = 'flex justify-between';
+          const name = document.createElement('span');
+          name.className = 'text-gray-400';
+          name.textContent = label;
+          const number = document.createElement('span');
+          number.className = 'font-mono';
+          number.textContent = String(value);
+          row.append(name, number);
+          summary.appendChild(row);
+        });
+      }
     }
   }
 
-  handleMotionData(data) {
-    console.log('🏃 Received motion data:', data);
+  // Saber customization panel (controller)
+
+  openSaberConfig() {
+    const config = loadSaberConfig(this.currentDeviceId);
     
-    // Update status
-    this.updateDataStreamStatus('motion');
+    const presets = document.getElementById('saber-preset-list');
+    if (presets && !presets.children.length) {
+      BLADE_PRESETS.forEach(preset => {
+        const swatch = document.createElement('button');
+        swatch.type = 'button';
+        swatch.title = preset.name;
+        swatch.className = 'w-8 h-8 rounded-full border-2 border-gray-600';
+        swatch.style.backgroundColor = preset.color;
+        swatch.addEventListener('click', () => {
+          const colorInput = document.getElementById('saber-color-input');
+          if (colorInput) colorInput.value = preset.color;
+        });
+        presets.appendChild(swatch);
+      });
+    }
     
-    if (this.visualization) {
-      this.visualization.updateMotion(data);
-    } else {
-      console.warn('⚠️ Visualization not initialized, cannot update motion');
+    const hiltSelect = document.getElementById('saber-hilt-select');
+    if (hiltSelect && !hiltSelect.options.length) {
+      HILT_STYLES.forEach(style => {
+        hiltSelect.add(new Option(style.charAt(0).toUpperCase() + style.slice(1), style));
+      });
+    }
+    
+    const colorInput = document.getElementById('saber-color-input');
+    if (colorInput) colorInput.value = config.color;
+    if (hiltSelect) hiltSelect.value = config.hilt;
+    const doubleInput = document.getElementById('saber-double-input');
+    if (doubleInput) doubleInput.checked = config.doubleBladed;
+    const hapticInput = document.getElementById('haptic-intensity-input');
+    if (hapticInput) hapticInput.value = String(this.haptics.intensity);
+    const hapticHint = document.getElementById('haptic-support-hint');
+    if (hapticHint) {
+      hapticHint.textContent = this.haptics.isVibrationSupported() ? '' : 'No vibration on this device - the screen flashes instead';
     }
+    
+    document.getElementById('saber-config-panel')?.classList.remove('hidden');
   }
 
-  handleAudioData(data) {
-    // Update status
-    this.updateDataStreamStatus('audio');
-    
-    if (this.visualization && data.volume !== undefined) {
-      // Map volume (0-1) to blade length
-      this.visualization.updateBladeLength(data.volume);
+  saveSaberConfigFromPanel() {
+    const config = normalizeSaberConfig({
+      color: document.getElementById('saber-color-input')?.value,
+      hilt: document.getElementById('saber-hilt-select')?.value,
+      doubleBladed: document.getElementById('saber-double-input')?.checked,
+    });
+    saveSaberConfig(this.currentDeviceId, config);
+    this.controllerPreview?.setColor(config.color);
+    const hapticInput = document.getElementById('haptic-intensity-input');
+    if (hapticInput) {
+      this.haptics.setIntensity(hapticInput.value);
+    }
+    this.webrtcManager?.setSaberConfig(formatSaberConfigMessage(config, this.currentDeviceId));
+    console.log('🎨 Saber config saved:', config);
+    this.closeSaberConfig();
+  }
+
+  closeSaberConfig() {
+    document.getElementById('saber-config-panel')?.classList.add('hidden');
+  }
+
+  handleSaberStateChange(state, saberId) {
+    // Replayed and mirrored sabers have no controller to tell
+    const hasController = !this.sessionPlayer && !this.isSpectator() && saberId !== DEFAULT_SABER_ID;
+    if (state === SaberState.IGNITING) {
+      this.saberAudio.playIgnite();
+      this.saberAudio.startHum();
+      // Let the controller feel its blade come on, and show it lit
+      if (hasController) {
+        this.sendHaptic(saberId, 'ignite');
+        this.sendSaberState(saberId, true);
+      }
+    } else if (state === SaberState.RETRACTING) {
+      this.saberAudio.playRetract();
+      if (hasController) {
+        this.sendSaberState(saberId, false);
+      }
+    } else if (state === SaberState.OFF && !this.visualization?.isLit()) {
+      // The hum is shared - stop it when the last saber goes out
+      this.saberAudio.stopHum();
+    }
+  }
+
+  unlockAudio() {
+    const deviceInfo = this.deviceDetector.getDeviceInfo();
+    if (deviceInfo.isMobile || this.saberAudio.isReady()) {
+      return;
+    }
+    if (this.saberAudio.unlock() && this.visualization?.isLit()) {
+      this.saberAudio.startHum();
+    }
+  }
+
+  updateAudioControls() {
+    const muteBtn = document.getElementById('audio-mute-btn');
+    if (muteBtn) {
+      muteBtn.textContent = this.saberAudio.muted || this.saberAudio.volume === 0 ? '🔇' : '🔊';
+    }
+    const volumeInput = document.getElementById('audio-volume-input');
+    if (volumeInput) {
+      volumeInput.value = this.saberAudio.volume;
     }
   }
 
@@ -623,6 +2594,16 @@ class App {
       };
       gameStatusIndicator.className = `w-2 h-2 rounded-full ${colorMap[status] || 'bg-gray-500'}`;
     }
+    
+    // Controller screen mirrors the game screen status
+    const controllerLinkText = document.getElementById('controller-link-text');
+    if (controllerLinkText) {
+      controllerLinkText.textContent = message || status;
+    }
+    const controllerLinkIndicator = document.getElementById('controller-link-indicator');
+    if (controllerLinkIndicator && gameStatusIndicator) {
+      controllerLinkIndicator.className = gameStatusIndicator.className;
+    }
   }
 
   handleConnectionQualityChange(peerId, quality) {
@@ -647,8 +2628,77 @@ class App {
     }
     
     if (connectedCount && this.webrtcManager) {
-      connectedCount.textContent = this.webrtcManager.connections?.size || 0;
+      // Spectators are listed on their own
+      connectedCount.textContent = (this.webrtcManager.connections?.size || 0) - this.webrtcManager.getSpectatorIds().length;
+    }
+  }
+
+  /**
+   * One block per connected peer with its latest getStats() diagnostics
+   */
+  renderDiagnostics() {
+    const list = document.getElementById('diagnostics-list');
+    if (!list || !this.webrtcManager) return;
+    
+    list.innerHTML = '';
+    const peerIds = Array.from(this.webrtcManager.connections.keys());
+    if (peerIds.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'text-gray-500';
+      empty.textContent = 'No connections';
+      list.appendChild(empty);
+      return;
     }
+    
+    peerIds.forEach(peerId => {
+      const stats = this.webrtcManager.getConnectionStats(peerId);
+      const block = document.createElement('div');
+      block.className = 'space-y-0.5';
+      
+      const title = document.createElement('p');
+      title.className = 'text-gray-300 truncate';
+      title.textContent = peerId;
+      title.title = peerId;
+      block.appendChild(title);
+      
+      const lines = [];
+      if (!stats) {
+        lines.push('Waiting for stats…');
+      } else {
+        const pair = stats.candidatePair;
+        const relayed = pair && (pair.localType === 'relay' || pair.remoteType === 'relay');
+        lines.push(pair
+          ? `Route: ${pair.localType} → ${pair.remoteType} (${pair.relayProtocol || pair.protocol})${relayed ? ' ⚠️' : ''}`
+          : 'Route: -');
+        lines.push(`ICE RTT: ${stats.rtt !== null ? `${Math.round(stats.rtt)}ms` : '-'}`);
+        lines.push(`Out: ${formatByteRate(stats.rates.bytesSentPerSecond)}, ${Math.round(stats.rates.messagesSentPerSecond)} msg/s`);
+        lines.push(`In: ${formatByteRate(stats.rates.bytesReceivedPerSecond)}, ${Math.round(stats.rates.messagesReceivedPerSecond)} msg/s`);
+        lines.push(`Sensor loss: ${stats.loss ? `${(stats.loss.lossRate * 100).toFixed(1)}% (${stats.loss.lost}/${stats.loss.expected})` : '-'}`);
+        const { reliable, sensor } = stats.bufferedAmount;
+        lines.push(`Buffered: ${reliable ?? '-'} B reliable, ${sensor ?? '-'} B sensor`);
+      }
+      lines.forEach(text => {
+        const line = document.createElement('p');
+        line.className = 'text-gray-400';
+        line.textContent = text;
+        block.appendChild(line);
+      });
+      
+      list.appendChild(block);
+    });
+  }
+
+  exportDiagnostics() {
+    if (!this.webrtcManager) return;
+    
+    const snapshot = this.webrtcManager.getDiagnosticsSnapshot();
+    const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `lightsaber-diagnostics-${snapshot.generatedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
   }
 
   updatePeerIdDisplay() {
@@ -772,6 +2822,8 @@ class App {
   }
 
   disconnect() {
+    this.closeManualPairing();
+    
     // Stop all sensors
     if (this.gyroscopeHandler) {
       this.gyroscopeHandler.stopListening();
@@ -783,6 +2835,27 @@ class App {
       this.motionHandler = null;
     }
     
+    if (this.virtualController) {
+      this.virtualController.stop();
+      this.virtualController = null;
+      document.getElementById('virtual-controller-panel')?.classList.add('hidden');
+    }
+    
+    if (this.orientationFusion) {
+      this.orientationFusion.stop();
+      this.orientationFusion = null;
+    }
+    
+    if (this.gestureRecognizer) {
+      this.gestureRecognizer.stop();
+      this.gestureRecognizer = null;
+    }
+    
+    this.calibration = null;
+    this.shakeDetector = null;
+    this.hideCalibrationPrompt();
+    this.hideControllerScreen();
+    
     if (this.microphoneHandler) {
       this.microphoneHandler.stopListening();
       this.microphoneHandler = null;
@@ -796,16 +2869,15 @@ class App {
     
     // Reset state
     this.isConnected = false;
+    this.playoutBuffers.clear();
+    this.spectatorView?.clear();
+    this.stopGameModes();
     
-    // For desktop, keep visualization running (just reset rotation)
+    // For desktop, keep visualization running and animate the sabers off
     const deviceInfo = this.deviceDetector.getDeviceInfo();
     if (!deviceInfo.isMobile && this.visualization) {
-      // Reset lightsaber to default position
-      this.visualization.targetRotation = { x: 0, y: 0, z: 0 };
-      this.visualization.currentRotation = { x: 0, y: 0, z: 0 };
-      this.visualization.targetBladeLength = this.visualization.baseBladeLength;
-      this.visualization.currentBladeLength = this.visualization.baseBladeLength;
-      console.log('Reset lightsaber to default position');
+      this.visualization.removeAllSabers();
+      console.log('Retracting lightsabers');
     } else {
       // For mobile, dispose visualization
       if (this.visualization) {
@@ -816,6 +2888,9 @@ class App {
     
     // Stop status updates
     this.stopDataStreamStatusUpdates();
+    this.updateDuelDisplay();
+    this.updateTrainingDisplay();
+    this.updateRhythmDisplay();
     
     // Return to homepage
     this.showHomepage();
@@ -824,7 +2899,7 @@ class App {
     this.initializeRoom();
   }
 
-  updateDataStreamStatus(type) {
+  updateDataStreamStatus(type, peerId = null) {
     const now = Date.now();
     const status = this.dataStreamStatus[type];
     
@@ -832,6 +2907,93 @@ class App {
       status.lastUpdate = now;
       status.count++;
     }
+    
+    // Per-controller rows (viewer)
+    if (peerId) {
+      if (!this.peerStreamStatus.has(peerId)) {
+        this.peerStreamStatus.set(peerId, this.createStreamStatus());
+        this.renderPeerStreamList();
+      }
+      const peerStatus = this.peerStreamStatus.get(peerId)[type];
+      if (peerStatus) {
+        peerStatus.lastUpdate = now;
+        peerStatus.count++;
+      }
+    }
+  }
+
+  createStreamStatus() {
+    return {
+      audio: { lastUpdate: null, count: 0, rate: 0 },
+      gyro: { lastUpdate: null, count: 0, rate: 0 },
+      motion: { lastUpdate: null, count: 0, rate: 0 },
+      orientation: { lastUpdate: null, count: 0, rate: 0 }
+    };
+  }
+
+  /**
+   * Rebuild the per-controller rows (one per saber) in the overlay
+   */
+  renderPeerStreamList() {
+    const list = document.getElementById('peer-stream-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    list.classList.toggle('hidden', this.peerStreamStatus.size === 0);
+    
+    this.peerStreamStatus.forEach((status, peerId) => {
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-2';
+      row.dataset.peerId = peerId;
+      
+      const name = document.createElement('span');
+      name.className = 'flex items-center gap-1 text-xs truncate';
+      const swatch = document.createElement('span');
+      swatch.className = 'peer-saber-color w-2 h-2 rounded-full flex-shrink-0';
+      const label = document.createElement('span');
+      label.className = 'truncate';
+      label.textContent = peerId;
+      label.title = peerId;
+      name.append(swatch, label);
+      
+      const streams = document.createElement('span');
+      streams.className = 'peer-streams text-xs font-mono whitespace-nowrap';
+      
+      row.append(name, streams);
+      list.appendChild(row);
+    });
+    
+    this.updatePeerStreamList();
+  }
+
+  updatePeerStreamList(now = Date.now()) {
+    const timeout = 2000;
+    const icons = { audio: '🎤', gyro: '📱', motion: '🏃', orientation: '🧭' };
+    
+    document.querySelectorAll('#peer-stream-list [data-peer-id]').forEach(row => {
+      const peerId = row.dataset.peerId;
+      const status = this.peerStreamStatus.get(peerId);
+      if (!status) return;
+      
+      const saber = this.visualization?.hasSaber(peerId) ? this.visualization.getSaber(peerId) : null;
+      const swatch = row.querySelector('.peer-saber-color');
+      if (swatch) {
+        swatch.style.backgroundColor = saber ? `#${saber.bladeColor.getHexString()}` : '#6b7280';
+      }
+      
+      const streams = row.querySelector('.peer-streams');
+      if (streams) {
+        streams.innerHTML = '';
+        Object.entries(icons).forEach(([type, icon]) => {
+          const stream = status[type];
+          const active = stream.lastUpdate && (now - stream.lastUpdate) < timeout;
+          const item = document.createElement('span');
+          item.className = `ml-1 ${active ? 'text-green-400' : 'text-gray-500'}`;
+          item.textContent = `${icon}${active ? stream.rate : '-'}`;
+          streams.appendChild(item);
+        });
+      }
+    });
   }
 
   startDataStreamStatusUpdates() {
@@ -902,15 +3064,47 @@ class App {
       }
     }
     
+    // Orientation status
+    const orientationStatus = this.dataStreamStatus.orientation;
+    const orientationElement = document.getElementById('orientation-status');
+    if (orientationElement) {
+      if (orientationStatus.lastUpdate && (now - orientationStatus.lastUpdate) < timeout) {
+        orientationElement.textContent = `Active (${orientationStatus.rate}/s)`;
+        orientationElement.className = 'text-xs font-mono text-green-400';
+      } else {
+        orientationElement.textContent = 'Inactive';
+        orientationElement.className = 'text-xs font-mono text-gray-500';
+      }
+    }
+    
     // Calculate rates (reset count every second)
     if (!this.lastRateCalculation || (now - this.lastRateCalculation) >= 1000) {
       this.lastRateCalculation = now;
       audioStatus.rate = audioStatus.count;
       gyroStatus.rate = gyroStatus.count;
       motionStatus.rate = motionStatus.count;
+      orientationStatus.rate = orientationStatus.count;
       audioStatus.count = 0;
       gyroStatus.count = 0;
       motionStatus.count = 0;
+      orientationStatus.count = 0;
+      
+      this.peerStreamStatus.forEach(peerStatus => {
+        Object.values(peerStatus).forEach(stream => {
+          stream.rate = stream.count;
+          stream.count = 0;
+        });
+      });
+    }
+    
+    this.updatePeerStreamList(now);
+    this.updateControllerScreen();
+    this.updateDuelDisplay();
+    this.updateTrainingDisplay();
+    this.updateRhythmDisplay();
+    
+    if (this.sessionRecorder.isRecording) {
+      this.updateSessionDisplay();
     }
   }
 
@@ -918,6 +3112,7 @@ class App {
     const audioElement = document.getElementById('audio-status');
     const gyroElement = document.getElementById('gyro-status');
     const motionElement = document.getElementById('motion-status');
+    const orientationElement = document.getElementById('orientation-status');
     
     if (audioElement) {
       audioElement.textContent = '-';
@@ -931,13 +3126,21 @@ class App {
       motionElement.textContent = '-';
       motionElement.className = 'text-xs font-mono text-gray-500';
     }
+    if (orientationElement) {
+      orientationElement.textContent = '-';
+      orientationElement.className = 'text-xs font-mono text-gray-500';
+    }
+    
+    const gestureStatus = document.getElementById('gesture-status');
+    if (gestureStatus) {
+      gestureStatus.textContent = '-';
+      gestureStatus.className = 'text-xs font-mono text-gray-500';
+    }
     
     // Reset status data
-    this.dataStreamStatus = {
-      audio: { lastUpdate: null, count: 0, rate: 0 },
-      gyro: { lastUpdate: null, count: 0, rate: 0 },
-      motion: { lastUpdate: null, count: 0, rate: 0 }
-    };
+    this.dataStreamStatus = this.createStreamStatus();
+    this.peerStreamStatus.clear();
+    this.renderPeerStreamList();
   }
 }
 
@@ -0,0 +1,316 @@
+// Manual Pairing - Serverless WebRTC pairing by exchanging SDP via QR codes
+//
+// The desktop creates an offer and shows it as a QR code, the phone scans it and
+// shows its answer as a QR code, and the desktop scans that back. No signaling
+// server is involved, so this works on a LAN with no internet access.
+
+const PAYLOAD_PREFIX = 'LSP1'; // Lightsaber SDP payload, version 1
+const ICE_GATHERING_TIMEOUT = 3000; // STUN servers are unreachable offline, don't wait forever
+
+const SETUP_CODES = { actpass: 'a', active: 'c', passive: 'p' };
+const CANDIDATE_TYPE_CODES = { host: 'h', srflx: 's', prflx: 'p', relay: 'r' };
+const CANDIDATE_TYPE_PREFERENCE = { host: 126, prflx: 110, srflx: 100, relay: 0 };
+
+function invert(map) {
+  return Object.fromEntries(Object.entries(map).map(([key, value]) => [value, key]));
+}
+
+function hexToBase64(hex) {
+  const bytes = hex.split(':').map(byte => String.fromCharCode(parseInt(byte, 16)));
+  return btoa(bytes.join(''));
+}
+
+function base64ToHex(base64) {
+  return Array.from(atob(base64))
+    .map(char => char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'))
+    .join(':');
+}
+
+/**
+ * Compress a data-channel-only session description into a short string
+ * Keeps only what is needed to rebuild the SDP: ICE credentials, DTLS
+ * fingerprint, DTLS role and the UDP candidates of component 1
+ */
+export function encodeSessionDescription(description) {
+  const { type, sdp } = description;
+  const lines = sdp.split(/\r?\n/);
+  const find = (prefix) => lines.find(line => line.startsWith(prefix))?.slice(prefix.length);
+
+  const ufrag = find('a=ice-ufrag:');
+  const pwd = find('a=ice-pwd:');
+  const fingerprint = find('a=fingerprint:sha-256 ');
+  const setup = find('a=setup:');
+
+  if (!ufrag || !pwd || !fingerprint || !setup) {
+    throw new Error('Session description is missing ICE credentials or DTLS fingerprint');
+  }
+
+  const candidates = lines
+    .filter(line => line.startsWith('a=candidate:'))
+    .map(line => line.slice('a=candidate:'.length).split(' '))
+    .filter(parts => parts[1] === '1' && parts[2].toLowerCase() === 'udp')
+    .map(parts => `${CANDIDATE_TYPE_CODES[parts[7]] || 'h'}${parts[4]},${parts[5]}`);
+
+  return [
+    PAYLOAD_PREFIX,
+    type === 'offer' ? 'o' : 'a',
+    ufrag,
+    pwd,
+    hexToBase64(fingerprint),
+    SETUP_CODES[setup] || 'a',
+    candidates.join(';'),
+  ].join('|');
+}
+
+/**
+ * Rebuild a full session description from an encoded payload
+ */
+export function decodeSessionDescription(payload) {
+  const parts = (payload || '').trim().split('|');
+
+  if (parts.length !== 7 || parts[0] !== PAYLOAD_PREFIX) {
+    throw new Error('Not a lightsaber pairing code');
+  }
+
+  const [, typeCode, ufrag, pwd, fingerprint, setupCode, candidateList] = parts;
+  const type = typeCode === 'o' ? 'offer' : 'answer';
+  const setup = invert(SETUP_CODES)[setupCode] || 'actpass';
+  const candidateTypes = invert(CANDIDATE_TYPE_CODES);
+
+  const candidates = candidateList
+    .split(';')
+    .filter(Boolean)
+    .map((entry, index) => {
+      const candidateType = candidateTypes[entry[0]] || 'host';
+      const separator = entry.lastIndexOf(',');
+      const address = entry.slice(1, separator);
+      const port = entry.slice(separator + 1);
+      const priority = (CANDIDATE_TYPE_PREFERENCE[candidateType] << 24) + ((65535 - index) << 8) + 255;
+      return `a=candidate:${index + 1} 1 udp ${priority} ${address} ${port} typ ${candidateType}`;
+    });
+
+  const sdp = [
+    'v=0',
+    `o=- ${Date.now()} 2 IN IP4 127.0.0.1`,
+    's=-',
+    't=0 0',
+    'a=group:BUNDLE 0',
+    'a=msid-semantic: WMS',
+    'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+    'c=IN IP4 0.0.0.0',
+    ...candidates,
+    'a=end-of-candidates',
+    `a=ice-ufrag:${ufrag}`,
+    `a=ice-pwd:${pwd}`,
+    `a=fingerprint:sha-256 ${base64ToHex(fingerprint)}`,
+    `a=setup:${setup}`,
+    'a=mid:0',
+    'a=sctp-port:5000',
+    'a=max-message-size:262144',
+    '',
+  ].join('\r\n');
+
+  return { type, sdp };
+}
+
+export function isOfferPayload(payload) {
+  return typeof payload === 'string' && payload.startsWith(`${PAYLOAD_PREFIX}|o|`);
+}
+
+export function isAnswerPayload(payload) {
+  return typeof payload === 'string' && payload.startsWith(`${PAYLOAD_PREFIX}|a|`);
+}
+
+/**
+ * Minimal stand-in for a PeerJS DataConnection backed by a raw RTCDataChannel,
+ * so WebRTCManager can treat manually paired peers like any other connection
+ */
+export class ManualDataConnection {
+  constructor(peerId, peerConnection, dataChannel) {
+    this.peer = peerId;
+    this.peerConnection = peerConnection;
+    this.dataChannel = dataChannel;
+    this.label = dataChannel.label;
+    this.serialization = 'json';
+    this.listeners = new Map(); // Map of event -> [callbacks]
+    this.closed = false;
+
+    dataChannel.onopen = () => this.emit('open');
+    dataChannel.onclose = () => this.handleClose();
+    dataChannel.onerror = (event) => this.emit('error', event.error || new Error('Data channel error'));
+    dataChannel.onmessage = (event) => {
+      try {
+        this.emit('data', JSON.parse(event.data));
+      } catch (error) {
+        console.error('Failed to parse manual pairing message:', error);
+      }
+    };
+
+    peerConnection.addEventListener('connectionstatechange', () => {
+      if (peerConnection.connectionState === 'failed' || peerConnection.connectionState === 'closed') {
+        this.handleClose();
+      }
+    });
+
+    // The channel can already be open when handed over by ondatachannel
+    if (dataChannel.readyState === 'open') {
+      setTimeout(() => this.emit('open'), 0);
+    }
+  }
+
+  get open() {
+    return !this.closed && this.dataChannel.readyState === 'open';
+  }
+
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  emit(event, ...args) {
+    (this.listeners.get(event) || []).forEach(callback => {
+      try {
+        callback(...args);
+      } catch (error) {
+        console.error(`Error in manual connection ${event} handler:`, error);
+      }
+    });
+  }
+
+  send(data) {
+    // Same wire format as PeerJS 'json' serialization
+    this.dataChannel.send(JSON.stringify(data));
+  }
+
+  handleClose() {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close');
+  }
+
+  close() {
+    try {
+      this.dataChannel.close();
+      this.peerConnection.close();
+    } catch (error) {
+      console.error('Error closing manual connection:', error);
+    }
+    this.handleClose();
+  }
+}
+
+export class ManualPairing {
+  constructor(rtcConfig) {
+    this.rtcConfig = rtcConfig;
+    this.peerConnection = null;
+    this.connection = null;
+    this.connectionCallbacks = [];
+  }
+
+  /**
+   * Offerer side (desktop): create the data channel and return the encoded offer
+   */
+  async createOffer() {
+    this.reset();
+    this.peerConnection = new RTCPeerConnection(this.rtcConfig);
+
+    const dataChannel = this.peerConnection.createDataChannel('data', { ordered: true });
+    this.setConnection(dataChannel);
+
+    const offer = await this.peerConnection.createOffer();
+    await this.peerConnection.setLocalDescription(offer);
+    await this.waitForIceGathering();
+
+    return encodeSessionDescription(this.peerConnection.localDescription);
+  }
+
+  /**
+   * Answerer side (phone): apply the scanned offer and return the encoded answer
+   */
+  async acceptOffer(payload) {
+    if (!isOfferPayload(payload)) {
+      throw new Error('Scanned code is not a pairing offer');
+    }
+
+    this.reset();
+    this.peerConnection = new RTCPeerConnection(this.rtcConfig);
+    this.peerConnection.ondatachannel = (event) => {
+      this.setConnection(event.channel);
+    };
+
+    await this.peerConnection.setRemoteDescription(decodeSessionDescription(payload));
+    const answer = await this.peerConnection.createAnswer();
+    await this.peerConnection.setLocalDescription(answer);
+    await this.waitForIceGathering();
+
+    return encodeSessionDescription(this.peerConnection.localDescription);
+  }
+
+  /**
+   * Offerer side (desktop): apply the answer scanned from the phone
+   */
+  async acceptAnswer(payload) {
+    if (!isAnswerPayload(payload)) {
+      throw new Error('Scanned code is not a pairing answer');
+    }
+    if (!this.peerConnection || this.peerConnection.signalingState !== 'have-local-offer') {
+      throw new Error('No pending pairing offer. Start manual pairing again.');
+    }
+
+    await this.peerConnection.setRemoteDescription(decodeSessionDescription(payload));
+  }
+
+  /**
+   * Register a callback for the connection object (fires before it opens)
+   */
+  onConnection(callback) {
+    this.connectionCallbacks.push(callback);
+  }
+
+  setConnection(dataChannel) {
+    const peerId = `manual-${Math.random().toString(36).substr(2, 9)}`;
+    this.connection = new ManualDataConnection(peerId, this.peerConnection, dataChannel);
+    this.connectionCallbacks.forEach(callback => {
+      try {
+        callback(this.connection);
+      } catch (error) {
+        console.error('Error in manual pairing callback:', error);
+      }
+    });
+  }
+
+  waitForIceGathering() {
+    const peerConnection = this.peerConnection;
+    if (peerConnection.iceGatheringState === 'complete') {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const timeout = setTimeout(done, ICE_GATHERING_TIMEOUT);
+      function done() {
+        clearTimeout(timeout);
+        peerConnection.removeEventListener('icegatheringstatechange', check);
+        resolve();
+      }
+      function check() {
+        if (peerConnection.iceGatheringState === 'complete') {
+          done();
+        }
+      }
+      peerConnection.addEventListener('icegatheringstatechange', check);
+    });
+  }
+
+  /**
+   * Drop a pairing attempt that never connected
+   */
+  reset() {
+    if (this.peerConnection && !(this.connection && this.connection.open)) {
+      this.peerConnection.close();
+    }
+    this.peerConnection = null;
+    this.connection = null;
+  }
+}
@@ -186,8 +186,9 @@ export class MotionHandler {
     // Calculate speed (magnitude of velocity)
     const speed = Math.sqrt(velocity.x ** 2 + velocity.y ** 2 + velocity.z ** 2);
 
-    // Calculate rotation rate if available
-    const rotationRate = event.rotationRate || { alpha: 0, beta: 0, gamma: 0 };
+    // Rotation rate if the device has a gyroscope - null (not 0) without one, so
+    // OrientationFusion can tell "no gyro" from "not rotating"
+    const rotationRate = event.rotationRate || {};
 
     // Store current values for next calculation
     this.lastAcceleration = acceleration;
@@ -209,9 +210,9 @@ export class MotionHandler {
       },
       speed: speed,
       rotationRate: {
-        alpha: rotationRate.alpha || 0,
-        beta: rotationRate.beta || 0,
-        gamma: rotationRate.gamma || 0,
+        alpha: rotationRate.alpha ?? null,
+        beta: rotationRate.beta ?? null,
+        gamma: rotationRate.gamma ?? null,
       },
       deviceId: this.deviceId,
     };
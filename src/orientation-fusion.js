@@ -0,0 +1,222 @@
+// Orientation Fusion - Fuses gyro rate, accelerometer and device orientation into one quaternion
+//
+// Complementary (Mahony-style) filter running on the controller:
+// - rotationRate is integrated for fast, smooth response
+// - the gravity direction from the accelerometer pulls pitch/roll back when the phone is not swinging
+// - absolute deviceorientation readings slowly correct the remaining (yaw) drift
+//
+// Quaternions map the device frame (x right, y top of screen, z out of screen)
+// to the W3C earth frame (x east, y north, z up), as plain { x, y, z, w } objects.
+import { degToRad, throttle } from './utils.js';
+
+const GRAVITY = 9.81;
+
+export function quatMultiply(a, b) {
+  return {
+    x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+    y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+    z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+    w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+  };
+}
+
+export function quatConjugate(q) {
+  return { x: -q.x, y: -q.y, z: -q.z, w: q.w };
+}
+
+export function quatNormalize(q) {
+  const length = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z + q.w * q.w) || 1;
+  return { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length };
+}
+
+function quatFromAxisAngle(x, y, z, angle) {
+  const half = angle / 2;
+  const s = Math.sin(half);
+  return { x: x * s, y: y * s, z: z * s, w: Math.cos(half) };
+}
+
+/**
+ * Quaternion for a deviceorientation reading (degrees, intrinsic Z-X'-Y'' order per W3C spec)
+ */
+export function quatFromDeviceOrientation(alpha, beta, gamma) {
+  const qz = quatFromAxisAngle(0, 0, 1, degToRad(alpha || 0));
+  const qx = quatFromAxisAngle(1, 0, 0, degToRad(beta || 0));
+  const qy = quatFromAxisAngle(0, 1, 0, degToRad(gamma || 0));
+  return quatMultiply(quatMultiply(qz, qx), qy);
+}
+
+/**
+ * Rotate a vector { x, y, z } by a quaternion
+ */
+export function rotateVector(q, v) {
+  const p = quatMultiply(quatMultiply(q, { x: v.x, y: v.y, z: v.z, w: 0 }), quatConjugate(q));
+  return { x: p.x, y: p.y, z: p.z };
+}
+
+/**
+ * Spherical interpolation along the shortest path
+ */
+export function quatSlerp(a, b, t) {
+  let cosHalfTheta = a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w;
+  let target = b;
+
+  if (cosHalfTheta < 0) {
+    target = { x: -b.x, y: -b.y, z: -b.z, w: -b.w };
+    cosHalfTheta = -cosHalfTheta;
+  }
+
+  if (cosHalfTheta > 0.9995) {
+    // Nearly identical - linear interpolation avoids dividing by ~0
+    return quatNormalize({
+      x: a.x + (target.x - a.x) * t,
+      y: a.y + (target.y - a.y) * t,
+      z: a.z + (target.z - a.z) * t,
+      w: a.w + (target.w - a.w) * t,
+    });
+  }
+
+  const halfTheta = Math.acos(cosHalfTheta);
+  const sinHalfTheta = Math.sqrt(1 - cosHalfTheta * cosHalfTheta);
+  const ratioA = Math.sin((1 - t) * halfTheta) / sinHalfTheta;
+  const ratioB = Math.sin(t * halfTheta) / sinHalfTheta;
+
+  return {
+    x: a.x * ratioA + target.x * ratioB,
+    y: a.y * ratioA + target.y * ratioB,
+    z: a.z * ratioA + target.z * ratioB,
+    w: a.w * ratioA + target.w * ratioB,
+  };
+}
+
+export class OrientationFusion {
+  constructor(options = {}) {
+    this.accelerometerGain = options.accelerometerGain ?? 2.0; // Proportional tilt correction (rad/s per unit error)
+    this.orientationGain = options.orientationGain ?? 0.02; // Slerp factor toward deviceorientation per reading
+    this.maxTimeStep = options.maxTimeStep ?? 0.1; // Seconds - ignore gaps longer than this
+
+    this.quaternion = { x: 0, y: 0, z: 0, w: 1 };
+    this.initialized = false;
+    this.hasGyro = false;
+    this.lastMotionTimestamp = null;
+
+    this.isRunning = false;
+    this.callback = null;
+    this.deviceId = null;
+
+    // Throttle data transmission to ~60fps (16ms interval)
+    this.throttledSend = throttle((data) => {
+      if (this.callback) {
+        this.callback(data);
+      }
+    }, 16);
+  }
+
+  start(callback, deviceId) {
+    this.callback = callback;
+    this.deviceId = deviceId;
+    this.isRunning = true;
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.callback = null;
+    this.reset();
+  }
+
+  reset() {
+    this.quaternion = { x: 0, y: 0, z: 0, w: 1 };
+    this.initialized = false;
+    this.hasGyro = false;
+    this.lastMotionTimestamp = null;
+  }
+
+  /**
+   * Absolute orientation reading (gyro_data from GyroscopeHandler)
+   */
+  handleOrientation(data) {
+    const reference = quatFromDeviceOrientation(data.alpha, data.beta, data.gamma);
+
+    if (!this.initialized) {
+      this.quaternion = reference;
+      this.initialized = true;
+    } else {
+      // With a gyro, only nudge toward the reading to remove drift; without one, follow it
+      this.quaternion = quatNormalize(quatSlerp(this.quaternion, reference, this.hasGyro ? this.orientationGain : 1));
+    }
+
+    if (!this.hasGyro) {
+      this.emit(data.timestamp);
+    }
+  }
+
+  /**
+   * Motion reading (motion_data from MotionHandler): integrate rotationRate, correct tilt with gravity
+   */
+  handleMotion(data) {
+    const timestamp = data.timestamp ?? Date.now();
+    const previous = this.lastMotionTimestamp;
+    this.lastMotionTimestamp = timestamp;
+
+    const rate = data.rotationRate;
+    if (!rate || (rate.alpha == null && rate.beta == null && rate.gamma == null)) {
+      return;
+    }
+    this.hasGyro = true;
+    this.initialized = true;
+
+    if (previous === null) {
+      return;
+    }
+    const dt = (timestamp - previous) / 1000;
+    if (dt <= 0 || dt > this.maxTimeStep) {
+      return;
+    }
+
+    // rotationRate: alpha around z, beta around x, gamma around y (deg/s, device frame)
+    let wx = degToRad(rate.beta || 0);
+    let wy = degToRad(rate.gamma || 0);
+    let wz = degToRad(rate.alpha || 0);
+
+    // Tilt correction: only trust the accelerometer when it mostly measures gravity
+    const a = data.acceleration;
+    if (a) {
+      const magnitude = Math.sqrt((a.x || 0) ** 2 + (a.y || 0) ** 2 + (a.z || 0) ** 2);
+      if (magnitude > GRAVITY * 0.8 && magnitude < GRAVITY * 1.2) {
+        const measuredUp = { x: a.x / magnitude, y: a.y / magnitude, z: a.z / magnitude };
+        const estimatedUp = rotateVector(quatConjugate(this.quaternion), { x: 0, y: 0, z: 1 });
+        // Error is the rotation that would bring the estimate onto the measurement
+        wx += this.accelerometerGain * (measuredUp.y * estimatedUp.z - measuredUp.z * estimatedUp.y);
+        wy += this.accelerometerGain * (measuredUp.z * estimatedUp.x - measuredUp.x * estimatedUp.z);
+        wz += this.accelerometerGain * (measuredUp.x * estimatedUp.y - measuredUp.y * estimatedUp.x);
+      }
+    }
+
+    const angularSpeed = Math.sqrt(wx * wx + wy * wy + wz * wz);
+    if (angularSpeed > 0) {
+      const delta = quatFromAxisAngle(wx / angularSpeed, wy / angularSpeed, wz / angularSpeed, angularSpeed * dt);
+      this.quaternion = quatNormalize(quatMultiply(this.quaternion, delta));
+    }
+
+    this.emit(timestamp);
+  }
+
+  emit(timestamp) {
+    if (!this.isRunning || !this.initialized) {
+      return;
+    }
+    this.throttledSend(this.formatDataForTransmission(timestamp));
+  }
+
+  formatDataForTransmission(timestamp = Date.now()) {
+    return {
+      type: 'orientation_data',
+      timestamp,
+      quaternion: { ...this.quaternion },
+      deviceId: this.deviceId,
+    };
+  }
+
+  getQuaternion() {
+    return { ...this.quaternion };
+  }
+}
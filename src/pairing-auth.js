@@ -0,0 +1,104 @@
+// Pairing Auth - Short authentication string (SAS) and trusted devices for incoming peers
+//
+// Anyone who learns a keyphrase can reach our peer ID, so incoming connections wait
+// for an explicit accept. To spot a man in the middle, both screens show a SAS: a
+// few emoji derived from the DTLS certificate fingerprints of the two ends. Each side
+// sees its own and the other's fingerprint, so the codes only match when both ends
+// are talking to each other directly.
+//
+// Devices accepted with "trust" are remembered by their handshake deviceId and marked
+// as trusted in the next prompt. The deviceId is self-reported, so trust never skips
+// the prompt: anyone can claim a trusted ID, and the SAS is the actual check.
+
+// 64 symbols, 6 bits each
+export const SAS_SYMBOLS = [
+  '🐶', '🐱', '🦊', '🐻', '🐼', '🐨', '🐯', '🦁',
+  '🐮', '🐷', '🐸', '🐵', '🐔', '🐧', '🐦', '🦉',
+  '🐴', '🦄', '🐝', '🦋', '🐌', '🐞', '🐢', '🐍',
+  '🐙', '🦀', '🐬', '🐳', '🦈', '🌵', '🌲', '🌻',
+  '🍄', '🌙', '⭐', '🔥', '🌈', '❄️', '⚡', '🌊',
+  '🍎', '🍌', '🍇', '🍓', '🍒', '🥕', '🌽', '🍕',
+  '🍩', '🎂', '☕', '🎸', '🎺', '🥁', '🎲', '🚀',
+  '🚲', '⛵', '🏠', '🔑', '🔔', '📷', '💡', '⚓',
+];
+export const SAS_LENGTH = 6;
+
+export const PairingState = {
+  AWAITING: 'awaiting', // Incoming: waiting for our accept / outgoing: for theirs
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  CLOSED: 'closed', // Went away before a decision
+};
+
+const STORAGE_KEY = 'trusted_devices';
+
+/**
+ * The DTLS certificate fingerprint from an SDP ("sha-256 AB:CD:..."), or null
+ */
+export function extractFingerprint(sdp) {
+  const match = /^a=fingerprint:(\S+) ([0-9A-Fa-f:]+)/m.exec(sdp || '');
+  return match ? `${match[1].toLowerCase()} ${match[2].toUpperCase()}` : null;
+}
+
+/**
+ * SAS for a pair of fingerprints - the same on both ends whichever is local
+ * @returns {Promise<string[]>} SAS_LENGTH symbols
+ */
+export async function computeSas(localFingerprint, remoteFingerprint) {
+  const [first, second] = [localFingerprint, remoteFingerprint].sort();
+  const data = new TextEncoder().encode(`${first}|${second}`);
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+  return Array.from(hash.slice(0, SAS_LENGTH), byte => SAS_SYMBOLS[byte & 0x3f]);
+}
+
+/**
+ * SAS for an RTCPeerConnection once both descriptions are set, or null
+ */
+export async function computeConnectionSas(peerConnection) {
+  const local = extractFingerprint(peerConnection?.localDescription?.sdp);
+  const remote = extractFingerprint(peerConnection?.remoteDescription?.sdp);
+  if (!local || !remote) {
+    return null;
+  }
+  return computeSas(local, remote);
+}
+
+// localStorage persistence: deviceId -> { label, trustedAt }
+export function loadTrustedDevices() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (e) {
+    console.warn('Failed to read trusted devices from localStorage:', e);
+    return {};
+  }
+}
+
+function saveTrustedDevices(devices) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(devices));
+  } catch (e) {
+    console.warn('Failed to save trusted devices to localStorage:', e);
+  }
+}
+
+export function isTrustedDevice(deviceId) {
+  return !!deviceId && Object.prototype.hasOwnProperty.call(loadTrustedDevices(), deviceId);
+}
+
+export function trustDevice(deviceId, label = null) {
+  if (!deviceId) return;
+  const devices = loadTrustedDevices();
+  devices[deviceId] = { label, trustedAt: Date.now() };
+  saveTrustedDevices(devices);
+}
+
+export function forgetTrustedDevice(deviceId) {
+  const devices = loadTrustedDevices();
+  delete devices[deviceId];
+  saveTrustedDevices(devices);
+}
+
+export function forgetAllTrustedDevices() {
+  saveTrustedDevices({});
+}
@@ -0,0 +1,121 @@
+// Rhythm Blocks - Three.js meshes for the blocks flying at the player in rhythm mode
+//
+// Draws a RhythmSession: call sync() every frame. A block starts SPAWN_DISTANCE away
+// (into the screen) `approach` ms before its note time and reaches the saber plane
+// (z = 0) exactly on time. The white arrow on its front shows the swing direction;
+// "any" blocks get a dot instead.
+import * as THREE from 'three';
+
+const LANE_SPACING = 1.2;
+const BLOCK_SIZE = 0.8;
+const BLOCK_HEIGHT = 0.5; // y of the block centers
+const SPAWN_DISTANCE = 20;
+
+// Arrow rotation (about z, from pointing up) per swing direction
+const ARROW_ANGLES = {
+  up: 0,
+  'up-left': Math.PI / 4,
+  left: Math.PI / 2,
+  'down-left': (3 * Math.PI) / 4,
+  down: Math.PI,
+  'down-right': (-3 * Math.PI) / 4,
+  right: -Math.PI / 2,
+  'up-right': -Math.PI / 4,
+};
+
+/**
+ * x position of a lane (0-3, left to right), centered on the origin
+ */
+export function laneX(lane, laneCount = 4) {
+  return (lane - (laneCount - 1) / 2) * LANE_SPACING;
+}
+
+/**
+ * Scene position of a note's block at song time t
+ */
+export function blockPosition(note, t, approach) {
+  return {
+    x: laneX(note.lane),
+    y: BLOCK_HEIGHT,
+    z: -((note.time - t) / approach) * SPAWN_DISTANCE,
+  };
+}
+
+export class RhythmBlocks {
+  constructor(scene) {
+    this.scene = scene;
+    this.blocks = new Map(); // Map of note id -> Group
+
+    this.boxGeometry = new THREE.BoxGeometry(BLOCK_SIZE, BLOCK_SIZE, BLOCK_SIZE);
+    this.arrowGeometry = new THREE.ConeGeometry(0.18, 0.3, 3);
+    this.dotGeometry = new THREE.SphereGeometry(0.1, 12, 8);
+    this.markMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+    this.materials = new Map(); // Map of color -> material, shared by blocks of one color
+  }
+
+  getMaterial(color) {
+    if (!this.materials.has(color)) {
+      this.materials.set(color, new THREE.MeshStandardMaterial({
+        color,
+        emissive: color,
+        emissiveIntensity: 0.4,
+        metalness: 0.2,
+        roughness: 0.5,
+      }));
+    }
+    return this.materials.get(color);
+  }
+
+  createBlock(note) {
+    const block = new THREE.Group();
+    block.add(new THREE.Mesh(this.boxGeometry, this.getMaterial(note.color)));
+
+    const mark = note.direction === 'any'
+      ? new THREE.Mesh(this.dotGeometry, this.markMaterial)
+      : new THREE.Mesh(this.arrowGeometry, this.markMaterial);
+    mark.position.z = BLOCK_SIZE / 2 + 0.01; // Front face, toward the camera
+    mark.rotation.z = ARROW_ANGLES[note.direction] ?? 0;
+    block.add(mark);
+
+    this.scene.add(block);
+    return block;
+  }
+
+  /**
+   * Match the meshes to the session's blocks in flight
+   */
+  sync(session, now = performance.now()) {
+    const t = session.getSongTime(now);
+    const approach = session.beatMap?.approach || 1;
+    const live = new Set();
+
+    session.getVisibleNotes(now).forEach(note => {
+      live.add(note.id);
+      let block = this.blocks.get(note.id);
+      if (!block) {
+        block = this.createBlock(note);
+        this.blocks.set(note.id, block);
+      }
+      const { x, y, z } = blockPosition(note, t, approach);
+      block.position.set(x, y, z);
+    });
+
+    this.blocks.forEach((block, id) => {
+      if (!live.has(id)) {
+        this.scene.remove(block);
+        this.blocks.delete(id);
+      }
+    });
+  }
+
+  dispose() {
+    this.blocks.forEach(block => this.scene.remove(block));
+    this.blocks.clear();
+    this.boxGeometry.dispose();
+    this.arrowGeometry.dispose();
+    this.dotGeometry.dispose();
+    this.markMaterial.dispose();
+    this.materials.forEach(material => material.dispose());
+    this.materials.clear();
+  }
+}
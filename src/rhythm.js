@@ -0,0 +1,218 @@
+// Rhythm - Slice incoming blocks in the right direction, on the beat
+//
+// Plays a beat map (beat-map.js). Blocks fly toward the player and each one must be
+// cut by a swing gesture in its direction at its hit time:
+//   |swing time - note time| <= PERFECT_WINDOW  -> perfect
+//   |swing time - note time| <= GOOD_WINDOW     -> good
+//   wrong direction, or no swing in time        -> miss
+// The recognizer reports a swing after it has ended (plus network delay), so swings
+// are moved back by SWING_LATENCY before judging. Lanes only place the blocks; any
+// swing of the player's saber can cut a block in any lane.
+//
+// Pure game state - RhythmBlocks (rhythm-blocks.js) draws it.
+
+export const RhythmPhase = {
+  IDLE: 'idle',
+  PLAYING: 'playing',
+  FINISHED: 'finished',
+};
+
+export const Judgement = {
+  PERFECT: 'perfect',
+  GOOD: 'good',
+  MISS: 'miss',
+};
+
+const PERFECT_WINDOW = 80; // ms either side of the note
+const GOOD_WINDOW = 180; // ms
+const SWING_LATENCY = 120; // ms from the middle of a swing to its gesture arriving
+const LEAD_IN = 1000; // ms before the first block appears
+const END_DELAY = 1500; // ms after the last note before the summary
+const POINTS = { perfect: 100, good: 50, miss: 0 };
+const COMBO_STEP = 10; // Multiplier goes up every 10 notes in a row
+
+/**
+ * Judgement for a swing `delta` ms off the note time, or null outside the good window
+ */
+export function judgeTiming(delta, perfectWindow = PERFECT_WINDOW, goodWindow = GOOD_WINDOW) {
+  const off = Math.abs(delta);
+  if (off <= perfectWindow) return Judgement.PERFECT;
+  if (off <= goodWindow) return Judgement.GOOD;
+  return null;
+}
+
+export function directionMatches(required, swung) {
+  return required === 'any' || required === swung;
+}
+
+export class RhythmSession {
+  constructor(options = {}) {
+    this.perfectWindow = options.perfectWindow ?? PERFECT_WINDOW;
+    this.goodWindow = options.goodWindow ?? GOOD_WINDOW;
+    this.latency = options.latency ?? SWING_LATENCY;
+
+    this.phase = RhythmPhase.IDLE;
+    this.beatMap = null;
+    this.eventCallbacks = [];
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.judgements = new Map(); // Map of note id -> { judgement, delta }
+    this.score = 0;
+    this.combo = 0;
+    this.maxCombo = 0;
+    this.counts = { perfect: 0, good: 0, miss: 0 };
+    this.startedAt = null;
+    this.nextBeat = 0;
+    this.missCursor = 0; // Notes before this index are all judged
+  }
+
+  isActive() {
+    return this.phase !== RhythmPhase.IDLE;
+  }
+
+  /**
+   * Start a parsed beat map; song time 0 comes once the first block has had its full approach
+   */
+  start(beatMap, now = performance.now()) {
+    this.beatMap = beatMap;
+    this.resetStats();
+    const leadIn = LEAD_IN + Math.max(0, beatMap.approach - beatMap.notes[0].time);
+    this.startedAt = now + leadIn;
+    this.phase = RhythmPhase.PLAYING;
+    console.log(`🎵 Rhythm: ${beatMap.title} (${beatMap.notes.length} notes)`);
+    this.emit({ type: 'start', beatMap });
+  }
+
+  stop() {
+    if (this.phase === RhythmPhase.IDLE) return;
+    this.phase = RhythmPhase.IDLE;
+    this.emit({ type: 'stop' });
+  }
+
+  /**
+   * ms into the song (negative during the lead-in)
+   */
+  getSongTime(now = performance.now()) {
+    return now - this.startedAt;
+  }
+
+  getMultiplier() {
+    return 1 + Math.floor(this.combo / COMBO_STEP);
+  }
+
+  isJudged(note) {
+    return this.judgements.has(note.id);
+  }
+
+  /**
+   * Unjudged notes in flight: from `approach` before their time until the good window has passed
+   */
+  getVisibleNotes(now = performance.now()) {
+    if (this.phase !== RhythmPhase.PLAYING) return [];
+    const t = this.getSongTime(now);
+    return this.beatMap.notes.filter(note =>
+      !this.isJudged(note) && note.time - this.beatMap.approach <= t && t <= note.time + this.goodWindow
+    );
+  }
+
+  update(now = performance.now()) {
+    if (this.phase !== RhythmPhase.PLAYING) return;
+    const t = this.getSongTime(now);
+    const notes = this.beatMap.notes;
+
+    // Metronome
+    if (this.beatMap.bpm) {
+      const beatLength = 60000 / this.beatMap.bpm;
+      while (this.nextBeat * beatLength <= t) {
+        this.emit({ type: 'beat', beat: this.nextBeat });
+        this.nextBeat++;
+      }
+    }
+
+    // Blocks that flew past without a swing
+    while (this.missCursor < notes.length && notes[this.missCursor].time + this.goodWindow < t) {
+      const note = notes[this.missCursor];
+      if (!this.isJudged(note)) {
+        this.judge(note, Judgement.MISS, t - note.time);
+      }
+      this.missCursor++;
+    }
+
+    if (this.missCursor >= notes.length && t >= this.beatMap.duration + END_DELAY) {
+      this.finish();
+    }
+  }
+
+  /**
+   * A swing gesture from the player
+   * @returns {string|null} judgement, or null if no block was in reach
+   */
+  handleSwing(direction, now = performance.now()) {
+    if (this.phase !== RhythmPhase.PLAYING) return null;
+    const t = this.getSongTime(now) - this.latency;
+
+    const inReach = this.beatMap.notes.filter(note =>
+      !this.isJudged(note) && Math.abs(t - note.time) <= this.goodWindow
+    );
+    if (inReach.length === 0) return null;
+
+    // Prefer a block this swing can cut (e.g. two blocks at once in different directions)
+    const note = inReach.find(candidate => directionMatches(candidate.direction, direction)) || inReach[0];
+    const delta = t - note.time;
+    const judgement = directionMatches(note.direction, direction)
+      ? judgeTiming(delta, this.perfectWindow, this.goodWindow)
+      : Judgement.MISS;
+    this.judge(note, judgement, delta, direction);
+    return judgement;
+  }
+
+  judge(note, judgement, delta, swung = null) {
+    this.judgements.set(note.id, { judgement, delta });
+    this.counts[judgement]++;
+
+    if (judgement === Judgement.MISS) {
+      this.combo = 0;
+    } else {
+      this.score += POINTS[judgement] * this.getMultiplier();
+      this.combo++;
+      this.maxCombo = Math.max(this.maxCombo, this.combo);
+    }
+    this.emit({ type: 'judgement', note, judgement, delta, swung });
+  }
+
+  getSummary() {
+    const total = this.beatMap ? this.beatMap.notes.length : 0;
+    return {
+      title: this.beatMap?.title || null,
+      score: this.score,
+      maxCombo: this.maxCombo,
+      ...this.counts,
+      total,
+      // Good counts half
+      accuracy: total === 0 ? 0 : (this.counts.perfect + this.counts.good * 0.5) / total,
+    };
+  }
+
+  finish() {
+    this.phase = RhythmPhase.FINISHED;
+    const summary = this.getSummary();
+    console.log('🎵 Rhythm finished:', summary);
+    this.emit({ type: 'end', summary });
+  }
+
+  onEvent(callback) {
+    this.eventCallbacks.push(callback);
+  }
+
+  emit(event) {
+    this.eventCallbacks.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error('Error in rhythm event callback:', error);
+      }
+    });
+  }
+}
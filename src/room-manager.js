@@ -30,9 +30,15 @@ export class RoomManager {
 
     const room = this.activeRooms.get(roomCode);
     
+    // Spectators only watch - they don't take a player slot
+    if (deviceInfo.isSpectator) {
+      return { allowed: true };
+    }
+    
     // Check if room exists and is full
     if (room) {
-      if (room.devices.length >= 3) {
+      const players = room.devices.filter(d => !d.isSpectator);
+      if (players.length >= 3) {
         return {
           allowed: false,
           reason: 'Room is full. Maximum 3 devices allowed.'
@@ -41,7 +47,7 @@ export class RoomManager {
       
       // Check if mobile device already exists
       if (deviceInfo.isMobile) {
-        const hasMobile = room.devices.some(d => d.isMobile);
+        const hasMobile = players.some(d => d.isMobile);
         if (hasMobile) {
           return {
             allowed: false,
@@ -71,8 +77,9 @@ export class RoomManager {
     const room = this.activeRooms.get(roomCode);
     const device = {
       id: deviceInfo.id || this.generateDeviceId(),
-      type: deviceInfo.isMobile ? 'Mobile' : 'Desktop',
+      type: deviceInfo.isSpectator ? 'Spectator' : deviceInfo.isMobile ? 'Mobile' : 'Desktop',
       isMobile: deviceInfo.isMobile,
+      isSpectator: !!deviceInfo.isSpectator,
       joinedAt: Date.now(),
     };
 
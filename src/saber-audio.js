@@ -0,0 +1,387 @@
+// Saber Audio - Procedural lightsaber sound with the Web Audio API (no sample assets)
+//
+// Hum: two slightly detuned sawtooth oscillators through a low-pass filter, plus a
+// little filtered noise for buzz. Angular velocity from motion_data.rotationRate
+// raises the hum's pitch and volume and opens a band-passed noise "whoosh" whose
+// center frequency bends up while the swing speeds up and down while it slows
+// (a cheap doppler effect). Clash, swing, ignite, retract and the rhythm-mode
+// metronome tick are one-shot voices.
+//
+// Browsers only allow audio after a user gesture, so nothing is created until
+// unlock() is called from a click/keypress handler.
+
+const SETTINGS_KEY = 'saber_audio_settings';
+
+const HUM_FREQUENCY = 90; // Hz
+const HUM_DETUNE = 1.5; // Hz between the two oscillators
+const HUM_GAIN = 0.25;
+const FULL_RATE = 720; // deg/s for full swing modulation
+const SWING_FREQUENCY = 400; // Hz - whoosh band center at rest
+const SWING_FREQUENCY_RANGE = 1400; // Hz added at full swing
+const DOPPLER_BEND = 0.3; // Fraction the whoosh bends with swing acceleration
+const RAMP_TIME = 0.05; // s - time constant for parameter smoothing
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Hum/whoosh parameters for an angular velocity (deg/s) and its change since the last reading
+ */
+export function humParamsFromRate(rate, rateChange = 0) {
+  const amount = clamp(rate / FULL_RATE, 0, 1);
+  const doppler = 1 + DOPPLER_BEND * Math.tanh(rateChange / FULL_RATE);
+  return {
+    humFrequency: HUM_FREQUENCY * (1 + amount * 0.3),
+    humGain: HUM_GAIN * (1 + amount),
+    filterFrequency: 400 + amount * 1600,
+    swingGain: amount * amount * 0.6,
+    swingFrequency: (SWING_FREQUENCY + amount * SWING_FREQUENCY_RANGE) * doppler,
+  };
+}
+
+export function loadAudioSettings() {
+  try {
+    const saved = localStorage.getItem(SETTINGS_KEY);
+    const parsed = saved ? JSON.parse(saved) : {};
+    return {
+      volume: typeof parsed.volume === 'number' ? clamp(parsed.volume, 0, 1) : 0.7,
+      muted: !!parsed.muted,
+    };
+  } catch (e) {
+    console.warn('Failed to read audio settings from localStorage:', e);
+    return { volume: 0.7, muted: false };
+  }
+}
+
+export function saveAudioSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('Failed to save audio settings to localStorage:', e);
+  }
+}
+
+export class SaberAudio {
+  constructor(options = {}) {
+    this.AudioContextClass = options.AudioContextClass
+      || (typeof window !== 'undefined' ? window.AudioContext || window.webkitAudioContext : null);
+
+    const settings = loadAudioSettings();
+    this.volume = settings.volume;
+    this.muted = settings.muted;
+
+    this.context = null;
+    this.master = null;
+    this.noiseBuffer = null;
+    this.hum = null; // { oscillators, filter, gain, swingSource, swingFilter, swingGain }
+    this.lastRate = 0;
+  }
+
+  isReady() {
+    return !!this.context;
+  }
+
+  /**
+   * Create/resume the AudioContext - call from a user gesture handler
+   */
+  unlock() {
+    if (!this.AudioContextClass) {
+      console.warn('Web Audio API not supported');
+      return false;
+    }
+
+    if (!this.context) {
+      try {
+        this.context = new this.AudioContextClass();
+      } catch (error) {
+        console.error('Failed to create AudioContext:', error);
+        return false;
+      }
+      this.master = this.context.createGain();
+      this.master.gain.value = this.getOutputGain();
+      this.master.connect(this.context.destination);
+      this.noiseBuffer = this.createNoiseBuffer(2);
+      console.log('🔊 Saber audio ready');
+    }
+
+    if (this.context.state === 'suspended') {
+      this.context.resume?.();
+    }
+    return true;
+  }
+
+  createNoiseBuffer(seconds) {
+    const length = Math.floor(this.context.sampleRate * seconds);
+    const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+  }
+
+  createNoiseSource(loop = false) {
+    const source = this.context.createBufferSource();
+    source.buffer = this.noiseBuffer;
+    source.loop = loop;
+    return source;
+  }
+
+  getOutputGain() {
+    return this.muted ? 0 : this.volume;
+  }
+
+  setVolume(volume) {
+    this.volume = clamp(Number(volume) || 0, 0, 1);
+    this.applyOutputGain();
+    saveAudioSettings({ volume: this.volume, muted: this.muted });
+  }
+
+  setMuted(muted) {
+    this.muted = !!muted;
+    this.applyOutputGain();
+    saveAudioSettings({ volume: this.volume, muted: this.muted });
+  }
+
+  toggleMute() {
+    this.setMuted(!this.muted);
+    return this.muted;
+  }
+
+  applyOutputGain() {
+    if (this.master) {
+      this.master.gain.setTargetAtTime(this.getOutputGain(), this.context.currentTime, RAMP_TIME);
+    }
+  }
+
+  /**
+   * Start the idle hum (no-op until unlocked or if already humming)
+   */
+  startHum() {
+    if (!this.context || this.hum) return;
+
+    const ctx = this.context;
+    const params = humParamsFromRate(0);
+
+    const gain = ctx.createGain();
+    gain.gain.value = params.humGain;
+    gain.connect(this.master);
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = params.filterFrequency;
+    filter.connect(gain);
+
+    const oscillators = [0, HUM_DETUNE].map(offset => {
+      const oscillator = ctx.createOscillator();
+      oscillator.type = 'sawtooth';
+      oscillator.frequency.value = params.humFrequency + offset;
+      oscillator.connect(filter);
+      oscillator.start();
+      return oscillator;
+    });
+
+    // Buzz: quiet low noise under the hum
+    const buzzSource = this.createNoiseSource(true);
+    const buzzFilter = ctx.createBiquadFilter();
+    buzzFilter.type = 'lowpass';
+    buzzFilter.frequency.value = 200;
+    const buzzGain = ctx.createGain();
+    buzzGain.gain.value = 0.05;
+    buzzSource.connect(buzzFilter);
+    buzzFilter.connect(buzzGain);
+    buzzGain.connect(gain);
+    buzzSource.start();
+
+    // Whoosh: band-passed noise, silent until the saber moves
+    const swingSource = this.createNoiseSource(true);
+    const swingFilter = ctx.createBiquadFilter();
+    swingFilter.type = 'bandpass';
+    swingFilter.frequency.value = params.swingFrequency;
+    swingFilter.Q.value = 2;
+    const swingGain = ctx.createGain();
+    swingGain.gain.value = 0;
+    swingSource.connect(swingFilter);
+    swingFilter.connect(swingGain);
+    swingGain.connect(this.master);
+    swingSource.start();
+
+    this.hum = { oscillators, filter, gain, sources: [buzzSource, swingSource], swingFilter, swingGain };
+    this.lastRate = 0;
+  }
+
+  stopHum() {
+    if (!this.hum) return;
+
+    const { oscillators, sources, gain, swingGain } = this.hum;
+    const stopAt = this.context.currentTime + 0.1;
+    gain.gain.setTargetAtTime(0, this.context.currentTime, 0.02);
+    swingGain.gain.setTargetAtTime(0, this.context.currentTime, 0.02);
+    [...oscillators, ...sources].forEach(node => node.stop(stopAt));
+    this.hum = null;
+  }
+
+  /**
+   * Modulate the hum and whoosh from incoming motion_data
+   */
+  updateMotion(motionData) {
+    if (!this.hum || !motionData) return;
+
+    const r = motionData.rotationRate || {};
+    const rate = Math.sqrt((r.alpha || 0) ** 2 + (r.beta || 0) ** 2 + (r.gamma || 0) ** 2);
+    const params = humParamsFromRate(rate, rate - this.lastRate);
+    this.lastRate = rate;
+
+    const now = this.context.currentTime;
+    this.hum.oscillators.forEach((oscillator, index) => {
+      oscillator.frequency.setTargetAtTime(params.humFrequency + index * HUM_DETUNE, now, RAMP_TIME);
+    });
+    this.hum.gain.gain.setTargetAtTime(params.humGain, now, RAMP_TIME);
+    this.hum.filter.frequency.setTargetAtTime(params.filterFrequency, now, RAMP_TIME);
+    this.hum.swingGain.gain.setTargetAtTime(params.swingGain, now, RAMP_TIME);
+    this.hum.swingFilter.frequency.setTargetAtTime(params.swingFrequency, now, RAMP_TIME);
+  }
+
+  /**
+   * Noise burst swept downward - for a recognized swing gesture
+   */
+  playSwing(strength = 1) {
+    if (!this.context) return;
+
+    const ctx = this.context;
+    const now = ctx.currentTime;
+    const duration = 0.25 + strength * 0.15;
+
+    const source = this.createNoiseSource();
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.Q.value = 3;
+    filter.frequency.setValueAtTime(800 + strength * 1600, now);
+    filter.frequency.exponentialRampToValueAtTime(300, now + duration);
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0.0001, now);
+    gain.gain.exponentialRampToValueAtTime(0.3 + strength * 0.5, now + duration * 0.3);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.master);
+    source.start(now);
+    source.stop(now + duration);
+  }
+
+  /**
+   * Metallic crack: detuned square waves and a bright noise burst with a fast decay
+   */
+  playClash(strength = 1) {
+    if (!this.context) return;
+
+    const ctx = this.context;
+    const now = ctx.currentTime;
+    const duration = 0.4;
+    const peak = 0.4 + strength * 0.6;
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(peak, now);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+    gain.connect(this.master);
+
+    [523, 737, 1187, 1543].forEach(frequency => {
+      const oscillator = ctx.createOscillator();
+      oscillator.type = 'square';
+      oscillator.frequency.setValueAtTime(frequency * (0.98 + Math.random() * 0.04), now);
+      const partialGain = ctx.createGain();
+      partialGain.gain.value = 0.15;
+      oscillator.connect(partialGain);
+      partialGain.connect(gain);
+      oscillator.start(now);
+      oscillator.stop(now + duration);
+    });
+
+    const noise = this.createNoiseSource();
+    const noiseFilter = ctx.createBiquadFilter();
+    noiseFilter.type = 'highpass';
+    noiseFilter.frequency.value = 2000;
+    noise.connect(noiseFilter);
+    noiseFilter.connect(gain);
+    noise.start(now);
+    noise.stop(now + duration);
+  }
+
+  /**
+   * Rising sweep into the hum
+   */
+  playIgnite() {
+    this.playSweep(60, 180, 0.5);
+  }
+
+  /**
+   * Falling sweep out of the hum
+   */
+  playRetract() {
+    this.playSweep(180, 40, 0.4);
+  }
+
+  /**
+   * Short click on the beat (rhythm mode metronome); accented on the downbeat
+   */
+  playTick(accent = false) {
+    if (!this.context) return;
+
+    const ctx = this.context;
+    const now = ctx.currentTime;
+    const duration = 0.04;
+
+    const oscillator = ctx.createOscillator();
+    oscillator.type = 'square';
+    oscillator.frequency.setValueAtTime(accent ? 1760 : 1320, now);
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(accent ? 0.25 : 0.15, now);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+
+    oscillator.connect(gain);
+    gain.connect(this.master);
+    oscillator.start(now);
+    oscillator.stop(now + duration);
+  }
+
+  playSweep(from, to, duration) {
+    if (!this.context) return;
+
+    const ctx = this.context;
+    const now = ctx.currentTime;
+
+    const oscillator = ctx.createOscillator();
+    oscillator.type = 'sawtooth';
+    oscillator.frequency.setValueAtTime(from, now);
+    oscillator.frequency.exponentialRampToValueAtTime(to, now + duration);
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(from * 8, now);
+    filter.frequency.exponentialRampToValueAtTime(to * 8, now + duration);
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0.0001, now);
+    gain.gain.exponentialRampToValueAtTime(0.5, now + 0.05);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+
+    oscillator.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.master);
+    oscillator.start(now);
+    oscillator.stop(now + duration);
+  }
+
+  dispose() {
+    this.stopHum();
+    if (this.context) {
+      this.context.close?.();
+      this.context = null;
+      this.master = null;
+      this.noiseBuffer = null;
+    }
+  }
+}
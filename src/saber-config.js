@@ -0,0 +1,71 @@
+// Saber Config - Blade color and hilt choices, persisted per controller device
+//
+// The controller picks its saber on the phone and sends it to the viewer as a
+// saber_config message right after the handshake (and again whenever it changes):
+//   { type: 'saber_config', color: '#00ffff', hilt: 'classic', doubleBladed: false, deviceId }
+
+const STORAGE_PREFIX = 'saber_config_';
+
+export const BLADE_PRESETS = [
+  { name: 'Blue', color: '#2f8cff' },
+  { name: 'Green', color: '#39ff14' },
+  { name: 'Red', color: '#ff1a1a' },
+  { name: 'Purple', color: '#b040ff' },
+  { name: 'Yellow', color: '#ffd500' },
+  { name: 'White', color: '#ffffff' },
+  { name: 'Cyan', color: '#00ffff' },
+];
+
+export const HILT_STYLES = ['classic', 'ribbed', 'crossguard'];
+
+export const DEFAULT_SABER_CONFIG = {
+  color: '#00ffff',
+  hilt: 'classic',
+  doubleBladed: false,
+};
+
+/**
+ * Fill in defaults and drop anything invalid (configs arrive from other devices)
+ */
+export function normalizeSaberConfig(config) {
+  const color = typeof config?.color === 'string' && /^#[0-9a-f]{6}$/i.test(config.color)
+    ? config.color.toLowerCase()
+    : DEFAULT_SABER_CONFIG.color;
+  const hilt = HILT_STYLES.includes(config?.hilt) ? config.hilt : DEFAULT_SABER_CONFIG.hilt;
+  return {
+    color,
+    hilt,
+    doubleBladed: config?.doubleBladed === true,
+  };
+}
+
+// localStorage persistence (one config per device ID)
+export function loadSaberConfig(deviceId) {
+  try {
+    const saved = localStorage.getItem(STORAGE_PREFIX + deviceId);
+    return normalizeSaberConfig(saved ? JSON.parse(saved) : null);
+  } catch (e) {
+    console.warn('Failed to read saber config from localStorage:', e);
+    return { ...DEFAULT_SABER_CONFIG };
+  }
+}
+
+export function saveSaberConfig(deviceId, config) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + deviceId, JSON.stringify(normalizeSaberConfig(config)));
+  } catch (e) {
+    console.warn('Failed to save saber config to localStorage:', e);
+  }
+}
+
+/**
+ * saber_config message for the viewer
+ */
+export function formatSaberConfigMessage(config, deviceId) {
+  return {
+    type: 'saber_config',
+    timestamp: Date.now(),
+    ...normalizeSaberConfig(config),
+    deviceId,
+  };
+}
@@ -0,0 +1,137 @@
+// Saber State - Ignite/retract lifecycle of the blade
+//
+//   off --ignite()--> igniting --(animation done)--> on
+//   on --retract()--> retracting --(animation done)--> off
+//
+// Reversing mid-animation (retract while igniting, or the other way round) continues
+// from the current extension instead of jumping. `level` is the linear animation
+// progress (0 = off, 1 = fully extended); getExtension() eases it for display.
+
+export const SaberState = {
+  OFF: 'off',
+  IGNITING: 'igniting',
+  ON: 'on',
+  RETRACTING: 'retracting',
+};
+
+const IGNITE_DURATION = 350; // ms
+const RETRACT_DURATION = 300; // ms
+const VOICE_IGNITE_VOLUME = 0.7; // Normalized microphone volume that counts as a shout
+
+function smoothstep(t) {
+  return t * t * (3 - 2 * t);
+}
+
+export class SaberStateMachine {
+  constructor(options = {}) {
+    this.igniteDuration = options.igniteDuration ?? IGNITE_DURATION;
+    this.retractDuration = options.retractDuration ?? RETRACT_DURATION;
+    this.voiceThreshold = options.voiceThreshold ?? VOICE_IGNITE_VOLUME;
+
+    this.state = SaberState.OFF;
+    this.level = 0;
+    this.lastUpdate = null;
+    this.lastVolume = 0;
+    this.stateChangeCallbacks = [];
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Blade is visible (anything but off)
+   */
+  isLit() {
+    return this.state !== SaberState.OFF;
+  }
+
+  /**
+   * @returns {boolean} true if ignition started
+   */
+  ignite(now = performance.now()) {
+    if (this.state === SaberState.ON || this.state === SaberState.IGNITING) {
+      return false;
+    }
+    this.update(now);
+    this.setState(SaberState.IGNITING);
+    return true;
+  }
+
+  /**
+   * @returns {boolean} true if retraction started
+   */
+  retract(now = performance.now()) {
+    if (this.state === SaberState.OFF || this.state === SaberState.RETRACTING) {
+      return false;
+    }
+    this.update(now);
+    this.setState(SaberState.RETRACTING);
+    return true;
+  }
+
+  /**
+   * Ignite on the rising edge of a loud voice (audio_data volume 0-1)
+   * @returns {boolean} true if ignition started
+   */
+  handleVoice(volume, now = performance.now()) {
+    const spike = volume >= this.voiceThreshold && this.lastVolume < this.voiceThreshold;
+    this.lastVolume = volume;
+    return spike && this.state === SaberState.OFF ? this.ignite(now) : false;
+  }
+
+  /**
+   * Advance the animation; call once per frame
+   * @returns {number} eased extension (0-1)
+   */
+  update(now = performance.now()) {
+    const dt = this.lastUpdate === null ? 0 : Math.max(0, now - this.lastUpdate);
+    this.lastUpdate = now;
+
+    if (this.state === SaberState.IGNITING) {
+      this.level = Math.min(1, this.level + dt / this.igniteDuration);
+      if (this.level >= 1) {
+        this.setState(SaberState.ON);
+      }
+    } else if (this.state === SaberState.RETRACTING) {
+      this.level = Math.max(0, this.level - dt / this.retractDuration);
+      if (this.level <= 0) {
+        this.setState(SaberState.OFF);
+      }
+    }
+    return this.getExtension();
+  }
+
+  getExtension() {
+    return smoothstep(this.level);
+  }
+
+  /**
+   * Jump straight to off (no animation, e.g. when the visualization is torn down)
+   */
+  reset() {
+    this.level = 0;
+    this.lastVolume = 0;
+    this.setState(SaberState.OFF);
+  }
+
+  onStateChange(callback) {
+    this.stateChangeCallbacks.push(callback);
+  }
+
+  setState(state) {
+    if (state === this.state) return;
+
+    const previous = this.state;
+    this.state = state;
+    console.log(`🗡️ Saber ${previous} → ${state}`);
+
+    this.stateChangeCallbacks.forEach(callback => {
+      try {
+        callback(state, previous);
+      } catch (error) {
+        console.error('Error in saber state callback:', error);
+      }
+    });
+  }
+}
@@ -0,0 +1,143 @@
+// Send Queue - Per-peer outgoing scheduler that respects data channel backpressure
+//
+// Sending a 60 Hz sensor stream into a channel that can't keep up only grows its
+// buffer (PeerJS keeps queuing past 8 MB), and every queued byte is latency. So
+// while a channel has more than HIGH_WATER bytes buffered, nothing new goes into it:
+//   control messages - wait in order and go out first once the channel drains
+//   sensor samples   - only the newest of each type waits (older ones are coalesced);
+//                      one still waiting after MAX_SENSOR_AGE is dropped as stale
+// A payload can be a function that builds it, called only when it is actually sent -
+// binary sensor packets are numbered there, so samples coalesced or dropped here
+// don't look like network loss to the receiver.
+
+export const HIGH_WATER = 4096; // bytes buffered before a channel counts as congested
+export const MAX_SENSOR_AGE = 100; // ms a queued sensor sample stays worth sending
+const FLUSH_INTERVAL = 16; // ms between drain checks while anything is queued
+
+/**
+ * Bytes waiting to go out on an RTCDataChannel or a PeerJS DataConnection
+ */
+export function getBufferedAmount(channel) {
+  if (typeof channel.bufferedAmount === 'number') {
+    return channel.bufferedAmount;
+  }
+  return channel.dataChannel?.bufferedAmount ?? 0;
+}
+
+function isCongested(channel) {
+  // PeerJS also holds messages in its own buffer once the data channel is full
+  return getBufferedAmount(channel) > HIGH_WATER || channel.bufferSize > 0;
+}
+
+export class SendQueue {
+  constructor(options = {}) {
+    this.now = options.now ?? (() => performance.now());
+    this.control = []; // { channel, payload }, oldest first
+    this.sensor = new Map(); // Map of message type -> { channel, payload, queuedAt }
+    this.flushTimer = null;
+    this.counters = { sent: 0, queued: 0, coalesced: 0, dropped: 0 };
+  }
+
+  /**
+   * Send now if the channel has room, otherwise queue. Errors from an immediate
+   * send are thrown to the caller.
+   * @param {Object} channel - RTCDataChannel or DataConnection
+   * @param {string|ArrayBuffer|Function} payload - or a function returning it at send time
+   * @param {string|null} sensorType - message type for sensor samples, null for control
+   */
+  send(channel, payload, sensorType = null) {
+    this.flush();
+
+    if (sensorType) {
+      if (this.sensor.has(sensorType)) {
+        this.counters.coalesced++;
+        this.sensor.set(sensorType, { channel, payload, queuedAt: this.now() });
+      } else if (isCongested(channel)) {
+        this.counters.queued++;
+        this.sensor.set(sensorType, { channel, payload, queuedAt: this.now() });
+      } else {
+        this.transmit(channel, payload);
+      }
+    } else if (this.control.length > 0 || isCongested(channel)) {
+      // Behind earlier control messages even if the channel has room - keep their order
+      this.counters.queued++;
+      this.control.push({ channel, payload });
+    } else {
+      this.transmit(channel, payload);
+    }
+
+    this.scheduleFlush();
+  }
+
+  transmit(channel, payload) {
+    channel.send(typeof payload === 'function' ? payload() : payload);
+    this.counters.sent++;
+  }
+
+  /**
+   * Send whatever the channels have room for: control messages first, then the
+   * newest sample of each sensor type
+   */
+  flush() {
+    while (this.control.length > 0 && !isCongested(this.control[0].channel)) {
+      const { channel, payload } = this.control.shift();
+      try {
+        this.transmit(channel, payload);
+      } catch (error) {
+        console.error('Failed to send queued message:', error);
+        this.counters.dropped++;
+      }
+    }
+
+    const now = this.now();
+    this.sensor.forEach((entry, type) => {
+      if (now - entry.queuedAt > MAX_SENSOR_AGE) {
+        this.sensor.delete(type);
+        this.counters.dropped++;
+        return;
+      }
+      if (isCongested(entry.channel)) return;
+
+      this.sensor.delete(type);
+      try {
+        this.transmit(entry.channel, entry.payload);
+      } catch (error) {
+        console.error('Failed to send queued sensor sample:', error);
+        this.counters.dropped++;
+      }
+    });
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer !== null || this.getPendingCount() === 0) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+      this.scheduleFlush();
+    }, FLUSH_INTERVAL);
+  }
+
+  getPendingCount() {
+    return this.control.length + this.sensor.size;
+  }
+
+  /**
+   * Counters since the peer connected, plus what is waiting right now
+   */
+  getStats() {
+    return { ...this.counters, pending: this.getPendingCount() };
+  }
+
+  /**
+   * Forget everything queued (the connection is closing)
+   */
+  clear() {
+    if (this.flushTimer !== null) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.control = [];
+    this.sensor.clear();
+  }
+}
@@ -0,0 +1,244 @@
+// Sensor Codec - Compact binary wire format for gyro/motion/audio/orientation packets
+//
+// Every packet starts with an 8-byte header (little-endian):
+//   u8  version      CODEC_VERSION
+//   u8  type         PACKET_TYPES code
+//   u16 sequence     per-encoder (or per-peer, if the caller passes one) counter, wraps at 65536
+//   u32 timeDelta    ms since the sender's epoch (exchanged in the handshake)
+//
+// followed by a fixed body per type:
+//   gyro_data   (20 bytes total)  f32 alpha, f32 beta, f32 gamma
+//   motion_data (28 bytes total)  f16 acceleration.xyz, f16 velocity.xyz, f16 speed,
+//                                 f16 rotationRate.alpha/beta/gamma
+//   audio_data  (10 bytes total)  f16 volume
+//   orientation_data (24 bytes total)  f32 quaternion.x/y/z/w
+//
+// deviceId is not sent per packet; the receiver fills it in from the handshake.
+
+export const CODEC_VERSION = 1;
+
+const HEADER_SIZE = 8;
+const FLOAT16_MAX = 65504;
+
+const PACKET_TYPES = {
+  gyro_data: 1,
+  motion_data: 2,
+  audio_data: 3,
+  orientation_data: 4,
+};
+
+const PACKET_SIZES = {
+  gyro_data: HEADER_SIZE + 3 * 4,
+  motion_data: HEADER_SIZE + 10 * 2,
+  audio_data: HEADER_SIZE + 2,
+  orientation_data: HEADER_SIZE + 4 * 4,
+};
+
+const TYPE_NAMES = Object.fromEntries(Object.entries(PACKET_TYPES).map(([name, code]) => [code, name]));
+
+// Shared scratch buffers for float32 <-> float16 bit conversion
+const float32Scratch = new Float32Array(1);
+const uint32Scratch = new Uint32Array(float32Scratch.buffer);
+
+/**
+ * Convert a number to IEEE 754 half precision bits (round to nearest, clamped to ±65504)
+ */
+export function toFloat16(value) {
+  if (Number.isNaN(value)) {
+    return 0x7e00;
+  }
+
+  float32Scratch[0] = Math.max(-FLOAT16_MAX, Math.min(FLOAT16_MAX, value));
+  const bits = uint32Scratch[0];
+
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+  let mantissa = bits & 0x7fffff;
+
+  if (exponent <= 0) {
+    // Subnormal or zero
+    if (exponent < -10) {
+      return sign;
+    }
+    mantissa |= 0x800000;
+    const shift = 14 - exponent;
+    let half = mantissa >> shift;
+    if ((mantissa >> (shift - 1)) & 1) {
+      half += 1;
+    }
+    return sign | half;
+  }
+
+  let half = sign | (exponent << 10) | (mantissa >> 13);
+  if (mantissa & 0x1000) {
+    half += 1; // Round to nearest (may carry into the exponent, which is still correct)
+  }
+  return half;
+}
+
+/**
+ * Convert IEEE 754 half precision bits back to a number
+ */
+export function fromFloat16(half) {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+
+  if (exponent === 0) {
+    return sign * Math.pow(2, -14) * (mantissa / 1024);
+  }
+  if (exponent === 0x1f) {
+    return mantissa ? NaN : sign * Infinity;
+  }
+  return sign * Math.pow(2, exponent - 15) * (1 + mantissa / 1024);
+}
+
+export function isBinaryPacket(data) {
+  return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+/**
+ * Encodes sensor messages for one sender; keeps the epoch and sequence counter
+ */
+export class SensorEncoder {
+  constructor(epoch = Date.now()) {
+    this.epoch = epoch;
+    this.sequence = 0;
+  }
+
+  canEncode(data) {
+    return !!data && PACKET_TYPES[data.type] !== undefined;
+  }
+
+  /**
+   * @param {Object} data - sensor message
+   * @param {number|null} sequence - sequence number to use instead of the encoder's own counter
+   */
+  encode(data, sequence = null) {
+    if (!this.canEncode(data)) {
+      throw new Error(`Cannot binary-encode message type: ${data && data.type}`);
+    }
+
+    const buffer = new ArrayBuffer(PACKET_SIZES[data.type]);
+    const view = new DataView(buffer);
+    const timestamp = typeof data.timestamp === 'number' ? data.timestamp : Date.now();
+
+    view.setUint8(0, CODEC_VERSION);
+    view.setUint8(1, PACKET_TYPES[data.type]);
+    if (sequence === null) {
+      sequence = this.sequence;
+      this.sequence = (this.sequence + 1) & 0xffff;
+    }
+    view.setUint16(2, sequence & 0xffff, true);
+    view.setUint32(4, Math.max(0, timestamp - this.epoch), true);
+
+    let offset = HEADER_SIZE;
+    const writeFloat16 = (value) => {
+      view.setUint16(offset, toFloat16(value || 0), true);
+      offset += 2;
+    };
+
+    switch (data.type) {
+      case 'gyro_data':
+        view.setFloat32(offset, data.alpha || 0, true);
+        view.setFloat32(offset + 4, data.beta || 0, true);
+        view.setFloat32(offset + 8, data.gamma || 0, true);
+        break;
+      case 'motion_data': {
+        const acceleration = data.acceleration || {};
+        const velocity = data.velocity || {};
+        const rotationRate = data.rotationRate || {};
+        writeFloat16(acceleration.x);
+        writeFloat16(acceleration.y);
+        writeFloat16(acceleration.z);
+        writeFloat16(velocity.x);
+        writeFloat16(velocity.y);
+        writeFloat16(velocity.z);
+        writeFloat16(data.speed);
+        writeFloat16(rotationRate.alpha);
+        writeFloat16(rotationRate.beta);
+        writeFloat16(rotationRate.gamma);
+        break;
+      }
+      case 'audio_data':
+        writeFloat16(data.volume);
+        break;
+      case 'orientation_data': {
+        const quaternion = data.quaternion || { x: 0, y: 0, z: 0, w: 1 };
+        view.setFloat32(offset, quaternion.x, true);
+        view.setFloat32(offset + 4, quaternion.y, true);
+        view.setFloat32(offset + 8, quaternion.z, true);
+        view.setFloat32(offset + 12, quaternion.w, true);
+        break;
+      }
+    }
+
+    return buffer;
+  }
+}
+
+/**
+ * Decode a binary packet back into the JSON message shape
+ * @param {ArrayBuffer|ArrayBufferView} packet
+ * @param {{ epoch: number, deviceId?: string }} sender - from the sender's handshake
+ */
+export function decodeSensorPacket(packet, sender) {
+  const view = ArrayBuffer.isView(packet)
+    ? new DataView(packet.buffer, packet.byteOffset, packet.byteLength)
+    : new DataView(packet);
+
+  if (view.byteLength < HEADER_SIZE) {
+    throw new Error('Binary packet too short');
+  }
+
+  const version = view.getUint8(0);
+  if (version !== CODEC_VERSION) {
+    throw new Error(`Unsupported binary packet version: ${version}`);
+  }
+
+  const type = TYPE_NAMES[view.getUint8(1)];
+  if (!type || view.byteLength < PACKET_SIZES[type]) {
+    throw new Error('Malformed binary packet');
+  }
+
+  const message = {
+    type,
+    timestamp: sender.epoch + view.getUint32(4, true),
+    seq: view.getUint16(2, true),
+  };
+
+  let offset = HEADER_SIZE;
+  const readFloat16 = () => {
+    const value = fromFloat16(view.getUint16(offset, true));
+    offset += 2;
+    return value;
+  };
+
+  switch (type) {
+    case 'gyro_data':
+      message.alpha = view.getFloat32(offset, true);
+      message.beta = view.getFloat32(offset + 4, true);
+      message.gamma = view.getFloat32(offset + 8, true);
+      break;
+    case 'motion_data':
+      message.acceleration = { x: readFloat16(), y: readFloat16(), z: readFloat16() };
+      message.velocity = { x: readFloat16(), y: readFloat16(), z: readFloat16() };
+      message.speed = readFloat16();
+      message.rotationRate = { alpha: readFloat16(), beta: readFloat16(), gamma: readFloat16() };
+      break;
+    case 'audio_data':
+      message.volume = readFloat16();
+      break;
+    case 'orientation_data':
+      message.quaternion = {
+        x: view.getFloat32(offset, true),
+        y: view.getFloat32(offset + 4, true),
+        z: view.getFloat32(offset + 8, true),
+        w: view.getFloat32(offset + 12, true),
+      };
+      break;
+  }
+
+  message.deviceId = sender.deviceId || null;
+  return message;
+}
@@ -0,0 +1,84 @@
+// Sensor Health - Rate of each local sensor stream, as seen by the controller
+//
+// The controller records every reading it sends; the controller screen asks for a
+// level per stream:
+//   off      - never seen (permission denied or unsupported)
+//   stale    - nothing for STALE_AFTER ms (sensor stopped, tab throttled)
+//   degraded - arriving, but under DEGRADED_SHARE of the expected rate
+//   ok       - everything else
+
+export const SensorHealthLevel = {
+  OK: 'ok',
+  DEGRADED: 'degraded',
+  STALE: 'stale',
+  OFF: 'off',
+};
+
+// Readings per second each handler throttles to
+export const EXPECTED_SENSOR_RATES = {
+  gyro: 60,
+  motion: 60,
+  orientation: 60,
+  audio: 30,
+};
+
+const RATE_WINDOW = 1000; // ms
+const STALE_AFTER = 1000; // ms
+const DEGRADED_SHARE = 0.4;
+
+export class SensorHealth {
+  constructor(expectedRates = EXPECTED_SENSOR_RATES) {
+    this.expectedRates = expectedRates;
+    this.readings = new Map(); // Map of stream -> timestamps within the last RATE_WINDOW
+  }
+
+  record(stream, now = performance.now()) {
+    if (!this.readings.has(stream)) {
+      this.readings.set(stream, []);
+    }
+    const times = this.readings.get(stream);
+    times.push(now);
+    this.trim(times, now);
+  }
+
+  trim(times, now) {
+    while (times.length && now - times[0] > RATE_WINDOW) {
+      times.shift();
+    }
+  }
+
+  /**
+   * Readings per second over the last second
+   */
+  getRate(stream, now = performance.now()) {
+    const times = this.readings.get(stream);
+    if (!times) return 0;
+    this.trim(times, now);
+    return times.length * (1000 / RATE_WINDOW);
+  }
+
+  /**
+   * @returns {{ level: string, rate: number }}
+   */
+  getStatus(stream, now = performance.now()) {
+    const times = this.readings.get(stream);
+    if (!times) {
+      return { level: SensorHealthLevel.OFF, rate: 0 };
+    }
+
+    const last = times[times.length - 1];
+    const rate = this.getRate(stream, now);
+    if (last === undefined || now - last > STALE_AFTER) {
+      return { level: SensorHealthLevel.STALE, rate };
+    }
+    const expected = this.expectedRates[stream];
+    if (expected && rate < expected * DEGRADED_SHARE) {
+      return { level: SensorHealthLevel.DEGRADED, rate };
+    }
+    return { level: SensorHealthLevel.OK, rate };
+  }
+
+  reset() {
+    this.readings.clear();
+  }
+}
@@ -0,0 +1,233 @@
+// Session Recorder - Capture controller sessions on the desktop and replay them
+//
+// Recordings are NDJSON: a header line, then one line per received packet
+//   {"type":"session","version":1,"startedAt":1700000000000}
+//   {"t":16,"receivedAt":1700000000016,"peerId":"...","data":{"type":"gyro_data",...}}
+// `t` is the arrival time in ms since the start of the recording, which is what
+// replay follows (so network jitter is reproduced, not smoothed out).
+
+export const SESSION_VERSION = 1;
+export const RECORDED_TYPES = ['gyro_data', 'motion_data', 'audio_data', 'orientation_data', 'gesture', 'saber_config', 'controller_action'];
+
+export class SessionRecorder {
+  constructor() {
+    this.entries = [];
+    this.startedAt = null;
+    this.isRecording = false;
+  }
+
+  start(now = Date.now()) {
+    this.entries = [];
+    this.startedAt = now;
+    this.isRecording = true;
+    console.log('⏺️ Session recording started');
+  }
+
+  stop() {
+    this.isRecording = false;
+    console.log(`⏹️ Session recording stopped (${this.entries.length} packets)`);
+  }
+
+  /**
+   * Record a parsed packet as it arrives
+   */
+  record(data, peerId = null, receivedAt = Date.now()) {
+    if (!this.isRecording || !data || !RECORDED_TYPES.includes(data.type)) {
+      return;
+    }
+    this.entries.push({ t: receivedAt - this.startedAt, receivedAt, peerId, data });
+  }
+
+  getEntries() {
+    return this.entries;
+  }
+
+  getDuration() {
+    return this.entries.length ? this.entries[this.entries.length - 1].t : 0;
+  }
+
+  toNDJSON() {
+    const header = { type: 'session', version: SESSION_VERSION, startedAt: this.startedAt };
+    return [header, ...this.entries].map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+}
+
+function tryParseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse a recording (NDJSON from SessionRecorder, or a JSON array / { entries } object)
+ * @returns {{ startedAt: number|null, entries: Array }}
+ */
+export function parseSession(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    throw new Error('Session file is empty');
+  }
+
+  let header = null;
+  let lines;
+  if (trimmed.startsWith('[')) {
+    lines = JSON.parse(trimmed);
+  } else {
+    const whole = tryParseJSON(trimmed);
+    if (whole && Array.isArray(whole.entries)) {
+      // Plain JSON export: { type: 'session', version, startedAt, entries: [...] }
+      header = whole;
+      lines = whole.entries;
+    } else {
+      lines = trimmed.split(/\r?\n/).filter(Boolean).map((line, index) => {
+        const parsed = tryParseJSON(line);
+        if (!parsed) {
+          throw new Error(`Invalid JSON on line ${index + 1}`);
+        }
+        return parsed;
+      });
+    }
+  }
+
+  header = header || lines.find(line => line && line.type === 'session') || null;
+  if (header && header.version > SESSION_VERSION) {
+    throw new Error(`Unsupported session version: ${header.version}`);
+  }
+
+  const entries = lines
+    .filter(line => line && line.data && typeof line.t === 'number')
+    .sort((a, b) => a.t - b.t);
+
+  if (!entries.length) {
+    throw new Error('Session file contains no sensor packets');
+  }
+
+  return { startedAt: header?.startedAt ?? null, entries };
+}
+
+/**
+ * Replays recorded entries at their original timing
+ */
+export class SessionPlayer {
+  constructor(entries, onMessage, options = {}) {
+    this.entries = entries;
+    this.onMessage = onMessage;
+    this.onProgress = options.onProgress || null;
+    this.onEnd = options.onEnd || null;
+    this.now = options.now || (() => performance.now());
+    this.tickInterval = options.tickInterval ?? 16;
+
+    this.position = 0; // ms into the recording
+    this.cursor = 0; // Index of the next entry to emit
+    this.speed = 1;
+    this.isPlaying = false;
+    this.lastTick = null;
+    this.intervalId = null;
+  }
+
+  getDuration() {
+    return this.entries.length ? this.entries[this.entries.length - 1].t : 0;
+  }
+
+  play() {
+    if (this.isPlaying) return;
+    if (this.position >= this.getDuration()) {
+      this.seek(0);
+    }
+    this.isPlaying = true;
+    this.lastTick = this.now();
+    this.intervalId = setInterval(() => this.tick(), this.tickInterval);
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+    this.tick();
+    this.isPlaying = false;
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+
+  stop() {
+    this.pause();
+    this.seek(0, { apply: false });
+  }
+
+  setSpeed(speed) {
+    if (this.isPlaying) {
+      this.tick(); // Bank time played at the old speed
+    }
+    this.speed = Math.max(0.05, Number(speed) || 1);
+  }
+
+  /**
+   * Jump to a position; the latest packet of each type before it is re-applied so
+   * the visualization shows the state at that moment
+   */
+  seek(position, { apply = true } = {}) {
+    this.position = Math.max(0, Math.min(position, this.getDuration()));
+    this.cursor = this.findIndex(this.position);
+    this.lastTick = this.now();
+
+    if (apply) {
+      const latest = new Map();
+      for (let i = 0; i < this.cursor; i++) {
+        latest.set(this.entries[i].data.type, this.entries[i]);
+      }
+      [...latest.values()]
+        .sort((a, b) => a.t - b.t)
+        .forEach(entry => this.emit(entry));
+    }
+    this.onProgress?.(this.position, this.getDuration());
+  }
+
+  /**
+   * Index of the first entry after `position`
+   */
+  findIndex(position) {
+    let low = 0;
+    let high = this.entries.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.entries[mid].t <= position) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  tick() {
+    if (!this.isPlaying) return;
+
+    const now = this.now();
+    this.position += (now - this.lastTick) * this.speed;
+    this.lastTick = now;
+
+    while (this.cursor < this.entries.length && this.entries[this.cursor].t <= this.position) {
+      this.emit(this.entries[this.cursor]);
+      this.cursor++;
+    }
+
+    const duration = this.getDuration();
+    this.onProgress?.(Math.min(this.position, duration), duration);
+
+    if (this.cursor >= this.entries.length) {
+      this.position = duration;
+      this.isPlaying = false;
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.onEnd?.();
+    }
+  }
+
+  emit(entry) {
+    try {
+      this.onMessage(entry.data, entry);
+    } catch (error) {
+      console.error('Error replaying session packet:', error);
+    }
+  }
+}
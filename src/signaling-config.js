@@ -0,0 +1,133 @@
+// Signaling Configuration - Choose between PeerJS cloud and a self-hosted signaling server
+
+// Public PeerJS cloud server (default)
+export const CLOUD_SIGNALING = {
+  host: '0.peerjs.com',
+  port: 443,
+  path: '/',
+  secure: true,
+  key: 'peerjs',
+};
+
+// Port used by `npm run signal`
+export const DEFAULT_SIGNAL_PORT = 9000;
+
+const STORAGE_KEY = 'signalingServer';
+const URL_PARAM = 'signal';
+
+/**
+ * Parse a signaling server setting into PeerJS connection options
+ *
+ * Accepted values:
+ * - '' or 'cloud'                -> PeerJS cloud server
+ * - 'local'                      -> same host as the page, port 9000
+ * - 'host:port' or a ws(s)/http(s) URL, optionally with a path and ?key=
+ */
+export function parseSignalingUrl(value, pageLocation = window.location) {
+  const trimmed = (value || '').trim();
+
+  if (!trimmed || trimmed.toLowerCase() === 'cloud') {
+    return { ...CLOUD_SIGNALING };
+  }
+
+  const pageSecure = pageLocation.protocol === 'https:';
+
+  if (trimmed.toLowerCase() === 'local') {
+    return {
+      host: pageLocation.hostname,
+      port: DEFAULT_SIGNAL_PORT,
+      path: '/',
+      secure: pageSecure,
+      key: CLOUD_SIGNALING.key,
+    };
+  }
+
+  // Default to the page's security level when no scheme is given
+  const withScheme = /^[a-z]+:\/\//i.test(trimmed) ? trimmed : `${pageSecure ? 'wss' : 'ws'}://${trimmed}`;
+
+  let url;
+  try {
+    url = new URL(withScheme);
+  } catch (error) {
+    throw new Error(`Invalid signaling server URL: ${value}`);
+  }
+
+  if (!['ws:', 'wss:', 'http:', 'https:'].includes(url.protocol) || !url.hostname) {
+    throw new Error(`Invalid signaling server URL: ${value}`);
+  }
+
+  const secure = url.protocol === 'wss:' || url.protocol === 'https:';
+  // PeerJS expects the path to end with a slash ('/' + 'peerjs' is appended)
+  const path = url.pathname.endsWith('/') ? url.pathname : `${url.pathname}/`;
+
+  return {
+    host: url.hostname,
+    port: url.port ? parseInt(url.port, 10) : (secure ? 443 : 80),
+    path,
+    secure,
+    key: url.searchParams.get('key') || CLOUD_SIGNALING.key,
+  };
+}
+
+/**
+ * Resolve the signaling server to use
+ * Priority: ?signal= URL param, then saved setting, then PeerJS cloud
+ */
+export function getSignalingConfig(search = window.location.search, pageLocation = window.location) {
+  const params = new URLSearchParams(search);
+  const fromUrl = params.get(URL_PARAM);
+
+  if (fromUrl !== null) {
+    return { ...parseSignalingUrl(fromUrl, pageLocation), source: 'url' };
+  }
+
+  const saved = getSavedSignalingServer();
+  if (saved) {
+    try {
+      return { ...parseSignalingUrl(saved, pageLocation), source: 'settings' };
+    } catch (error) {
+      console.warn('Ignoring invalid saved signaling server:', error.message);
+    }
+  }
+
+  return { ...CLOUD_SIGNALING, source: 'default' };
+}
+
+export function isCloudSignaling(config) {
+  return config.host === CLOUD_SIGNALING.host;
+}
+
+/**
+ * Human readable form of a signaling config (for the settings UI)
+ */
+export function describeSignalingConfig(config) {
+  if (isCloudSignaling(config)) {
+    return 'cloud';
+  }
+  const scheme = config.secure ? 'wss' : 'ws';
+  const key = config.key !== CLOUD_SIGNALING.key ? `?key=${config.key}` : '';
+  return `${scheme}://${config.host}:${config.port}${config.path}${key}`;
+}
+
+// localStorage persistence
+export function getSavedSignalingServer() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || null;
+  } catch (e) {
+    console.warn('Failed to read signaling server from localStorage:', e);
+    return null;
+  }
+}
+
+export function saveSignalingServer(value) {
+  try {
+    const trimmed = (value || '').trim();
+    if (!trimmed || trimmed.toLowerCase() === 'cloud') {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, trimmed);
+    }
+  } catch (e) {
+    console.warn('Failed to save signaling server to localStorage:', e);
+  }
+}
@@ -0,0 +1,204 @@
+// Spectator - Low-rate mirror of the display's scene for read-only viewers
+//
+// A spectator (?role=spectator) connects to a display like a controller would, but
+// sends nothing that moves a saber. Instead the display relays a spectator_state
+// message every SPECTATOR_STATE_INTERVAL ms with each saber's displayed pose, blade
+// and look, plus the running game's score. The spectator plays the poses back
+// through jitter buffers, so 10 updates a second still move smoothly.
+import { JitterBuffer, interpolateQuaternion, isTimeBaseChanged } from './jitter-buffer.js';
+
+export const SPECTATOR_STATE_INTERVAL = 100; // ms (10 Hz)
+// Interpolating needs the next sample already in hand: one interval plus some jitter
+export const SPECTATOR_PLAYOUT_DELAY = SPECTATOR_STATE_INTERVAL * 1.5;
+
+/**
+ * One saber as the display shows it (scene-frame orientation, after smoothing)
+ */
+export function captureSaberState(saber) {
+  const quaternion = saber.lightsaber?.quaternion;
+  const lengthRange = saber.maxBladeLength - saber.baseBladeLength;
+  return {
+    id: saber.id,
+    quaternion: quaternion
+      ? { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+      : { x: 0, y: 0, z: 0, w: 1 },
+    lit: saber.saberState.isLit(),
+    bladeLength: lengthRange > 0 ? (saber.targetBladeLength - saber.baseBladeLength) / lengthRange : 0,
+    color: `#${saber.bladeColor.getHexString()}`,
+    hilt: saber.hiltStyle,
+    doubleBladed: saber.doubleBladed,
+  };
+}
+
+/**
+ * Score of the game mode that is running, or null
+ */
+export function describeGameState(mode, { duel, training, rhythm }, now = performance.now()) {
+  if (mode === 'duel') {
+    return {
+      mode,
+      round: duel.round,
+      bestOf: duel.bestOf,
+      players: duel.players.map(id => ({ id, points: duel.points[id] || 0, roundsWon: duel.roundsWon[id] || 0 })),
+      winner: duel.winner,
+    };
+  }
+  if (mode === 'training') {
+    return {
+      mode,
+      score: training.score,
+      streak: training.streak,
+      level: training.level,
+      timeLeft: training.getTimeLeft(now),
+    };
+  }
+  if (mode === 'rhythm') {
+    return {
+      mode,
+      title: rhythm.beatMap?.title || null,
+      score: rhythm.score,
+      combo: rhythm.combo,
+    };
+  }
+  return null;
+}
+
+export function formatSpectatorState(sabers, game) {
+  return {
+    type: 'spectator_state',
+    timestamp: Date.now(),
+    sabers,
+    game,
+  };
+}
+
+/**
+ * One-line score for the spectator overlay
+ */
+export function formatGameScore(game) {
+  if (!game) {
+    return 'No game running';
+  }
+  if (game.mode === 'duel') {
+    const rounds = game.players.map(player => player.roundsWon).join(' - ');
+    const points = game.players.map(player => player.points).join(' - ');
+    return game.winner
+      ? `Duel over · Player ${game.players.findIndex(player => player.id === game.winner) + 1} wins ${rounds}`
+      : `Duel · Round ${game.round} of ${game.bestOf} · rounds ${rounds} · hits ${points}`;
+  }
+  if (game.mode === 'training') {
+    return `Training · ${game.score} pts · streak ${game.streak} · level ${game.level} · ${Math.ceil(game.timeLeft / 1000)}s`;
+  }
+  if (game.mode === 'rhythm') {
+    return `Rhythm${game.title ? ` · ${game.title}` : ''} · ${game.score} pts · combo ${game.combo}`;
+  }
+  return 'No game running';
+}
+
+/**
+ * Applies spectator_state messages to a local LightsaberVisualization
+ */
+export class SpectatorView {
+  constructor(visualization, options = {}) {
+    this.visualization = visualization;
+    this.playoutDelay = options.playoutDelay ?? SPECTATOR_PLAYOUT_DELAY;
+    this.buffers = new Map(); // Map of saber ID -> { orientation, length } JitterBuffers
+    this.configs = new Map(); // Map of saber ID -> last applied look, to skip unchanged ones
+    this.clockOffset = null; // Time base of the buffered poses (null = arrival time)
+    this.game = null;
+  }
+
+  /**
+   * @param {Object} state - spectator_state message
+   * @param {number} time - when the display sent it, on our clock
+   * @param {number|null} clockOffset - display clock minus ours, null while unknown
+   */
+  applyState(state, time, clockOffset = null) {
+    // Poses on the old time base would block the new ones - start over
+    if (isTimeBaseChanged(this.clockOffset, clockOffset)) {
+      this.buffers.forEach(buffers => {
+        buffers.orientation.clear();
+        buffers.length.clear();
+      });
+      this.clockOffset = clockOffset;
+    }
+
+    const ids = new Set();
+    (state.sabers || []).forEach(saberState => {
+      ids.add(saberState.id);
+      const saber = this.visualization.getSaber(saberState.id);
+
+      const config = { color: saberState.color, hilt: saberState.hilt, doubleBladed: saberState.doubleBladed };
+      const configKey = JSON.stringify(config);
+      if (this.configs.get(saberState.id) !== configKey) {
+        this.configs.set(saberState.id, configKey);
+        saber.applySaberConfig(config);
+      }
+
+      if (saberState.lit && !saber.saberState.isLit()) {
+        saber.ignite();
+      } else if (!saberState.lit && saber.saberState.isLit()) {
+        saber.retract();
+      }
+
+      const buffers = this.getBuffers(saberState.id);
+      buffers.orientation.push(time, saberState.quaternion);
+      buffers.length.push(time, saberState.bladeLength);
+    });
+
+    // Sabers the display no longer shows
+    this.visualization.getSabers().forEach(saber => {
+      if (!ids.has(saber.id) && this.buffers.has(saber.id)) {
+        this.buffers.delete(saber.id);
+        this.configs.delete(saber.id);
+        this.visualization.removeSaber(saber.id);
+      }
+    });
+
+    this.game = state.game || null;
+  }
+
+  getBuffers(id) {
+    if (!this.buffers.has(id)) {
+      this.buffers.set(id, {
+        orientation: new JitterBuffer({ interpolate: interpolateQuaternion, playoutDelay: this.playoutDelay }),
+        length: new JitterBuffer({ playoutDelay: this.playoutDelay }),
+      });
+    }
+    return this.buffers.get(id);
+  }
+
+  /**
+   * Move each mirrored saber to its played-back pose (once per frame)
+   */
+  update(now = Date.now()) {
+    this.buffers.forEach((buffers, id) => {
+      if (!this.visualization.hasSaber(id)) return;
+      const saber = this.visualization.getSaber(id);
+
+      const quaternion = buffers.orientation.sample(now);
+      if (quaternion) {
+        saber.setSceneOrientation(quaternion);
+      }
+      const length = buffers.length.sample(now);
+      if (length !== null) {
+        saber.updateBladeLength(Math.min(1, Math.max(0, length)));
+      }
+    });
+  }
+
+  getGame() {
+    return this.game;
+  }
+
+  /**
+   * Drop the mirrored sabers (the display went away)
+   */
+  clear() {
+    this.buffers.forEach((_, id) => this.visualization.removeSaber(id));
+    this.buffers.clear();
+    this.configs.clear();
+    this.clockOffset = null;
+    this.game = null;
+  }
+}
@@ -0,0 +1,84 @@
+// Training Droid - Three.js meshes for the training remote and its blaster bolts
+//
+// Draws a TrainingSession: call sync() every frame and the droid moves to the
+// session's droid position and one glowing bolt mesh follows each live bolt.
+import * as THREE from 'three';
+
+const BOLT_COLOR = 0xff2020;
+const DEFLECTED_COLOR = 0xffaa33;
+const BOLT_LENGTH = 0.6;
+
+export class TrainingDroid {
+  constructor(scene) {
+    this.scene = scene;
+    this.boltMeshes = new Map(); // Map of bolt ID -> Mesh
+    this.direction = new THREE.Vector3();
+    this.up = new THREE.Vector3(0, 1, 0);
+
+    this.group = new THREE.Group();
+
+    // Dark sphere with a ring of emitters and a red eye
+    this.bodyMaterial = new THREE.MeshStandardMaterial({ color: 0x444444, metalness: 0.8, roughness: 0.3 });
+    const body = new THREE.Mesh(new THREE.SphereGeometry(0.35, 24, 16), this.bodyMaterial);
+    this.group.add(body);
+
+    const ring = new THREE.Mesh(new THREE.TorusGeometry(0.36, 0.03, 8, 32), this.bodyMaterial);
+    ring.rotation.x = Math.PI / 2;
+    this.group.add(ring);
+
+    this.eyeMaterial = new THREE.MeshBasicMaterial({ color: BOLT_COLOR });
+    this.eye = new THREE.Mesh(new THREE.SphereGeometry(0.08, 12, 8), this.eyeMaterial);
+    this.eye.position.z = 0.32; // Facing the player
+    this.group.add(this.eye);
+
+    // Bolts: one shared geometry, unit length along y, bright enough to bloom
+    this.boltGeometry = new THREE.CylinderGeometry(0.04, 0.04, BOLT_LENGTH, 8);
+    this.boltMaterial = new THREE.MeshBasicMaterial({ color: BOLT_COLOR });
+    this.deflectedMaterial = new THREE.MeshBasicMaterial({ color: DEFLECTED_COLOR });
+
+    this.scene.add(this.group);
+  }
+
+  /**
+   * Match the meshes to the session's droid and bolts
+   */
+  sync(session, time = 0) {
+    const { x, y, z } = session.droidPosition;
+    this.group.position.set(x, y, z);
+    this.group.rotation.y = Math.sin(time * 2) * 0.3;
+
+    const live = new Set();
+    session.bolts.forEach(bolt => {
+      live.add(bolt.id);
+      let mesh = this.boltMeshes.get(bolt.id);
+      if (!mesh) {
+        mesh = new THREE.Mesh(this.boltGeometry, this.boltMaterial);
+        this.boltMeshes.set(bolt.id, mesh);
+        this.scene.add(mesh);
+      }
+      mesh.material = bolt.deflected ? this.deflectedMaterial : this.boltMaterial;
+      mesh.position.set(bolt.position.x, bolt.position.y, bolt.position.z);
+      this.direction.set(bolt.velocity.x, bolt.velocity.y, bolt.velocity.z).normalize();
+      mesh.quaternion.setFromUnitVectors(this.up, this.direction);
+    });
+
+    this.boltMeshes.forEach((mesh, id) => {
+      if (!live.has(id)) {
+        this.scene.remove(mesh);
+        this.boltMeshes.delete(id);
+      }
+    });
+  }
+
+  dispose() {
+    this.boltMeshes.forEach(mesh => this.scene.remove(mesh));
+    this.boltMeshes.clear();
+    this.scene.remove(this.group);
+    this.group.traverse((object) => object.geometry?.dispose());
+    this.bodyMaterial.dispose();
+    this.eyeMaterial.dispose();
+    this.boltGeometry.dispose();
+    this.boltMaterial.dispose();
+    this.deflectedMaterial.dispose();
+  }
+}
@@ -0,0 +1,286 @@
+// Training - Solo mode: deflect blaster bolts fired by a floating remote droid
+//
+// The droid hovers in front of the player (into the screen) and fires bolts at their
+// body. A bolt whose path this frame crosses the blade capsule is deflected back
+// toward the droid; one that reaches the body is a hit on the player. Bolts get
+// faster and come more often every LEVEL_DURATION, and the round ends after
+// ROUND_DURATION with a summary (score, best streak, accuracy).
+//
+// Pure game state - TrainingDroid (training-droid.js) draws it.
+import { closestPointsOnSegments } from './duel.js';
+
+export const TrainingPhase = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  FINISHED: 'finished',
+};
+
+const ROUND_DURATION = 60000; // ms
+const LEVEL_DURATION = 12000; // ms per difficulty step
+const START_DELAY = 1500; // ms before the first shot
+const BOLT_SPEED = 6; // Scene units per second at level 1
+const BOLT_SPEED_STEP = 1.5; // Added per level
+const FIRE_INTERVAL = 2000; // ms between shots at level 1
+const FIRE_INTERVAL_STEP = 250; // ms less per level
+const MIN_FIRE_INTERVAL = 600;
+const DEFLECT_RADIUS = 0.25; // Blade radius plus bolt radius, a little forgiving
+const DEFLECT_SPEED = 1.3; // Deflected bolts fly back faster
+const BOLT_LIFETIME = 4000; // ms before a stray bolt is dropped
+const POINTS_PER_DEFLECT = 100;
+const STREAK_STEP = 5; // Multiplier goes up every 5 deflections in a row
+
+// Droid hovers ahead of the player and drifts side to side
+const DROID_DISTANCE = 6;
+const DROID_HEIGHT = 1.5;
+const DROID_DRIFT = 2;
+
+// The player faces into the screen, so their body is behind the hilt (toward the camera)
+const BODY_BOTTOM = -3;
+const BODY_TOP = 0.5;
+const BODY_DEPTH = 0.6;
+const BODY_RADIUS = 0.5;
+
+function length(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+function scaleTo(v, size) {
+  const n = length(v) || 1;
+  return { x: (v.x / n) * size, y: (v.y / n) * size, z: (v.z / n) * size };
+}
+
+/**
+ * Body capsule of the player whose saber stands at slot x
+ */
+export function trainingBodyCapsule(x) {
+  return {
+    start: { x, y: BODY_BOTTOM, z: BODY_DEPTH },
+    end: { x, y: BODY_TOP, z: BODY_DEPTH },
+    radius: BODY_RADIUS,
+  };
+}
+
+/**
+ * Accuracy (0-1): share of bolts that reached the player and were deflected
+ */
+export function trainingAccuracy(deflected, hits) {
+  const total = deflected + hits;
+  return total === 0 ? 0 : deflected / total;
+}
+
+export class TrainingSession {
+  constructor(options = {}) {
+    this.roundDuration = options.roundDuration ?? ROUND_DURATION;
+    this.levelDuration = options.levelDuration ?? LEVEL_DURATION;
+    this.random = options.random ?? Math.random;
+
+    this.phase = TrainingPhase.IDLE;
+    this.bolts = [];
+    this.nextBoltId = 1;
+    this.droidPosition = { x: 0, y: DROID_HEIGHT, z: -DROID_DISTANCE };
+    this.eventCallbacks = [];
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.score = 0;
+    this.streak = 0;
+    this.bestStreak = 0;
+    this.deflected = 0;
+    this.hits = 0;
+    this.fired = 0;
+    this.level = 1;
+    this.startedAt = null;
+    this.lastUpdate = null;
+    this.nextShotAt = null;
+  }
+
+  isActive() {
+    return this.phase !== TrainingPhase.IDLE;
+  }
+
+  start(now = performance.now()) {
+    this.resetStats();
+    this.bolts = [];
+    this.startedAt = now;
+    this.lastUpdate = now;
+    this.nextShotAt = now + START_DELAY;
+    this.phase = TrainingPhase.RUNNING;
+    console.log('🎯 Training started');
+    this.emit({ type: 'start' });
+  }
+
+  stop() {
+    if (this.phase === TrainingPhase.IDLE) return;
+    this.phase = TrainingPhase.IDLE;
+    this.bolts = [];
+    this.emit({ type: 'stop' });
+  }
+
+  getTimeLeft(now = performance.now()) {
+    if (this.phase !== TrainingPhase.RUNNING) return 0;
+    return Math.max(0, this.roundDuration - (now - this.startedAt));
+  }
+
+  getMultiplier() {
+    return 1 + Math.floor(this.streak / STREAK_STEP);
+  }
+
+  getBoltSpeed() {
+    return BOLT_SPEED + (this.level - 1) * BOLT_SPEED_STEP;
+  }
+
+  getFireInterval() {
+    return Math.max(MIN_FIRE_INTERVAL, FIRE_INTERVAL - (this.level - 1) * FIRE_INTERVAL_STEP);
+  }
+
+  getSummary() {
+    return {
+      score: this.score,
+      bestStreak: this.bestStreak,
+      deflected: this.deflected,
+      hits: this.hits,
+      fired: this.fired,
+      accuracy: trainingAccuracy(this.deflected, this.hits),
+      level: this.level,
+    };
+  }
+
+  /**
+   * Per-frame update
+   * @param {number} now - performance.now()
+   * @param {{start, end}|null} blade - player's blade capsule (null while unlit)
+   * @param {{start, end, radius}} body - player's body capsule
+   */
+  update(now, blade, body) {
+    if (this.phase !== TrainingPhase.RUNNING) return;
+
+    const dt = Math.max(0, now - this.lastUpdate) / 1000;
+    this.lastUpdate = now;
+    const elapsed = now - this.startedAt;
+
+    if (elapsed >= this.roundDuration) {
+      this.finish();
+      return;
+    }
+
+    this.level = 1 + Math.floor(elapsed / this.levelDuration);
+    this.updateDroid(elapsed, body);
+
+    if (now >= this.nextShotAt) {
+      this.fire(now, body);
+      this.nextShotAt = now + this.getFireInterval();
+    }
+
+    this.bolts = this.bolts.filter(bolt => this.updateBolt(bolt, now, dt, blade, body));
+  }
+
+  updateDroid(elapsed, body) {
+    const t = elapsed / 1000;
+    const centerX = (body.start.x + body.end.x) / 2;
+    this.droidPosition.x = centerX + Math.sin(t * 0.7) * DROID_DRIFT;
+    this.droidPosition.y = DROID_HEIGHT + Math.sin(t * 1.3) * 0.4;
+    this.droidPosition.z = -DROID_DISTANCE;
+  }
+
+  /**
+   * Shoot a bolt at a random point on the player's body
+   */
+  fire(now, body) {
+    const along = this.random();
+    const target = {
+      x: body.start.x + (body.end.x - body.start.x) * along + (this.random() - 0.5) * body.radius,
+      y: body.start.y + (body.end.y - body.start.y) * along,
+      z: body.start.z + (body.end.z - body.start.z) * along,
+    };
+    const position = { ...this.droidPosition };
+    const velocity = scaleTo({
+      x: target.x - position.x,
+      y: target.y - position.y,
+      z: target.z - position.z,
+    }, this.getBoltSpeed());
+
+    const bolt = { id: this.nextBoltId++, position, velocity, deflected: false, firedAt: now };
+    this.bolts.push(bolt);
+    this.fired++;
+    this.emit({ type: 'fire', bolt });
+  }
+
+  /**
+   * Move one bolt and resolve deflections / hits
+   * @returns {boolean} false once the bolt is gone
+   */
+  updateBolt(bolt, now, dt, blade, body) {
+    const from = { ...bolt.position };
+    bolt.position.x += bolt.velocity.x * dt;
+    bolt.position.y += bolt.velocity.y * dt;
+    bolt.position.z += bolt.velocity.z * dt;
+
+    if (now - bolt.firedAt > BOLT_LIFETIME) {
+      return false;
+    }
+    if (bolt.deflected) {
+      return true; // Flying away, harmless
+    }
+
+    // Swept test so fast bolts can't tunnel through the blade between frames
+    if (blade) {
+      const contact = closestPointsOnSegments(from, bolt.position, blade.start, blade.end);
+      if (contact.distance <= DEFLECT_RADIUS) {
+        this.deflect(bolt, contact.pointA);
+        return true;
+      }
+    }
+
+    const hit = closestPointsOnSegments(from, bolt.position, body.start, body.end);
+    if (hit.distance <= body.radius) {
+      this.hits++;
+      this.streak = 0;
+      this.emit({ type: 'hit', bolt, point: hit.pointA });
+      return false;
+    }
+    return true;
+  }
+
+  deflect(bolt, point) {
+    bolt.deflected = true;
+    bolt.position = { ...point };
+
+    // Back toward the droid, with some spread
+    const spread = 1.5;
+    bolt.velocity = scaleTo({
+      x: this.droidPosition.x - point.x + (this.random() - 0.5) * spread,
+      y: this.droidPosition.y - point.y + (this.random() - 0.5) * spread,
+      z: this.droidPosition.z - point.z,
+    }, this.getBoltSpeed() * DEFLECT_SPEED);
+
+    this.deflected++;
+    this.streak++;
+    this.bestStreak = Math.max(this.bestStreak, this.streak);
+    const points = POINTS_PER_DEFLECT * this.getMultiplier();
+    this.score += points;
+    this.emit({ type: 'deflect', bolt, point, points });
+  }
+
+  finish() {
+    this.phase = TrainingPhase.FINISHED;
+    this.bolts = [];
+    const summary = this.getSummary();
+    console.log('🎯 Training finished:', summary);
+    this.emit({ type: 'end', summary });
+  }
+
+  onEvent(callback) {
+    this.eventCallbacks.push(callback);
+  }
+
+  emit(event) {
+    this.eventCallbacks.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error('Error in training event callback:', error);
+      }
+    });
+  }
+}
@@ -93,6 +93,13 @@ export function degToRad(degrees) {
   return degrees * (Math.PI / 180);
 }
 
+/**
+ * Convert radians to degrees
+ */
+export function radToDeg(radians) {
+  return radians * (180 / Math.PI);
+}
+
 /**
  * Linear interpolation
  */
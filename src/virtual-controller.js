@@ -0,0 +1,255 @@
+// Virtual Controller - Drives the game from a desktop mouse/keyboard instead of a phone
+//
+// Mouse drag -> gyro_data (left/right = alpha, up/down = beta, wheel or Q/E = gamma)
+// Mouse speed -> motion_data (rotationRate, velocity, acceleration including gravity)
+// Volume slider or holding Space -> audio_data
+//
+// Messages have exactly the shape GyroscopeHandler, MotionHandler and
+// MicrophoneHandler produce, so the viewer can't tell the difference.
+import { quatFromDeviceOrientation, quatConjugate, rotateVector } from './orientation-fusion.js';
+
+const GRAVITY = 9.81;
+const PIXELS_PER_METER = 500; // Mouse movement scale for velocity/acceleration
+const ROLL_STEP = 5; // Degrees per Q/E press or wheel notch
+
+function wrapDegrees(angle) {
+  return ((angle % 360) + 360) % 360;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+export class VirtualController {
+  constructor(options = {}) {
+    this.sensitivity = options.sensitivity ?? 0.3; // Degrees per pixel dragged
+    this.tickInterval = options.tickInterval ?? 16; // ~60fps, like the real handlers
+
+    this.orientation = { alpha: 0, beta: 90, gamma: 0 }; // Phone held upright, pointing forward
+    this.volume = 0;
+    this.keyVolume = false;
+
+    this.pendingMovement = { x: 0, y: 0 };
+    this.lastOrientation = { ...this.orientation };
+    this.lastVelocity = { x: 0, y: 0, z: 0 };
+    this.lastTick = null;
+    this.tickCount = 0;
+
+    this.isRunning = false;
+    this.isDragging = false;
+    this.callbacks = {};
+    this.deviceId = null;
+    this.element = null;
+    this.intervalId = null;
+
+    // Bound once so listeners can be removed again
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+  }
+
+  /**
+   * @param {{ onGyro?: Function, onMotion?: Function, onAudio?: Function }} callbacks
+   * @param {HTMLElement} element - drag surface
+   */
+  start(callbacks, deviceId, element) {
+    if (this.isRunning) {
+      console.warn('Virtual controller is already running');
+      return;
+    }
+
+    this.callbacks = callbacks || {};
+    this.deviceId = deviceId;
+    this.isRunning = true;
+    this.lastTick = null;
+
+    if (element) {
+      this.element = element;
+      element.addEventListener('pointerdown', this.handlePointerDown);
+      element.addEventListener('pointermove', this.handlePointerMove);
+      element.addEventListener('pointerup', this.handlePointerUp);
+      element.addEventListener('pointercancel', this.handlePointerUp);
+      element.addEventListener('wheel', this.handleWheel, { passive: false });
+    }
+    window.addEventListener('keydown', this.handleKeyDown);
+    window.addEventListener('keyup', this.handleKeyUp);
+
+    this.intervalId = setInterval(() => this.tick(Date.now()), this.tickInterval);
+    console.log('🖱️ Virtual controller started');
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    if (this.element) {
+      this.element.removeEventListener('pointerdown', this.handlePointerDown);
+      this.element.removeEventListener('pointermove', this.handlePointerMove);
+      this.element.removeEventListener('pointerup', this.handlePointerUp);
+      this.element.removeEventListener('pointercancel', this.handlePointerUp);
+      this.element.removeEventListener('wheel', this.handleWheel);
+      this.element = null;
+    }
+    window.removeEventListener('keydown', this.handleKeyDown);
+    window.removeEventListener('keyup', this.handleKeyUp);
+
+    this.isRunning = false;
+    this.isDragging = false;
+    this.callbacks = {};
+    console.log('Virtual controller stopped');
+  }
+
+  handlePointerDown(event) {
+    this.isDragging = true;
+    this.element?.setPointerCapture?.(event.pointerId);
+  }
+
+  handlePointerMove(event) {
+    if (!this.isDragging) {
+      return;
+    }
+    this.move(event.movementX || 0, event.movementY || 0);
+  }
+
+  handlePointerUp(event) {
+    this.isDragging = false;
+    this.element?.releasePointerCapture?.(event.pointerId);
+  }
+
+  handleWheel(event) {
+    event.preventDefault();
+    this.roll(Math.sign(event.deltaY) * ROLL_STEP);
+  }
+
+  handleKeyDown(event) {
+    if (event.target?.tagName === 'INPUT' || event.target?.tagName === 'TEXTAREA') {
+      return;
+    }
+    if (event.code === 'Space') {
+      event.preventDefault();
+      this.keyVolume = true;
+    } else if (event.code === 'KeyQ') {
+      this.roll(-ROLL_STEP);
+    } else if (event.code === 'KeyE') {
+      this.roll(ROLL_STEP);
+    }
+  }
+
+  handleKeyUp(event) {
+    if (event.code === 'Space') {
+      this.keyVolume = false;
+    }
+  }
+
+  /**
+   * Apply a mouse drag in pixels
+   */
+  move(dx, dy) {
+    this.pendingMovement.x += dx;
+    this.pendingMovement.y += dy;
+    // Dragging right turns right (alpha is counter-clockwise), dragging up raises the tip
+    this.orientation.alpha = wrapDegrees(this.orientation.alpha - dx * this.sensitivity);
+    this.orientation.beta = clamp(this.orientation.beta - dy * this.sensitivity, -180, 180);
+  }
+
+  roll(degrees) {
+    this.orientation.gamma = clamp(this.orientation.gamma + degrees, -90, 90);
+  }
+
+  setVolume(volume) {
+    this.volume = clamp(Number(volume) || 0, 0, 1);
+  }
+
+  getVolume() {
+    return this.keyVolume ? 1 : this.volume;
+  }
+
+  /**
+   * Emit one round of sensor messages (called every tickInterval)
+   */
+  tick(now) {
+    if (!this.isRunning) {
+      return;
+    }
+
+    const dt = this.lastTick === null ? this.tickInterval / 1000 : Math.max((now - this.lastTick) / 1000, 0.001);
+    this.lastTick = now;
+
+    this.callbacks.onGyro?.(this.formatGyroData(now));
+    this.callbacks.onMotion?.(this.formatMotionData(now, dt));
+
+    // Microphone handler sends at ~30fps
+    if (this.tickCount % 2 === 0) {
+      this.callbacks.onAudio?.(this.formatAudioData(now));
+    }
+    this.tickCount++;
+  }
+
+  formatGyroData(timestamp = Date.now()) {
+    return {
+      type: 'gyro_data',
+      timestamp,
+      alpha: this.orientation.alpha,
+      beta: this.orientation.beta,
+      gamma: this.orientation.gamma,
+      deviceId: this.deviceId,
+    };
+  }
+
+  formatMotionData(timestamp, dt) {
+    // Rotation rate from how far the angles moved since the last tick (alpha wraps at 360)
+    const deltaAlpha = ((this.orientation.alpha - this.lastOrientation.alpha + 540) % 360) - 180;
+    const rotationRate = {
+      alpha: deltaAlpha / dt,
+      beta: (this.orientation.beta - this.lastOrientation.beta) / dt,
+      gamma: (this.orientation.gamma - this.lastOrientation.gamma) / dt,
+    };
+    this.lastOrientation = { ...this.orientation };
+
+    // Mouse speed in screen space (y down) -> device x right, y up
+    const velocity = {
+      x: this.pendingMovement.x / PIXELS_PER_METER / dt,
+      y: -this.pendingMovement.y / PIXELS_PER_METER / dt,
+      z: 0,
+    };
+    this.pendingMovement = { x: 0, y: 0 };
+
+    // Accelerometers report gravity too; express it in the device frame
+    const q = quatFromDeviceOrientation(this.orientation.alpha, this.orientation.beta, this.orientation.gamma);
+    const gravity = rotateVector(quatConjugate(q), { x: 0, y: 0, z: GRAVITY });
+    const acceleration = {
+      x: gravity.x + (velocity.x - this.lastVelocity.x) / dt,
+      y: gravity.y + (velocity.y - this.lastVelocity.y) / dt,
+      z: gravity.z,
+    };
+    this.lastVelocity = velocity;
+
+    return {
+      type: 'motion_data',
+      timestamp,
+      acceleration,
+      velocity,
+      speed: Math.sqrt(velocity.x ** 2 + velocity.y ** 2 + velocity.z ** 2),
+      rotationRate,
+      deviceId: this.deviceId,
+    };
+  }
+
+  formatAudioData(timestamp = Date.now()) {
+    return {
+      type: 'audio_data',
+      timestamp,
+      volume: this.getVolume(),
+      deviceId: this.deviceId,
+    };
+  }
+}
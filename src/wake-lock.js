@@ -0,0 +1,76 @@
+// Wake Lock - Keeps the controller's screen on while it is in a game
+//
+// Uses the Screen Wake Lock API. Browsers drop the lock whenever the page is hidden,
+// so it is requested again when the page becomes visible while still wanted.
+
+export class ScreenWakeLock {
+  constructor(wakeLockApi = typeof navigator !== 'undefined' ? navigator.wakeLock : undefined) {
+    this.api = wakeLockApi;
+    this.sentinel = null;
+    this.wanted = false;
+    this.handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible' && this.wanted && !this.sentinel) {
+        this.request();
+      }
+    };
+  }
+
+  isSupported() {
+    return !!this.api && typeof this.api.request === 'function';
+  }
+
+  isActive() {
+    return !!this.sentinel;
+  }
+
+  /**
+   * Keep the screen on until release()
+   * @returns {Promise<boolean>} whether the lock is held now
+   */
+  async acquire() {
+    this.wanted = true;
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    return this.request();
+  }
+
+  async request() {
+    if (!this.isSupported()) {
+      return false;
+    }
+
+    try {
+      const sentinel = await this.api.request('screen');
+      if (!this.wanted) {
+        // Released while the request was pending
+        await sentinel.release();
+        return false;
+      }
+      this.sentinel = sentinel;
+      sentinel.addEventListener?.('release', () => {
+        if (this.sentinel === sentinel) {
+          this.sentinel = null;
+        }
+      });
+      console.log('🔆 Screen wake lock acquired');
+      return true;
+    } catch (error) {
+      // Refused, e.g. battery saver or the page is not visible
+      console.warn('Screen wake lock request failed:', error);
+      return false;
+    }
+  }
+
+  async release() {
+    this.wanted = false;
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    const sentinel = this.sentinel;
+    this.sentinel = null;
+    if (sentinel) {
+      try {
+        await sentinel.release();
+      } catch (error) {
+        console.warn('Screen wake lock release failed:', error);
+      }
+    }
+  }
+}
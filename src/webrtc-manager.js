@@ -1,22 +1,63 @@
 // WebRTC Manager using PeerJS - Redesigned for reliability
 import Peer from 'peerjs';
+import { CLOUD_SIGNALING, isCloudSignaling } from './signaling-config.js';
+import { CODEC_VERSION, SensorEncoder, decodeSensorPacket, isBinaryPacket } from './sensor-codec.js';
+import { ClockSync, computeClockSample } from './clock-sync.js';
+import { SequenceLossTracker, computeStatsRates, summarizeStatsReport } from './connection-stats.js';
+import { SendQueue } from './send-queue.js';
+import { PairingState, computeConnectionSas } from './pairing-auth.js';
+
+// High-rate sensor streams go over a second, unreliable and unordered channel
+// so a lost packet never blocks the ones behind it (no head-of-line blocking)
+const SENSOR_CHANNEL_LABEL = 'sensor';
+const SENSOR_CHANNEL_ID = 10; // Pre-negotiated stream ID, clear of the PeerJS channel (0/1)
+const SENSOR_MESSAGE_TYPES = new Set(['gyro_data', 'motion_data', 'audio_data', 'orientation_data']);
+const STATS_INTERVAL = 2000; // getStats() poll, in step with the quality pings
+const MAX_PENDING_MESSAGES = 50; // Control messages kept from a peer awaiting approval
+const REJECT_CLOSE_DELAY = 500; // ms for the pairing_rejected message to go out before closing
 
 export class WebRTCManager {
-  constructor() {
+  constructor(options = {}) {
     this.peer = null;
     this.peerId = null;
     this.displayKeyphrase = null; // User-friendly keyphrase for display
     this.connections = new Map(); // Map of peerId -> DataConnection
     this.connectionQuality = new Map(); // Map of peerId -> quality metrics
+    this.clockSyncs = new Map(); // Map of peerId -> ClockSync (offset of the peer's clock)
+    this.connectionStats = new Map(); // Map of peerId -> latest diagnostics from getStats()
+    this.statsIntervals = new Map(); // Map of peerId -> getStats() poll interval ID
+    this.sequenceLoss = new Map(); // Map of peerId -> SequenceLossTracker for binary sensor packets
+    this.sensorSequences = new Map(); // Map of peerId -> next sequence number for binary sensor packets we send
+    this.sendQueues = new Map(); // Map of peerId -> SendQueue (backpressure-aware outgoing scheduler)
+    this.pendingApprovals = new Map(); // Map of peerId -> { connection, handshake, buffered } awaiting accept
+    this.pairings = new Map(); // Map of peerId -> { role, state, sas, deviceId, displayKeyphrase }
+    this.acceptanceWaiters = new Map(); // Map of peerId -> [resolve] waiting on an outgoing pairing's decision
     this.dataCallbacks = [];
     this.connectionStateCallbacks = [];
     this.connectionQualityCallbacks = [];
+    this.connectionStatsCallbacks = [];
+    this.peerDisconnectedCallbacks = [];
+    this.pairingCallbacks = [];
     this.connectionStatus = 'disconnected';
     this.isReady = false; // Whether peer is ready to accept connections
     this.reconnectAttempts = new Map(); // Map of peerId -> attempt count
     this.reconnectTimers = new Map(); // Map of peerId -> timeout ID
     this.pendingConnections = new Map(); // Map of peerId -> connection promise
     this.connectionHandshakes = new Map(); // Map of peerId -> handshake state
+    this.sensorChannels = new Map(); // Map of peerId -> unreliable RTCDataChannel
+    this.peerCapabilities = new Map(); // Map of peerId -> capabilities from handshake
+    this.lastSensorTimestamps = new Map(); // Map of `${peerId}:${type}` -> newest timestamp seen
+    this.saberConfig = null; // saber_config message sent right after every handshake
+    
+    // Signaling server (PeerJS cloud by default, or a self-hosted `npm run signal` server)
+    this.signaling = { ...CLOUD_SIGNALING, ...options.signaling };
+    
+    // Binary sensor codec (negotiated per peer in the handshake, JSON otherwise)
+    this.deviceId = options.deviceId || null;
+    
+    // 'controller', 'viewer' or 'spectator', announced in the handshake
+    this.role = options.role || null;
+    this.sensorEncoder = new SensorEncoder();
     
     // Enhanced ICE servers with TURN for better NAT traversal
     this.config = {
@@ -89,11 +130,15 @@ export class WebRTCManager {
     console.log('Initializing peer with display keyphrase:', displayKeyphrase);
     console.log('Normalized keyphrase:', normalizedKeyphrase);
     console.log('Using hashed peer ID for PeerJS:', shortPeerId);
+    console.log('Signaling server:', `${this.signaling.host}:${this.signaling.port}${this.signaling.path}`);
     
     return new Promise((resolve, reject) => {
       const initTimeout = setTimeout(() => {
         if (!this.peerId) {
-          const error = new Error('Peer initialization timeout. Please check your internet connection.');
+          const hint = isCloudSignaling(this.signaling)
+            ? 'Please check your internet connection.'
+            : `Make sure the signaling server at ${this.signaling.host}:${this.signaling.port} is running.`;
+          const error = new Error(`Peer initialization timeout. ${hint}`);
           this.connectionStatus = 'error';
           this.updateConnectionStatus('error', 'Initialization timeout');
           reject(error);
@@ -103,10 +148,11 @@ export class WebRTCManager {
       try {
         // Initialize PeerJS peer with short ID
         this.peer = new Peer(shortPeerId, {
-          host: '0.peerjs.com',
-          port: 443,
-          path: '/',
-          secure: true,
+          host: this.signaling.host,
+          port: this.signaling.port,
+          path: this.signaling.path,
+          secure: this.signaling.secure,
+          key: this.signaling.key,
           config: this.config,
           debug: 1, // Reduced debug level
         });
@@ -301,10 +347,17 @@ export class WebRTCManager {
           
           // Start monitoring connection quality
           this.startQualityMonitoring(targetPeerId, dataConnection);
+          this.startStatsMonitoring(targetPeerId, dataConnection);
+          
+          // Open the unreliable sensor channel before advertising it in the handshake
+          this.openSensorChannel(targetPeerId, dataConnection);
           
           // Send handshake message
           this.sendHandshake(targetPeerId, dataConnection);
           
+          // The other side may ask its user to accept us - its handshake means yes
+          this.startOutgoingPairing(targetPeerId, dataConnection);
+          
           resolve(dataConnection);
         });
 
@@ -319,7 +372,13 @@ export class WebRTCManager {
           console.log('Data connection closed to:', targetPeerId);
           this.connections.delete(targetPeerId);
           this.connectionQuality.delete(targetPeerId);
+          this.clockSyncs.delete(targetPeerId);
           this.stopQualityMonitoring(targetPeerId);
+          this.stopStatsMonitoring(targetPeerId);
+          this.clearSendQueue(targetPeerId);
+          this.endPairing(targetPeerId);
+          this.closeSensorChannel(targetPeerId);
+          this.notifyPeerDisconnected(targetPeerId);
           this.updateConnectionStatus('disconnected', `Disconnected from peer`);
           
           // Attempt reconnection if not manually closed
@@ -366,43 +425,77 @@ export class WebRTCManager {
         type: 'handshake',
         from: this.peerId,
         displayKeyphrase: this.displayKeyphrase,
+        deviceId: this.deviceId,
+        role: this.role,
         timestamp: Date.now(),
+        capabilities: {
+          sensorChannel: this.sensorChannels.has(peerId),
+          // Binary packets need the raw sensor channel (PeerJS 'json' channels only carry JSON)
+          binaryCodecs: this.sensorChannels.has(peerId) ? [CODEC_VERSION] : [],
+          codecEpoch: this.sensorEncoder.epoch,
+        },
       };
       connection.send(JSON.stringify(handshake));
       console.log('Sent handshake to:', peerId);
+      
+      // Controllers announce their saber appearance as part of the handshake
+      if (this.saberConfig) {
+        connection.send(JSON.stringify(this.saberConfig));
+      }
     } catch (error) {
       console.error('Failed to send handshake:', error);
     }
   }
 
-  handleIncomingConnection(dataConnection) {
+  /**
+   * @param {Object} dataConnection
+   * @param {Object} [options]
+   * @param {boolean} [options.preApproved] - skip the accept prompt (QR pairing in person)
+   */
+  handleIncomingConnection(dataConnection, options = {}) {
     const peerId = dataConnection.peer;
     console.log('Handling incoming connection from:', peerId);
     
     // Set up data handler
     dataConnection.on('data', (data) => {
+      if (this.pendingApprovals.has(peerId)) {
+        this.handlePendingData(peerId, data);
+        return;
+      }
       this.handleDataReceived(peerId, data);
     });
 
     // Handle connection open
     dataConnection.on('open', () => {
       console.log('Incoming connection opened from:', peerId);
-      this.connections.set(peerId, dataConnection);
-      this.updateConnectionStatus('connected', `Connected to peer`);
       
-      // Start monitoring connection quality
-      this.startQualityMonitoring(peerId, dataConnection);
+      // Without a pairing listener there is nobody to ask - accept as before
+      if (options.preApproved || this.pairingCallbacks.length === 0) {
+        this.activateIncomingConnection(peerId, dataConnection);
+        return;
+      }
       
-      // Send handshake response
-      this.sendHandshake(peerId, dataConnection);
+      // Nothing reaches the app until acceptConnection(); our handshake is the "yes"
+      this.pendingApprovals.set(peerId, { connection: dataConnection, handshake: null, buffered: [] });
+      this.updateConnectionStatus('connecting', 'Incoming connection awaiting approval');
     });
 
     // Handle connection close
     dataConnection.on('close', () => {
       console.log('Incoming connection closed from:', peerId);
+      if (this.pendingApprovals.delete(peerId)) {
+        this.endPairing(peerId);
+        return;
+      }
       this.connections.delete(peerId);
       this.connectionQuality.delete(peerId);
+      this.clockSyncs.delete(peerId);
       this.stopQualityMonitoring(peerId);
+      this.stopStatsMonitoring(peerId);
+      this.clearSendQueue(peerId);
+      this.endPairing(peerId);
+      this.closeSensorChannel(peerId);
+      this.notifyPeerDisconnected(peerId);
       this.updateConnectionStatus('disconnected', `Disconnected from peer`);
     });
 
@@ -413,6 +506,324 @@ export class WebRTCManager {
     });
   }
 
+  activateIncomingConnection(peerId, dataConnection) {
+    this.connections.set(peerId, dataConnection);
+    this.updateConnectionStatus('connected', `Connected to peer`);
+    
+    // Start monitoring connection quality
+    this.startQualityMonitoring(peerId, dataConnection);
+    this.startStatsMonitoring(peerId, dataConnection);
+    
+    // Open the unreliable sensor channel before advertising it in the handshake
+    this.openSensorChannel(peerId, dataConnection);
+    
+    // Send handshake response
+    this.sendHandshake(peerId, dataConnection);
+  }
+
+  /**
+   * Data from an incoming peer we have not accepted yet: the handshake starts the
+   * approval; control messages (e.g. saber_config) are kept for after accepting;
+   * sensor samples would be stale by then and are dropped
+   */
+  handlePendingData(peerId, data) {
+    const pending = this.pendingApprovals.get(peerId);
+    let parsedData;
+    try {
+      parsedData = typeof data === 'string' ? JSON.parse(data) : data;
+    } catch (error) {
+      console.error('Failed to parse data from pending peer:', error);
+      return;
+    }
+
+    if (parsedData.type === 'handshake') {
+      if (!pending.handshake) {
+        pending.handshake = parsedData;
+        this.requestApproval(peerId, pending);
+      }
+      return;
+    }
+
+    const isTransient = SENSOR_MESSAGE_TYPES.has(parsedData.type) ||
+      parsedData.type === 'quality_ping' || parsedData.type === 'quality_pong';
+    if (!isTransient && pending.buffered.length < MAX_PENDING_MESSAGES) {
+      pending.buffered.push(parsedData);
+    }
+  }
+
+  async requestApproval(peerId, pending) {
+    let sas = null;
+    try {
+      sas = await computeConnectionSas(pending.connection.peerConnection);
+    } catch (error) {
+      console.warn('Failed to compute pairing code:', error);
+    }
+    if (this.pendingApprovals.get(peerId) !== pending) {
+      return; // Closed while hashing
+    }
+
+    console.log('🔐 Asking to accept incoming peer:', peerId);
+    this.setPairing(peerId, {
+      role: 'incoming',
+      state: PairingState.AWAITING,
+      sas,
+      deviceId: pending.handshake.deviceId || null,
+      displayKeyphrase: pending.handshake.displayKeyphrase || null,
+    });
+  }
+
+  /**
+   * Let an incoming peer awaiting approval in
+   * @returns {boolean} false if it is not (or no longer) waiting
+   */
+  acceptConnection(peerId) {
+    const pending = this.pendingApprovals.get(peerId);
+    if (!pending) {
+      return false;
+    }
+
+    this.pendingApprovals.delete(peerId);
+    this.activateIncomingConnection(peerId, pending.connection);
+    // Catch up on what arrived while waiting, starting with their handshake
+    if (pending.handshake) {
+      this.handleDataReceived(peerId, pending.handshake);
+    }
+    pending.buffered.forEach(data => this.handleDataReceived(peerId, data));
+    this.setPairing(peerId, { state: PairingState.ACCEPTED });
+    console.log('✅ Accepted incoming peer:', peerId);
+    return true;
+  }
+
+  /**
+   * Turn an incoming peer away; it is told why before the connection closes
+   */
+  rejectConnection(peerId) {
+    const pending = this.pendingApprovals.get(peerId);
+    if (!pending) {
+      return false;
+    }
+
+    this.pendingApprovals.delete(peerId);
+    this.setPairing(peerId, { state: PairingState.REJECTED });
+    try {
+      pending.connection.send(JSON.stringify({ type: 'pairing_rejected' }));
+    } catch (error) {
+      console.error('Failed to send pairing rejection:', error);
+    }
+    setTimeout(() => {
+      try {
+        pending.connection.close();
+      } catch (error) {
+        console.error('Error closing rejected connection:', error);
+      }
+    }, REJECT_CLOSE_DELAY);
+    this.updateConnectionStatus(this.connections.size > 0 ? 'connected' : 'disconnected', 'Connection rejected');
+    console.log('🚫 Rejected incoming peer:', peerId);
+    return true;
+  }
+
+  /**
+   * Outgoing side: show our SAS while the other device decides
+   */
+  async startOutgoingPairing(peerId, connection) {
+    if (!this.pairings.has(peerId)) {
+      this.setPairing(peerId, { role: 'outgoing', state: PairingState.AWAITING, sas: null, deviceId: null, displayKeyphrase: null });
+    }
+
+    try {
+      const sas = await computeConnectionSas(connection.peerConnection);
+      if (sas && this.pairings.has(peerId)) {
+        this.setPairing(peerId, { sas });
+      }
+    } catch (error) {
+      console.warn('Failed to compute pairing code:', error);
+    }
+  }
+
+  setPairing(peerId, changes) {
+    const pairing = { ...this.pairings.get(peerId), ...changes };
+    this.pairings.set(peerId, pairing);
+    this.pairingCallbacks.forEach(callback => {
+      try {
+        callback(peerId, { ...pairing });
+      } catch (error) {
+        console.error('Error in pairing callback:', error);
+      }
+    });
+    if (pairing.state !== PairingState.AWAITING) {
+      this.settleAcceptance(peerId, pairing.state === PairingState.ACCEPTED);
+    }
+  }
+
+  /**
+   * Outgoing side: resolves true once the other device lets us in (its handshake),
+   * false if it rejects us or the connection closes first
+   * @returns {Promise<boolean>}
+   */
+  waitForAcceptance(peerId) {
+    const pairing = this.pairings.get(peerId);
+    if (pairing?.state !== PairingState.AWAITING) {
+      // Decided already - or no pairing at all (closed, or a QR connection)
+      return Promise.resolve(pairing ? pairing.state === PairingState.ACCEPTED : this.connections.has(peerId));
+    }
+
+    return new Promise(resolve => {
+      if (!this.acceptanceWaiters.has(peerId)) {
+        this.acceptanceWaiters.set(peerId, []);
+      }
+      this.acceptanceWaiters.get(peerId).push(resolve);
+    });
+  }
+
+  settleAcceptance(peerId, accepted) {
+    const waiters = this.acceptanceWaiters.get(peerId);
+    if (!waiters) return;
+    this.acceptanceWaiters.delete(peerId);
+    waiters.forEach(resolve => resolve(accepted));
+  }
+
+  getPairing(peerId) {
+    const pairing = this.pairings.get(peerId);
+    return pairing ? { ...pairing } : null;
+  }
+
+  /**
+   * Forget a peer's pairing when its connection closes; a decision still pending is closed
+   */
+  endPairing(peerId) {
+    if (this.pairings.get(peerId)?.state === PairingState.AWAITING) {
+      this.setPairing(peerId, { state: PairingState.CLOSED });
+    }
+    this.pairings.delete(peerId);
+  }
+
+  /**
+   * Open a pre-negotiated unreliable, unordered data channel on the same
+   * RTCPeerConnection as the reliable DataConnection. Both sides create it with
+   * the same stream ID, so no extra signaling round trip is needed.
+   */
+  openSensorChannel(peerId, connection) {
+    if (this.sensorChannels.has(peerId) || !connection.peerConnection) {
+      return;
+    }
+
+    try {
+      const channel = connection.peerConnection.createDataChannel(SENSOR_CHANNEL_LABEL, {
+        negotiated: true,
+        id: SENSOR_CHANNEL_ID,
+        ordered: false,
+        maxRetransmits: 0,
+      });
+
+      channel.binaryType = 'arraybuffer';
+      channel.onmessage = (event) => {
+        if (isBinaryPacket(event.data)) {
+          this.handleBinaryPacket(peerId, event.data);
+        } else {
+          this.handleDataReceived(peerId, event.data);
+        }
+      };
+
+      channel.onclose = () => {
+        if (this.sensorChannels.get(peerId) === channel) {
+          this.sensorChannels.delete(peerId);
+        }
+      };
+
+      this.sensorChannels.set(peerId, channel);
+      console.log('Opened unreliable sensor channel to:', peerId);
+    } catch (error) {
+      // Sensor data falls back to the reliable channel
+      console.warn('Failed to open sensor channel, using reliable channel only:', error);
+    }
+  }
+
+  closeSensorChannel(peerId) {
+    const channel = this.sensorChannels.get(peerId);
+    if (channel) {
+      try {
+        channel.close();
+      } catch (error) {
+        console.error('Error closing sensor channel:', error);
+      }
+      this.sensorChannels.delete(peerId);
+    }
+    this.peerCapabilities.delete(peerId);
+    this.lastSensorTimestamps.forEach((_, key) => {
+      if (key.startsWith(`${peerId}:`)) {
+        this.lastSensorTimestamps.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Pick the channel for a message: sensor streams use the unreliable channel
+   * once the peer has confirmed it has one too; everything else (handshakes,
+   * control messages, quality pings) stays on the reliable channel
+   */
+  getChannelForMessage(peerId, type) {
+    if (SENSOR_MESSAGE_TYPES.has(type) && this.peerCapabilities.get(peerId)?.sensorChannel) {
+      const channel = this.sensorChannels.get(peerId);
+      if (channel && channel.readyState === 'open') {
+        return channel;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether both ends speak our binary codec version
+   */
+  peerSupportsBinaryCodec(peerId) {
+    const codecs = this.peerCapabilities.get(peerId)?.binaryCodecs;
+    return Array.isArray(codecs) && codecs.includes(CODEC_VERSION);
+  }
+
+  handleBinaryPacket(peerId, packet) {
+    const capabilities = this.peerCapabilities.get(peerId);
+    if (!capabilities || typeof capabilities.codecEpoch !== 'number') {
+      // Can't rebuild timestamps before the sender's handshake arrives
+      console.warn('Dropping binary packet received before handshake from:', peerId);
+      return;
+    }
+
+    try {
+      const data = decodeSensorPacket(packet, {
+        epoch: capabilities.codecEpoch,
+        deviceId: capabilities.deviceId,
+      });
+      this.getSequenceLoss(peerId).record(data.seq);
+      this.handleDataReceived(peerId, data);
+    } catch (error) {
+      console.error('Failed to decode binary packet:', error);
+    }
+  }
+
+  /**
+   * Unordered delivery can hand us an older sample after a newer one - drop it
+   */
+  isStaleSensorPacket(peerId, data) {
+    if (!SENSOR_MESSAGE_TYPES.has(data.type) || typeof data.timestamp !== 'number') {
+      return false;
+    }
+
+    const key = `${peerId}:${data.type}`;
+    const lastTimestamp = this.lastSensorTimestamps.get(key);
+    if (lastTimestamp !== undefined && data.timestamp < lastTimestamp) {
+      return true;
+    }
+    this.lastSensorTimestamps.set(key, data.timestamp);
+    return false;
+  }
+
+  /**
+   * Register a connection established without PeerJS signaling (QR code pairing)
+   */
+  addManualConnection(dataConnection) {
+    // Scanning each other's QR codes in person already proves who is on the other end
+    this.handleIncomingConnection(dataConnection, { preApproved: true });
+  }
+
   handleDataReceived(peerId, data) {
     try {
       const parsedData = typeof data === 'string' ? JSON.parse(data) : data;
@@ -420,11 +831,33 @@ export class WebRTCManager {
       // Handle handshake
       if (parsedData.type === 'handshake') {
         console.log('Received handshake from:', peerId, 'Keyphrase:', parsedData.displayKeyphrase);
+        // Older clients send no capabilities - they only use the reliable channel and JSON
+        this.peerCapabilities.set(peerId, {
+          ...parsedData.capabilities,
+          deviceId: parsedData.deviceId || null,
+          role: parsedData.role || null,
+        });
+        if (this.pairings.get(peerId)?.state === PairingState.AWAITING) {
+          this.setPairing(peerId, {
+            state: PairingState.ACCEPTED,
+            deviceId: parsedData.deviceId || null,
+            displayKeyphrase: parsedData.displayKeyphrase || null,
+          });
+        }
         // Trigger connection established callback
         this.updateConnectionStatus('connected', `Connected to ${parsedData.displayKeyphrase || peerId}`);
         return;
       }
       
+      if (parsedData.type === 'pairing_rejected') {
+        console.log('🚫 Connection rejected by:', peerId);
+        if (this.pairings.has(peerId)) {
+          this.setPairing(peerId, { state: PairingState.REJECTED });
+        }
+        this.updateConnectionStatus('error', 'The other device declined the connection');
+        return;
+      }
+      
       // Handle quality ping/pong
       if (parsedData.type === 'quality_ping') {
         this.handleQualityPing(parsedData, peerId);
@@ -436,6 +869,15 @@ export class WebRTCManager {
         return;
       }
       
+      // Spectators watch - nothing they send reaches the game
+      if (this.isSpectator(peerId)) {
+        return;
+      }
+      
+      if (this.isStaleSensorPacket(peerId, parsedData)) {
+        return;
+      }
+      
       // Forward to registered callbacks
       this.dataCallbacks.forEach(callback => {
         try {
@@ -456,13 +898,28 @@ export class WebRTCManager {
     }
 
     const dataString = typeof data === 'string' ? data : JSON.stringify(data);
+    const type = typeof data === 'string' ? null : data.type;
     let successCount = 0;
     let failCount = 0;
 
+    const sensorType = SENSOR_MESSAGE_TYPES.has(type) ? type : null;
+
     this.connections.forEach((connection, peerId) => {
+      if (this.isSpectator(peerId)) {
+        return; // Spectators only get the mirrored state (sendToSpectators)
+      }
       if (connection && connection.open) {
         try {
-          connection.send(dataString);
+          const queue = this.getSendQueue(peerId);
+          const sensorChannel = this.getChannelForMessage(peerId, type);
+          if (sensorChannel && this.peerSupportsBinaryCodec(peerId) && this.sensorEncoder.canEncode(data)) {
+            // Numbered when it goes out, so only packets lost in transit leave sequence gaps
+            queue.send(sensorChannel, () => this.sensorEncoder.encode(data, this.nextSensorSequence(peerId)), sensorType);
+          } else if (sensorChannel) {
+            queue.send(sensorChannel, dataString, sensorType);
+          } else {
+            queue.send(connection, dataString, sensorType);
+          }
           successCount++;
         } catch (error) {
           console.error(`Failed to send data to ${peerId}:`, error);
@@ -482,6 +939,73 @@ export class WebRTCManager {
     return true;
   }
 
+  /**
+   * Send a control message to one peer on its reliable channel (e.g. haptic feedback
+   * to the controller that was hit)
+   */
+  sendToPeer(peerId, data) {
+    const connection = this.connections.get(peerId);
+    if (!connection || !connection.open) {
+      return false;
+    }
+
+    try {
+      this.getSendQueue(peerId).send(connection, typeof data === 'string' ? data : JSON.stringify(data));
+      return true;
+    } catch (error) {
+      console.error(`Failed to send data to ${peerId}:`, error);
+      return false;
+    }
+  }
+
+  isSpectator(peerId) {
+    return this.peerCapabilities.get(peerId)?.role === 'spectator';
+  }
+
+  getSpectatorIds() {
+    return Array.from(this.connections.keys()).filter(peerId => this.isSpectator(peerId));
+  }
+
+  /**
+   * Relay the mirrored scene to every spectator; on a backed-up channel only the
+   * newest state waits
+   * @returns {number} spectators it went to
+   */
+  sendToSpectators(state) {
+    const message = JSON.stringify(state);
+    let sent = 0;
+    this.getSpectatorIds().forEach(peerId => {
+      const connection = this.connections.get(peerId);
+      if (!connection.open) return;
+      try {
+        this.getSendQueue(peerId).send(connection, message, state.type);
+        sent++;
+      } catch (error) {
+        console.error(`Failed to send spectator state to ${peerId}:`, error);
+      }
+    });
+    return sent;
+  }
+
+  getSendQueue(peerId) {
+    if (!this.sendQueues.has(peerId)) {
+      this.sendQueues.set(peerId, new SendQueue());
+    }
+    return this.sendQueues.get(peerId);
+  }
+
+  clearSendQueue(peerId) {
+    this.sendQueues.get(peerId)?.clear();
+    this.sendQueues.delete(peerId);
+    this.sensorSequences.delete(peerId);
+  }
+
+  nextSensorSequence(peerId) {
+    const sequence = this.sensorSequences.get(peerId) ?? 0;
+    this.sensorSequences.set(peerId, (sequence + 1) & 0xffff);
+    return sequence;
+  }
+
   startQualityMonitoring(peerId, connection) {
     if (!connection || !connection.open) {
       return;
@@ -523,14 +1047,18 @@ export class WebRTCManager {
   }
 
   handleQualityPing(data, peerId) {
+    const receivedAt = Date.now();
     const connection = this.connections.get(peerId);
     if (!connection || !connection.open) {
       return;
     }
 
+    // Echo the ping's send time and add ours so the pinger can estimate the clock offset
     const pongMessage = {
       type: 'quality_pong',
       pingId: data.pingId,
+      originTimestamp: data.timestamp,
+      receivedAt,
       timestamp: Date.now(),
     };
 
@@ -547,8 +1075,139 @@ export class WebRTCManager {
       return;
     }
 
-    const rtt = Date.now() - data.timestamp;
-    this.updateConnectionQuality(peerId, connection, rtt);
+    const sample = computeClockSample(data, Date.now());
+    if (!sample) {
+      // Older clients only send their own timestamp - assume the clocks agree
+      this.updateConnectionQuality(peerId, connection, Date.now() - data.timestamp);
+      return;
+    }
+
+    this.getClockSync(peerId).addSample(sample);
+    this.updateConnectionQuality(peerId, connection, sample.rtt);
+  }
+
+  getClockSync(peerId) {
+    if (!this.clockSyncs.has(peerId)) {
+      this.clockSyncs.set(peerId, new ClockSync());
+    }
+    return this.clockSyncs.get(peerId);
+  }
+
+  /**
+   * A peer's packet timestamp on our clock, or null until its clock offset is known
+   */
+  /**
+   * Peer clock minus ours in ms, or null before the first pong
+   */
+  getClockOffset(peerId) {
+    const clockSync = this.clockSyncs.get(peerId);
+    return clockSync?.hasEstimate() ? clockSync.getOffset() : null;
+  }
+
+  toLocalTime(peerId, remoteTimestamp) {
+    const clockSync = this.clockSyncs.get(peerId);
+    return clockSync?.hasEstimate() ? clockSync.toLocalTime(remoteTimestamp) : null;
+  }
+
+  startStatsMonitoring(peerId, connection) {
+    if (typeof connection?.peerConnection?.getStats !== 'function') {
+      return;
+    }
+
+    this.stopStatsMonitoring(peerId);
+    const statsInterval = setInterval(() => {
+      if (!this.connections.has(peerId)) {
+        this.stopStatsMonitoring(peerId);
+        return;
+      }
+      this.collectConnectionStats(peerId);
+    }, STATS_INTERVAL);
+    this.statsIntervals.set(peerId, statsInterval);
+  }
+
+  stopStatsMonitoring(peerId) {
+    if (this.statsIntervals.has(peerId)) {
+      clearInterval(this.statsIntervals.get(peerId));
+      this.statsIntervals.delete(peerId);
+    }
+    this.connectionStats.delete(peerId);
+    this.sequenceLoss.delete(peerId);
+  }
+
+  getSequenceLoss(peerId) {
+    if (!this.sequenceLoss.has(peerId)) {
+      this.sequenceLoss.set(peerId, new SequenceLossTracker());
+    }
+    return this.sequenceLoss.get(peerId);
+  }
+
+  /**
+   * Poll getStats() once for a peer and notify stats callbacks
+   * @returns {Promise<Object|null>} the new diagnostics, or null if unavailable
+   */
+  async collectConnectionStats(peerId) {
+    const connection = this.connections.get(peerId);
+    const peerConnection = connection?.peerConnection;
+    if (!peerConnection) {
+      return null;
+    }
+
+    let report;
+    try {
+      report = await peerConnection.getStats();
+    } catch (error) {
+      console.warn('Failed to read connection stats:', error);
+      return null;
+    }
+    if (!this.connections.has(peerId)) {
+      return null; // Closed while the stats were being gathered
+    }
+
+    const summary = summarizeStatsReport(report, Date.now());
+    const sensorChannel = this.sensorChannels.get(peerId);
+    const stats = {
+      ...summary,
+      rates: computeStatsRates(summary, this.connectionStats.get(peerId)),
+      // Sensor packet loss over the last interval (null without the binary codec)
+      loss: this.sequenceLoss.get(peerId)?.takeInterval() ?? null,
+      bufferedAmount: {
+        reliable: connection.dataChannel?.bufferedAmount ?? null,
+        sensor: sensorChannel?.bufferedAmount ?? null,
+      },
+    };
+    this.connectionStats.set(peerId, stats);
+
+    this.connectionStatsCallbacks.forEach(callback => {
+      try {
+        callback(peerId, stats);
+      } catch (error) {
+        console.error('Error in stats callback:', error);
+      }
+    });
+    return stats;
+  }
+
+  getConnectionStats(peerId) {
+    return this.connectionStats.get(peerId) || null;
+  }
+
+  /**
+   * Everything known about each connection, for the exported diagnostics file
+   */
+  getDiagnosticsSnapshot() {
+    return {
+      generatedAt: new Date().toISOString(),
+      peerId: this.peerId,
+      signaling: { host: this.signaling.host, port: this.signaling.port },
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      peers: Array.from(this.connections.keys()).map(peerId => ({
+        peerId,
+        quality: this.connectionQuality.get(peerId) || null,
+        capabilities: this.peerCapabilities.get(peerId) || null,
+        sendQueue: this.sendQueues.get(peerId)?.getStats() ?? null,
+        stats: this.connectionStats.get(peerId) || null,
+      })),
+    };
   }
 
   updateConnectionQuality(peerId, connection, rtt) {
@@ -564,6 +1223,9 @@ export class WebRTCManager {
     const qualityData = {
       rtt: rtt,
       level: quality,
+      clockOffset: this.clockSyncs.get(peerId)?.getOffset() ?? null,
+      // Outgoing backpressure: { sent, queued, coalesced, dropped, pending }
+      sendQueue: this.sendQueues.get(peerId)?.getStats() ?? null,
       timestamp: Date.now(),
     };
 
@@ -613,6 +1275,17 @@ export class WebRTCManager {
     this.reconnectAttempts.delete(peerId);
   }
 
+  /**
+   * Set the saber_config message to send after each handshake; also sent to
+   * peers that are already connected
+   */
+  setSaberConfig(message) {
+    this.saberConfig = message;
+    if (message && this.connections.size > 0) {
+      this.sendData(message);
+    }
+  }
+
   onDataReceived(callback) {
     this.dataCallbacks.push(callback);
   }
@@ -625,6 +1298,38 @@ export class WebRTCManager {
     this.connectionQualityCallbacks.push(callback);
   }
 
+  /**
+   * Called with (peerId, stats) after every getStats() poll
+   */
+  onConnectionStatsChange(callback) {
+    this.connectionStatsCallbacks.push(callback);
+  }
+
+  /**
+   * Called with (peerId, pairing) whenever a pairing changes; registering one turns
+   * on the accept prompt for incoming connections (see acceptConnection)
+   */
+  onPairingChange(callback) {
+    this.pairingCallbacks.push(callback);
+  }
+
+  /**
+   * Called with the peer ID whenever one peer's connection closes
+   */
+  onPeerDisconnected(callback) {
+    this.peerDisconnectedCallbacks.push(callback);
+  }
+
+  notifyPeerDisconnected(peerId) {
+    this.peerDisconnectedCallbacks.forEach(callback => {
+      try {
+        callback(peerId);
+      } catch (error) {
+        console.error('Error in peer disconnected callback:', error);
+      }
+    });
+  }
+
   updateConnectionStatus(status, message) {
     this.connectionStatus = status;
     this.connectionStateCallbacks.forEach(callback => {
@@ -649,6 +1354,10 @@ export class WebRTCManager {
     return this.displayKeyphrase;
   }
 
+  getSignalingConfig() {
+    return this.signaling;
+  }
+
   isPeerReady() {
     return this.isReady;
   }
@@ -667,6 +1376,40 @@ export class WebRTCManager {
     this.reconnectAttempts.clear();
     this.pendingConnections.clear();
 
+    // Close sensor channels
+    this.sensorChannels.forEach((channel) => {
+      try {
+        channel.close();
+      } catch (error) {
+        console.error('Error closing sensor channel:', error);
+      }
+    });
+    this.sensorChannels.clear();
+    this.peerCapabilities.clear();
+    this.lastSensorTimestamps.clear();
+    this.clockSyncs.clear();
+    this.statsIntervals.forEach((interval) => {
+      clearInterval(interval);
+    });
+    this.statsIntervals.clear();
+    this.connectionStats.clear();
+    this.sequenceLoss.clear();
+    this.sendQueues.forEach((queue) => {
+      queue.clear();
+    });
+    this.sendQueues.clear();
+    this.sensorSequences.clear();
+    this.pendingApprovals.forEach(({ connection }) => {
+      try {
+        connection.close();
+      } catch (error) {
+        console.error('Error closing pending connection:', error);
+      }
+    });
+    this.pendingApprovals.clear();
+    this.pairings.clear();
+    Array.from(this.acceptanceWaiters.keys()).forEach(peerId => this.settleAcceptance(peerId, false));
+
     // Close all connections
     this.connections.forEach((connection) => {
       try {
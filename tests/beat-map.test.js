@@ -0,0 +1,55 @@
+// Beat Map Tests
+import { describe, it, expect } from 'vitest';
+import { parseBeatMap, BEAT_MAP_FORMAT, BEAT_MAP_VERSION } from '../src/beat-map.js';
+import exampleBeatMap from '../src/beatmaps/example.json';
+
+const map = (extra = {}) => ({
+  format: BEAT_MAP_FORMAT,
+  version: BEAT_MAP_VERSION,
+  notes: [{ time: 1000, lane: 0, direction: 'left' }],
+  ...extra,
+});
+
+describe('parseBeatMap', () => {
+  it('should parse the bundled example', () => {
+    const beatMap = parseBeatMap(exampleBeatMap);
+    expect(beatMap.title).toBe('Training Beats');
+    expect(beatMap.notes.length).toBeGreaterThan(0);
+    expect(beatMap.duration).toBe(beatMap.notes[beatMap.notes.length - 1].time);
+  });
+
+  it('should accept JSON text and fill in defaults', () => {
+    const beatMap = parseBeatMap(JSON.stringify(map()));
+    expect(beatMap).toMatchObject({ title: 'Untitled', artist: null, bpm: null, approach: 2000, duration: 1000 });
+    expect(beatMap.notes[0]).toEqual({ id: 0, time: 1000, lane: 0, direction: 'left', color: '#ff1a1a' });
+  });
+
+  it('should convert beats to ms, apply the offset and sort the notes', () => {
+    const beatMap = parseBeatMap(map({
+      bpm: 120,
+      offset: 100,
+      notes: [
+        { beat: 4, lane: 1, direction: 'up', color: '#00AAFF' },
+        { time: 500, lane: 2, direction: 'any' },
+      ],
+    }));
+    expect(beatMap.notes.map(note => note.time)).toEqual([600, 2100]);
+    expect(beatMap.notes.map(note => note.id)).toEqual([0, 1]);
+    expect(beatMap.notes[1].color).toBe('#00aaff');
+  });
+
+  it('should reject files that are not beat maps', () => {
+    expect(() => parseBeatMap('{nope')).toThrow(/not valid JSON/);
+    expect(() => parseBeatMap({ notes: [] })).toThrow(/Not a beat map/);
+    expect(() => parseBeatMap(map({ version: 2 }))).toThrow(/version/);
+    expect(() => parseBeatMap(map({ notes: [] }))).toThrow(/no notes/);
+  });
+
+  it('should name the bad note', () => {
+    expect(() => parseBeatMap(map({ notes: [{ beat: 1, lane: 0, direction: 'up' }] }))).toThrow(/Note 1: "beat" needs a "bpm"/);
+    expect(() => parseBeatMap(map({ notes: [{ time: 0, lane: 4, direction: 'up' }] }))).toThrow(/lane/);
+    expect(() => parseBeatMap(map({ notes: [{ time: 0, lane: 0, direction: 'sideways' }] }))).toThrow(/direction "sideways"/);
+    expect(() => parseBeatMap(map({ notes: [{ time: 0, lane: 0, direction: 'up', color: 'red' }] }))).toThrow(/color/);
+    expect(() => parseBeatMap(map({ notes: [{ lane: 0, direction: 'up' }] }))).toThrow(/needs a "time"/);
+  });
+});
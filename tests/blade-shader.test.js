@@ -0,0 +1,34 @@
+// Blade Shader Tests
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { createBladeMaterial, createBladeGeometry } from '../src/blade-shader.js';
+
+describe('createBladeMaterial', () => {
+  it('should use the blade color and a white core', () => {
+    const material = createBladeMaterial(0xff0000);
+    expect(material.uniforms.uColor.value.getHex()).toBe(0xff0000);
+    expect(material.uniforms.uCoreColor.value.getHex()).toBe(0xffffff);
+  });
+
+  it('should accept a THREE.Color', () => {
+    const material = createBladeMaterial(new THREE.Color(0x00ff00));
+    expect(material.uniforms.uColor.value.getHex()).toBe(0x00ff00);
+  });
+
+  it('should blend additively without writing depth', () => {
+    const material = createBladeMaterial();
+    expect(material.transparent).toBe(true);
+    expect(material.depthWrite).toBe(false);
+    expect(material.blending).toBe(THREE.AdditiveBlending);
+  });
+});
+
+describe('createBladeGeometry', () => {
+  it('should be unit height with its base at y = 0', () => {
+    const geometry = createBladeGeometry(0.1);
+    geometry.computeBoundingBox();
+    expect(geometry.boundingBox.min.y).toBeCloseTo(0);
+    expect(geometry.boundingBox.max.y).toBeCloseTo(1);
+    expect(geometry.boundingBox.max.x).toBeCloseTo(0.1);
+  });
+});
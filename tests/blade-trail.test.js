@@ -0,0 +1,69 @@
+// Blade Trail Tests
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { BladeTrail, trailIntensityFromMotion } from '../src/blade-trail.js';
+
+describe('trailIntensityFromMotion', () => {
+  it('should be 0 when still', () => {
+    expect(trailIntensityFromMotion({ speed: 0, rotationRate: { alpha: 0, beta: 0, gamma: 0 } })).toBe(0);
+    expect(trailIntensityFromMotion(null)).toBe(0);
+  });
+
+  it('should grow with rotation rate and clamp at 1', () => {
+    const slow = trailIntensityFromMotion({ speed: 0, rotationRate: { alpha: 100, beta: 0, gamma: 0 } });
+    const fast = trailIntensityFromMotion({ speed: 0, rotationRate: { alpha: 400, beta: 0, gamma: 0 } });
+    expect(fast).toBeGreaterThan(slow);
+    expect(trailIntensityFromMotion({ speed: 0, rotationRate: { alpha: 5000, beta: 0, gamma: 0 } })).toBe(1);
+  });
+
+  it('should use speed when it is the stronger signal', () => {
+    expect(trailIntensityFromMotion({ speed: 1.5 })).toBeCloseTo(0.5);
+  });
+});
+
+describe('BladeTrail', () => {
+  const base = new THREE.Vector3(0, 0, 0);
+
+  it('should keep at most `length` samples, newest first', () => {
+    const trail = new BladeTrail(0x00ffff, 4);
+    for (let i = 0; i < 6; i++) {
+      trail.update(base, new THREE.Vector3(i, 1, 0));
+    }
+    expect(trail.samples).toHaveLength(4);
+    expect(trail.samples[0].tip.x).toBe(5);
+    expect(trail.positions[3]).toBe(5); // First tip vertex is the newest
+    expect(trail.geometry.drawRange.count).toBe(3 * 6);
+  });
+
+  it('should stay hidden without motion and show during a fast swing', () => {
+    const trail = new BladeTrail();
+    trail.update(base, new THREE.Vector3(0, 1, 0));
+    trail.update(base, new THREE.Vector3(1, 1, 0));
+    expect(trail.mesh.visible).toBe(false);
+
+    trail.updateMotion({ speed: 0, rotationRate: { alpha: 720, beta: 0, gamma: 0 } });
+    trail.update(base, new THREE.Vector3(2, 1, 0));
+    expect(trail.mesh.visible).toBe(true);
+    expect(trail.material.uniforms.uIntensity.value).toBeGreaterThan(0);
+  });
+
+  it('should fade out once motion stops', () => {
+    const trail = new BladeTrail();
+    trail.updateMotion({ speed: 5 });
+    for (let i = 0; i < 100; i++) {
+      trail.update(base, new THREE.Vector3(0, 1, 0));
+    }
+    expect(trail.mesh.visible).toBe(false);
+  });
+
+  it('should reset on clear', () => {
+    const trail = new BladeTrail();
+    trail.updateMotion({ speed: 5 });
+    trail.update(base, new THREE.Vector3(0, 1, 0));
+    trail.update(base, new THREE.Vector3(1, 1, 0));
+    trail.clear();
+    expect(trail.samples).toHaveLength(0);
+    expect(trail.intensity).toBe(0);
+    expect(trail.mesh.visible).toBe(false);
+  });
+});
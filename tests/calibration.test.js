@@ -0,0 +1,110 @@
+// Calibration Tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Calibration, ShakeDetector, headingFromQuaternion } from '../src/calibration.js';
+import { quatFromDeviceOrientation, rotateVector } from '../src/orientation-fusion.js';
+
+describe('Calibration', () => {
+  let originalLocalStorage;
+
+  beforeEach(() => {
+    originalLocalStorage = global.localStorage;
+    global.localStorage = {
+      data: {},
+      getItem: (key) => global.localStorage.data[key] || null,
+      setItem: (key, value) => { global.localStorage.data[key] = value; },
+      removeItem: (key) => { delete global.localStorage.data[key]; },
+    };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.localStorage = originalLocalStorage;
+    vi.restoreAllMocks();
+  });
+
+  describe('headingFromQuaternion', () => {
+    it('should return alpha for a phone held upright', () => {
+      expect(headingFromQuaternion(quatFromDeviceOrientation(40, 10, 0))).toBeCloseTo(40);
+    });
+
+    it('should use the back of the phone when it points straight up', () => {
+      // Upright (beta 90) and turned 30° left: the back of the phone faces heading 30
+      expect(headingFromQuaternion(quatFromDeviceOrientation(30, 90, 0))).toBeCloseTo(30);
+    });
+  });
+
+  it('should start uncalibrated', () => {
+    const calibration = new Calibration('device_1');
+    expect(calibration.isCalibrated()).toBe(false);
+    expect(calibration.applyToOrientation({ alpha: 123 }).alpha).toBe(123);
+  });
+
+  it('should express gyro readings relative to the captured heading', () => {
+    const calibration = new Calibration('device_1');
+    calibration.capture(quatFromDeviceOrientation(250, 10, 0));
+
+    expect(calibration.applyToOrientation({ alpha: 250, beta: 10, gamma: 0 }).alpha).toBeCloseTo(0);
+    expect(calibration.applyToOrientation({ alpha: 10, beta: 10, gamma: 0 }).alpha).toBeCloseTo(120);
+  });
+
+  it('should rotate quaternions so the reference points north', () => {
+    const calibration = new Calibration('device_1');
+    const reference = quatFromDeviceOrientation(250, 20, 5);
+    calibration.capture(reference);
+
+    const top = rotateVector(calibration.applyToQuaternion(reference), { x: 0, y: 1, z: 0 });
+    expect(top.x).toBeCloseTo(0);
+    expect(top.y).toBeGreaterThan(0);
+  });
+
+  it('should keep tilt when recentering', () => {
+    const calibration = new Calibration('device_1');
+    const reference = quatFromDeviceOrientation(90, 30, 0);
+    calibration.capture(reference);
+
+    const top = rotateVector(calibration.applyToQuaternion(reference), { x: 0, y: 1, z: 0 });
+    expect(top.z).toBeCloseTo(Math.sin(Math.PI / 6));
+  });
+
+  it('should persist the reference per device ID', () => {
+    new Calibration('device_1').capture(quatFromDeviceOrientation(45, 0, 0));
+
+    expect(new Calibration('device_1').yawOffset).toBeCloseTo(45);
+    expect(new Calibration('device_2').isCalibrated()).toBe(false);
+  });
+
+  it('should forget the reference when cleared', () => {
+    const calibration = new Calibration('device_1');
+    calibration.capture(quatFromDeviceOrientation(45, 0, 0));
+    calibration.clear();
+
+    expect(new Calibration('device_1').isCalibrated()).toBe(false);
+  });
+});
+
+describe('ShakeDetector', () => {
+  const shake = (detector, start) => [12, -12, 14, -14].map((x, index) => detector.handleMotion({
+    timestamp: start + index * 100,
+    acceleration: { x: x * 2, y: 0, z: 9.81 },
+  }));
+
+  it('should detect a back-and-forth shake', () => {
+    const detector = new ShakeDetector();
+    expect(shake(detector, 0)).toContain(true);
+  });
+
+  it('should ignore a single hard swing', () => {
+    const detector = new ShakeDetector();
+    const results = [0, 16, 32].map((offset) => detector.handleMotion({
+      timestamp: offset,
+      acceleration: { x: 30, y: 0, z: 9.81 },
+    }));
+    expect(results).not.toContain(true);
+  });
+
+  it('should not fire again during the cooldown', () => {
+    const detector = new ShakeDetector();
+    shake(detector, 0);
+    expect(shake(detector, 500)).not.toContain(true);
+  });
+});
@@ -0,0 +1,43 @@
+// Clash Sparks Tests
+import { describe, it, expect } from 'vitest';
+import { ClashSparks } from '../src/clash-sparks.js';
+
+describe('ClashSparks', () => {
+  it('should start with no visible sparks', () => {
+    const sparks = new ClashSparks(16);
+    sparks.update(0.016);
+    expect(sparks.getActiveCount()).toBe(0);
+    expect(Array.from(sparks.colors).every(value => value === 0)).toBe(true);
+  });
+
+  it('should emit sparks at the contact point', () => {
+    const sparks = new ClashSparks(16);
+    sparks.emit({ x: 1, y: 2, z: 3 }, 0xff0000, 4);
+
+    expect(sparks.getActiveCount()).toBe(4);
+    expect(Array.from(sparks.positions.slice(0, 3))).toEqual([1, 2, 3]);
+  });
+
+  it('should recycle the oldest particles when the pool is full', () => {
+    const sparks = new ClashSparks(8);
+    sparks.emit({ x: 0, y: 0, z: 0 }, 0xffffff, 6);
+    sparks.emit({ x: 5, y: 0, z: 0 }, 0xffffff, 6);
+
+    expect(sparks.getActiveCount()).toBe(8);
+    expect(sparks.positions[0]).toBe(5); // Slot 0 was reused
+  });
+
+  it('should move, fade and expire sparks', () => {
+    const sparks = new ClashSparks(8);
+    sparks.emit({ x: 0, y: 0, z: 0 }, 0xffffff, 8);
+
+    sparks.update(0.1);
+    expect(sparks.getActiveCount()).toBe(8);
+    expect(Array.from(sparks.positions).some(value => value !== 0)).toBe(true);
+
+    sparks.update(1);
+    sparks.update(0.016);
+    expect(sparks.getActiveCount()).toBe(0);
+    expect(Array.from(sparks.colors).every(value => value === 0)).toBe(true);
+  });
+});
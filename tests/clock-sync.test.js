@@ -0,0 +1,70 @@
+// Clock Sync Tests
+import { describe, it, expect } from 'vitest';
+import { ClockSync, computeClockSample } from '../src/clock-sync.js';
+
+// Peer clock `offset` ms ahead; `up` / `down` ms on each leg, answered instantly
+function pong(t0, offset, up, down = up) {
+  const t1 = t0 + up + offset;
+  return { sample: { originTimestamp: t0, receivedAt: t1, timestamp: t1 }, arrival: t0 + up + down };
+}
+
+describe('computeClockSample', () => {
+  it('should recover the offset on a symmetric path', () => {
+    const { sample, arrival } = pong(1000, 2500, 15);
+    expect(computeClockSample(sample, arrival)).toEqual({ rtt: 30, offset: 2500, at: arrival });
+  });
+
+  it('should leave out the time the peer took to answer', () => {
+    const sample = computeClockSample({ originTimestamp: 0, receivedAt: 10, timestamp: 30 }, 40);
+    expect(sample.rtt).toBe(20);
+    expect(sample.offset).toBe(0);
+  });
+
+  it('should be off by half the asymmetry', () => {
+    const { sample, arrival } = pong(1000, 0, 30, 10);
+    expect(computeClockSample(sample, arrival).offset).toBe(10);
+  });
+
+  it('should skip pongs without the timestamps', () => {
+    expect(computeClockSample({ timestamp: 1000 }, 1050)).toBeNull();
+  });
+});
+
+describe('ClockSync', () => {
+  it('should report no estimate before the first sample', () => {
+    const clock = new ClockSync();
+    expect(clock.hasEstimate()).toBe(false);
+    expect(clock.getOffset()).toBe(0);
+    expect(clock.getRtt()).toBeNull();
+  });
+
+  it('should trust the lowest-RTT sample', () => {
+    const clock = new ClockSync();
+    clock.addSample({ rtt: 80, offset: 530 });
+    clock.addSample({ rtt: 12, offset: 500 });
+    clock.addSample({ rtt: 60, offset: 470 });
+
+    expect(clock.getOffset()).toBe(500);
+    expect(clock.getRtt()).toBe(12);
+    expect(clock.toLocalTime(10500)).toBe(10000);
+  });
+
+  it('should only consider the recent window', () => {
+    const clock = new ClockSync(2);
+    clock.addSample({ rtt: 5, offset: 100 });
+    clock.addSample({ rtt: 40, offset: 200 });
+    clock.addSample({ rtt: 30, offset: 300 });
+
+    expect(clock.getOffset()).toBe(300);
+  });
+
+  it('should ignore missing samples and reset', () => {
+    const clock = new ClockSync();
+    clock.addSample(null);
+    expect(clock.hasEstimate()).toBe(false);
+
+    clock.addSample({ rtt: 10, offset: 50 });
+    clock.reset();
+    expect(clock.hasEstimate()).toBe(false);
+  });
+});
@@ -0,0 +1,134 @@
+// Connection Stats Tests
+import { describe, it, expect } from 'vitest';
+import {
+  SequenceLossTracker,
+  computeStatsRates,
+  formatByteRate,
+  summarizeStatsReport,
+} from '../src/connection-stats.js';
+
+function createReport(stats) {
+  return new Map(stats.map(stat => [stat.id, stat]));
+}
+
+const CANDIDATES = [
+  { id: 'L1', type: 'local-candidate', candidateType: 'host', protocol: 'udp' },
+  { id: 'L2', type: 'local-candidate', candidateType: 'relay', protocol: 'udp', relayProtocol: 'tcp' },
+  { id: 'R1', type: 'remote-candidate', candidateType: 'srflx', protocol: 'udp' },
+];
+
+describe('summarizeStatsReport', () => {
+  it('should describe the pair selected by the transport', () => {
+    const report = createReport([
+      ...CANDIDATES,
+      { id: 'T', type: 'transport', selectedCandidatePairId: 'P2' },
+      { id: 'P1', type: 'candidate-pair', state: 'succeeded', nominated: true, localCandidateId: 'L1', remoteCandidateId: 'R1', currentRoundTripTime: 0.01 },
+      { id: 'P2', type: 'candidate-pair', state: 'succeeded', nominated: true, localCandidateId: 'L2', remoteCandidateId: 'R1', currentRoundTripTime: 0.085, availableOutgoingBitrate: 2000000 },
+    ]);
+
+    const summary = summarizeStatsReport(report, 1000);
+
+    expect(summary.candidatePair).toEqual({ localType: 'relay', remoteType: 'srflx', protocol: 'udp', relayProtocol: 'tcp' });
+    expect(summary.rtt).toBe(85);
+    expect(summary.availableOutgoingBitrate).toBe(2000000);
+    expect(summary.timestamp).toBe(1000);
+  });
+
+  it('should fall back to the selected or nominated succeeded pair', () => {
+    const report = createReport([
+      ...CANDIDATES,
+      { id: 'P1', type: 'candidate-pair', state: 'in-progress', nominated: true, localCandidateId: 'L2', remoteCandidateId: 'R1' },
+      { id: 'P2', type: 'candidate-pair', state: 'succeeded', selected: true, localCandidateId: 'L1', remoteCandidateId: 'R1' },
+    ]);
+
+    const summary = summarizeStatsReport(report);
+
+    expect(summary.candidatePair.localType).toBe('host');
+    expect(summary.rtt).toBeNull();
+  });
+
+  it('should report no pair before ICE has chosen one', () => {
+    const summary = summarizeStatsReport(createReport(CANDIDATES));
+    expect(summary.candidatePair).toBeNull();
+  });
+
+  it('should total the data channel counters', () => {
+    const report = createReport([
+      { id: 'D0', type: 'data-channel', label: 'dc_abc', state: 'open', bytesSent: 100, bytesReceived: 50, messagesSent: 4, messagesReceived: 2 },
+      { id: 'D1', type: 'data-channel', label: 'sensor', state: 'open', bytesSent: 900, bytesReceived: 0, messagesSent: 30, messagesReceived: 0 },
+    ]);
+
+    const summary = summarizeStatsReport(report);
+
+    expect(summary.bytesSent).toBe(1000);
+    expect(summary.bytesReceived).toBe(50);
+    expect(summary.messagesSent).toBe(34);
+    expect(summary.messagesReceived).toBe(2);
+    expect(summary.channels.sensor.messagesSent).toBe(30);
+  });
+});
+
+describe('computeStatsRates', () => {
+  const counters = (timestamp, bytesSent, messagesSent) => ({
+    timestamp, bytesSent, bytesReceived: 0, messagesSent, messagesReceived: 0,
+  });
+
+  it('should be zero without a previous poll', () => {
+    expect(computeStatsRates(counters(1000, 500, 5), undefined).bytesSentPerSecond).toBe(0);
+  });
+
+  it('should divide the change by the elapsed time', () => {
+    const rates = computeStatsRates(counters(3000, 5000, 130), counters(1000, 1000, 10));
+    expect(rates.bytesSentPerSecond).toBe(2000);
+    expect(rates.messagesSentPerSecond).toBe(60);
+  });
+
+  it('should not go negative when counters restart', () => {
+    const rates = computeStatsRates(counters(3000, 100, 1), counters(1000, 1000, 10));
+    expect(rates.bytesSentPerSecond).toBe(0);
+  });
+});
+
+describe('SequenceLossTracker', () => {
+  it('should return null before any packet', () => {
+    expect(new SequenceLossTracker().takeInterval()).toBeNull();
+  });
+
+  it('should count gaps in the sequence as lost', () => {
+    const tracker = new SequenceLossTracker();
+    [1, 2, 3, 6, 7].forEach(seq => tracker.record(seq));
+
+    expect(tracker.takeInterval()).toEqual({ expected: 7, received: 5, lost: 2, lossRate: 2 / 7 });
+  });
+
+  it('should handle sequence wrap-around', () => {
+    const tracker = new SequenceLossTracker();
+    [65534, 65535, 1].forEach(seq => tracker.record(seq));
+
+    expect(tracker.takeInterval().lost).toBe(1);
+  });
+
+  it('should not count reordered packets as lost', () => {
+    const tracker = new SequenceLossTracker();
+    [1, 3, 2, 4].forEach(seq => tracker.record(seq));
+
+    expect(tracker.takeInterval().lost).toBe(0);
+  });
+
+  it('should start a new interval after takeInterval', () => {
+    const tracker = new SequenceLossTracker();
+    [1, 2].forEach(seq => tracker.record(seq));
+    tracker.takeInterval();
+    [4, 5].forEach(seq => tracker.record(seq));
+
+    expect(tracker.takeInterval()).toEqual({ expected: 3, received: 2, lost: 1, lossRate: 1 / 3 });
+  });
+});
+
+describe('formatByteRate', () => {
+  it('should pick a readable unit', () => {
+    expect(formatByteRate(512)).toBe('512 B/s');
+    expect(formatByteRate(2048)).toBe('2.0 KB/s');
+    expect(formatByteRate(3 * 1024 * 1024)).toBe('3.0 MB/s');
+  });
+});
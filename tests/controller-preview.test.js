@@ -0,0 +1,36 @@
+// Controller Preview Tests
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { ControllerPreview } from '../src/controller-preview.js';
+
+describe('ControllerPreview', () => {
+  it('should start with the blade off', () => {
+    const preview = new ControllerPreview(document.createElement('canvas'));
+    expect(preview.blade.visible).toBe(false);
+
+    preview.setLit(true);
+    expect(preview.blade.visible).toBe(true);
+  });
+
+  it('should point the blade into the screen when the phone lies flat', () => {
+    const preview = new ControllerPreview(document.createElement('canvas'));
+    preview.setOrientation({ x: 0, y: 0, z: 0, w: 1 });
+    for (let i = 0; i < 50; i++) {
+      preview.update();
+    }
+
+    const tip = new THREE.Vector3(0, 1, 0).applyQuaternion(preview.saber.quaternion);
+    expect(tip.z).toBeCloseTo(-1);
+  });
+
+  it('should take the blade color', () => {
+    const preview = new ControllerPreview(document.createElement('canvas'));
+    preview.setColor('#ff1a1a');
+    expect(preview.bladeMaterial.color.getHexString()).toBe('ff1a1a');
+  });
+
+  it('should dispose without ever rendering', () => {
+    const preview = new ControllerPreview(document.createElement('canvas'));
+    expect(() => preview.dispose()).not.toThrow();
+  });
+});
@@ -169,6 +169,67 @@ describe('DeviceDetector', () => {
       const detector = new DeviceDetector();
       expect(detector.canActAsController()).toBe(false);
     });
+
+    it('should return true for a desktop forced into the controller role', () => {
+      global.navigator = {
+        userAgent: 'Windows',
+        maxTouchPoints: 0
+      };
+      global.window = {
+        innerWidth: 1920,
+        innerHeight: 1080,
+        location: { search: '?role=controller' }
+      };
+
+      const detector = new DeviceDetector();
+      const info = detector.getDeviceInfo();
+
+      expect(detector.canActAsController()).toBe(true);
+      expect(info.isMobile).toBe(true);
+      expect(info.isVirtualController).toBe(true);
+    });
+  });
+
+  describe('forceRole', () => {
+    beforeEach(() => {
+      global.navigator = {
+        userAgent: 'Windows',
+        maxTouchPoints: 0
+      };
+      global.window = {
+        innerWidth: 1920,
+        innerHeight: 1080
+      };
+    });
+
+    it('should switch a desktop to the controller role', () => {
+      const detector = new DeviceDetector();
+      detector.forceRole('controller');
+
+      expect(detector.isMobile()).toBe(true);
+      expect(detector.getDeviceInfo().detectedMobile).toBe(false);
+    });
+
+    it('should go back to detection when cleared', () => {
+      const detector = new DeviceDetector({ role: 'controller' });
+      detector.forceRole(null);
+
+      expect(detector.isMobile()).toBe(false);
+      expect(detector.getDeviceInfo().isVirtualController).toBe(false);
+    });
+
+    it('should ignore unknown roles', () => {
+      const detector = new DeviceDetector({ role: 'referee' });
+      expect(detector.getDeviceInfo().forcedRole).toBe(null);
+    });
+
+    it('should make a spectator neither controller nor player', () => {
+      const detector = new DeviceDetector({ role: 'spectator' });
+
+      expect(detector.isMobile()).toBe(false);
+      expect(detector.getDeviceInfo().isSpectator).toBe(true);
+      expect(detector.canActAsController()).toBe(false);
+    });
   });
 });
 
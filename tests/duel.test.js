@@ -0,0 +1,194 @@
+// Duel Tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  DuelMatch,
+  DuelPhase,
+  closestPointsOnSegments,
+  capsuleContact,
+  detectDuelContacts,
+  duelBodyCapsule,
+} from '../src/duel.js';
+
+const v = (x, y, z = 0) => ({ x, y, z });
+
+// Fighters at x = -1.5 and 1.5, blades as given
+function fighters(bladeA, bladeB) {
+  return [
+    { id: 'a', blade: bladeA, body: duelBodyCapsule(-1.5) },
+    { id: 'b', blade: bladeB, body: duelBodyCapsule(1.5) },
+  ];
+}
+
+// Blades pointing straight up - nobody touches anything
+const idleA = { start: v(-1.5, -1.5), end: v(-1.5, 2) };
+const idleB = { start: v(1.5, -1.5), end: v(1.5, 2) };
+// Horizontal blades meeting in the middle
+const crossA = { start: v(-2.5, 0), end: v(0.5, 0) };
+const crossB = { start: v(2.5, 0.05), end: v(-0.5, 0.05) };
+// A's blade reaching across into B's body
+const lungeA = { start: v(-2.5, -0.5), end: v(1.2, -0.5) };
+
+describe('closestPointsOnSegments', () => {
+  it('should find the gap between crossing segments', () => {
+    const result = closestPointsOnSegments(v(-1, 0, 0), v(1, 0, 0), v(0, -1, 1), v(0, 1, 1));
+    expect(result.distance).toBeCloseTo(1);
+    expect(result.pointA).toEqual({ x: 0, y: 0, z: 0 });
+    expect(result.pointB.z).toBeCloseTo(1);
+  });
+
+  it('should clamp to segment ends', () => {
+    const result = closestPointsOnSegments(v(0, 0), v(1, 0), v(3, 0), v(4, 0));
+    expect(result.distance).toBeCloseTo(2);
+  });
+
+  it('should handle parallel segments', () => {
+    const result = closestPointsOnSegments(v(0, 0), v(2, 0), v(1, 0.5), v(3, 0.5));
+    expect(result.distance).toBeCloseTo(0.5);
+  });
+
+  it('should handle degenerate segments (points)', () => {
+    expect(closestPointsOnSegments(v(0, 0), v(0, 0), v(0, 3), v(0, 3)).distance).toBeCloseTo(3);
+  });
+});
+
+describe('capsuleContact', () => {
+  it('should return the midpoint when capsules overlap', () => {
+    const point = capsuleContact(
+      { start: v(-1, 0), end: v(1, 0), radius: 0.1 },
+      { start: v(0, -1, 0.15), end: v(0, 1, 0.15), radius: 0.1 }
+    );
+    expect(point.z).toBeCloseTo(0.075);
+  });
+
+  it('should return null when capsules are apart', () => {
+    expect(capsuleContact(
+      { start: v(-1, 0), end: v(1, 0), radius: 0.1 },
+      { start: v(0, -1, 0.5), end: v(0, 1, 0.5), radius: 0.1 }
+    )).toBeNull();
+  });
+});
+
+describe('detectDuelContacts', () => {
+  it('should report nothing for idle sabers', () => {
+    const [a, b] = fighters(idleA, idleB);
+    expect(detectDuelContacts(a, b)).toEqual({ clash: null, hits: [] });
+  });
+
+  it('should report a clash when blades touch', () => {
+    const [a, b] = fighters(crossA, crossB);
+    const contacts = detectDuelContacts(a, b);
+    expect(contacts.clash).not.toBeNull();
+    expect(contacts.hits).toEqual([]);
+  });
+
+  it('should report a hit when a blade reaches the other body', () => {
+    const [a, b] = fighters(lungeA, idleB);
+    const contacts = detectDuelContacts(a, b);
+    expect(contacts.clash).toBeNull();
+    expect(contacts.hits).toHaveLength(1);
+    expect(contacts.hits[0]).toMatchObject({ attacker: 'a', target: 'b' });
+  });
+
+  it('should let an unlit saber be hit but not hit back', () => {
+    const [a, b] = fighters(lungeA, null);
+    expect(detectDuelContacts(a, b).hits).toHaveLength(1);
+    expect(detectDuelContacts(b, a).hits[0].attacker).toBe('a');
+  });
+});
+
+describe('DuelMatch', () => {
+  let duel;
+  let events;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    duel = new DuelMatch({ bestOf: 3, pointsPerRound: 2, hitCooldown: 100, clashCooldown: 50, roundBreak: 1000 });
+    events = [];
+    duel.onEvent(event => events.push(event));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const types = () => events.map(event => event.type);
+
+  it('should require two players', () => {
+    expect(() => duel.start(['a'])).toThrow();
+  });
+
+  it('should start the first round', () => {
+    duel.start(['a', 'b'], 0);
+    expect(duel.phase).toBe(DuelPhase.FIGHTING);
+    expect(duel.round).toBe(1);
+    expect(duel.roundsToWin()).toBe(2);
+    expect(types()).toEqual(['round_start']);
+  });
+
+  it('should score hits once per cooldown', () => {
+    duel.start(['a', 'b'], 0);
+
+    duel.update(fighters(lungeA, idleB), 100);
+    duel.update(fighters(lungeA, idleB), 150); // Same touch
+    expect(duel.points).toEqual({ a: 1, b: 0 });
+
+    duel.update(fighters(lungeA, idleB), 250);
+    expect(types()).toEqual(['round_start', 'hit', 'hit', 'round_end']);
+    expect(duel.roundsWon).toEqual({ a: 1, b: 0 });
+    expect(duel.phase).toBe(DuelPhase.ROUND_OVER);
+  });
+
+  it('should ignore contacts right after a round starts', () => {
+    duel.start(['a', 'b'], 0);
+    duel.update(fighters(lungeA, idleB), 50);
+    expect(duel.points.a).toBe(0);
+  });
+
+  it('should not score while blades are locked in a clash', () => {
+    duel.start(['a', 'b'], 0);
+
+    duel.update(fighters(crossA, crossB), 200);
+    duel.update(fighters(crossA, crossB), 220); // Within the clash cooldown
+    duel.update(fighters(crossA, crossB), 260);
+
+    expect(types()).toEqual(['round_start', 'clash', 'clash']);
+    expect(events[1].players).toEqual(['a', 'b']);
+    expect(duel.points).toEqual({ a: 0, b: 0 });
+  });
+
+  it('should start the next round after the break and finish the match', () => {
+    duel.start(['a', 'b'], 0);
+    duel.update(fighters(lungeA, idleB), 100);
+    duel.update(fighters(lungeA, idleB), 200);
+
+    duel.update(fighters(idleA, idleB), 900); // Still in the break
+    expect(duel.round).toBe(1);
+    duel.update(fighters(idleA, idleB), 1200);
+    expect(duel.round).toBe(2);
+    expect(duel.points).toEqual({ a: 0, b: 0 });
+
+    duel.update(fighters(lungeA, idleB), 1400);
+    duel.update(fighters(lungeA, idleB), 1500);
+
+    expect(duel.phase).toBe(DuelPhase.FINISHED);
+    expect(duel.winner).toBe('a');
+    expect(events.at(-1)).toMatchObject({ type: 'match_end', winner: 'a', roundsWon: { a: 2, b: 0 } });
+
+    // Finished matches stay put until restarted
+    duel.update(fighters(lungeA, idleB), 5000);
+    expect(duel.round).toBe(2);
+  });
+
+  it('should reset scores on stop and restart', () => {
+    duel.start(['a', 'b'], 0);
+    duel.update(fighters(lungeA, idleB), 100);
+    duel.stop();
+    expect(duel.isActive()).toBe(false);
+    expect(types().at(-1)).toBe('stop');
+
+    duel.start(['a', 'b'], 1000, 5);
+    expect(duel.bestOf).toBe(5);
+    expect(duel.points).toEqual({ a: 0, b: 0 });
+    expect(duel.roundsWon).toEqual({ a: 0, b: 0 });
+  });
+});
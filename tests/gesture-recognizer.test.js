@@ -0,0 +1,166 @@
+// Gesture Recognizer Tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GestureRecognizer, classifyGesture } from '../src/gesture-recognizer.js';
+
+const FLAT = { x: 0, y: 0, z: 9.81 }; // Phone lying flat, screen up
+const UPRIGHT = { x: 0, y: 9.81, z: 0 }; // Blade pointing up
+const SIDEWAYS = { x: 9.81, y: 0, z: 0 }; // Blade level, held across the body
+
+/**
+ * Feed a motion profile: `rate(t)` deg/s and `linear(t)` m/s² over `duration` ms,
+ * then `quiet` ms of stillness with gravity `restGravity`
+ */
+function perform(recognizer, { start = 1000, duration, rate = () => ({}), linear = () => ({}), gravity = FLAT, restGravity = gravity, quiet = 200 }) {
+  const messages = [];
+  const feed = (t, acceleration, rotationRate) => {
+    const message = recognizer.handleMotion({
+      type: 'motion_data',
+      timestamp: t,
+      acceleration,
+      rotationRate: { alpha: 0, beta: 0, gamma: 0, ...rotationRate },
+    });
+    if (message) messages.push(message);
+  };
+
+  // Settle the gravity estimate
+  for (let t = start - 300; t < start; t += 16) {
+    feed(t, gravity, {});
+  }
+  for (let t = start; t < start + duration; t += 16) {
+    const l = { x: 0, y: 0, z: 0, ...linear(t - start) };
+    feed(t, { x: gravity.x + l.x, y: gravity.y + l.y, z: gravity.z + l.z }, rate(t - start));
+  }
+  for (let t = start + duration; t < start + duration + quiet; t += 16) {
+    feed(t, restGravity, {});
+  }
+  return messages;
+}
+
+const pulse = (peak, duration) => (t) => peak * Math.sin(Math.PI * t / duration);
+
+describe('GestureRecognizer', () => {
+  let recognizer;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    recognizer = new GestureRecognizer();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should stay quiet while the phone is still', () => {
+    expect(perform(recognizer, { duration: 500 })).toEqual([]);
+  });
+
+  it('should ignore slow movement', () => {
+    const rate = pulse(90, 400);
+    expect(perform(recognizer, { duration: 400, rate: (t) => ({ alpha: rate(t) }) })).toEqual([]);
+  });
+
+  it('should recognize a horizontal swing', () => {
+    const rate = pulse(500, 300);
+    const [gesture] = perform(recognizer, { duration: 300, rate: (t) => ({ alpha: -rate(t) }) });
+
+    expect(gesture).toMatchObject({ type: 'gesture', gesture: 'swing', plane: 'horizontal', direction: 'right' });
+    expect(gesture.strength).toBeGreaterThan(0.5);
+  });
+
+  it('should recognize a vertical swing', () => {
+    const rate = pulse(400, 300);
+    const [gesture] = perform(recognizer, { duration: 300, rate: (t) => ({ beta: -rate(t) }) });
+
+    expect(gesture).toMatchObject({ gesture: 'swing', plane: 'vertical', direction: 'down' });
+  });
+
+  it('should recognize a diagonal swing', () => {
+    const rate = pulse(400, 300);
+    const [gesture] = perform(recognizer, { duration: 300, rate: (t) => ({ alpha: rate(t), beta: -rate(t) * 0.8 }) });
+
+    expect(gesture).toMatchObject({ gesture: 'swing', plane: 'diagonal', direction: 'down-left' });
+  });
+
+  it('should recognize a thrust', () => {
+    const push = pulse(25, 200);
+    const [gesture] = perform(recognizer, { duration: 200, linear: (t) => ({ y: push(t) }) });
+
+    expect(gesture).toMatchObject({ gesture: 'thrust', direction: 'forward' });
+  });
+
+  it('should recognize a spin', () => {
+    const [gesture] = perform(recognizer, { duration: 500, rate: () => ({ gamma: 900 }) });
+
+    expect(gesture).toMatchObject({ gesture: 'spin', direction: 'counterclockwise' });
+  });
+
+  it('should recognize a block that stops dead with the blade across the body', () => {
+    // Blade ends up pointing east-west (across the screen)
+    recognizer.handleOrientation({ x: 0, y: 0, z: Math.SQRT1_2, w: Math.SQRT1_2 });
+    const [gesture] = perform(recognizer, {
+      duration: 160,
+      rate: (t) => ({ alpha: t < 144 ? -600 : 0 }),
+      gravity: UPRIGHT,
+      restGravity: SIDEWAYS,
+    });
+
+    expect(gesture.gesture).toBe('block');
+  });
+
+  it('should treat a swing that slows down gradually as a swing', () => {
+    recognizer.handleOrientation({ x: 0, y: 0, z: Math.SQRT1_2, w: Math.SQRT1_2 });
+    const rate = pulse(500, 300);
+    const [gesture] = perform(recognizer, { duration: 300, rate: (t) => ({ alpha: rate(t) }) });
+
+    expect(gesture.gesture).toBe('swing');
+  });
+
+  it('should not report blocks without orientation data', () => {
+    const [gesture] = perform(recognizer, {
+      duration: 160,
+      rate: (t) => ({ alpha: t < 144 ? -600 : 0 }),
+    });
+
+    expect(gesture.gesture).toBe('swing');
+  });
+
+  it('should recognize a flick that ends with the blade pointing at the floor', () => {
+    // Blade ends up pointing straight down
+    recognizer.handleOrientation({ x: -Math.SQRT1_2, y: 0, z: 0, w: Math.SQRT1_2 });
+    const rate = pulse(500, 300);
+    const [gesture] = perform(recognizer, { duration: 300, rate: (t) => ({ beta: -rate(t) }) });
+
+    expect(gesture).toMatchObject({ gesture: 'flick', direction: 'down' });
+  });
+
+  it('should not mistake a wrist twist for a swing', () => {
+    const rate = pulse(500, 300);
+    expect(perform(recognizer, { duration: 300, rate: (t) => ({ gamma: rate(t) }) })).toEqual([]);
+  });
+
+  it('should send gestures through the callback once started', () => {
+    const callback = vi.fn();
+    recognizer.start(callback, 'device_123');
+
+    const rate = pulse(500, 300);
+    perform(recognizer, { duration: 300, rate: (t) => ({ alpha: rate(t) }) });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback.mock.calls[0][0].deviceId).toBe('device_123');
+  });
+
+  it('should not double-report within the cooldown', () => {
+    const rate = pulse(500, 200);
+    const first = perform(recognizer, { duration: 200, rate: (t) => ({ alpha: rate(t) }), quiet: 120 });
+    const second = perform(recognizer, { start: 1520, duration: 200, rate: (t) => ({ alpha: rate(t) }) });
+
+    expect(first).toHaveLength(1);
+    expect(second).toHaveLength(1);
+  });
+});
+
+describe('classifyGesture', () => {
+  it('should need at least two samples', () => {
+    expect(classifyGesture([])).toBe(null);
+  });
+});
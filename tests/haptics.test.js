@@ -0,0 +1,107 @@
+// Haptics Tests
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  HAPTIC_PATTERNS,
+  DEFAULT_HAPTIC_INTENSITY,
+  HapticFeedback,
+  scaleHapticPattern,
+  hapticDuration,
+  loadHapticIntensity,
+  saveHapticIntensity,
+} from '../src/haptics.js';
+
+describe('scaleHapticPattern', () => {
+  it('should shorten vibration but keep the pauses', () => {
+    expect(scaleHapticPattern([40, 30, 60], 0.5)).toEqual([20, 30, 30]);
+    expect(scaleHapticPattern([40, 30, 60], 1)).toEqual([40, 30, 60]);
+  });
+
+  it('should be empty when muted or given nothing to play', () => {
+    expect(scaleHapticPattern([150], 0)).toEqual([]);
+    expect(scaleHapticPattern(undefined, 1)).toEqual([]);
+    expect(scaleHapticPattern([0, 100], 1)).toEqual([]);
+  });
+
+  it('should clamp patterns from a peer', () => {
+    const pattern = scaleHapticPattern([5000, -10, 'x', ...new Array(20).fill(10)], 1);
+    expect(pattern).toHaveLength(10);
+    expect(pattern.slice(0, 3)).toEqual([1000, 0, 0]);
+  });
+});
+
+describe('hapticDuration', () => {
+  it('should add up the vibration segments', () => {
+    expect(hapticDuration(HAPTIC_PATTERNS.clash)).toBe(100);
+  });
+});
+
+describe('haptic intensity persistence', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should default to full strength', () => {
+    expect(loadHapticIntensity()).toBe(DEFAULT_HAPTIC_INTENSITY);
+  });
+
+  it('should save and load the setting', () => {
+    saveHapticIntensity(0.3);
+    expect(loadHapticIntensity()).toBe(0.3);
+  });
+
+  it('should survive corrupt storage', () => {
+    localStorage.setItem('haptic_intensity', 'loud');
+    expect(loadHapticIntensity()).toBe(DEFAULT_HAPTIC_INTENSITY);
+  });
+});
+
+describe('HapticFeedback', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should vibrate the message pattern at the set intensity', () => {
+    const vibrate = vi.fn(() => true);
+    const haptics = new HapticFeedback({ vibrate, intensity: 0.5 });
+
+    expect(haptics.play({ type: 'haptic', event: 'clash', pattern: [40, 30, 60] })).toBe('vibrate');
+    expect(vibrate).toHaveBeenCalledWith([20, 30, 30]);
+  });
+
+  it('should fall back to the event pattern', () => {
+    const vibrate = vi.fn(() => true);
+    const haptics = new HapticFeedback({ vibrate, intensity: 1 });
+
+    haptics.play({ type: 'haptic', event: 'hit' });
+    expect(vibrate).toHaveBeenCalledWith(HAPTIC_PATTERNS.hit);
+  });
+
+  it('should flash when the device cannot vibrate', () => {
+    const haptics = new HapticFeedback({ vibrate: null, intensity: 1 });
+    const flashes = [];
+    haptics.onFlash(flash => flashes.push(flash));
+
+    expect(haptics.isVibrationSupported()).toBe(false);
+    expect(haptics.play({ event: 'hit', pattern: [150] })).toBe('flash');
+    expect(flashes).toEqual([{ event: 'hit', duration: 150, intensity: 1 }]);
+  });
+
+  it('should flash when the browser refuses to vibrate', () => {
+    const haptics = new HapticFeedback({ vibrate: () => false, intensity: 1 });
+    const onFlash = vi.fn();
+    haptics.onFlash(onFlash);
+
+    expect(haptics.play({ event: 'clash' })).toBe('flash');
+    expect(onFlash).toHaveBeenCalledTimes(1);
+  });
+
+  it('should do nothing at zero intensity', () => {
+    const vibrate = vi.fn();
+    const haptics = new HapticFeedback({ vibrate, intensity: 1 });
+    haptics.setIntensity(0);
+
+    expect(haptics.play({ event: 'hit' })).toBeNull();
+    expect(vibrate).not.toHaveBeenCalled();
+    expect(loadHapticIntensity()).toBe(0);
+  });
+});
@@ -0,0 +1,91 @@
+// Jitter Buffer Tests
+import { describe, it, expect } from 'vitest';
+import { JitterBuffer, REBASE_THRESHOLD, interpolateQuaternion, isTimeBaseChanged } from '../src/jitter-buffer.js';
+
+const identity = { x: 0, y: 0, z: 0, w: 1 };
+// 90° about z
+const quarterTurn = { x: 0, y: 0, z: Math.SQRT1_2, w: Math.SQRT1_2 };
+
+function angleAboutZ(q) {
+  return 2 * Math.atan2(q.z, q.w);
+}
+
+describe('interpolateQuaternion', () => {
+  it('should slerp along the arc', () => {
+    expect(angleAboutZ(interpolateQuaternion(identity, quarterTurn, 0.5))).toBeCloseTo(Math.PI / 4);
+  });
+
+  it('should extrapolate past the second rotation', () => {
+    expect(angleAboutZ(interpolateQuaternion(identity, quarterTurn, 1.5))).toBeCloseTo((3 * Math.PI) / 4);
+  });
+
+  it('should take the short way round', () => {
+    const flipped = { x: -quarterTurn.x, y: -quarterTurn.y, z: -quarterTurn.z, w: -quarterTurn.w };
+    expect(angleAboutZ(interpolateQuaternion(identity, flipped, 0.5))).toBeCloseTo(Math.PI / 4);
+  });
+});
+
+describe('JitterBuffer', () => {
+  it('should return nothing before the first sample', () => {
+    expect(new JitterBuffer().sample(1000)).toBeNull();
+  });
+
+  it('should play back a fixed delay behind the send time', () => {
+    const buffer = new JitterBuffer({ playoutDelay: 50 });
+    buffer.push(1000, 0);
+    buffer.push(1020, 10);
+    buffer.push(1040, 20);
+
+    expect(buffer.sample(1050)).toBe(0);
+    expect(buffer.sample(1060)).toBe(5);
+    expect(buffer.sample(1085)).toBeCloseTo(17.5);
+  });
+
+  it('should smooth over packets that arrive in a burst', () => {
+    const buffer = new JitterBuffer({ playoutDelay: 50 });
+    // Sent every 20ms, all delivered together late - playback still steps evenly
+    [0, 20, 40, 60].forEach(t => buffer.push(1000 + t, t));
+
+    const frames = [1066, 1082, 1098].map(now => buffer.sample(now));
+    expect(frames).toEqual([16, 32, 48]);
+  });
+
+  it('should extrapolate briefly when data runs out, then hold', () => {
+    const buffer = new JitterBuffer({ playoutDelay: 50, maxExtrapolation: 30 });
+    buffer.push(1000, 0);
+    buffer.push(1020, 10);
+
+    expect(buffer.sample(1080)).toBe(15); // 10ms past the newest sample
+    expect(buffer.sample(1200)).toBe(25); // Capped at 30ms ahead
+  });
+
+  it('should drop late packets', () => {
+    const buffer = new JitterBuffer({ playoutDelay: 0 });
+    buffer.push(1000, 0);
+    buffer.push(1040, 40);
+    buffer.push(1020, 999);
+
+    expect(buffer.sample(1020)).toBe(20);
+  });
+
+  it('should interpolate quaternions when given the slerp', () => {
+    const buffer = new JitterBuffer({ playoutDelay: 0, interpolate: interpolateQuaternion });
+    buffer.push(0, identity);
+    buffer.push(100, quarterTurn);
+
+    expect(angleAboutZ(buffer.sample(50))).toBeCloseTo(Math.PI / 4);
+  });
+});
+
+describe('isTimeBaseChanged', () => {
+  it('should change when the clock offset first becomes known or goes away', () => {
+    expect(isTimeBaseChanged(null, 3000)).toBe(true);
+    expect(isTimeBaseChanged(3000, null)).toBe(true);
+    expect(isTimeBaseChanged(null, null)).toBe(false);
+  });
+
+  it('should only change when the offset jumps past the threshold', () => {
+    expect(isTimeBaseChanged(3000, 3000 + REBASE_THRESHOLD)).toBe(false);
+    expect(isTimeBaseChanged(3000, 3000 - REBASE_THRESHOLD - 1)).toBe(true);
+  });
+});
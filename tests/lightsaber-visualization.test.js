@@ -0,0 +1,117 @@
+// Lightsaber Visualization Tests (saber management only - no WebGL renderer)
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { LightsaberVisualization, DEFAULT_SABER_ID, saberSlots } from '../src/lightsaber-visualization.js';
+
+describe('saberSlots', () => {
+  it('should center sabers side by side', () => {
+    expect(saberSlots(1)).toEqual([0]);
+    expect(saberSlots(2)).toEqual([-1.5, 1.5]);
+    expect(saberSlots(3)).toEqual([-3, 0, 3]);
+  });
+});
+
+describe('LightsaberVisualization sabers', () => {
+  let visualization;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    visualization = new LightsaberVisualization();
+    visualization.scene = new THREE.Scene();
+    visualization.getSaber(DEFAULT_SABER_ID); // Idle saber, as initScene does
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // Run frames until the retract animations are done
+  function runFrames(from = 0, to = 1000) {
+    for (let now = from; now <= to; now += 16) {
+      visualization.updateSabers(now, now / 1000);
+    }
+  }
+
+  it('should let the first controller take over the idle saber', () => {
+    const idle = visualization.getSaber(DEFAULT_SABER_ID);
+    const saber = visualization.getSaber('peer-1');
+
+    expect(saber).toBe(idle);
+    expect(saber.id).toBe('peer-1');
+    expect(visualization.getSabers()).toHaveLength(1);
+  });
+
+  it('should add one saber per controller, side by side, with different colors', () => {
+    const first = visualization.getSaber('peer-1');
+    const second = visualization.getSaber('peer-2');
+
+    expect(visualization.getSabers()).toHaveLength(2);
+    expect(first.targetX).toBe(-1.5);
+    expect(second.targetX).toBe(1.5);
+    expect(first.bladeColor.equals(second.bladeColor)).toBe(false);
+  });
+
+  it('should keep saber state separate per controller', () => {
+    const first = visualization.getSaber('peer-1');
+    const second = visualization.getSaber('peer-2');
+
+    first.updateBladeLength(1);
+    first.ignite(0);
+
+    expect(second.targetBladeLength).toBe(second.baseBladeLength);
+    expect(second.saberState.isLit()).toBe(false);
+    expect(visualization.isLit()).toBe(true);
+  });
+
+  it('should retract and remove a departed controller\'s saber', () => {
+    const first = visualization.getSaber('peer-1');
+    const second = visualization.getSaber('peer-2');
+    second.ignite(0);
+    runFrames(0, 500);
+
+    visualization.removeSaber('peer-2');
+    expect(visualization.hasSaber('peer-2')).toBe(true); // Still retracting
+    runFrames(500, 1500);
+
+    expect(visualization.hasSaber('peer-2')).toBe(false);
+    expect(visualization.scene.children).not.toContain(second.root);
+    expect(first.targetX).toBe(0);
+  });
+
+  it('should keep the last saber as the idle saber', () => {
+    const saber = visualization.getSaber('peer-1');
+    saber.ignite(0);
+    runFrames(0, 500);
+
+    visualization.removeSaber('peer-1');
+    runFrames(500, 1500);
+
+    expect(visualization.getSabers()).toEqual([saber]);
+    expect(saber.id).toBe(DEFAULT_SABER_ID);
+    expect(saber.saberState.isLit()).toBe(false);
+  });
+
+  it('should report state changes with the saber ID', () => {
+    const changes = [];
+    visualization.onSaberStateChange((state, id) => changes.push([state, id]));
+
+    visualization.getSaber('peer-1');
+    visualization.getSaber('peer-2').ignite(0);
+
+    expect(changes).toEqual([['igniting', 'peer-2']]);
+  });
+
+  it('should run before-frame callbacks ahead of the saber update', () => {
+    const saber = visualization.getSaber('peer-1');
+    saber.updateOrientation({ x: 0, y: 0, z: 0, w: 1 });
+    let rotationSeen = null;
+    visualization.onBeforeFrame(() => {
+      rotationSeen = saber.lightsaber.quaternion.clone();
+    });
+
+    visualization.updateSabers(16, 0.016);
+
+    expect(rotationSeen.equals(new THREE.Quaternion())).toBe(true);
+    expect(saber.lightsaber.quaternion.equals(new THREE.Quaternion())).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+// Lightsaber Tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { Lightsaber } from '../src/lightsaber.js';
+
+describe('Lightsaber', () => {
+  let scene;
+  let saber;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    scene = new THREE.Scene();
+    saber = new Lightsaber('peer-1', scene);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function igniteFully() {
+    saber.ignite(0);
+    for (let now = 0; now <= 2000; now += 16) {
+      saber.update(now, now / 1000);
+    }
+  }
+
+  describe('setSceneOrientation', () => {
+    it('should aim at a scene-frame quaternion without remapping it', () => {
+      saber.setSceneOrientation({ x: 0, y: 2, z: 0, w: 0 });
+
+      expect(saber.useQuaternion).toBe(true);
+      expect(saber.targetQuaternion.y).toBeCloseTo(1);
+      expect(saber.targetQuaternion.w).toBeCloseTo(0);
+    });
+  });
+
+  describe('getBladeCapsule', () => {
+    it('should have no capsule while the blade is off', () => {
+      saber.update(0, 0);
+      expect(saber.getBladeCapsule()).toBeNull();
+    });
+
+    it('should run from the bottom of the hilt to the tip', () => {
+      igniteFully();
+      const { start, end } = saber.getBladeCapsule();
+
+      expect(start.y).toBeCloseTo(-1.5);
+      expect(end.y).toBeCloseTo(saber.baseBladeLength, 1);
+    });
+
+    it('should follow the saber slot and rotation', () => {
+      saber.setSlot(1.5);
+      saber.root.position.x = 1.5;
+      saber.updateOrientation({ x: 0, y: 0, z: 0, w: 1 }); // Phone flat: blade points into the screen
+      igniteFully();
+      const { end } = saber.getBladeCapsule();
+
+      expect(end.x).toBeCloseTo(1.5);
+      expect(end.z).toBeLessThan(-1.9);
+    });
+
+    it('should span both tips when double-bladed', () => {
+      saber.applySaberConfig({ color: '#ff0000', hilt: 'classic', doubleBladed: true });
+      igniteFully();
+      const { start } = saber.getBladeCapsule();
+
+      expect(start.y).toBeCloseTo(-1.5 - saber.baseBladeLength, 1);
+    });
+  });
+
+  describe('flourish', () => {
+    it('should only twirl a lit saber', () => {
+      expect(saber.flourish(0)).toBe(false);
+      igniteFully();
+      expect(saber.flourish(3000)).toBe(true);
+      expect(saber.flourish(3100)).toBe(false); // Already spinning
+    });
+
+    it('should spin one full turn and end upright', () => {
+      igniteFully();
+      saber.flourish(3000);
+
+      saber.update(3350, 3.35);
+      expect(saber.root.rotation.z).toBeCloseTo(-Math.PI);
+
+      saber.update(3700, 3.7);
+      expect(saber.root.rotation.z).toBe(0);
+      expect(saber.isFlourishing()).toBe(false);
+    });
+  });
+
+  it('should remove itself from the scene on dispose', () => {
+    saber.dispose();
+    expect(scene.children).toHaveLength(0);
+  });
+});
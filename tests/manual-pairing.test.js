@@ -0,0 +1,90 @@
+// Manual Pairing Tests
+import { describe, it, expect } from 'vitest';
+import {
+  encodeSessionDescription,
+  decodeSessionDescription,
+  isOfferPayload,
+  isAnswerPayload,
+} from '../src/manual-pairing.js';
+
+const FINGERPRINT = '8B:2E:67:51:0C:3F:A1:9D:44:E0:5B:7C:12:9A:F3:6D:21:88:B4:0E:5F:C7:3A:91:D2:6B:08:4F:E5:17:AC:33';
+
+const CHROME_OFFER_SDP = [
+  'v=0',
+  'o=- 4611731400430051336 2 IN IP4 127.0.0.1',
+  's=-',
+  't=0 0',
+  'a=group:BUNDLE 0',
+  'a=extmap-allow-mixed',
+  'a=msid-semantic: WMS',
+  'm=application 50432 UDP/DTLS/SCTP webrtc-datachannel',
+  'c=IN IP4 203.0.113.7',
+  'a=candidate:1467250027 1 udp 2122260223 3f1c9a2e-5d4b-4c1a-9e8f-0a1b2c3d4e5f.local 50432 typ host generation 0 network-id 1',
+  'a=candidate:842163049 1 udp 1686052607 203.0.113.7 50432 typ srflx raddr 0.0.0.0 rport 0 generation 0 network-id 1',
+  'a=candidate:1111111111 1 tcp 1518280447 192.168.1.5 9 typ host tcptype active generation 0',
+  'a=ice-ufrag:Xk3f',
+  'a=ice-pwd:f0Lq+8hY2sNc/4pW6rTzVb1m',
+  'a=ice-options:trickle',
+  `a=fingerprint:sha-256 ${FINGERPRINT}`,
+  'a=setup:actpass',
+  'a=mid:0',
+  'a=sctp-port:5000',
+  'a=max-message-size:262144',
+  '',
+].join('\r\n');
+
+describe('Manual Pairing', () => {
+  describe('encodeSessionDescription', () => {
+    it('should produce a compact offer payload', () => {
+      const payload = encodeSessionDescription({ type: 'offer', sdp: CHROME_OFFER_SDP });
+      expect(isOfferPayload(payload)).toBe(true);
+      expect(isAnswerPayload(payload)).toBe(false);
+      expect(payload.length).toBeLessThan(CHROME_OFFER_SDP.length / 2);
+    });
+
+    it('should drop TCP candidates', () => {
+      const payload = encodeSessionDescription({ type: 'offer', sdp: CHROME_OFFER_SDP });
+      expect(payload).not.toContain('192.168.1.5');
+    });
+
+    it('should reject descriptions without ICE credentials', () => {
+      expect(() => encodeSessionDescription({ type: 'offer', sdp: 'v=0\r\n' })).toThrow();
+    });
+  });
+
+  describe('decodeSessionDescription', () => {
+    it('should restore ICE credentials, fingerprint and role', () => {
+      const payload = encodeSessionDescription({ type: 'offer', sdp: CHROME_OFFER_SDP });
+      const { type, sdp } = decodeSessionDescription(payload);
+
+      expect(type).toBe('offer');
+      expect(sdp).toContain('a=ice-ufrag:Xk3f');
+      expect(sdp).toContain('a=ice-pwd:f0Lq+8hY2sNc/4pW6rTzVb1m');
+      expect(sdp).toContain(`a=fingerprint:sha-256 ${FINGERPRINT}`);
+      expect(sdp).toContain('a=setup:actpass');
+      expect(sdp).toContain('m=application 9 UDP/DTLS/SCTP webrtc-datachannel');
+    });
+
+    it('should restore UDP candidates with their types', () => {
+      const payload = encodeSessionDescription({ type: 'offer', sdp: CHROME_OFFER_SDP });
+      const { sdp } = decodeSessionDescription(payload);
+
+      expect(sdp).toMatch(/a=candidate:1 1 udp \d+ 3f1c9a2e-5d4b-4c1a-9e8f-0a1b2c3d4e5f\.local 50432 typ host/);
+      expect(sdp).toMatch(/a=candidate:2 1 udp \d+ 203\.0\.113\.7 50432 typ srflx/);
+    });
+
+    it('should handle IPv6 candidate addresses', () => {
+      const sdp = CHROME_OFFER_SDP.replace('203.0.113.7 50432 typ srflx', '2001:db8::1 50432 typ srflx');
+      const payload = encodeSessionDescription({ type: 'answer', sdp: sdp.replace('a=setup:actpass', 'a=setup:active') });
+      const decoded = decodeSessionDescription(payload);
+
+      expect(decoded.type).toBe('answer');
+      expect(decoded.sdp).toContain('2001:db8::1 50432 typ srflx');
+      expect(decoded.sdp).toContain('a=setup:active');
+    });
+
+    it('should reject unrelated QR codes', () => {
+      expect(() => decodeSessionDescription('https://example.com')).toThrow('Not a lightsaber pairing code');
+    });
+  });
+});
@@ -0,0 +1,150 @@
+// Orientation Fusion Tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  OrientationFusion,
+  quatFromDeviceOrientation,
+  quatSlerp,
+  rotateVector,
+} from '../src/orientation-fusion.js';
+import { MotionHandler } from '../src/motion-handler.js';
+
+const FLAT_ACCELERATION = { x: 0, y: 0, z: 9.81 };
+
+function expectVectorClose(actual, expected, digits = 3) {
+  expect(actual.x).toBeCloseTo(expected.x, digits);
+  expect(actual.y).toBeCloseTo(expected.y, digits);
+  expect(actual.z).toBeCloseTo(expected.z, digits);
+}
+
+describe('Orientation Fusion', () => {
+  describe('quatFromDeviceOrientation', () => {
+    it('should be the identity for a phone lying flat facing north', () => {
+      expect(quatFromDeviceOrientation(0, 0, 0)).toEqual({ x: 0, y: 0, z: 0, w: 1 });
+    });
+
+    it('should point the top of the screen up when beta is 90', () => {
+      const q = quatFromDeviceOrientation(0, 90, 0);
+      expectVectorClose(rotateVector(q, { x: 0, y: 1, z: 0 }), { x: 0, y: 0, z: 1 });
+    });
+
+    it('should turn the top of the screen west when alpha is 90', () => {
+      const q = quatFromDeviceOrientation(90, 0, 0);
+      expectVectorClose(rotateVector(q, { x: 0, y: 1, z: 0 }), { x: -1, y: 0, z: 0 });
+    });
+  });
+
+  describe('quatSlerp', () => {
+    it('should take the shortest path between equivalent quaternions', () => {
+      const a = { x: 0, y: 0, z: 0, w: 1 };
+      const b = { x: 0, y: 0, z: 0, w: -1 };
+      expect(quatSlerp(a, b, 0.5).w).toBeCloseTo(1);
+    });
+  });
+
+  describe('OrientationFusion', () => {
+    let fusion;
+    let motionHandler;
+
+    beforeEach(() => {
+      fusion = new OrientationFusion();
+      motionHandler = new MotionHandler();
+    });
+
+    afterEach(() => {
+      motionHandler.stopListening();
+      vi.restoreAllMocks();
+      vi.unstubAllGlobals();
+      vi.useRealTimers();
+    });
+
+    it('should initialize from the first deviceorientation reading', () => {
+      fusion.handleOrientation({ alpha: 0, beta: 90, gamma: 0, timestamp: 0 });
+      expect(fusion.getQuaternion()).toEqual(quatFromDeviceOrientation(0, 90, 0));
+    });
+
+    it('should integrate rotationRate', () => {
+      // 90°/s around the device z axis for one second
+      for (let t = 0; t <= 1000; t += 10) {
+        fusion.handleMotion({ timestamp: t, rotationRate: { alpha: 90, beta: 0, gamma: 0 } });
+      }
+
+      const top = rotateVector(fusion.getQuaternion(), { x: 0, y: 1, z: 0 });
+      expectVectorClose(top, { x: -1, y: 0, z: 0 }, 2);
+    });
+
+    it('should pull tilt back toward gravity when the phone is still', () => {
+      fusion.handleOrientation({ alpha: 0, beta: 30, gamma: 0, timestamp: 0 });
+
+      // Phone is actually flat: no rotation, accelerometer reads straight up
+      for (let t = 0; t <= 5000; t += 10) {
+        fusion.handleMotion({ timestamp: t, acceleration: FLAT_ACCELERATION, rotationRate: { alpha: 0, beta: 0, gamma: 0 } });
+      }
+
+      const up = rotateVector(fusion.getQuaternion(), { x: 0, y: 0, z: 1 });
+      expectVectorClose(up, { x: 0, y: 0, z: 1 }, 2);
+    });
+
+    it('should ignore the accelerometer while swinging', () => {
+      fusion.handleOrientation({ alpha: 0, beta: 30, gamma: 0, timestamp: 0 });
+      const before = fusion.getQuaternion();
+
+      fusion.handleMotion({ timestamp: 0, acceleration: { x: 0, y: 25, z: 9.81 }, rotationRate: { alpha: 0, beta: 0, gamma: 0 } });
+      fusion.handleMotion({ timestamp: 16, acceleration: { x: 0, y: 25, z: 9.81 }, rotationRate: { alpha: 0, beta: 0, gamma: 0 } });
+
+      expect(fusion.getQuaternion()).toEqual(before);
+    });
+
+    it('should skip integration across long gaps', () => {
+      fusion.handleMotion({ timestamp: 0, rotationRate: { alpha: 90, beta: 0, gamma: 0 } });
+      fusion.handleMotion({ timestamp: 5000, rotationRate: { alpha: 90, beta: 0, gamma: 0 } });
+
+      expect(fusion.getQuaternion()).toEqual({ x: 0, y: 0, z: 0, w: 1 });
+    });
+
+    it('should follow deviceorientation directly on a phone without a gyroscope', () => {
+      vi.useFakeTimers();
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.stubGlobal('isSecureContext', true); // Sensors need HTTPS
+      const callback = vi.fn();
+      fusion.start(callback, 'device_123');
+      motionHandler.startListening((data) => fusion.handleMotion(data), 'device_123');
+
+      // What a gyro-less phone fires: accelerometer only, rotationRate missing
+      const event = new Event('devicemotion');
+      Object.assign(event, { accelerationIncludingGravity: FLAT_ACCELERATION, rotationRate: null });
+      window.dispatchEvent(event);
+      fusion.handleOrientation({ alpha: 0, beta: 0, gamma: 0, timestamp: 0 });
+      vi.advanceTimersByTime(20);
+      fusion.handleOrientation({ alpha: 0, beta: 60, gamma: 0, timestamp: 20 });
+
+      expect(fusion.getQuaternion()).toEqual(quatFromDeviceOrientation(0, 60, 0));
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback.mock.calls[1][0].quaternion).toEqual(quatFromDeviceOrientation(0, 60, 0));
+    });
+
+    it('should send orientation_data once started', () => {
+      vi.useFakeTimers();
+      const callback = vi.fn();
+      fusion.start(callback, 'device_123');
+
+      fusion.handleOrientation({ alpha: 10, beta: 20, gamma: 30, timestamp: 1234 });
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback.mock.calls[0][0]).toMatchObject({
+        type: 'orientation_data',
+        timestamp: 1234,
+        deviceId: 'device_123',
+      });
+    });
+
+    it('should not send after stop', () => {
+      const callback = vi.fn();
+      fusion.start(callback, 'device_123');
+      fusion.stop();
+
+      fusion.handleOrientation({ alpha: 10, beta: 20, gamma: 30, timestamp: 1234 });
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// Pairing Auth Tests
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  SAS_LENGTH,
+  SAS_SYMBOLS,
+  computeConnectionSas,
+  computeSas,
+  extractFingerprint,
+  forgetAllTrustedDevices,
+  forgetTrustedDevice,
+  isTrustedDevice,
+  loadTrustedDevices,
+  trustDevice,
+} from '../src/pairing-auth.js';
+
+const FINGERPRINT_A = 'sha-256 AA:BB:CC:DD:EE:FF:00:11:22:33:44:55:66:77:88:99:AA:BB:CC:DD:EE:FF:00:11:22:33:44:55:66:77:88:99';
+const FINGERPRINT_B = 'sha-256 11:22:33:44:55:66:77:88:99:AA:BB:CC:DD:EE:FF:00:11:22:33:44:55:66:77:88:99:AA:BB:CC:DD:EE:FF:00';
+
+function sdpWith(fingerprint) {
+  return `v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\ns=-\r\na=fingerprint:${fingerprint}\r\na=setup:actpass\r\n`;
+}
+
+describe('extractFingerprint', () => {
+  it('should read the fingerprint line of an SDP', () => {
+    expect(extractFingerprint(sdpWith('SHA-256 aa:bb:cc'))).toBe('sha-256 AA:BB:CC');
+  });
+
+  it('should return null without one', () => {
+    expect(extractFingerprint('v=0\r\n')).toBeNull();
+    expect(extractFingerprint(undefined)).toBeNull();
+  });
+});
+
+describe('computeSas', () => {
+  it('should give both ends the same symbols', async () => {
+    const local = await computeSas(FINGERPRINT_A, FINGERPRINT_B);
+    const remote = await computeSas(FINGERPRINT_B, FINGERPRINT_A);
+
+    expect(local).toEqual(remote);
+    expect(local).toHaveLength(SAS_LENGTH);
+    local.forEach(symbol => expect(SAS_SYMBOLS).toContain(symbol));
+  });
+
+  it('should change when either fingerprint changes', async () => {
+    const direct = await computeSas(FINGERPRINT_A, FINGERPRINT_B);
+    const intercepted = await computeSas(FINGERPRINT_A, FINGERPRINT_B.replace('11:22', '11:23'));
+
+    expect(intercepted).not.toEqual(direct);
+  });
+
+  it('should have 64 distinct symbols', () => {
+    expect(new Set(SAS_SYMBOLS).size).toBe(64);
+  });
+});
+
+describe('computeConnectionSas', () => {
+  it('should use both session descriptions', async () => {
+    const sas = await computeConnectionSas({
+      localDescription: { sdp: sdpWith(FINGERPRINT_A) },
+      remoteDescription: { sdp: sdpWith(FINGERPRINT_B) },
+    });
+
+    expect(sas).toEqual(await computeSas(FINGERPRINT_A, FINGERPRINT_B));
+  });
+
+  it('should return null before both descriptions are set', async () => {
+    expect(await computeConnectionSas({ localDescription: { sdp: sdpWith(FINGERPRINT_A) }, remoteDescription: null })).toBeNull();
+    expect(await computeConnectionSas(undefined)).toBeNull();
+  });
+});
+
+describe('trusted devices', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should remember trusted device IDs', () => {
+    expect(isTrustedDevice('device-1')).toBe(false);
+
+    trustDevice('device-1', 'happy tree');
+
+    expect(isTrustedDevice('device-1')).toBe(true);
+    expect(loadTrustedDevices()['device-1'].label).toBe('happy tree');
+  });
+
+  it('should not trust a missing device ID', () => {
+    trustDevice(null);
+    expect(isTrustedDevice(null)).toBe(false);
+    expect(isTrustedDevice('')).toBe(false);
+  });
+
+  it('should forget one or all devices', () => {
+    trustDevice('device-1');
+    trustDevice('device-2');
+
+    forgetTrustedDevice('device-1');
+    expect(isTrustedDevice('device-1')).toBe(false);
+    expect(isTrustedDevice('device-2')).toBe(true);
+
+    forgetAllTrustedDevices();
+    expect(loadTrustedDevices()).toEqual({});
+  });
+});
@@ -0,0 +1,61 @@
+// Rhythm Blocks Tests
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { RhythmBlocks, blockPosition, laneX } from '../src/rhythm-blocks.js';
+
+const note = (id, direction = 'left') => ({ id, time: 1000, lane: 0, direction, color: '#ff1a1a' });
+
+function sessionWith(notes, t = 0) {
+  return {
+    beatMap: { approach: 2000 },
+    getSongTime: () => t,
+    getVisibleNotes: () => notes,
+  };
+}
+
+describe('blockPosition', () => {
+  it('should place lanes around the center', () => {
+    expect(laneX(0)).toBeCloseTo(-laneX(3));
+    expect(laneX(1)).toBeLessThan(laneX(2));
+  });
+
+  it('should reach the saber plane on the note time', () => {
+    expect(blockPosition(note(0), 1000, 2000).z).toBeCloseTo(0);
+    expect(blockPosition(note(0), -1000, 2000).z).toBe(-20);
+    expect(blockPosition(note(0), 0, 2000).z).toBe(-10);
+  });
+});
+
+describe('RhythmBlocks', () => {
+  it('should add, move and remove block meshes', () => {
+    const scene = new THREE.Scene();
+    const blocks = new RhythmBlocks(scene);
+
+    blocks.sync(sessionWith([note(0), note(1, 'any')], 0));
+    expect(blocks.blocks.size).toBe(2);
+    expect(scene.children).toHaveLength(2);
+    expect(blocks.blocks.get(0).position.z).toBe(-10);
+
+    blocks.sync(sessionWith([note(1, 'any')], 500));
+    expect(blocks.blocks.size).toBe(1);
+    expect(blocks.blocks.get(1).position.z).toBe(-5);
+    expect(scene.children).toHaveLength(1);
+  });
+
+  it('should share one material per block color', () => {
+    const blocks = new RhythmBlocks(new THREE.Scene());
+    blocks.sync(sessionWith([note(0), note(1)]));
+    expect(blocks.materials.size).toBe(1);
+  });
+
+  it('should clear the scene on dispose', () => {
+    const scene = new THREE.Scene();
+    const blocks = new RhythmBlocks(scene);
+    blocks.sync(sessionWith([note(0)]));
+
+    blocks.dispose();
+
+    expect(scene.children).toHaveLength(0);
+    expect(blocks.blocks.size).toBe(0);
+  });
+});
@@ -0,0 +1,109 @@
+// Rhythm Mode Tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { RhythmSession, RhythmPhase, Judgement, judgeTiming, directionMatches } from '../src/rhythm.js';
+import { parseBeatMap } from '../src/beat-map.js';
+
+// Two notes at 1s and 2s, 2s approach: song time 0 is 1s lead-in + 1s extra approach after start
+const beatMap = parseBeatMap({
+  format: 'saber-beatmap',
+  version: 1,
+  bpm: 60,
+  notes: [
+    { time: 1000, lane: 0, direction: 'left' },
+    { time: 2000, lane: 3, direction: 'any' },
+  ],
+});
+const START = 10000;
+const songStart = START + 2000;
+
+describe('judgeTiming', () => {
+  it('should grade by distance from the note time', () => {
+    expect(judgeTiming(0)).toBe(Judgement.PERFECT);
+    expect(judgeTiming(-80)).toBe(Judgement.PERFECT);
+    expect(judgeTiming(150)).toBe(Judgement.GOOD);
+    expect(judgeTiming(-200)).toBeNull();
+  });
+});
+
+describe('directionMatches', () => {
+  it('should accept the required direction or any', () => {
+    expect(directionMatches('left', 'left')).toBe(true);
+    expect(directionMatches('left', 'right')).toBe(false);
+    expect(directionMatches('any', 'up-right')).toBe(true);
+  });
+});
+
+describe('RhythmSession', () => {
+  let session;
+  let events;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    session = new RhythmSession({ latency: 0 });
+    events = [];
+    session.onEvent(event => events.push(event));
+    session.start(beatMap, START);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should give the first block its full approach', () => {
+    expect(session.phase).toBe(RhythmPhase.PLAYING);
+    expect(session.getSongTime(songStart)).toBe(0);
+    expect(session.getVisibleNotes(songStart - 1001)).toHaveLength(0);
+    expect(session.getVisibleNotes(songStart - 1000).map(note => note.id)).toEqual([0]);
+  });
+
+  it('should judge a swing on time in the right direction', () => {
+    expect(session.handleSwing('left', songStart + 1030)).toBe(Judgement.PERFECT);
+    expect(session.handleSwing('up', songStart + 2150)).toBe(Judgement.GOOD);
+    expect(session.score).toBe(150);
+    expect(session.combo).toBe(2);
+    expect(session.getVisibleNotes(songStart + 2150)).toHaveLength(0);
+  });
+
+  it('should miss a swing in the wrong direction and ignore swings out of reach', () => {
+    expect(session.handleSwing('left', songStart)).toBeNull();
+    expect(session.handleSwing('right', songStart + 1000)).toBe(Judgement.MISS);
+    expect(session.combo).toBe(0);
+    expect(session.counts.miss).toBe(1);
+  });
+
+  it('should take swing latency off before judging', () => {
+    const late = new RhythmSession({ latency: 120 });
+    late.start(beatMap, START);
+    expect(late.handleSwing('left', songStart + 1120)).toBe(Judgement.PERFECT);
+  });
+
+  it('should miss blocks that fly past and tick the beats', () => {
+    session.update(songStart + 1500);
+    expect(events.filter(event => event.type === 'beat').map(event => event.beat)).toEqual([0, 1]);
+    const judgement = events.find(event => event.type === 'judgement');
+    expect(judgement).toMatchObject({ judgement: Judgement.MISS, note: { id: 0 } });
+  });
+
+  it('should finish with a summary after the last note', () => {
+    session.handleSwing('left', songStart + 1000);
+    session.update(songStart + 2500);
+    expect(session.phase).toBe(RhythmPhase.PLAYING);
+
+    session.update(songStart + 3500);
+    expect(session.phase).toBe(RhythmPhase.FINISHED);
+    const end = events.find(event => event.type === 'end');
+    expect(end.summary).toMatchObject({ score: 100, maxCombo: 1, perfect: 1, miss: 1, total: 2, accuracy: 0.5 });
+  });
+
+  it('should raise the multiplier every 10 notes in a row', () => {
+    session.combo = 10;
+    expect(session.getMultiplier()).toBe(2);
+  });
+
+  it('should stop once', () => {
+    session.stop();
+    session.stop();
+    expect(session.isActive()).toBe(false);
+    expect(events.filter(event => event.type === 'stop')).toHaveLength(1);
+  });
+});
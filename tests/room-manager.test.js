@@ -122,6 +122,27 @@ describe('RoomManager', () => {
     });
   });
 
+  describe('spectators', () => {
+    it('should not count spectators towards the device cap', () => {
+      const code = roomManager.generateRoomCode();
+      roomManager.joinRoom(code, { isMobile: false, id: 'display' });
+      roomManager.joinRoom(code, { isMobile: true, id: 'phone' });
+      roomManager.joinRoom(code, { isMobile: false, isSpectator: true, id: 'watcher1' });
+      roomManager.joinRoom(code, { isMobile: false, isSpectator: true, id: 'watcher2' });
+
+      expect(roomManager.canJoinRoom(code, { isMobile: false, id: 'desktop2' }).allowed).toBe(true);
+    });
+
+    it('should let spectators join a full room', () => {
+      const code = roomManager.generateRoomCode();
+      ['device1', 'device2', 'device3'].forEach(id => roomManager.joinRoom(code, { isMobile: false, id }));
+
+      expect(roomManager.canJoinRoom(code, { isMobile: false, isSpectator: true, id: 'watcher' }).allowed).toBe(true);
+      const { device } = roomManager.joinRoom(code, { isMobile: false, isSpectator: true, id: 'watcher' });
+      expect(device).toMatchObject({ type: 'Spectator', isSpectator: true });
+    });
+  });
+
   describe('joinRoom', () => {
     it('should create new room if it does not exist', () => {
       const code = 'NEWROOM1'; // 8 characters
@@ -0,0 +1,136 @@
+// Saber Audio Tests
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SaberAudio, humParamsFromRate, loadAudioSettings } from '../src/saber-audio.js';
+
+// Minimal stand-in for the Web Audio graph
+function createParam(value = 0) {
+  return {
+    value,
+    setValueAtTime(v) { this.value = v; },
+    setTargetAtTime(v) { this.value = v; },
+    exponentialRampToValueAtTime(v) { this.value = v; },
+  };
+}
+
+function createNode(extra = {}) {
+  return { connect() {}, start() {}, stop() { this.stopped = true; }, ...extra };
+}
+
+class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.sampleRate = 8000;
+    this.state = 'running';
+    this.destination = createNode();
+    this.created = [];
+  }
+  track(node) { this.created.push(node); return node; }
+  createGain() { return this.track(createNode({ gain: createParam(1) })); }
+  createOscillator() { return this.track(createNode({ frequency: createParam(440), type: 'sine' })); }
+  createBiquadFilter() { return this.track(createNode({ frequency: createParam(350), Q: createParam(1), type: 'lowpass' })); }
+  createBufferSource() { return this.track(createNode({ buffer: null, loop: false })); }
+  createBuffer(channels, length) {
+    const data = new Float32Array(length);
+    return { getChannelData: () => data };
+  }
+  close() { this.closed = true; }
+}
+
+describe('humParamsFromRate', () => {
+  it('should raise pitch, volume and whoosh with angular velocity', () => {
+    const still = humParamsFromRate(0);
+    const fast = humParamsFromRate(600);
+    expect(fast.humFrequency).toBeGreaterThan(still.humFrequency);
+    expect(fast.humGain).toBeGreaterThan(still.humGain);
+    expect(still.swingGain).toBe(0);
+    expect(fast.swingGain).toBeGreaterThan(0);
+  });
+
+  it('should bend the whoosh up while speeding up and down while slowing', () => {
+    const steady = humParamsFromRate(400, 0).swingFrequency;
+    expect(humParamsFromRate(400, 200).swingFrequency).toBeGreaterThan(steady);
+    expect(humParamsFromRate(400, -200).swingFrequency).toBeLessThan(steady);
+  });
+
+  it('should saturate at full rate', () => {
+    expect(humParamsFromRate(5000)).toEqual(humParamsFromRate(720));
+  });
+});
+
+describe('SaberAudio', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should do nothing before unlock', () => {
+    const audio = new SaberAudio({ AudioContextClass: FakeAudioContext });
+    expect(audio.isReady()).toBe(false);
+    audio.startHum();
+    audio.playClash();
+    audio.updateMotion({ rotationRate: { alpha: 500, beta: 0, gamma: 0 } });
+    expect(audio.hum).toBeNull();
+  });
+
+  it('should report unsupported browsers', () => {
+    const audio = new SaberAudio({ AudioContextClass: null });
+    audio.AudioContextClass = null;
+    expect(audio.unlock()).toBe(false);
+  });
+
+  it('should start and stop the hum', () => {
+    const audio = new SaberAudio({ AudioContextClass: FakeAudioContext });
+    expect(audio.unlock()).toBe(true);
+    audio.startHum();
+    const oscillators = audio.hum.oscillators;
+    expect(oscillators).toHaveLength(2);
+
+    audio.stopHum();
+    expect(audio.hum).toBeNull();
+    expect(oscillators.every(o => o.stopped)).toBe(true);
+  });
+
+  it('should modulate the hum from rotationRate', () => {
+    const audio = new SaberAudio({ AudioContextClass: FakeAudioContext });
+    audio.unlock();
+    audio.startHum();
+    const before = audio.hum.oscillators[0].frequency.value;
+    audio.updateMotion({ rotationRate: { alpha: 600, beta: 0, gamma: 0 } });
+    expect(audio.hum.oscillators[0].frequency.value).toBeGreaterThan(before);
+    expect(audio.hum.swingGain.gain.value).toBeGreaterThan(0);
+  });
+
+  it('should mute and persist volume settings', () => {
+    const audio = new SaberAudio({ AudioContextClass: FakeAudioContext });
+    audio.unlock();
+    audio.setVolume(0.4);
+    expect(audio.master.gain.value).toBeCloseTo(0.4);
+    expect(audio.toggleMute()).toBe(true);
+    expect(audio.master.gain.value).toBe(0);
+
+    expect(loadAudioSettings()).toEqual({ volume: 0.4, muted: true });
+    const reloaded = new SaberAudio({ AudioContextClass: FakeAudioContext });
+    expect(reloaded.volume).toBe(0.4);
+    expect(reloaded.muted).toBe(true);
+  });
+
+  it('should synthesize one-shot sounds without samples', () => {
+    const audio = new SaberAudio({ AudioContextClass: FakeAudioContext });
+    audio.unlock();
+    const count = audio.context.created.length;
+    audio.playIgnite();
+    audio.playRetract();
+    audio.playSwing(0.5);
+    audio.playClash(1);
+    audio.playTick(true);
+    expect(audio.context.created.length).toBeGreaterThan(count);
+  });
+
+  it('should close the context on dispose', () => {
+    const audio = new SaberAudio({ AudioContextClass: FakeAudioContext });
+    audio.unlock();
+    const context = audio.context;
+    audio.dispose();
+    expect(context.closed).toBe(true);
+    expect(audio.isReady()).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+// Saber Config Tests
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DEFAULT_SABER_CONFIG,
+  BLADE_PRESETS,
+  normalizeSaberConfig,
+  loadSaberConfig,
+  saveSaberConfig,
+  formatSaberConfigMessage,
+} from '../src/saber-config.js';
+
+describe('normalizeSaberConfig', () => {
+  it('should fill in defaults', () => {
+    expect(normalizeSaberConfig(null)).toEqual(DEFAULT_SABER_CONFIG);
+    expect(normalizeSaberConfig({})).toEqual(DEFAULT_SABER_CONFIG);
+  });
+
+  it('should keep valid choices', () => {
+    expect(normalizeSaberConfig({ color: '#FF1A1A', hilt: 'crossguard', doubleBladed: true })).toEqual({
+      color: '#ff1a1a',
+      hilt: 'crossguard',
+      doubleBladed: true,
+    });
+  });
+
+  it('should drop invalid values from other devices', () => {
+    expect(normalizeSaberConfig({ color: 'red; background: url(x)', hilt: 'lightwhip', doubleBladed: 'yes' })).toEqual(DEFAULT_SABER_CONFIG);
+  });
+
+  it('should only offer valid preset colors', () => {
+    BLADE_PRESETS.forEach(preset => {
+      expect(normalizeSaberConfig({ color: preset.color }).color).toBe(preset.color);
+    });
+  });
+});
+
+describe('saber config persistence', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should return defaults when nothing is saved', () => {
+    expect(loadSaberConfig('phone-1')).toEqual(DEFAULT_SABER_CONFIG);
+  });
+
+  it('should save and load per device ID', () => {
+    saveSaberConfig('phone-1', { color: '#39ff14', hilt: 'ribbed', doubleBladed: true });
+    expect(loadSaberConfig('phone-1')).toEqual({ color: '#39ff14', hilt: 'ribbed', doubleBladed: true });
+    expect(loadSaberConfig('phone-2')).toEqual(DEFAULT_SABER_CONFIG);
+  });
+
+  it('should survive corrupt storage', () => {
+    localStorage.setItem('saber_config_phone-1', '{not json');
+    expect(loadSaberConfig('phone-1')).toEqual(DEFAULT_SABER_CONFIG);
+  });
+});
+
+describe('formatSaberConfigMessage', () => {
+  it('should build a saber_config message', () => {
+    const message = formatSaberConfigMessage({ color: '#b040ff', hilt: 'classic' }, 'phone-1');
+    expect(message).toMatchObject({
+      type: 'saber_config',
+      color: '#b040ff',
+      hilt: 'classic',
+      doubleBladed: false,
+      deviceId: 'phone-1',
+    });
+    expect(typeof message.timestamp).toBe('number');
+  });
+});
@@ -0,0 +1,113 @@
+// Saber State Tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SaberStateMachine, SaberState } from '../src/saber-state.js';
+
+describe('SaberStateMachine', () => {
+  let saber;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    saber = new SaberStateMachine({ igniteDuration: 100, retractDuration: 100 });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should start off with no blade', () => {
+    expect(saber.getState()).toBe(SaberState.OFF);
+    expect(saber.isLit()).toBe(false);
+    expect(saber.update(0)).toBe(0);
+  });
+
+  it('should ignite over the ignite duration', () => {
+    saber.update(0);
+    expect(saber.ignite(0)).toBe(true);
+    expect(saber.getState()).toBe(SaberState.IGNITING);
+
+    const half = saber.update(50);
+    expect(half).toBeGreaterThan(0);
+    expect(half).toBeLessThan(1);
+
+    expect(saber.update(100)).toBe(1);
+    expect(saber.getState()).toBe(SaberState.ON);
+  });
+
+  it('should retract back to off', () => {
+    saber.ignite(0);
+    saber.update(100);
+    expect(saber.retract(100)).toBe(true);
+    expect(saber.getState()).toBe(SaberState.RETRACTING);
+
+    saber.update(200);
+    expect(saber.getState()).toBe(SaberState.OFF);
+    expect(saber.getExtension()).toBe(0);
+  });
+
+  it('should ignore redundant transitions', () => {
+    expect(saber.retract(0)).toBe(false);
+    saber.ignite(0);
+    expect(saber.ignite(10)).toBe(false);
+  });
+
+  it('should continue from the current extension when reversed', () => {
+    saber.ignite(0);
+    saber.update(60);
+    const extension = saber.getExtension();
+
+    saber.retract(60);
+    expect(saber.getExtension()).toBeCloseTo(extension);
+    saber.update(90);
+    expect(saber.getExtension()).toBeLessThan(extension);
+    expect(saber.getExtension()).toBeGreaterThan(0);
+  });
+
+  it('should notify state changes', () => {
+    const changes = [];
+    saber.onStateChange((state, previous) => changes.push([previous, state]));
+
+    saber.ignite(0);
+    saber.update(100);
+    saber.retract(100);
+    saber.update(200);
+
+    expect(changes).toEqual([
+      ['off', 'igniting'],
+      ['igniting', 'on'],
+      ['on', 'retracting'],
+      ['retracting', 'off'],
+    ]);
+  });
+
+  it('should keep going if a callback throws', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const calls = [];
+    saber.onStateChange(() => { throw new Error('boom'); });
+    saber.onStateChange((state) => calls.push(state));
+    saber.ignite(0);
+    expect(calls).toEqual(['igniting']);
+  });
+
+  it('should ignite on a loud voice spike only', () => {
+    expect(saber.handleVoice(0.3, 0)).toBe(false);
+    expect(saber.handleVoice(0.9, 16)).toBe(true);
+    expect(saber.getState()).toBe(SaberState.IGNITING);
+  });
+
+  it('should not re-ignite while the voice stays loud', () => {
+    saber.handleVoice(0.9, 0);
+    saber.update(100);
+    saber.retract(100);
+    saber.update(200);
+    expect(saber.handleVoice(0.9, 216)).toBe(false);
+    expect(saber.getState()).toBe(SaberState.OFF);
+  });
+
+  it('should reset straight to off', () => {
+    saber.ignite(0);
+    saber.update(100);
+    saber.reset();
+    expect(saber.getState()).toBe(SaberState.OFF);
+    expect(saber.getExtension()).toBe(0);
+  });
+});
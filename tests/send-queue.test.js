@@ -0,0 +1,148 @@
+// Send Queue Tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { HIGH_WATER, MAX_SENSOR_AGE, SendQueue, getBufferedAmount } from '../src/send-queue.js';
+
+function createChannel(bufferedAmount = 0) {
+  return { bufferedAmount, send: vi.fn() };
+}
+
+describe('getBufferedAmount', () => {
+  it('should read RTCDataChannels and PeerJS connections', () => {
+    expect(getBufferedAmount({ bufferedAmount: 12 })).toBe(12);
+    expect(getBufferedAmount({ dataChannel: { bufferedAmount: 34 } })).toBe(34);
+    expect(getBufferedAmount({})).toBe(0);
+  });
+});
+
+describe('SendQueue', () => {
+  let now;
+  let queue;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    now = 0;
+    queue = new SendQueue({ now: () => now });
+  });
+
+  afterEach(() => {
+    queue.clear();
+    vi.useRealTimers();
+  });
+
+  it('should send straight away while the channel has room', () => {
+    const channel = createChannel();
+
+    queue.send(channel, 'a', 'gyro_data');
+    queue.send(channel, 'b');
+
+    expect(channel.send.mock.calls).toEqual([['a'], ['b']]);
+    expect(queue.getStats()).toMatchObject({ sent: 2, queued: 0, pending: 0 });
+  });
+
+  it('should keep only the newest sensor sample of each type while congested', () => {
+    const channel = createChannel(HIGH_WATER + 1);
+
+    queue.send(channel, 'orientation-1', 'orientation_data');
+    queue.send(channel, 'orientation-2', 'orientation_data');
+    queue.send(channel, 'orientation-3', 'orientation_data');
+    queue.send(channel, 'audio-1', 'audio_data');
+
+    expect(channel.send).not.toHaveBeenCalled();
+    expect(queue.getStats()).toMatchObject({ coalesced: 2, pending: 2 });
+
+    channel.bufferedAmount = 0;
+    vi.advanceTimersByTime(20);
+
+    expect(channel.send.mock.calls).toEqual([['orientation-3'], ['audio-1']]);
+    expect(queue.getStats().pending).toBe(0);
+  });
+
+  it('should send queued control messages first and in order', () => {
+    const channel = createChannel(HIGH_WATER + 1);
+
+    queue.send(channel, 'sensor', 'gyro_data');
+    queue.send(channel, 'control-1');
+    queue.send(channel, 'control-2');
+    channel.bufferedAmount = 0;
+    queue.send(channel, 'control-3');
+
+    expect(channel.send.mock.calls).toEqual([['control-1'], ['control-2'], ['sensor'], ['control-3']]);
+  });
+
+  it('should never drop control messages', () => {
+    const channel = createChannel(HIGH_WATER + 1);
+
+    queue.send(channel, 'control');
+    now += MAX_SENSOR_AGE * 10;
+    vi.advanceTimersByTime(MAX_SENSOR_AGE * 10);
+    channel.bufferedAmount = 0;
+    vi.advanceTimersByTime(20);
+
+    expect(channel.send).toHaveBeenCalledWith('control');
+    expect(queue.getStats().dropped).toBe(0);
+  });
+
+  it('should drop sensor samples that waited too long', () => {
+    const channel = createChannel(HIGH_WATER + 1);
+
+    queue.send(channel, 'gyro', 'gyro_data');
+    now += MAX_SENSOR_AGE + 1;
+    channel.bufferedAmount = 0;
+    vi.advanceTimersByTime(20);
+
+    expect(channel.send).not.toHaveBeenCalled();
+    expect(queue.getStats()).toMatchObject({ dropped: 1, pending: 0 });
+  });
+
+  it('should treat a non-empty PeerJS buffer as congested', () => {
+    const connection = { dataChannel: { bufferedAmount: 0 }, bufferSize: 3, send: vi.fn() };
+
+    queue.send(connection, 'gyro', 'gyro_data');
+
+    expect(connection.send).not.toHaveBeenCalled();
+  });
+
+  it('should only hold back the congested channel', () => {
+    const sensorChannel = createChannel(HIGH_WATER + 1);
+    const reliable = createChannel();
+
+    queue.send(sensorChannel, 'gyro', 'gyro_data');
+    queue.send(reliable, 'control');
+
+    expect(reliable.send).toHaveBeenCalledWith('control');
+    expect(sensorChannel.send).not.toHaveBeenCalled();
+  });
+
+  it('should build function payloads only when they are sent', () => {
+    const channel = createChannel(HIGH_WATER + 1);
+    const first = vi.fn(() => 'gyro-1');
+    const second = vi.fn(() => 'gyro-2');
+
+    queue.send(channel, first, 'gyro_data');
+    queue.send(channel, second, 'gyro_data');
+    channel.bufferedAmount = 0;
+    vi.advanceTimersByTime(20);
+
+    expect(first).not.toHaveBeenCalled();
+    expect(channel.send.mock.calls).toEqual([['gyro-2']]);
+  });
+
+  it('should throw errors from an immediate send', () => {
+    const channel = createChannel();
+    channel.send.mockImplementation(() => { throw new Error('closed'); });
+
+    expect(() => queue.send(channel, 'a')).toThrow('closed');
+  });
+
+  it('should stop flushing once cleared', () => {
+    const channel = createChannel(HIGH_WATER + 1);
+    queue.send(channel, 'control');
+
+    queue.clear();
+    channel.bufferedAmount = 0;
+    vi.advanceTimersByTime(100);
+
+    expect(channel.send).not.toHaveBeenCalled();
+    expect(queue.getStats().pending).toBe(0);
+  });
+});
@@ -0,0 +1,136 @@
+// Sensor Codec Tests
+import { describe, it, expect } from 'vitest';
+import {
+  CODEC_VERSION,
+  SensorEncoder,
+  decodeSensorPacket,
+  toFloat16,
+  fromFloat16,
+  isBinaryPacket,
+} from '../src/sensor-codec.js';
+
+describe('Sensor Codec', () => {
+  const epoch = 1700000000000;
+  const sender = { epoch, deviceId: 'device_123' };
+
+  describe('float16', () => {
+    it('should round-trip exactly representable values', () => {
+      [0, 1, -1, 0.5, 2048, -0.25].forEach((value) => {
+        expect(fromFloat16(toFloat16(value))).toBe(value);
+      });
+    });
+
+    it('should keep about three significant digits', () => {
+      expect(fromFloat16(toFloat16(9.81))).toBeCloseTo(9.81, 2);
+      expect(fromFloat16(toFloat16(-123.456))).toBeCloseTo(-123.456, 0);
+    });
+
+    it('should clamp values outside the float16 range', () => {
+      expect(fromFloat16(toFloat16(1e6))).toBe(65504);
+      expect(fromFloat16(toFloat16(-1e6))).toBe(-65504);
+    });
+  });
+
+  describe('SensorEncoder', () => {
+    it('should encode gyro data into 20 bytes', () => {
+      const encoder = new SensorEncoder(epoch);
+      const packet = encoder.encode({ type: 'gyro_data', timestamp: epoch + 16, alpha: 90, beta: 45, gamma: -30, deviceId: 'device_123' });
+
+      expect(packet.byteLength).toBe(20);
+      expect(new DataView(packet).getUint8(0)).toBe(CODEC_VERSION);
+    });
+
+    it('should be much smaller than the JSON encoding', () => {
+      const encoder = new SensorEncoder(epoch);
+      const motion = {
+        type: 'motion_data',
+        timestamp: epoch + 1000,
+        acceleration: { x: 0.12, y: 9.79, z: -0.4 },
+        velocity: { x: 1.2, y: 97.9, z: -4 },
+        speed: 98.01,
+        rotationRate: { alpha: 12.5, beta: -3.25, gamma: 0.75 },
+        deviceId: 'device_1700000000000_abc123def',
+      };
+
+      expect(encoder.encode(motion).byteLength * 5).toBeLessThan(JSON.stringify(motion).length);
+    });
+
+    it('should increment and wrap the sequence number', () => {
+      const encoder = new SensorEncoder(epoch);
+      encoder.sequence = 0xffff;
+
+      const first = decodeSensorPacket(encoder.encode({ type: 'audio_data', timestamp: epoch, volume: 0 }), sender);
+      const second = decodeSensorPacket(encoder.encode({ type: 'audio_data', timestamp: epoch, volume: 0 }), sender);
+
+      expect(first.seq).toBe(0xffff);
+      expect(second.seq).toBe(0);
+    });
+
+    it('should refuse message types without a binary layout', () => {
+      const encoder = new SensorEncoder(epoch);
+      expect(encoder.canEncode({ type: 'handshake' })).toBe(false);
+      expect(() => encoder.encode({ type: 'handshake' })).toThrow();
+    });
+  });
+
+  describe('decodeSensorPacket', () => {
+    it('should round-trip gyro data', () => {
+      const encoder = new SensorEncoder(epoch);
+      const decoded = decodeSensorPacket(
+        encoder.encode({ type: 'gyro_data', timestamp: epoch + 16, alpha: 359.5, beta: -12.25, gamma: 45.125 }),
+        sender
+      );
+
+      expect(decoded).toMatchObject({
+        type: 'gyro_data',
+        timestamp: epoch + 16,
+        deviceId: 'device_123',
+      });
+      expect(decoded.alpha).toBeCloseTo(359.5, 4);
+      expect(decoded.beta).toBeCloseTo(-12.25, 4);
+      expect(decoded.gamma).toBeCloseTo(45.125, 4);
+    });
+
+    it('should round-trip motion data', () => {
+      const encoder = new SensorEncoder(epoch);
+      const decoded = decodeSensorPacket(encoder.encode({
+        type: 'motion_data',
+        timestamp: epoch + 32,
+        acceleration: { x: 0.5, y: 9.81, z: -1 },
+        velocity: { x: 0, y: 1, z: 2 },
+        speed: 2.236,
+        rotationRate: { alpha: 120, beta: -45, gamma: 10 },
+      }), sender);
+
+      expect(decoded.type).toBe('motion_data');
+      expect(decoded.acceleration.y).toBeCloseTo(9.81, 2);
+      expect(decoded.speed).toBeCloseTo(2.236, 2);
+      expect(decoded.rotationRate).toEqual({ alpha: 120, beta: -45, gamma: 10 });
+    });
+
+    it('should round-trip orientation data', () => {
+      const encoder = new SensorEncoder(epoch);
+      const quaternion = { x: 0.5, y: -0.5, z: 0.5, w: 0.5 };
+      const packet = encoder.encode({ type: 'orientation_data', timestamp: epoch + 48, quaternion });
+
+      expect(packet.byteLength).toBe(24);
+      expect(decodeSensorPacket(packet, sender).quaternion).toEqual(quaternion);
+    });
+
+    it('should accept typed array views', () => {
+      const encoder = new SensorEncoder(epoch);
+      const packet = new Uint8Array(encoder.encode({ type: 'audio_data', timestamp: epoch, volume: 0.75 }));
+
+      expect(isBinaryPacket(packet)).toBe(true);
+      expect(decodeSensorPacket(packet, sender).volume).toBe(0.75);
+    });
+
+    it('should reject unknown versions', () => {
+      const encoder = new SensorEncoder(epoch);
+      const packet = encoder.encode({ type: 'audio_data', timestamp: epoch, volume: 0.75 });
+      new DataView(packet).setUint8(0, CODEC_VERSION + 1);
+
+      expect(() => decodeSensorPacket(packet, sender)).toThrow('Unsupported binary packet version');
+    });
+  });
+});
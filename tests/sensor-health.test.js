@@ -0,0 +1,50 @@
+// Sensor Health Tests
+import { describe, it, expect } from 'vitest';
+import { SensorHealth, SensorHealthLevel } from '../src/sensor-health.js';
+
+function feed(health, stream, rate, from = 0, to = 1000) {
+  for (let now = from; now < to; now += 1000 / rate) {
+    health.record(stream, now);
+  }
+}
+
+describe('SensorHealth', () => {
+  it('should report streams never seen as off', () => {
+    const health = new SensorHealth();
+    expect(health.getStatus('gyro', 0)).toEqual({ level: SensorHealthLevel.OFF, rate: 0 });
+  });
+
+  it('should count readings over the last second', () => {
+    const health = new SensorHealth();
+    feed(health, 'gyro', 60);
+
+    const status = health.getStatus('gyro', 1000);
+    expect(status.level).toBe(SensorHealthLevel.OK);
+    expect(status.rate).toBeGreaterThanOrEqual(59);
+  });
+
+  it('should flag a stream well under its expected rate', () => {
+    const health = new SensorHealth();
+    feed(health, 'motion', 10);
+    expect(health.getStatus('motion', 1000).level).toBe(SensorHealthLevel.DEGRADED);
+  });
+
+  it('should flag a stream that stopped', () => {
+    const health = new SensorHealth();
+    feed(health, 'audio', 30);
+    expect(health.getStatus('audio', 2500)).toEqual({ level: SensorHealthLevel.STALE, rate: 0 });
+  });
+
+  it('should use the given expected rates', () => {
+    const health = new SensorHealth({ gyro: 5 });
+    feed(health, 'gyro', 5);
+    expect(health.getStatus('gyro', 1000).level).toBe(SensorHealthLevel.OK);
+  });
+
+  it('should forget everything on reset', () => {
+    const health = new SensorHealth();
+    feed(health, 'gyro', 60);
+    health.reset();
+    expect(health.getStatus('gyro', 1000).level).toBe(SensorHealthLevel.OFF);
+  });
+});
@@ -0,0 +1,154 @@
+// Session Recorder Tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SessionRecorder, SessionPlayer, parseSession, SESSION_VERSION } from '../src/session-recorder.js';
+
+function makeEntries() {
+  return [
+    { t: 0, data: { type: 'gyro_data', alpha: 0 } },
+    { t: 100, data: { type: 'audio_data', volume: 0.2 } },
+    { t: 200, data: { type: 'gyro_data', alpha: 20 } },
+    { t: 300, data: { type: 'gyro_data', alpha: 30 } },
+  ];
+}
+
+describe('SessionRecorder', () => {
+  let recorder;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    recorder = new SessionRecorder();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should only record while recording', () => {
+    recorder.record({ type: 'gyro_data' }, 'peer-1', 1000);
+    expect(recorder.getEntries()).toHaveLength(0);
+
+    recorder.start(1000);
+    recorder.record({ type: 'gyro_data', alpha: 1 }, 'peer-1', 1016);
+    recorder.stop();
+    recorder.record({ type: 'gyro_data', alpha: 2 }, 'peer-1', 1032);
+
+    expect(recorder.getEntries()).toEqual([
+      { t: 16, receivedAt: 1016, peerId: 'peer-1', data: { type: 'gyro_data', alpha: 1 } },
+    ]);
+  });
+
+  it('should skip non-sensor messages', () => {
+    recorder.start(1000);
+    recorder.record({ type: 'calibrate' }, 'peer-1', 1010);
+    expect(recorder.getEntries()).toHaveLength(0);
+  });
+
+  it('should round-trip through NDJSON', () => {
+    recorder.start(1000);
+    recorder.record({ type: 'motion_data', speed: 2 }, 'peer-1', 1010);
+    recorder.record({ type: 'audio_data', volume: 0.5 }, 'peer-1', 1050);
+
+    const ndjson = recorder.toNDJSON();
+    expect(ndjson.split('\n')[0]).toBe(JSON.stringify({ type: 'session', version: SESSION_VERSION, startedAt: 1000 }));
+
+    const session = parseSession(ndjson);
+    expect(session.startedAt).toBe(1000);
+    expect(session.entries).toEqual(recorder.getEntries());
+  });
+});
+
+describe('parseSession', () => {
+  it('should accept a JSON array of entries', () => {
+    expect(parseSession(JSON.stringify(makeEntries())).entries).toHaveLength(4);
+  });
+
+  it('should accept a JSON object with entries', () => {
+    const session = parseSession(JSON.stringify({ type: 'session', version: 1, startedAt: 5, entries: makeEntries() }));
+    expect(session.startedAt).toBe(5);
+    expect(session.entries).toHaveLength(4);
+  });
+
+  it('should report the broken line', () => {
+    expect(() => parseSession('{"type":"session","version":1}\nnot json')).toThrow('line 2');
+  });
+
+  it('should reject newer versions and empty sessions', () => {
+    expect(() => parseSession('{"type":"session","version":99}\n{"t":0,"data":{"type":"gyro_data"}}')).toThrow('Unsupported');
+    expect(() => parseSession('{"type":"session","version":1}')).toThrow('no sensor packets');
+  });
+});
+
+describe('SessionPlayer', () => {
+  let clock;
+  let onMessage;
+  let player;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    clock = 0;
+    onMessage = vi.fn();
+    player = new SessionPlayer(makeEntries(), onMessage, { now: () => clock });
+  });
+
+  afterEach(() => {
+    player.stop();
+    vi.useRealTimers();
+  });
+
+  function advance(ms) {
+    clock += ms;
+    vi.advanceTimersByTime(ms);
+  }
+
+  it('should emit packets at their recorded times', () => {
+    player.play();
+    advance(16);
+    expect(onMessage).toHaveBeenCalledTimes(1);
+
+    advance(200);
+    expect(onMessage).toHaveBeenCalledTimes(3);
+  });
+
+  it('should finish at the end of the recording', () => {
+    const onEnd = vi.fn();
+    player.onEnd = onEnd;
+    player.play();
+    advance(400);
+
+    expect(onMessage).toHaveBeenCalledTimes(4);
+    expect(player.isPlaying).toBe(false);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+
+  it('should hold position while paused', () => {
+    player.play();
+    advance(110);
+    player.pause();
+    advance(1000);
+
+    expect(onMessage).toHaveBeenCalledTimes(2);
+    expect(player.position).toBe(110);
+  });
+
+  it('should play faster at higher speed', () => {
+    player.setSpeed(2);
+    player.play();
+    advance(112);
+
+    expect(onMessage).toHaveBeenCalledTimes(3);
+  });
+
+  it('should re-apply the latest packet of each type when seeking', () => {
+    player.seek(250);
+
+    expect(onMessage.mock.calls.map(call => call[0])).toEqual([
+      { type: 'audio_data', volume: 0.2 },
+      { type: 'gyro_data', alpha: 20 },
+    ]);
+
+    onMessage.mockClear();
+    player.play();
+    advance(64);
+    expect(onMessage).toHaveBeenCalledWith({ type: 'gyro_data', alpha: 30 }, expect.anything());
+  });
+});
@@ -0,0 +1,146 @@
+// Signaling Server Tests (real HTTP / WebSocket server on a random port)
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import WebSocket from 'ws';
+import { createSignalServer } from '../server/signal-server.js';
+
+const KEY = 'test-key';
+
+// WebSocket client that collects server messages so tests can await them in order
+function connect(port, { id, token = `${id}-token`, key = KEY } = {}) {
+  const socket = new WebSocket(`ws://127.0.0.1:${port}/peerjs?key=${key}&id=${id}&token=${token}`);
+  const received = [];
+  const waiting = [];
+
+  socket.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    const waiter = waiting.shift();
+    if (waiter) {
+      waiter(message);
+    } else {
+      received.push(message);
+    }
+  });
+
+  return {
+    socket,
+    next: () => (received.length > 0
+      ? Promise.resolve(received.shift())
+      : new Promise(resolve => waiting.push(resolve))),
+    send: (message) => socket.send(typeof message === 'string' ? message : JSON.stringify(message)),
+    closed: () => new Promise(resolve => {
+      if (socket.readyState === WebSocket.CLOSED) {
+        resolve();
+      } else {
+        socket.once('close', resolve);
+      }
+    }),
+  };
+}
+
+describe('createSignalServer', () => {
+  let server;
+  let port;
+  let clients;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    clients = [];
+    server = createSignalServer({ key: KEY, expireTimeout: 100 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.socket.terminate());
+    await new Promise(resolve => server.close(resolve));
+    vi.restoreAllMocks();
+  });
+
+  function open(options) {
+    const client = connect(port, options);
+    clients.push(client);
+    return client;
+  }
+
+  it('should send OPEN on connect', async () => {
+    const client = open({ id: 'alice' });
+    expect(await client.next()).toEqual({ type: 'OPEN' });
+  });
+
+  it('should reject a wrong key', async () => {
+    const client = open({ id: 'alice', key: 'wrong' });
+
+    expect((await client.next()).type).toBe('INVALID-KEY');
+    await client.closed();
+  });
+
+  it('should refuse an ID held by another token', async () => {
+    const first = open({ id: 'alice', token: 'one' });
+    await first.next();
+
+    const second = open({ id: 'alice', token: 'two' });
+
+    expect((await second.next()).type).toBe('ID-TAKEN');
+    await second.closed();
+  });
+
+  it('should let the same token reconnect and replace the old socket', async () => {
+    const first = open({ id: 'alice', token: 'one' });
+    await first.next();
+
+    const second = open({ id: 'alice', token: 'one' });
+
+    expect(await second.next()).toEqual({ type: 'OPEN' });
+    await first.closed();
+  });
+
+  it('should relay an OFFER with the sender as src', async () => {
+    const alice = open({ id: 'alice' });
+    const bob = open({ id: 'bob' });
+    await alice.next();
+    await bob.next();
+
+    alice.send({ type: 'OFFER', dst: 'bob', payload: { sdp: 'offer' } });
+
+    expect(await bob.next()).toEqual({ type: 'OFFER', src: 'alice', dst: 'bob', payload: { sdp: 'offer' } });
+  });
+
+  it('should queue messages for a peer that connects later', async () => {
+    const alice = open({ id: 'alice' });
+    await alice.next();
+    alice.send({ type: 'OFFER', dst: 'bob', payload: { sdp: 'offer' } });
+    alice.send({ type: 'HEARTBEAT' }); // Round trip so the OFFER is queued before bob connects
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const bob = open({ id: 'bob' });
+
+    expect(await bob.next()).toEqual({ type: 'OPEN' });
+    expect(await bob.next()).toMatchObject({ type: 'OFFER', src: 'alice', payload: { sdp: 'offer' } });
+  });
+
+  it('should send EXPIRE back when the target never connects', async () => {
+    const alice = open({ id: 'alice' });
+    await alice.next();
+
+    alice.send({ type: 'OFFER', dst: 'nobody', payload: {} });
+
+    expect(await alice.next()).toEqual({ type: 'EXPIRE', src: 'nobody', dst: 'alice' });
+  });
+
+  it('should survive frames that are not JSON objects', async () => {
+    const alice = open({ id: 'alice' });
+    const bob = open({ id: 'bob' });
+    await alice.next();
+    await bob.next();
+
+    alice.send('null');
+    alice.send('42');
+    alice.send('"OFFER"');
+    alice.send('not json');
+    alice.send({ type: 'OFFER', dst: 'bob', payload: {} });
+
+    expect((await bob.next()).type).toBe('OFFER');
+    expect(console.warn).toHaveBeenCalledWith('Invalid signaling message from', 'alice');
+  });
+});
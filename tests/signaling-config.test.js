@@ -0,0 +1,106 @@
+// Signaling Config Tests
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  CLOUD_SIGNALING,
+  DEFAULT_SIGNAL_PORT,
+  parseSignalingUrl,
+  getSignalingConfig,
+  saveSignalingServer,
+  describeSignalingConfig,
+} from '../src/signaling-config.js';
+
+describe('Signaling Config', () => {
+  const httpPage = { protocol: 'http:', hostname: '192.168.1.20' };
+  const httpsPage = { protocol: 'https:', hostname: 'example.com' };
+  let originalLocalStorage;
+
+  beforeEach(() => {
+    originalLocalStorage = global.localStorage;
+    global.localStorage = {
+      data: {},
+      getItem: (key) => global.localStorage.data[key] || null,
+      setItem: (key, value) => { global.localStorage.data[key] = value; },
+      removeItem: (key) => { delete global.localStorage.data[key]; },
+    };
+  });
+
+  afterEach(() => {
+    global.localStorage = originalLocalStorage;
+  });
+
+  describe('parseSignalingUrl', () => {
+    it('should return the cloud server for empty or "cloud" values', () => {
+      expect(parseSignalingUrl('', httpPage)).toEqual(CLOUD_SIGNALING);
+      expect(parseSignalingUrl('cloud', httpPage)).toEqual(CLOUD_SIGNALING);
+    });
+
+    it('should resolve "local" to the page host on the default port', () => {
+      const config = parseSignalingUrl('local', httpPage);
+      expect(config.host).toBe('192.168.1.20');
+      expect(config.port).toBe(DEFAULT_SIGNAL_PORT);
+      expect(config.secure).toBe(false);
+    });
+
+    it('should parse ws and wss URLs', () => {
+      const plain = parseSignalingUrl('ws://10.0.0.5:9000/', httpPage);
+      expect(plain).toMatchObject({ host: '10.0.0.5', port: 9000, path: '/', secure: false });
+
+      const secure = parseSignalingUrl('wss://signal.example.com/game', httpPage);
+      expect(secure).toMatchObject({ host: 'signal.example.com', port: 443, path: '/game/', secure: true });
+    });
+
+    it('should default the scheme to match the page', () => {
+      expect(parseSignalingUrl('10.0.0.5:9000', httpPage).secure).toBe(false);
+      expect(parseSignalingUrl('10.0.0.5:9000', httpsPage).secure).toBe(true);
+    });
+
+    it('should read a custom key from the URL', () => {
+      expect(parseSignalingUrl('ws://10.0.0.5:9000/?key=lan', httpPage).key).toBe('lan');
+    });
+
+    it('should reject invalid URLs', () => {
+      expect(() => parseSignalingUrl('ftp://10.0.0.5', httpPage)).toThrow('Invalid signaling server URL');
+    });
+  });
+
+  describe('getSignalingConfig', () => {
+    it('should default to the cloud server', () => {
+      const config = getSignalingConfig('', httpPage);
+      expect(config.host).toBe(CLOUD_SIGNALING.host);
+      expect(config.source).toBe('default');
+    });
+
+    it('should use the saved setting', () => {
+      saveSignalingServer('ws://10.0.0.5:9000/');
+      const config = getSignalingConfig('', httpPage);
+      expect(config.host).toBe('10.0.0.5');
+      expect(config.source).toBe('settings');
+    });
+
+    it('should prefer the URL parameter over the saved setting', () => {
+      saveSignalingServer('ws://10.0.0.5:9000/');
+      const config = getSignalingConfig('?signal=local', httpPage);
+      expect(config.host).toBe('192.168.1.20');
+      expect(config.source).toBe('url');
+    });
+
+    it('should clear the saved setting when saving "cloud"', () => {
+      saveSignalingServer('ws://10.0.0.5:9000/');
+      saveSignalingServer('cloud');
+      expect(getSignalingConfig('', httpPage).source).toBe('default');
+    });
+  });
+
+  describe('describeSignalingConfig', () => {
+    it('should round-trip through parseSignalingUrl', () => {
+      const config = parseSignalingUrl('ws://10.0.0.5:9000/', httpPage);
+      const description = describeSignalingConfig(config);
+      expect(description).toBe('ws://10.0.0.5:9000/');
+      expect(parseSignalingUrl(description, httpPage)).toEqual(config);
+    });
+
+    it('should describe the cloud server as "cloud"', () => {
+      expect(describeSignalingConfig(CLOUD_SIGNALING)).toBe('cloud');
+    });
+  });
+});
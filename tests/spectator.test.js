@@ -0,0 +1,163 @@
+// Spectator Tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { LightsaberVisualization, DEFAULT_SABER_ID } from '../src/lightsaber-visualization.js';
+import {
+  SpectatorView,
+  captureSaberState,
+  describeGameState,
+  formatGameScore,
+  formatSpectatorState,
+} from '../src/spectator.js';
+
+function createVisualization() {
+  const visualization = new LightsaberVisualization();
+  visualization.scene = new THREE.Scene();
+  visualization.getSaber(DEFAULT_SABER_ID); // Idle saber, as initScene does
+  return visualization;
+}
+
+function saberState(overrides = {}) {
+  return {
+    id: 'peer-1',
+    quaternion: { x: 0, y: 0, z: 0, w: 1 },
+    lit: false,
+    bladeLength: 0,
+    color: '#00ff00',
+    hilt: 'classic',
+    doubleBladed: false,
+    ...overrides,
+  };
+}
+
+describe('captureSaberState', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should capture the pose and look the display shows', () => {
+    const saber = createVisualization().getSaber('peer-1');
+    saber.lightsaber.quaternion.set(0, 0.6, 0, 0.8);
+
+    const state = captureSaberState(saber);
+
+    expect(state.id).toBe('peer-1');
+    expect(state.quaternion).toEqual({ x: 0, y: 0.6, z: 0, w: 0.8 });
+    expect(state.lit).toBe(false);
+    expect(state.bladeLength).toBe(0);
+    expect(state.color).toMatch(/^#[0-9a-f]{6}$/);
+    expect(state.doubleBladed).toBe(false);
+  });
+});
+
+describe('describeGameState / formatGameScore', () => {
+  it('should describe no game', () => {
+    expect(describeGameState(null, {})).toBeNull();
+    expect(formatGameScore(null)).toBe('No game running');
+  });
+
+  it('should describe a duel', () => {
+    const duel = {
+      round: 2,
+      bestOf: 3,
+      players: ['a', 'b'],
+      points: { a: 4, b: 1 },
+      roundsWon: { a: 1 },
+      winner: null,
+    };
+
+    const game = describeGameState('duel', { duel });
+
+    expect(game.players).toEqual([
+      { id: 'a', points: 4, roundsWon: 1 },
+      { id: 'b', points: 1, roundsWon: 0 },
+    ]);
+    expect(formatGameScore(game)).toBe('Duel · Round 2 of 3 · rounds 1 - 0 · hits 4 - 1');
+    expect(formatGameScore({ ...game, winner: 'b' })).toBe('Duel over · Player 2 wins 1 - 0');
+  });
+
+  it('should describe training and rhythm', () => {
+    const training = { score: 120, streak: 3, level: 2, getTimeLeft: () => 4500 };
+    const rhythm = { beatMap: { title: 'Duel of the Fates' }, score: 900, combo: 12 };
+
+    expect(formatGameScore(describeGameState('training', { training }, 0)))
+      .toBe('Training · 120 pts · streak 3 · level 2 · 5s');
+    expect(formatGameScore(describeGameState('rhythm', { rhythm })))
+      .toBe('Rhythm · Duel of the Fates · 900 pts · combo 12');
+  });
+
+  it('should wrap sabers and game in a spectator_state message', () => {
+    const message = formatSpectatorState([saberState()], null);
+    expect(message.type).toBe('spectator_state');
+    expect(message.sabers).toHaveLength(1);
+    expect(typeof message.timestamp).toBe('number');
+  });
+});
+
+describe('SpectatorView', () => {
+  let visualization;
+  let view;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    visualization = createVisualization();
+    view = new SpectatorView(visualization, { playoutDelay: 100 });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should mirror sabers, their look and blade state', () => {
+    view.applyState({ sabers: [saberState({ lit: true, color: '#ff0000' })], game: null }, 0);
+
+    const saber = visualization.getSaber('peer-1');
+    expect(saber.saberState.isLit()).toBe(true);
+    expect(saber.bladeColor.getHexString()).toBe('ff0000');
+  });
+
+  it('should play poses back after the playout delay', () => {
+    const setSceneOrientation = vi.spyOn(visualization.getSaber('peer-1'), 'setSceneOrientation');
+    view.applyState({ sabers: [saberState({ quaternion: { x: 0, y: 0, z: 0, w: 1 } })] }, 0);
+    view.applyState({ sabers: [saberState({ quaternion: { x: 0, y: 1, z: 0, w: 0 } })] }, 100);
+
+    view.update(150); // Plays out t=50, halfway between the two
+    const quaternion = setSceneOrientation.mock.calls.at(-1)[0];
+
+    expect(quaternion.y).toBeCloseTo(Math.SQRT1_2, 3);
+    expect(quaternion.w).toBeCloseTo(Math.SQRT1_2, 3);
+  });
+
+  it('should start playback over when the clock offset becomes known', () => {
+    view.applyState({ sabers: [saberState()] }, 1000);
+    view.applyState({ sabers: [saberState()] }, 900, 100); // Send time, earlier than the arrival time
+
+    expect(view.getBuffers('peer-1').orientation.samples.map(sample => sample.time)).toEqual([900]);
+  });
+
+  it('should remove sabers the display no longer shows', () => {
+    view.applyState({ sabers: [saberState({ id: 'peer-1' }), saberState({ id: 'peer-2' })] }, 0);
+    view.applyState({ sabers: [saberState({ id: 'peer-1' })] }, 100);
+
+    // Retracts first, like a controller that disconnected
+    expect(visualization.getSaber('peer-2').removeWhenOff).toBe(true);
+    expect(visualization.getSaber('peer-1').removeWhenOff).toBeFalsy();
+    expect(view.buffers.has('peer-2')).toBe(false);
+  });
+
+  it('should keep the latest game and forget everything on clear', () => {
+    const game = { mode: 'rhythm', title: null, score: 10, combo: 1 };
+    view.applyState({ sabers: [saberState()], game }, 0);
+    expect(view.getGame()).toEqual(game);
+
+    view.clear();
+
+    expect(view.getGame()).toBeNull();
+    expect(view.buffers.size).toBe(0);
+    expect(visualization.hasSaber('peer-1')).toBe(false);
+  });
+});
@@ -0,0 +1,59 @@
+// Training Droid Tests
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { TrainingDroid } from '../src/training-droid.js';
+
+function sessionWith(bolts) {
+  return { droidPosition: { x: 1, y: 2, z: -6 }, bolts };
+}
+
+const bolt = (id, deflected = false) => ({
+  id,
+  position: { x: 0, y: 0, z: -3 },
+  velocity: { x: 0, y: 0, z: deflected ? -8 : 6 },
+  deflected,
+});
+
+describe('TrainingDroid', () => {
+  it('should follow the session droid position', () => {
+    const scene = new THREE.Scene();
+    const droid = new TrainingDroid(scene);
+
+    droid.sync(sessionWith([]));
+
+    expect(droid.group.position.toArray()).toEqual([1, 2, -6]);
+    expect(scene.children).toContain(droid.group);
+  });
+
+  it('should add, restyle and remove bolt meshes', () => {
+    const scene = new THREE.Scene();
+    const droid = new TrainingDroid(scene);
+
+    droid.sync(sessionWith([bolt(1), bolt(2)]));
+    expect(droid.boltMeshes.size).toBe(2);
+    expect(scene.children).toHaveLength(3);
+
+    droid.sync(sessionWith([bolt(2, true)]));
+    expect(droid.boltMeshes.size).toBe(1);
+    expect(droid.boltMeshes.get(2).material).toBe(droid.deflectedMaterial);
+    expect(scene.children).toHaveLength(2);
+  });
+
+  it('should point bolts along their velocity', () => {
+    const droid = new TrainingDroid(new THREE.Scene());
+    droid.sync(sessionWith([bolt(1)]));
+
+    const axis = new THREE.Vector3(0, 1, 0).applyQuaternion(droid.boltMeshes.get(1).quaternion);
+    expect(axis.z).toBeCloseTo(1);
+  });
+
+  it('should leave the scene empty on dispose', () => {
+    const scene = new THREE.Scene();
+    const droid = new TrainingDroid(scene);
+    droid.sync(sessionWith([bolt(1)]));
+
+    droid.dispose();
+
+    expect(scene.children).toHaveLength(0);
+  });
+});
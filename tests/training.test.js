@@ -0,0 +1,126 @@
+// Training Mode Tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TrainingSession, TrainingPhase, trainingBodyCapsule, trainingAccuracy } from '../src/training.js';
+
+const body = trainingBodyCapsule(0);
+// Blade held across the path from the droid (ahead of the body, toward the droid)
+const guard = { start: { x: -3, y: -1, z: -0.5 }, end: { x: 3, y: 1.5, z: -0.5 } };
+// Blade held level in front of the body, at the height the (centered) bolts cross it
+const wall = () => ({ start: { x: -3, y: -0.8, z: -0.5 }, end: { x: 3, y: -0.8, z: -0.5 } });
+
+describe('trainingAccuracy', () => {
+  it('should be the share of deflected bolts', () => {
+    expect(trainingAccuracy(0, 0)).toBe(0);
+    expect(trainingAccuracy(3, 1)).toBe(0.75);
+  });
+});
+
+describe('TrainingSession', () => {
+  let session;
+  let events;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    // Deterministic aim: middle of the body, no spread
+    session = new TrainingSession({ random: () => 0.5, roundDuration: 20000, levelDuration: 5000 });
+    events = [];
+    session.onEvent(event => events.push(event));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // Run frames at ~60fps
+  function run(from, to, blade) {
+    for (let now = from; now <= to; now += 16) {
+      session.update(now, blade, body);
+    }
+  }
+
+  const count = (type) => events.filter(event => event.type === type).length;
+
+  it('should wait before the first shot', () => {
+    session.start(0);
+    run(0, 1000, null);
+    expect(session.fired).toBe(0);
+    expect(session.phase).toBe(TrainingPhase.RUNNING);
+  });
+
+  it('should hit an unguarded player and reset the streak', () => {
+    session.start(0);
+    session.streak = 3;
+    run(0, 4000, null);
+
+    expect(session.fired).toBeGreaterThan(0);
+    expect(count('hit')).toBeGreaterThan(0);
+    expect(session.hits).toBe(count('hit'));
+    expect(session.streak).toBe(0);
+  });
+
+  it('should deflect bolts that cross the blade back toward the droid', () => {
+    session.start(0);
+    run(0, 4000, wall());
+
+    expect(session.hits).toBe(0);
+    expect(session.deflected).toBeGreaterThan(0);
+    expect(session.score).toBe(session.deflected * 100);
+    const deflect = events.find(event => event.type === 'deflect');
+    expect(deflect.bolt.deflected).toBe(true);
+    expect(deflect.bolt.velocity.z).toBeLessThan(0); // Back into the screen
+  });
+
+  it('should not let a deflected bolt hit the player', () => {
+    session.start(0);
+    run(0, 2500, wall());
+    const hitsBefore = session.hits;
+    run(2516, 2600, null); // Guard drops right after the deflection
+    expect(session.hits).toBe(hitsBefore);
+  });
+
+  it('should multiply points with the streak', () => {
+    session.streak = 5;
+    expect(session.getMultiplier()).toBe(2);
+    session.streak = 12;
+    expect(session.getMultiplier()).toBe(3);
+  });
+
+  it('should ramp up difficulty over time', () => {
+    session.start(0);
+    run(0, 100, guard);
+    const slowSpeed = session.getBoltSpeed();
+    const slowInterval = session.getFireInterval();
+
+    run(116, 11000, guard);
+    expect(session.level).toBe(3);
+    expect(session.getBoltSpeed()).toBeGreaterThan(slowSpeed);
+    expect(session.getFireInterval()).toBeLessThan(slowInterval);
+  });
+
+  it('should end the round with a summary', () => {
+    session.start(0);
+    run(0, 21000, wall());
+
+    expect(session.phase).toBe(TrainingPhase.FINISHED);
+    expect(session.bolts).toEqual([]);
+    const end = events.find(event => event.type === 'end');
+    expect(end.summary).toMatchObject({
+      score: session.score,
+      deflected: session.deflected,
+      hits: 0,
+      accuracy: 1,
+      bestStreak: session.deflected,
+    });
+    expect(session.getTimeLeft(21000)).toBe(0);
+  });
+
+  it('should clear everything on stop', () => {
+    session.start(0);
+    run(0, 3000, null);
+    session.stop();
+
+    expect(session.isActive()).toBe(false);
+    expect(session.bolts).toEqual([]);
+    expect(events.at(-1).type).toBe('stop');
+  });
+});
@@ -6,6 +6,7 @@ import {
   debounce, 
   normalizeGyroData, 
   degToRad, 
+  radToDeg, 
   lerp 
 } from '../src/utils.js';
 
@@ -46,6 +47,14 @@ describe('Utils', () => {
     });
   });
 
+  describe('radToDeg', () => {
+    it('should convert radians to degrees', () => {
+      expect(radToDeg(0)).toBe(0);
+      expect(radToDeg(Math.PI / 2)).toBeCloseTo(90);
+      expect(radToDeg(-Math.PI)).toBeCloseTo(-180);
+    });
+  });
+
   describe('lerp', () => {
     it('should interpolate between values', () => {
       expect(lerp(0, 10, 0.5)).toBe(5);
@@ -0,0 +1,98 @@
+// Virtual Controller Tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { VirtualController } from '../src/virtual-controller.js';
+
+describe('VirtualController', () => {
+  let controller;
+  let callbacks;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    callbacks = { onGyro: vi.fn(), onMotion: vi.fn(), onAudio: vi.fn() };
+    controller = new VirtualController();
+    controller.start(callbacks, 'device_virtual');
+  });
+
+  afterEach(() => {
+    controller.stop();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should send messages in the real handler formats', () => {
+    controller.tick(1000);
+
+    expect(Object.keys(callbacks.onGyro.mock.calls[0][0]).sort())
+      .toEqual(['alpha', 'beta', 'deviceId', 'gamma', 'timestamp', 'type']);
+    expect(Object.keys(callbacks.onMotion.mock.calls[0][0]).sort())
+      .toEqual(['acceleration', 'deviceId', 'rotationRate', 'speed', 'timestamp', 'type', 'velocity']);
+    expect(callbacks.onAudio.mock.calls[0][0]).toEqual({
+      type: 'audio_data',
+      timestamp: 1000,
+      volume: 0,
+      deviceId: 'device_virtual',
+    });
+  });
+
+  it('should tick on its own about 60 times a second', () => {
+    vi.advanceTimersByTime(1000);
+    expect(callbacks.onGyro.mock.calls.length).toBeGreaterThanOrEqual(60);
+    expect(callbacks.onAudio.mock.calls.length).toBeGreaterThanOrEqual(30);
+  });
+
+  it('should turn mouse drag into orientation', () => {
+    controller.move(-100, -50);
+    controller.tick(1000);
+
+    const gyro = callbacks.onGyro.mock.calls[0][0];
+    expect(gyro.alpha).toBeCloseTo(30);
+    expect(gyro.beta).toBeCloseTo(105);
+  });
+
+  it('should wrap alpha and clamp gamma', () => {
+    controller.move(100, 0);
+    controller.roll(200);
+    controller.tick(1000);
+
+    const gyro = callbacks.onGyro.mock.calls[0][0];
+    expect(gyro.alpha).toBeCloseTo(330);
+    expect(gyro.gamma).toBe(90);
+  });
+
+  it('should report mouse speed and rotation rate', () => {
+    controller.tick(1000);
+    controller.move(50, 0);
+    controller.tick(1016);
+
+    const motion = callbacks.onMotion.mock.calls[1][0];
+    expect(motion.speed).toBeGreaterThan(0);
+    expect(motion.rotationRate.alpha).toBeCloseTo(-15 / 0.016);
+  });
+
+  it('should include gravity in acceleration', () => {
+    controller.tick(1000);
+
+    const { acceleration } = callbacks.onMotion.mock.calls[0][0];
+    // Upright phone (beta 90): gravity along the device y axis
+    expect(acceleration.y).toBeCloseTo(9.81);
+    expect(acceleration.z).toBeCloseTo(0);
+  });
+
+  it('should use the slider volume or full volume while Space is held', () => {
+    controller.setVolume(0.4);
+    expect(controller.getVolume()).toBe(0.4);
+
+    controller.handleKeyDown({ code: 'Space', preventDefault: () => {} });
+    expect(controller.getVolume()).toBe(1);
+
+    controller.handleKeyUp({ code: 'Space' });
+    expect(controller.getVolume()).toBe(0.4);
+  });
+
+  it('should stop sending after stop', () => {
+    controller.stop();
+    vi.advanceTimersByTime(100);
+    expect(callbacks.onGyro).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+// Wake Lock Tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ScreenWakeLock } from '../src/wake-lock.js';
+
+function createApi() {
+  const sentinels = [];
+  return {
+    sentinels,
+    request: vi.fn(async () => {
+      const listeners = {};
+      const sentinel = {
+        release: vi.fn(async () => listeners.release?.()),
+        addEventListener: (type, listener) => {
+          listeners[type] = listener;
+        },
+        // The browser drops the lock when the page is hidden
+        drop: () => listeners.release?.(),
+      };
+      sentinels.push(sentinel);
+      return sentinel;
+    }),
+  };
+}
+
+function setVisibility(state) {
+  Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+describe('ScreenWakeLock', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setVisibility('visible');
+    vi.restoreAllMocks();
+  });
+
+  it('should do nothing without the Wake Lock API', async () => {
+    const wakeLock = new ScreenWakeLock(undefined);
+    expect(wakeLock.isSupported()).toBe(false);
+    expect(await wakeLock.acquire()).toBe(false);
+    expect(wakeLock.isActive()).toBe(false);
+  });
+
+  it('should hold the screen lock until released', async () => {
+    const api = createApi();
+    const wakeLock = new ScreenWakeLock(api);
+
+    expect(await wakeLock.acquire()).toBe(true);
+    expect(api.request).toHaveBeenCalledWith('screen');
+    expect(wakeLock.isActive()).toBe(true);
+
+    await wakeLock.release();
+    expect(api.sentinels[0].release).toHaveBeenCalled();
+    expect(wakeLock.isActive()).toBe(false);
+  });
+
+  it('should take the lock again when the page comes back', async () => {
+    const api = createApi();
+    const wakeLock = new ScreenWakeLock(api);
+    await wakeLock.acquire();
+
+    setVisibility('hidden');
+    api.sentinels[0].drop();
+    expect(wakeLock.isActive()).toBe(false);
+
+    setVisibility('visible');
+    await vi.waitFor(() => expect(wakeLock.isActive()).toBe(true));
+    expect(api.request).toHaveBeenCalledTimes(2);
+
+    await wakeLock.release();
+  });
+
+  it('should not come back after release', async () => {
+    const api = createApi();
+    const wakeLock = new ScreenWakeLock(api);
+    await wakeLock.acquire();
+    await wakeLock.release();
+
+    setVisibility('visible');
+    expect(api.request).toHaveBeenCalledTimes(1);
+  });
+
+  it('should survive a refused request', async () => {
+    const wakeLock = new ScreenWakeLock({ request: vi.fn(async () => { throw new Error('NotAllowedError'); }) });
+    expect(await wakeLock.acquire()).toBe(false);
+    expect(wakeLock.isActive()).toBe(false);
+  });
+});
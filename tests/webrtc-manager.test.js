@@ -0,0 +1,596 @@
+// WebRTC Manager Tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { WebRTCManager } from '../src/webrtc-manager.js';
+
+function createFakeConnection() {
+  return {
+    open: true,
+    send: vi.fn(),
+    close: vi.fn(),
+  };
+}
+
+// PeerJS-style DataConnection that lets the test fire its events
+function createFakeDataConnection(peerId) {
+  const handlers = {};
+  return {
+    peer: peerId,
+    open: true,
+    send: vi.fn(),
+    close: vi.fn(),
+    on: (event, handler) => { handlers[event] = handler; },
+    emit: (event, ...args) => handlers[event]?.(...args),
+  };
+}
+
+function createFakeChannel() {
+  return {
+    readyState: 'open',
+    send: vi.fn(),
+    close: vi.fn(),
+  };
+}
+
+describe('WebRTCManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new WebRTCManager();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('sensor channel routing', () => {
+    let connection;
+    let sensorChannel;
+
+    beforeEach(() => {
+      connection = createFakeConnection();
+      sensorChannel = createFakeChannel();
+      manager.connections.set('peer-1', connection);
+      manager.sensorChannels.set('peer-1', sensorChannel);
+    });
+
+    it('should send sensor data on the unreliable channel once the peer supports it', () => {
+      manager.peerCapabilities.set('peer-1', { sensorChannel: true });
+
+      manager.sendData({ type: 'gyro_data', alpha: 1, beta: 2, gamma: 3 });
+
+      expect(sensorChannel.send).toHaveBeenCalledTimes(1);
+      expect(connection.send).not.toHaveBeenCalled();
+    });
+
+    it('should keep control messages on the reliable channel', () => {
+      manager.peerCapabilities.set('peer-1', { sensorChannel: true });
+
+      manager.sendData({ type: 'calibrate' });
+
+      expect(connection.send).toHaveBeenCalledTimes(1);
+      expect(sensorChannel.send).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the reliable channel for peers without a sensor channel', () => {
+      manager.peerCapabilities.set('peer-1', {});
+
+      manager.sendData({ type: 'motion_data', speed: 1 });
+
+      expect(connection.send).toHaveBeenCalledTimes(1);
+      expect(sensorChannel.send).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the reliable channel before the handshake arrives', () => {
+      manager.sendData({ type: 'audio_data', volume: 0.5 });
+
+      expect(connection.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should record peer capabilities from the handshake', () => {
+      manager.handleDataReceived('peer-1', JSON.stringify({
+        type: 'handshake',
+        capabilities: { sensorChannel: true },
+      }));
+
+      expect(manager.peerCapabilities.get('peer-1')).toMatchObject({ sensorChannel: true });
+    });
+  });
+
+  describe('binary codec negotiation', () => {
+    let connection;
+    let sensorChannel;
+
+    beforeEach(() => {
+      connection = createFakeConnection();
+      sensorChannel = createFakeChannel();
+      manager.connections.set('peer-1', connection);
+      manager.sensorChannels.set('peer-1', sensorChannel);
+    });
+
+    it('should send binary packets to peers that advertise the codec', () => {
+      manager.peerCapabilities.set('peer-1', { sensorChannel: true, binaryCodecs: [1], codecEpoch: 0 });
+
+      manager.sendData({ type: 'gyro_data', timestamp: Date.now(), alpha: 1, beta: 2, gamma: 3 });
+
+      expect(sensorChannel.send.mock.calls[0][0]).toBeInstanceOf(ArrayBuffer);
+    });
+
+    it('should fall back to JSON for older clients', () => {
+      manager.peerCapabilities.set('peer-1', { sensorChannel: true });
+
+      manager.sendData({ type: 'gyro_data', timestamp: Date.now(), alpha: 1, beta: 2, gamma: 3 });
+
+      expect(typeof sensorChannel.send.mock.calls[0][0]).toBe('string');
+    });
+
+    it('should decode binary packets using the sender handshake', () => {
+      const callback = vi.fn();
+      manager.onDataReceived(callback);
+      manager.handleDataReceived('peer-1', {
+        type: 'handshake',
+        deviceId: 'device_phone',
+        capabilities: { sensorChannel: true, binaryCodecs: [1], codecEpoch: manager.sensorEncoder.epoch },
+      });
+
+      const packet = manager.sensorEncoder.encode({ type: 'audio_data', timestamp: manager.sensorEncoder.epoch + 50, volume: 0.5 });
+      manager.handleBinaryPacket('peer-1', packet);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback.mock.calls[0][0]).toMatchObject({
+        type: 'audio_data',
+        timestamp: manager.sensorEncoder.epoch + 50,
+        volume: 0.5,
+        deviceId: 'device_phone',
+      });
+    });
+
+    it('should drop binary packets received before the handshake', () => {
+      const callback = vi.fn();
+      manager.onDataReceived(callback);
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      manager.handleBinaryPacket('peer-1', manager.sensorEncoder.encode({ type: 'audio_data', volume: 0.5 }));
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('saber config', () => {
+    const saberConfig = { type: 'saber_config', color: '#ff1a1a', hilt: 'ribbed', doubleBladed: false, deviceId: 'phone' };
+
+    it('should send the saber config right after the handshake', () => {
+      const connection = createFakeConnection();
+      manager.setSaberConfig(saberConfig);
+
+      manager.sendHandshake('peer-1', connection);
+
+      expect(connection.send).toHaveBeenCalledTimes(2);
+      expect(JSON.parse(connection.send.mock.calls[0][0]).type).toBe('handshake');
+      expect(JSON.parse(connection.send.mock.calls[1][0])).toEqual(saberConfig);
+    });
+
+    it('should send only the handshake without a saber config', () => {
+      const connection = createFakeConnection();
+      manager.sendHandshake('peer-1', connection);
+      expect(connection.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should push config changes to connected peers', () => {
+      const connection = createFakeConnection();
+      manager.connections.set('peer-1', connection);
+
+      manager.setSaberConfig(saberConfig);
+
+      expect(connection.send).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(connection.send.mock.calls[0][0]).type).toBe('saber_config');
+    });
+  });
+
+  describe('sendToPeer', () => {
+    it('should send only to the given peer', () => {
+      const first = createFakeConnection();
+      const second = createFakeConnection();
+      manager.connections.set('peer-1', first);
+      manager.connections.set('peer-2', second);
+
+      expect(manager.sendToPeer('peer-2', { type: 'haptic', pattern: [40] })).toBe(true);
+
+      expect(first.send).not.toHaveBeenCalled();
+      expect(JSON.parse(second.send.mock.calls[0][0])).toEqual({ type: 'haptic', pattern: [40] });
+    });
+
+    it('should report unknown or closed peers', () => {
+      manager.connections.set('peer-1', { ...createFakeConnection(), open: false });
+      expect(manager.sendToPeer('peer-1', { type: 'haptic' })).toBe(false);
+      expect(manager.sendToPeer('peer-9', { type: 'haptic' })).toBe(false);
+    });
+  });
+
+  describe('peer disconnects', () => {
+    it('should report which peer disconnected', () => {
+      const handlers = {};
+      const dataConnection = { peer: 'peer-2', on: (event, handler) => { handlers[event] = handler; } };
+      const callback = vi.fn();
+      manager.onPeerDisconnected(callback);
+
+      manager.handleIncomingConnection(dataConnection);
+      handlers.close();
+
+      expect(callback).toHaveBeenCalledWith('peer-2');
+    });
+  });
+
+  describe('clock sync', () => {
+    it('should answer pings with both of its timestamps', () => {
+      const connection = createFakeConnection();
+      manager.connections.set('peer-1', connection);
+      vi.spyOn(Date, 'now').mockReturnValue(5000);
+
+      manager.handleDataReceived('peer-1', { type: 'quality_ping', pingId: 'p1', timestamp: 1000 });
+
+      expect(JSON.parse(connection.send.mock.calls[0][0])).toEqual({
+        type: 'quality_pong',
+        pingId: 'p1',
+        originTimestamp: 1000,
+        receivedAt: 5000,
+        timestamp: 5000,
+      });
+    });
+
+    it('should estimate RTT and clock offset from pongs', () => {
+      manager.connections.set('peer-1', createFakeConnection());
+      const quality = vi.fn();
+      manager.onConnectionQualityChange(quality);
+      // Peer clock is 3000ms ahead; 20ms each way, 5ms to answer
+      vi.spyOn(Date, 'now').mockReturnValue(1045);
+
+      manager.handleDataReceived('peer-1', { type: 'quality_pong', originTimestamp: 1000, receivedAt: 4020, timestamp: 4025 });
+
+      expect(quality).toHaveBeenCalledWith('peer-1', expect.objectContaining({ rtt: 40, clockOffset: 3000 }));
+      expect(manager.toLocalTime('peer-1', 4100)).toBe(1100);
+      expect(manager.getClockOffset('peer-1')).toBe(3000);
+    });
+
+    it('should fall back to the plain RTT for pongs from older clients', () => {
+      manager.connections.set('peer-1', createFakeConnection());
+      const quality = vi.fn();
+      manager.onConnectionQualityChange(quality);
+      vi.spyOn(Date, 'now').mockReturnValue(1080);
+
+      manager.handleDataReceived('peer-1', { type: 'quality_pong', pingId: 'p1', timestamp: 1000 });
+
+      expect(quality).toHaveBeenCalledWith('peer-1', expect.objectContaining({ rtt: 80, clockOffset: null }));
+      expect(manager.toLocalTime('peer-1', 1000)).toBeNull();
+      expect(manager.getClockOffset('peer-1')).toBeNull();
+    });
+  });
+
+  describe('stale sensor packets', () => {
+    it('should drop sensor packets older than the newest one received', () => {
+      const callback = vi.fn();
+      manager.onDataReceived(callback);
+
+      manager.handleDataReceived('peer-1', { type: 'gyro_data', timestamp: 2000 });
+      manager.handleDataReceived('peer-1', { type: 'gyro_data', timestamp: 1984 });
+      manager.handleDataReceived('peer-1', { type: 'gyro_data', timestamp: 2016 });
+
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback.mock.calls[1][0].timestamp).toBe(2016);
+    });
+
+    it('should track each sensor type separately', () => {
+      const callback = vi.fn();
+      manager.onDataReceived(callback);
+
+      manager.handleDataReceived('peer-1', { type: 'gyro_data', timestamp: 2000 });
+      manager.handleDataReceived('peer-1', { type: 'motion_data', timestamp: 1990 });
+
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('connection stats', () => {
+    let connection;
+
+    beforeEach(() => {
+      connection = createFakeConnection();
+      connection.dataChannel = { bufferedAmount: 128 };
+      connection.peerConnection = {
+        getStats: vi.fn().mockResolvedValue(new Map([
+          ['D0', { id: 'D0', type: 'data-channel', label: 'dc', bytesSent: 2000, bytesReceived: 0, messagesSent: 20, messagesReceived: 0 }],
+        ])),
+      };
+      manager.connections.set('peer-1', connection);
+      manager.sensorChannels.set('peer-1', { ...createFakeChannel(), bufferedAmount: 0 });
+    });
+
+    it('should report rates, buffered amounts and sensor loss from a poll', async () => {
+      const callback = vi.fn();
+      manager.onConnectionStatsChange(callback);
+      manager.connectionStats.set('peer-1', { timestamp: 1000, bytesSent: 1000, bytesReceived: 0, messagesSent: 10, messagesReceived: 0 });
+      [1, 2, 4].forEach(seq => manager.getSequenceLoss('peer-1').record(seq));
+      vi.spyOn(Date, 'now').mockReturnValue(3000);
+
+      const stats = await manager.collectConnectionStats('peer-1');
+
+      expect(stats.rates.bytesSentPerSecond).toBe(500);
+      expect(stats.rates.messagesSentPerSecond).toBe(5);
+      expect(stats.bufferedAmount).toEqual({ reliable: 128, sensor: 0 });
+      expect(stats.loss.lost).toBe(1);
+      expect(callback).toHaveBeenCalledWith('peer-1', stats);
+      expect(manager.getConnectionStats('peer-1')).toBe(stats);
+    });
+
+    it('should return null when getStats fails', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      connection.peerConnection.getStats.mockRejectedValue(new Error('closed'));
+
+      expect(await manager.collectConnectionStats('peer-1')).toBeNull();
+      expect(manager.getConnectionStats('peer-1')).toBeNull();
+    });
+
+    it('should include every connected peer in the diagnostics snapshot', async () => {
+      await manager.collectConnectionStats('peer-1');
+
+      const snapshot = manager.getDiagnosticsSnapshot();
+
+      expect(snapshot.peers).toHaveLength(1);
+      expect(snapshot.peers[0]).toMatchObject({ peerId: 'peer-1', stats: expect.objectContaining({ bytesSent: 2000 }) });
+      expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+    });
+
+    it('should forget the stats when monitoring stops', async () => {
+      await manager.collectConnectionStats('peer-1');
+      manager.stopStatsMonitoring('peer-1');
+
+      expect(manager.getConnectionStats('peer-1')).toBeNull();
+    });
+  });
+
+  describe('send backpressure', () => {
+    let connection;
+
+    beforeEach(() => {
+      connection = createFakeConnection();
+      manager.connections.set('peer-1', connection);
+    });
+
+    afterEach(() => {
+      manager.clearSendQueue('peer-1');
+    });
+
+    it('should coalesce sensor data while the channel is backed up', () => {
+      connection.dataChannel = { bufferedAmount: 1024 * 1024 };
+
+      manager.sendData({ type: 'orientation_data', quaternion: { x: 0, y: 0, z: 0, w: 1 } });
+      manager.sendData({ type: 'orientation_data', quaternion: { x: 0, y: 0, z: 1, w: 0 } });
+
+      expect(connection.send).not.toHaveBeenCalled();
+      expect(manager.getSendQueue('peer-1').getStats()).toMatchObject({ coalesced: 1, pending: 1 });
+    });
+
+    it('should number binary packets only when they are sent', () => {
+      const sensorChannel = { ...createFakeChannel(), bufferedAmount: 1024 * 1024 };
+      manager.sensorChannels.set('peer-1', sensorChannel);
+      manager.peerCapabilities.set('peer-1', { sensorChannel: true, binaryCodecs: [1], codecEpoch: 0 });
+      const sample = { type: 'gyro_data', timestamp: Date.now(), alpha: 1, beta: 2, gamma: 3 };
+
+      manager.sendData(sample);
+      manager.sendData(sample); // Coalesced with the first while congested
+      sensorChannel.bufferedAmount = 0;
+      manager.getSendQueue('peer-1').flush();
+      manager.sendData(sample);
+
+      const sequences = sensorChannel.send.mock.calls.map(([packet]) => new DataView(packet).getUint16(2, true));
+      expect(sequences).toEqual([0, 1]);
+    });
+
+    it('should report the send counters in quality updates', () => {
+      const quality = vi.fn();
+      manager.onConnectionQualityChange(quality);
+      manager.sendData({ type: 'calibrate' });
+
+      manager.updateConnectionQuality('peer-1', connection, 20);
+
+      expect(quality).toHaveBeenCalledWith('peer-1', expect.objectContaining({
+        sendQueue: { sent: 1, queued: 0, coalesced: 0, dropped: 0, pending: 0 },
+      }));
+    });
+  });
+
+  describe('pairing approval', () => {
+    let connection;
+    let pairings;
+
+    beforeEach(() => {
+      connection = createFakeDataConnection('peer-1');
+      pairings = [];
+      manager.onPairingChange((peerId, pairing) => pairings.push({ peerId, ...pairing }));
+      manager.handleIncomingConnection(connection);
+      connection.emit('open');
+    });
+
+    afterEach(() => {
+      manager.closeConnection();
+    });
+
+    async function receiveHandshake() {
+      connection.emit('data', JSON.stringify({ type: 'handshake', deviceId: 'device-1', displayKeyphrase: 'happy tree' }));
+      await vi.waitFor(() => expect(pairings).toHaveLength(1));
+    }
+
+    it('should hold incoming peers until accepted', async () => {
+      const callback = vi.fn();
+      manager.onDataReceived(callback);
+
+      await receiveHandshake();
+      connection.emit('data', { type: 'gyro_data', timestamp: 1 });
+
+      expect(manager.connections.has('peer-1')).toBe(false);
+      expect(connection.send).not.toHaveBeenCalled();
+      expect(callback).not.toHaveBeenCalled();
+      expect(pairings[0]).toMatchObject({ peerId: 'peer-1', role: 'incoming', state: 'awaiting', deviceId: 'device-1', sas: null });
+    });
+
+    it('should connect and replay control messages once accepted', async () => {
+      const callback = vi.fn();
+      manager.onDataReceived(callback);
+      await receiveHandshake();
+      connection.emit('data', { type: 'saber_config', color: '#ff0000' });
+      connection.emit('data', { type: 'gyro_data', timestamp: 1 });
+
+      expect(manager.acceptConnection('peer-1')).toBe(true);
+
+      expect(manager.connections.get('peer-1')).toBe(connection);
+      expect(JSON.parse(connection.send.mock.calls[0][0]).type).toBe('handshake');
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback.mock.calls[0][0].type).toBe('saber_config');
+      expect(manager.peerCapabilities.get('peer-1').deviceId).toBe('device-1');
+      expect(manager.getPairing('peer-1').state).toBe('accepted');
+    });
+
+    it('should tell rejected peers before closing', async () => {
+      vi.useFakeTimers();
+      connection.emit('data', JSON.stringify({ type: 'handshake', deviceId: 'device-1' }));
+      await vi.waitFor(() => expect(pairings).toHaveLength(1));
+
+      expect(manager.rejectConnection('peer-1')).toBe(true);
+
+      expect(JSON.parse(connection.send.mock.calls[0][0])).toEqual({ type: 'pairing_rejected' });
+      expect(connection.close).not.toHaveBeenCalled();
+      vi.advanceTimersByTime(1000);
+      expect(connection.close).toHaveBeenCalled();
+      expect(manager.connections.has('peer-1')).toBe(false);
+      expect(pairings[pairings.length - 1].state).toBe('rejected');
+      vi.useRealTimers();
+    });
+
+    it('should close a request whose peer leaves before a decision', async () => {
+      const disconnected = vi.fn();
+      manager.onPeerDisconnected(disconnected);
+      await receiveHandshake();
+
+      connection.emit('close');
+
+      expect(pairings[pairings.length - 1].state).toBe('closed');
+      expect(manager.acceptConnection('peer-1')).toBe(false);
+      expect(disconnected).not.toHaveBeenCalled();
+    });
+
+    it('should accept at once without a pairing listener', () => {
+      const other = new WebRTCManager();
+      const otherConnection = createFakeDataConnection('peer-2');
+
+      other.handleIncomingConnection(otherConnection);
+      otherConnection.emit('open');
+
+      expect(other.connections.get('peer-2')).toBe(otherConnection);
+      other.closeConnection();
+    });
+
+    it('should skip the prompt for manual QR pairing', () => {
+      const manual = createFakeDataConnection('peer-3');
+
+      manager.addManualConnection(manual);
+      manual.emit('open');
+
+      expect(manager.connections.get('peer-3')).toBe(manual);
+    });
+
+    it('should mark outgoing pairings accepted when the other handshake arrives', () => {
+      manager.connections.set('peer-4', createFakeConnection());
+      manager.startOutgoingPairing('peer-4', {});
+      expect(manager.getPairing('peer-4')).toMatchObject({ role: 'outgoing', state: 'awaiting' });
+
+      manager.handleDataReceived('peer-4', { type: 'handshake', deviceId: 'device-4' });
+
+      expect(manager.getPairing('peer-4')).toMatchObject({ state: 'accepted', deviceId: 'device-4' });
+    });
+
+    it('should resolve waitForAcceptance once the other device accepts', async () => {
+      manager.connections.set('peer-4', createFakeConnection());
+      manager.startOutgoingPairing('peer-4', {});
+      const accepted = manager.waitForAcceptance('peer-4');
+
+      manager.handleDataReceived('peer-4', { type: 'handshake', deviceId: 'device-4' });
+
+      await expect(accepted).resolves.toBe(true);
+      await expect(manager.waitForAcceptance('peer-4')).resolves.toBe(true);
+    });
+
+    it('should resolve waitForAcceptance with false on rejection or close', async () => {
+      manager.startOutgoingPairing('peer-4', {});
+      manager.startOutgoingPairing('peer-5', {});
+      const rejected = manager.waitForAcceptance('peer-4');
+      const closed = manager.waitForAcceptance('peer-5');
+
+      manager.handleDataReceived('peer-4', { type: 'pairing_rejected' });
+      manager.endPairing('peer-5');
+
+      await expect(rejected).resolves.toBe(false);
+      await expect(closed).resolves.toBe(false);
+      await expect(manager.waitForAcceptance('peer-5')).resolves.toBe(false);
+    });
+
+    it('should report a rejection from the other device', () => {
+      const states = [];
+      manager.onConnectionStateChange((status, message) => states.push({ status, message }));
+      manager.startOutgoingPairing('peer-4', {});
+
+      manager.handleDataReceived('peer-4', { type: 'pairing_rejected' });
+
+      expect(manager.getPairing('peer-4').state).toBe('rejected');
+      expect(states[states.length - 1].status).toBe('error');
+    });
+  });
+
+  describe('spectators', () => {
+    beforeEach(() => {
+      manager.connections.set('player', createFakeConnection());
+      manager.connections.set('watcher', createFakeConnection());
+      manager.peerCapabilities.set('player', { role: 'controller' });
+      manager.peerCapabilities.set('watcher', { role: 'spectator' });
+    });
+
+    it('should announce its role in the handshake', () => {
+      const spectator = new WebRTCManager({ role: 'spectator' });
+      const connection = createFakeConnection();
+
+      spectator.sendHandshake('display', connection);
+
+      expect(JSON.parse(connection.send.mock.calls[0][0]).role).toBe('spectator');
+    });
+
+    it('should remember the role a peer announces', () => {
+      manager.handleDataReceived('peer-3', JSON.stringify({ type: 'handshake', role: 'spectator', capabilities: {} }));
+
+      expect(manager.isSpectator('peer-3')).toBe(true);
+    });
+
+    it('should keep game data away from spectators', () => {
+      manager.sendData({ type: 'haptic', pattern: [40] });
+
+      expect(manager.connections.get('player').send).toHaveBeenCalled();
+      expect(manager.connections.get('watcher').send).not.toHaveBeenCalled();
+    });
+
+    it('should relay mirrored state only to spectators', () => {
+      expect(manager.getSpectatorIds()).toEqual(['watcher']);
+
+      expect(manager.sendToSpectators({ type: 'spectator_state', sabers: [], game: null })).toBe(1);
+
+      expect(manager.connections.get('player').send).not.toHaveBeenCalled();
+      expect(JSON.parse(manager.connections.get('watcher').send.mock.calls[0][0]).type).toBe('spectator_state');
+    });
+
+    it('should ignore data from spectators', () => {
+      const callback = vi.fn();
+      manager.onDataReceived(callback);
+
+      manager.handleDataReceived('watcher', JSON.stringify({ type: 'orientation_data', timestamp: Date.now() }));
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+});